@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeDocument } = require('../src/services/analysis/analyzeDocument');
+const { applyFixes, formatDiagnostic, getDiagnostics, isAtLeastSeverity } = require('../src/services/check/diagnostics');
+const { formatReport } = require('../src/services/check/reports');
+const { getChangeSeverity } = require('../src/utils/changeCategories');
+const { getOriginalText } = require('../src/utils/segmentUtils');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Exit codes: must-fix suggestions remain, or the check itself failed
+const EXIT_MUST_FIX = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * Checks one file: analyzes it, applies the fixes asked for and writes them
+ * back, and lists the suggestions left.
+ *
+ * @param {string} file - The file
+ * @param {Object} options - `runCheck` options
+ * @returns {Promise<Object>} `{ segments, diagnostics, fixed, failedParts, fallbackError, alignment }`,
+ *   where segments are for the file as written back
+ */
+const checkFile = async (file, { fixSeverity, cwd, analysisOptions }) => {
+    const filePath = path.resolve(cwd, file);
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const markdown = MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase());
+    const result = await analyzeDocument(text, { ...analysisOptions, markdown });
+
+    // A response about some other text can be shown in the app, but not located in the file
+    if (getOriginalText(result.segments) !== text) {
+        throw new Error("the model's response doesn't match the file's text, so it was not checked");
+    }
+
+    const { segments, fixed } = fixSeverity
+        ? applyFixes(result.segments, change => isAtLeastSeverity(getChangeSeverity(change), fixSeverity))
+        : { segments: result.segments, fixed: [] };
+    if (fixed.length > 0) {
+        await fs.promises.writeFile(filePath, getOriginalText(segments));
+    }
+
+    return {
+        segments,
+        diagnostics: getDiagnostics(segments),
+        fixed,
+        failedParts: result.chunks.filter(chunk => chunk.status === 'failed'),
+        fallbackError: result.fallbackError,
+        alignment: result.alignment
+    };
+};
+
+/**
+ * Runs `style-guider check`.
+ *
+ * @param {Array<string>} files - The files to check
+ * @param {Object} options - Options
+ * @param {Object} options.analysisOptions - Passed to `analyzeDocument`: `generate`,
+ *   `styleGuideId`, `houseRules`, `useModel`, `model`
+ * @param {string} [options.severity='optional'] - The least serious severity reported
+ * @param {string} [options.fixSeverity] - Fix suggestions at least this serious; none when unset
+ * @param {string} [options.format='text'] - 'text' for linter lines, or a report format
+ *   ('json', 'sarif' or 'junit', see `src/services/check/reports.js`)
+ * @param {string} [options.outputFile] - Where to write the report; stdout when unset, in which
+ *   case the linter lines are left out
+ * @param {string} [options.cwd=process.cwd()] - The directory file paths are relative to
+ * @param {Object} [output] - `{ stdout, stderr }` streams to report to
+ * @returns {Promise<number>} The exit code: 0 if no must-fix suggestions remain,
+ *   1 if some do, 2 if a file (or part of one) couldn't be checked by the model
+ */
+const runCheck = async (files, {
+    analysisOptions,
+    severity = 'optional',
+    fixSeverity,
+    format = 'text',
+    outputFile,
+    cwd = process.cwd()
+}, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+    let exitCode = 0;
+    const totals = { reported: 0, mustFix: 0, fixed: 0 };
+    const reportFiles = [];
+    const report = format === 'text' || outputFile ? stdout : null;
+
+    for (const file of files) {
+        let result;
+        try {
+            result = await checkFile(file, { fixSeverity, cwd, analysisOptions });
+        } catch (error) {
+            stderr.write(`${file}: ${error.message}\n`);
+            exitCode = EXIT_ERROR;
+            continue;
+        }
+
+        if (analysisOptions.useModel !== false && (result.failedParts.length > 0 || result.fallbackError)) {
+            const message = result.failedParts.length > 0 ? result.failedParts[0].error : result.fallbackError.message;
+            stderr.write(`${file}: checked with the local rules only where the model failed: ${message}\n`);
+            exitCode = EXIT_ERROR;
+        }
+
+        // Passages the model skipped, or changes it made to text that isn't there, leave the file partly unchecked
+        const { unresolved = [], discarded = [] } = result.alignment || {};
+        if (unresolved.length > 0 || discarded.length > 0) {
+            const problems = [
+                ...(unresolved.length > 0 ? [`the model skipped ${unresolved.length} passage(s), which were not checked`] : []),
+                ...(discarded.length > 0 ? [`${discarded.length} change(s) for text that isn't in the file were dropped`] : [])
+            ];
+            stderr.write(`${file}: ${problems.join('; ')}\n`);
+            exitCode = EXIT_ERROR;
+        }
+
+        result.diagnostics
+            .filter(diagnostic => isAtLeastSeverity(diagnostic.severity, severity))
+            .forEach(diagnostic => {
+                if (report) report.write(`${formatDiagnostic(file, diagnostic)}\n`);
+                totals.reported += 1;
+            });
+        if (report && result.fixed.length > 0) {
+            report.write(`${file}: fixed ${result.fixed.length} suggestion(s)\n`);
+        }
+        reportFiles.push({ path: file, segments: result.segments });
+
+        const mustFix = result.diagnostics.filter(diagnostic => diagnostic.severity === 'must-fix').length;
+        totals.mustFix += mustFix;
+        totals.fixed += result.fixed.length;
+        if (mustFix > 0 && exitCode === 0) exitCode = EXIT_MUST_FIX;
+    }
+
+    if (report) {
+        report.write(`\n${files.length} file(s) checked: ${totals.reported} suggestion(s), ${totals.mustFix} must-fix, ${totals.fixed} fixed\n`);
+    }
+
+    if (format !== 'text') {
+        const content = formatReport(format, reportFiles, { styleGuideId: analysisOptions.styleGuideId, severity });
+        if (outputFile) {
+            await fs.promises.writeFile(path.resolve(cwd, outputFile), content);
+        } else {
+            stdout.write(content);
+        }
+    }
+    return exitCode;
+};
+
+module.exports = {
+    EXIT_ERROR,
+    EXIT_MUST_FIX,
+    runCheck
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files a directory is searched for
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Never searched, even when a pattern would match inside them
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+/**
+ * Converts a glob into a regular expression over `/`-separated paths:
+ * `**` matches any number of directories, `*` and `?` match within one,
+ * and `{a,b}` and `[abc]` match alternatives.
+ */
+const globToRegExp = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const character = glob[i];
+        if (character === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:[^/]*/)*' : '.*';
+            i += slash ? 2 : 1;
+        } else if (character === '*') {
+            source += '[^/]*';
+        } else if (character === '?') {
+            source += '[^/]';
+        } else if (character === '{') {
+            const close = glob.indexOf('}', i);
+            if (close === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${glob.substring(i + 1, close).split(',').map(part => part.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`;
+                i = close;
+            }
+        } else if (character === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.substring(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else {
+            source += character.replace(/[.+^$()|\\\]}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+// Lists every file under a directory, as paths relative to `cwd`
+const walk = async (directory, cwd) => {
+    const entries = await fs.promises.readdir(path.resolve(cwd, directory), { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const file = directory === '.' ? entry.name : `${directory}/${entry.name}`;
+        if (entry.isDirectory()) return SKIPPED_DIRECTORIES.has(entry.name) ? [] : walk(file, cwd);
+        return entry.isFile() ? [file] : [];
+    }));
+    return files.flat();
+};
+
+/**
+ * Expands the paths and globs given on the command line into files. A
+ * directory stands for the Markdown and text files under it, and a glob
+ * (quoted, so the shell leaves it alone) for the files it matches.
+ *
+ * @param {Array<string>} patterns - Files, directories and globs
+ * @param {string} [cwd=process.cwd()] - The directory they are relative to
+ * @returns {Promise<Array<string>>} The files, each once, in the order given
+ * @throws {Error} If a path doesn't exist or a glob matches nothing
+ */
+const expandFiles = async (patterns, cwd = process.cwd()) => {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        const normalized = toPosix(pattern).replace(/^\.\//, '');
+
+        if (!GLOB_CHARACTERS.test(normalized)) {
+            const stats = await fs.promises.stat(path.resolve(cwd, normalized)).catch(() => null);
+            if (!stats) throw new Error(`${pattern} does not exist`);
+            if (stats.isDirectory()) {
+                (await walk(normalized.replace(/\/+$/, '') || '.', cwd))
+                    .filter(file => TEXT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+                    .sort()
+                    .forEach(file => files.add(file));
+            } else {
+                files.add(normalized);
+            }
+            continue;
+        }
+
+        // Only the directories before the first glob character need searching
+        const segments = normalized.split('/');
+        const firstGlob = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+        const base = segments.slice(0, firstGlob).join('/') || '.';
+        const matcher = globToRegExp(normalized);
+        const matches = (await walk(base, cwd).catch(() => [])).filter(file => matcher.test(file)).sort();
+        if (matches.length === 0) throw new Error(`No files match ${pattern}`);
+        matches.forEach(file => files.add(file));
+    }
+
+    return Array.from(files);
+};
+
+module.exports = {
+    TEXT_EXTENSIONS,
+    expandFiles,
+    globToRegExp
+};
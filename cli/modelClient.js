@@ -0,0 +1,92 @@
+const { getSystemPrompt } = require('../src/services/prompts/styleGuides');
+const { SEGMENT_TOOL, SEGMENT_TOOL_CHOICE, getSegmentToolInput } = require('../src/services/prompts/segmentTool');
+const { getErrorMessage, getProvider } = require('../server/providers');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const MAX_TOKENS = 4096;
+
+// Reads the segments from a Messages API response, as `AnthropicService` does
+const readMessage = (message) => {
+    const toolInput = getSegmentToolInput(message.content);
+    if (toolInput) return toolInput;
+
+    const textBlock = message.content.find(block => block.type === 'text') || message.content[0];
+    return textBlock ? textBlock.text : '';
+};
+
+const readResponse = async (response, name) => {
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(getErrorMessage(data) || `${name} error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+};
+
+/**
+ * Creates the `generate(prompt, options)` that `analyzeText` calls, sending
+ * each prompt either to a running Style Guider proxy or straight to one of
+ * the proxy's providers (see `server/providers/index.js`), configured from
+ * the environment just as the proxy would be.
+ *
+ * @param {Object} options - Options
+ * @param {string} [options.proxyUrl] - The proxy's base URL, e.g. http://localhost:3001
+ * @param {string} [options.providerId] - The provider to use, or to ask the proxy for
+ * @param {string} [options.model] - The model name; providers that set their own ignore it
+ * @param {Object} [options.env=process.env] - The environment providers are configured from
+ * @returns {Function} The model call
+ * @throws {Error} If the provider is unknown or is missing configuration
+ */
+const createGenerate = ({ proxyUrl, providerId, model, env = process.env }) => {
+    if (proxyUrl) {
+        const url = `${proxyUrl.replace(/\/+$/, '')}/api/anthropic/messages`;
+        return async (prompt, { styleGuideId, signal, cacheContext } = {}) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model,
+                    ...(providerId ? { provider: providerId } : {}),
+                    ...(styleGuideId ? { styleGuide: styleGuideId } : {}),
+                    // Lets the proxy add the results to its shared cache
+                    ...(cacheContext ? { cacheContext } : {}),
+                    useTools: true,
+                    max_tokens: MAX_TOKENS,
+                    messages: [{ role: 'user', content: prompt }]
+                }),
+                signal
+            });
+            return readMessage(await readResponse(response, 'Proxy'));
+        };
+    }
+
+    const provider = getProvider(providerId, env);
+    if (!provider) throw new Error(`Unknown provider: ${providerId}`);
+
+    const configError = provider.getConfigError();
+    if (configError) throw new Error(configError);
+
+    return async (prompt, { styleGuideId, signal } = {}) => {
+        const request = provider.buildRequest({
+            model: provider.model || model,
+            maxTokens: MAX_TOKENS,
+            messages: [{ role: 'user', content: prompt }],
+            system: getSystemPrompt(styleGuideId),
+            ...(provider.supportsTools ? { tools: [SEGMENT_TOOL], toolChoice: SEGMENT_TOOL_CHOICE } : {}),
+            stream: false
+        });
+        const response = await (provider.fetch || fetch)(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal
+        });
+        return readMessage(provider.parseResponse(await readResponse(response, provider.name)));
+    };
+};
+
+module.exports = {
+    createGenerate
+};
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Style Guider command line
+ *
+ *   style-guider check [options] <files, directories or globs...>
+ *   style-guider lsp [options]
+ *
+ * `check` checks Markdown and text files against a style guide with the
+ * same prompt, parser and local rules as the app, prints each suggestion as
+ * file:line:column, and exits with 1 when must-fix suggestions remain (2 when
+ * a file couldn't be checked), so it can gate a CI job. `lsp` runs a
+ * language server on stdio, so editors show the suggestions as diagnostics
+ * with quick fixes (see `lsp/languageServer.js`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_STYLE_GUIDE_ID, isStyleGuide, listStyleGuides } = require('../src/services/prompts/styleGuides');
+const { normalizeHouseRules } = require('../src/services/prompts/houseRules');
+const { createMemoryCache } = require('../src/services/analysis/paragraphCache');
+const { SEVERITIES } = require('../src/utils/changeCategories');
+const { REPORT_FORMATS } = require('../src/services/check/reports');
+const { EXIT_ERROR, runCheck } = require('./check');
+const { expandFiles } = require('./files');
+const { createGenerate } = require('./modelClient');
+const { createFileCache } = require('../server/fileCache');
+const { createConnection } = require('../lsp/connection');
+const { createLanguageServer } = require('../lsp/languageServer');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = `Usage: style-guider check [options] <files, directories or globs...>
+       style-guider lsp [options]
+
+Options:
+  --style-guide <id>     ${listStyleGuides().map(({ id }) => id).join(', ')} (default: ${DEFAULT_STYLE_GUIDE_ID})
+  --house-rules <file>   A house rules JSON file (see house-rules.example.json)
+  --severity <level>     Only report suggestions at least this serious: ${SEVERITIES.map(({ id }) => id).join(', ')}
+  --fix                  Apply every suggestion and write the files back
+  --fix-severity <level> Apply only suggestions at least this serious
+  --format <format>      text (default), ${REPORT_FORMATS.map(({ id }) => id).join(', ')}
+  --output <file>        Write the report to a file, and the text output to stdout
+  --proxy <url>          Send prompts through a running proxy, e.g. http://localhost:3001
+  --provider <id>        anthropic, openai, local or mock (default: LLM_PROVIDER, then anthropic)
+  --model <name>         The model (default: REACT_APP_ANTHROPIC_MODEL)
+  --rules-only           Run the local rules only, without a model
+  --cache <file>         Keep model results per paragraph in a file, so unchanged
+                         paragraphs aren't sent again (lsp keeps them in memory otherwise)
+  --stdio                Talk to the editor on stdin and stdout (lsp; the default)
+  --verbose              Log requests and parser output to stderr
+  -h, --help             Show this help
+
+Globs are matched by style-guider itself when quoted, e.g. "docs/**/*.md".
+Exits with 1 when must-fix suggestions remain, and 2 when a file couldn't be checked.
+`;
+
+const OPTIONS = {
+    'style-guide': { type: 'string' },
+    'house-rules': { type: 'string' },
+    severity: { type: 'string' },
+    fix: { type: 'boolean' },
+    'fix-severity': { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string' },
+    proxy: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    'rules-only': { type: 'boolean' },
+    cache: { type: 'string' },
+    stdio: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+const checkSeverity = (value, option) => {
+    if (value !== undefined && !SEVERITIES.some(({ id }) => id === value)) {
+        throw new UsageError(`--${option} must be one of ${SEVERITIES.map(({ id }) => id).join(', ')}`);
+    }
+    return value;
+};
+
+const readHouseRules = (file) => {
+    if (!file) return [];
+    try {
+        return normalizeHouseRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        throw new UsageError(`Could not read house rules from ${file}: ${error.message}`);
+    }
+};
+
+const main = async (argv) => {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...patterns] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : EXIT_ERROR;
+    }
+    if (command !== 'check' && command !== 'lsp') throw new UsageError(`Unknown command: ${command}`);
+    if (command === 'check' && patterns.length === 0) throw new UsageError('No files to check');
+
+    const styleGuideId = values['style-guide'] || DEFAULT_STYLE_GUIDE_ID;
+    if (!isStyleGuide(styleGuideId)) throw new UsageError(`Unknown style guide: ${styleGuideId}`);
+
+    const severity = checkSeverity(values.severity, 'severity');
+    const fixSeverity = checkSeverity(values['fix-severity'], 'fix-severity') || (values.fix ? 'optional' : undefined);
+    const format = values.format || 'text';
+    if (format !== 'text' && !REPORT_FORMATS.some(({ id }) => id === format)) {
+        throw new UsageError(`--format must be one of text, ${REPORT_FORMATS.map(({ id }) => id).join(', ')}`);
+    }
+    const useModel = !values['rules-only'];
+    const model = values.model || process.env.REACT_APP_ANTHROPIC_MODEL;
+
+    // The analysis modules log for the browser console; keep stdout for the report or the editor
+    if (!values.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    } else {
+        console.log = console.error;
+    }
+
+    const analysisOptions = {
+        generate: useModel ? createGenerate({ proxyUrl: values.proxy, providerId: values.provider, model }) : null,
+        styleGuideId,
+        houseRules: readHouseRules(values['house-rules']),
+        useModel,
+        model
+    };
+    const cache = values.cache ? createFileCache({ filePath: path.resolve(values.cache) }) : null;
+
+    if (command === 'lsp') {
+        const exitCode = await new Promise(resolve => {
+            const connection = createConnection(process.stdin, process.stdout);
+            createLanguageServer({ connection, analysisOptions, cache: cache || createMemoryCache(), onExit: resolve });
+            connection.listen();
+        });
+        // Stop reading, so the process ends once pending cache writes finish
+        process.stdin.destroy();
+        return exitCode;
+    }
+
+    return runCheck(await expandFiles(patterns), {
+        analysisOptions: { ...analysisOptions, ...(cache ? { cache } : {}) },
+        severity,
+        fixSeverity,
+        format,
+        outputFile: values.output
+    });
+};
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        process.stderr.write(`style-guider: ${error.message}\n`);
+        if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+            process.stderr.write('Run style-guider --help for usage.\n');
+        }
+        process.exitCode = EXIT_ERROR;
+    });
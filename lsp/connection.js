@@ -0,0 +1,109 @@
+// JSON-RPC error codes used by the Language Server Protocol
+const ERROR_CODES = {
+    parseError: -32700,
+    methodNotFound: -32601,
+    internalError: -32603,
+    serverNotInitialized: -32002
+};
+
+const HEADER_END = '\r\n\r\n';
+
+/**
+ * Creates a JSON-RPC connection over a pair of streams, framed the way the
+ * Language Server Protocol frames it on stdio: each message is a
+ * `Content-Length` header, a blank line and that many bytes of JSON.
+ *
+ * Handlers are registered per method. A request handler's return value (or
+ * resolved promise) is sent back as the result; a thrown error becomes an
+ * error response, using its `code` if it has one. Requests nobody handles
+ * get `methodNotFound`; notifications nobody handles, like `$/cancelRequest`,
+ * are ignored.
+ *
+ * @param {Object} input - A readable stream of messages, e.g. process.stdin
+ * @param {Object} output - A writable stream for replies, e.g. process.stdout
+ * @returns {Object} `{ onRequest, onNotification, sendNotification, listen }`
+ */
+const createConnection = (input, output) => {
+    const requestHandlers = new Map();
+    const notificationHandlers = new Map();
+    let buffer = Buffer.alloc(0);
+
+    const send = (message) => {
+        const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+        output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}${HEADER_END}${body}`);
+    };
+
+    const sendError = (id, code, message) => send({ id, error: { code, message } });
+
+    const handleRequest = async ({ id, method, params }) => {
+        const handler = requestHandlers.get(method);
+        if (!handler) {
+            sendError(id, ERROR_CODES.methodNotFound, `Unhandled method ${method}`);
+            return;
+        }
+
+        try {
+            const result = await handler(params);
+            send({ id, result: result === undefined ? null : result });
+        } catch (error) {
+            sendError(id, error.code || ERROR_CODES.internalError, error.message);
+        }
+    };
+
+    const dispatch = (message) => {
+        if (message.id !== undefined && message.method) {
+            handleRequest(message);
+        } else if (message.method && notificationHandlers.has(message.method)) {
+            Promise.resolve()
+                .then(() => notificationHandlers.get(message.method)(message.params))
+                .catch(error => console.error(`Error handling ${message.method}:`, error));
+        }
+    };
+
+    // Reads every complete message in the buffer, leaving a partial one for the next chunk
+    const read = () => {
+        while (true) {
+            const headerEnd = buffer.indexOf(HEADER_END);
+            if (headerEnd === -1) return;
+
+            const match = /Content-Length: *(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+            const bodyStart = headerEnd + HEADER_END.length;
+            if (!match) {
+                buffer = buffer.subarray(bodyStart);
+                continue;
+            }
+
+            const bodyEnd = bodyStart + Number(match[1]);
+            if (buffer.length < bodyEnd) return;
+
+            const body = buffer.subarray(bodyStart, bodyEnd).toString('utf8');
+            buffer = buffer.subarray(bodyEnd);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                sendError(null, ERROR_CODES.parseError, `Invalid JSON: ${error.message}`);
+                continue;
+            }
+            dispatch(message);
+        }
+    };
+
+    return {
+        onRequest: (method, handler) => requestHandlers.set(method, handler),
+        onNotification: (method, handler) => notificationHandlers.set(method, handler),
+        sendNotification: (method, params) => send({ method, params }),
+        listen: () => {
+            input.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk]);
+                read();
+            });
+        }
+    };
+};
+
+module.exports = {
+    ERROR_CODES,
+    createConnection
+};
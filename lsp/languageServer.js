@@ -0,0 +1,243 @@
+const { analyzeDocument } = require('../src/services/analysis/analyzeDocument');
+const { isAbortError } = require('../src/services/analysis/analyzeText');
+const { describeEdit, getDiagnostics } = require('../src/services/check/diagnostics');
+const { getOriginalText } = require('../src/utils/segmentUtils');
+const { ERROR_CODES } = require('./connection');
+
+// Quiet time after the last edit before a document is analyzed again
+const DEFAULT_DEBOUNCE_MS = 750;
+
+const SOURCE = 'style-guider';
+
+// LSP DiagnosticSeverity: Error, Warning, Information
+const LSP_SEVERITIES = {
+    'must-fix': 1,
+    recommended: 2,
+    optional: 3
+};
+
+// LSP TextDocumentSyncKind.Full: every change sends the whole document
+const FULL_SYNC = 1;
+
+const QUICK_FIX = 'quickfix';
+const FIX_ALL = 'source.fixAll';
+
+const MARKDOWN_EXTENSIONS = /\.(md|markdown)$/i;
+
+const toRange = (diagnostic) => ({
+    start: { line: diagnostic.line - 1, character: diagnostic.column - 1 },
+    end: { line: diagnostic.endLine - 1, character: diagnostic.endColumn - 1 }
+});
+
+const comparePositions = (a, b) => (a.line - b.line) || (a.character - b.character);
+
+const rangesOverlap = (a, b) => comparePositions(a.start, b.end) <= 0 && comparePositions(b.start, a.end) <= 0;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.substring(1);
+
+/**
+ * Converts a diagnostic from `getDiagnostics` into an LSP diagnostic.
+ *
+ * @param {Object} diagnostic - From `getDiagnostics`
+ * @returns {Object} The LSP diagnostic; `data` holds the replacement for code actions
+ */
+const toLspDiagnostic = (diagnostic) => ({
+    range: toRange(diagnostic),
+    severity: LSP_SEVERITIES[diagnostic.severity],
+    source: SOURCE,
+    code: diagnostic.ruleId || diagnostic.category,
+    message: diagnostic.reason
+        ? `${capitalize(describeEdit(diagnostic))}: ${diagnostic.reason}`
+        : capitalize(describeEdit(diagnostic)),
+    data: { replacement: diagnostic.replacement }
+});
+
+/**
+ * Creates a language server that reports style suggestions as diagnostics
+ * in Markdown and plain text documents, with a quick fix applying each
+ * change's replacement and a fix-all action applying every one.
+ *
+ * Documents are analyzed after `debounceMs` without edits, with
+ * `analyzeDocument` and a paragraph cache, so after an edit only the
+ * paragraphs that changed go to the model. An edit cancels the analysis in
+ * flight, and results are only published for the version they were made
+ * for. Markdown documents are analyzed in Markdown mode.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.connection - From `createConnection`
+ * @param {Object} options.analysisOptions - Passed to `analyzeDocument`: `generate`,
+ *   `styleGuideId`, `houseRules`, `useModel`, `model`
+ * @param {Object} [options.cache] - A paragraph cache
+ * @param {number} [options.debounceMs] - Milliseconds to wait after an edit
+ * @param {Function} [options.onExit] - Called with the exit code when the client says `exit`
+ */
+const createLanguageServer = ({
+    connection,
+    analysisOptions,
+    cache,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    onExit = () => {}
+}) => {
+    const documents = new Map();
+    let initialized = false;
+    let shuttingDown = false;
+
+    const log = (type, message) => connection.sendNotification('window/logMessage', { type, message });
+
+    const publish = (document, diagnostics) => {
+        document.diagnostics = diagnostics;
+        connection.sendNotification('textDocument/publishDiagnostics', {
+            uri: document.uri,
+            version: document.version,
+            diagnostics: diagnostics.map(toLspDiagnostic)
+        });
+    };
+
+    const cancel = (document) => {
+        clearTimeout(document.timer);
+        if (document.controller) document.controller.abort();
+        document.timer = null;
+        document.controller = null;
+    };
+
+    const analyze = async (uri) => {
+        const document = documents.get(uri);
+        if (!document) return;
+
+        cancel(document);
+        const controller = new AbortController();
+        const { version, text } = document;
+        document.controller = controller;
+
+        try {
+            const result = await analyzeDocument(text, {
+                ...analysisOptions,
+                markdown: document.languageId === 'markdown' || MARKDOWN_EXTENSIONS.test(uri),
+                cache,
+                signal: controller.signal
+            });
+            if (documents.get(uri) !== document || document.version !== version) return;
+
+            if (getOriginalText(result.segments) !== text) {
+                log(2, `${uri}: the model's response doesn't match the document, so it was not checked`);
+                return;
+            }
+            if (result.chunks.some(chunk => chunk.status === 'failed')) {
+                log(2, `${uri}: checked with the local rules only where the model failed`);
+            }
+            publish(document, getDiagnostics(result.segments));
+        } catch (error) {
+            if (!isAbortError(error)) log(1, `${uri}: ${error.message}`);
+        } finally {
+            if (document.controller === controller) document.controller = null;
+        }
+    };
+
+    const schedule = (uri) => {
+        const document = documents.get(uri);
+        cancel(document);
+        document.timer = setTimeout(() => analyze(uri), debounceMs);
+    };
+
+    // Quick fixes for the diagnostics of the current version only, as older ranges may have moved
+    const getCodeActions = ({ textDocument, range, context = {} }) => {
+        const document = documents.get(textDocument.uri);
+        if (!document || document.diagnostics.length === 0) return [];
+
+        const only = context.only || null;
+        const wants = (kind) => !only || only.some(prefix => kind === prefix || kind.startsWith(`${prefix}.`));
+        const toEdit = (diagnostic) => ({ range: toRange(diagnostic), newText: diagnostic.replacement });
+        const actions = [];
+
+        if (wants(QUICK_FIX)) {
+            document.diagnostics
+                .filter(diagnostic => rangesOverlap(toRange(diagnostic), range))
+                .forEach(diagnostic => actions.push({
+                    title: capitalize(describeEdit(diagnostic)),
+                    kind: QUICK_FIX,
+                    diagnostics: [toLspDiagnostic(diagnostic)],
+                    isPreferred: true,
+                    edit: { changes: { [document.uri]: [toEdit(diagnostic)] } }
+                }));
+        }
+
+        if (wants(FIX_ALL)) {
+            actions.push({
+                title: `Apply all ${document.diagnostics.length} style suggestion(s)`,
+                kind: FIX_ALL,
+                edit: { changes: { [document.uri]: document.diagnostics.map(toEdit) } }
+            });
+        }
+
+        return actions;
+    };
+
+    const requireInitialized = (handler) => (params) => {
+        if (!initialized) {
+            const error = new Error('The server has not been initialized');
+            error.code = ERROR_CODES.serverNotInitialized;
+            throw error;
+        }
+        return handler(params);
+    };
+
+    connection.onRequest('initialize', () => {
+        initialized = true;
+        return {
+            capabilities: {
+                textDocumentSync: { openClose: true, change: FULL_SYNC },
+                codeActionProvider: { codeActionKinds: [QUICK_FIX, FIX_ALL] }
+            },
+            serverInfo: { name: SOURCE }
+        };
+    });
+
+    connection.onRequest('shutdown', requireInitialized(() => {
+        shuttingDown = true;
+        documents.forEach(cancel);
+        return null;
+    }));
+
+    connection.onNotification('exit', () => onExit(shuttingDown ? 0 : 1));
+
+    connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+        documents.set(textDocument.uri, {
+            uri: textDocument.uri,
+            languageId: textDocument.languageId,
+            version: textDocument.version,
+            text: textDocument.text,
+            diagnostics: [],
+            timer: null,
+            controller: null
+        });
+        analyze(textDocument.uri);
+    });
+
+    connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+        const document = documents.get(textDocument.uri);
+        if (!document || contentChanges.length === 0) return;
+
+        document.version = textDocument.version;
+        document.text = contentChanges[contentChanges.length - 1].text;
+        // The old ranges no longer point at the right text, so they are cleared until the next analysis
+        if (document.diagnostics.length > 0) publish(document, []);
+        schedule(textDocument.uri);
+    });
+
+    connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+        const document = documents.get(textDocument.uri);
+        if (!document) return;
+
+        cancel(document);
+        documents.delete(textDocument.uri);
+        connection.sendNotification('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    });
+
+    connection.onRequest('textDocument/codeAction', requireInitialized(getCodeActions));
+};
+
+module.exports = {
+    DEFAULT_DEBOUNCE_MS,
+    createLanguageServer,
+    toLspDiagnostic
+};
@@ -2,6 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { createEventStreamParser, formatEvent } = require('./src/utils/eventStream');
+const { getSystemPrompt, isStyleGuide } = require('./src/services/prompts/styleGuides');
+const { normalizeHouseRules } = require('./src/services/prompts/houseRules');
+const { SEGMENT_TOOL, SEGMENT_TOOL_CHOICE, getSegmentToolInput } = require('./src/services/prompts/segmentTool');
+const { applyLocalRules } = require('./src/utils/localRules');
+const { createFileCache } = require('./server/fileCache');
+const { cacheRelayedResponse, createCacheRoutes } = require('./server/cacheRoutes');
+const { getErrorMessage, getProvider } = require('./server/providers');
 require('dotenv').config();
 
 // Debug logging with more details
@@ -12,6 +20,7 @@ console.log('PWD:', process.cwd());
 console.log('ANTHROPIC_API_KEY:', process.env.REACT_APP_ANTHROPIC_API_KEY ? 'Present (starts with: ' + process.env.REACT_APP_ANTHROPIC_API_KEY.substring(0, 15) + '...)' : 'Missing');
 console.log('ANTHROPIC_API_URL:', process.env.REACT_APP_ANTHROPIC_API_URL || 'Missing');
 console.log('ANTHROPIC_MODEL:', process.env.REACT_APP_ANTHROPIC_MODEL || 'Missing');
+console.log('LLM_PROVIDER:', process.env.LLM_PROVIDER || 'anthropic (default)');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -23,7 +32,21 @@ const corsOptions = {
         : 'http://localhost:3000'
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+// Long drafts and their cached results are larger than the default 100kb limit
+app.use(express.json({ limit: '5mb' }));
+
+// Paragraph results shared by every client; set CACHE_FILE to a writable path (e.g. under /tmp on Vercel)
+const paragraphCache = createFileCache({
+    filePath: process.env.CACHE_FILE || path.join(__dirname, '.cache', 'paragraphs.json')
+});
+const cacheRoutes = createCacheRoutes({ cache: paragraphCache });
+
+// Adds the results of a relayed response to the shared cache, after the client has it
+const cacheResponse = (body, response) => {
+    if (!body.cacheContext || response === null) return;
+    cacheRelayedResponse(paragraphCache, body, response)
+        .catch(error => console.warn('Could not cache the response:', error.message));
+};
 
 // Serve static files from the React build directory in production
 if (process.env.NODE_ENV === 'production') {
@@ -32,55 +55,161 @@ if (process.env.NODE_ENV === 'production') {
     app.use(express.static(buildPath));
 }
 
-// Proxy endpoint for Anthropic API
+// Relay the provider's streamed events to the client as simplified SSE events:
+// `text` for each generated text delta, `tool_input` for each piece of a
+// tool call's JSON input, then `done` (or `error`). Resolves with the whole
+// response: the tool input if the model called the tool, otherwise its text,
+// or null for a tool call cut short
+const relayStream = async (provider, response, res) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let stopReason = null;
+    let upstreamError = null;
+    let relayedText = '';
+    let relayedJson = '';
+    const decoder = new TextDecoder();
+    const parser = createEventStreamParser(provider.createStreamHandler({
+        onText: (text) => {
+            relayedText += text;
+            res.write(formatEvent('text', { text }));
+        },
+        onToolInput: (json) => {
+            relayedJson += json;
+            res.write(formatEvent('tool_input', { json }));
+        },
+        onStop: (reason) => { stopReason = reason; },
+        onError: (message) => { upstreamError = message; }
+    }));
+
+    for await (const chunk of response.body) {
+        parser.push(decoder.decode(chunk, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.flush();
+
+    if (upstreamError) {
+        throw new Error(upstreamError);
+    }
+
+    res.write(formatEvent('done', { stopReason }));
+    res.end();
+
+    if (!relayedJson) return relayedText;
+    try {
+        return JSON.parse(relayedJson);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Proxy endpoint for the model, in the Messages API shape whichever provider answers it
 app.post('/api/anthropic/messages', async (req, res) => {
+    // Aborted on timeout, or when the client goes away (e.g. cancels its analysis)
+    const controller = new AbortController();
+    let clientClosed = false;
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        clientClosed = true;
+        controller.abort();
+    });
+
     try {
-        if (!process.env.REACT_APP_ANTHROPIC_API_KEY) {
-            throw new Error('Anthropic API key is not configured');
+        const provider = getProvider(req.body.provider);
+        if (!provider) {
+            return res.status(400).json({
+                error: `Unknown provider: ${req.body.provider}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const configError = provider.getConfigError();
+        if (configError) {
+            throw new Error(configError);
+        }
+
+        if (req.body.styleGuide && !isStyleGuide(req.body.styleGuide)) {
+            return res.status(400).json({
+                error: `Unknown style guide: ${req.body.styleGuide}`,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // Transform the request body to match Anthropic's expected format
-        const anthropicBody = {
-            model: req.body.model,
-            max_tokens: req.body.max_tokens,
+        // Models without tool support are asked for JSON text, which the client repairs
+        const useTools = req.body.useTools && provider.supportsTools;
+        const upstreamRequest = provider.buildRequest({
+            model: provider.model || req.body.model,
+            maxTokens: req.body.max_tokens,
             messages: req.body.messages,
-            system: "You are a helpful AI assistant that applies style guides to writing projects."
-        };
+            system: getSystemPrompt(req.body.styleGuide),
+            // Ask for the segments as a tool call instead of JSON written into the text
+            ...(useTools ? { tools: [SEGMENT_TOOL], toolChoice: SEGMENT_TOOL_CHOICE } : {}),
+            stream: Boolean(req.body.stream)
+        });
 
-        console.log('Sending request to Anthropic:', JSON.stringify(anthropicBody, null, 2));
+        console.log(`Sending request to ${provider.name}:`, JSON.stringify(upstreamRequest.body, null, 2));
 
-        // AbortController for timeout
-        const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 55000); // 55 second timeout (just under Vercel's 60s limit)
 
         try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
+            const response = await (provider.fetch || fetch)(upstreamRequest.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': process.env.REACT_APP_ANTHROPIC_API_KEY,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify(anthropicBody),
+                headers: upstreamRequest.headers,
+                body: JSON.stringify(upstreamRequest.body),
                 signal: controller.signal
             });
 
             clearTimeout(timeoutId); // Clear the timeout if the request completes
 
             if (!response.ok) {
-                const errorData = await response.json();
-                console.error('Anthropic API error details:', errorData);
-                throw new Error(errorData.error?.message || `Anthropic API error: ${response.statusText}`);
+                const errorData = await response.json().catch(() => null);
+                console.error(`${provider.name} API error details:`, errorData);
+                const error = new Error(getErrorMessage(errorData) || `${provider.name} API error: ${response.statusText}`);
+                // Pass the status on, so the client knows which errors are worth retrying
+                error.response = { status: response.status, data: errorData };
+                throw error;
+            }
+
+            if (upstreamRequest.body.stream) {
+                cacheResponse(req.body, await relayStream(provider, response, res));
+                return;
             }
 
-            const data = await response.json();
-            res.json(data);
+            const message = provider.parseResponse(await response.json());
+            res.json(message);
+
+            if (Array.isArray(message.content)) {
+                const textBlock = message.content.find(block => block.type === 'text') || message.content[0];
+                cacheResponse(req.body, getSegmentToolInput(message.content) || (textBlock && textBlock.text) || null);
+            }
         } catch (error) {
             clearTimeout(timeoutId); // Clear the timeout in case of error
             throw error;
         }
     } catch (error) {
-        console.error('Error proxying to Anthropic:', error);
+        if (clientClosed) {
+            console.log('Client closed the connection; cancelled the upstream request');
+            return;
+        }
+
+        console.error('Error proxying to the model provider:', error);
+
+        // Once a stream has started the status is already sent, so report the error in-band
+        if (res.headersSent) {
+            res.write(formatEvent('error', {
+                error: error.name === 'AbortError' ? 'Gateway timeout: request took too long' : error.message,
+                code: error.name === 'AbortError' ? 504 : 500
+            }));
+            res.end();
+            return;
+        }
+
         const statusCode = error.name === 'AbortError' ? 504 : (error.response?.status || 500);
         res.status(statusCode).json({ 
             error: error.name === 'AbortError' ? 'Gateway timeout: request took too long' : error.message,
@@ -90,6 +219,35 @@ app.post('/api/anthropic/messages', async (req, res) => {
     }
 });
 
+// Runs the local rule engine only; needs no API key
+app.post('/api/rules/check', (req, res) => {
+    const { text, styleGuide, houseRules } = req.body;
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({
+            error: 'Request body must include the text to check',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (styleGuide && !isStyleGuide(styleGuide)) {
+        return res.status(400).json({
+            error: `Unknown style guide: ${styleGuide}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json({
+        segments: applyLocalRules(text, {
+            styleGuideId: styleGuide,
+            houseRules: normalizeHouseRules(houseRules)
+        })
+    });
+});
+
+// The shared paragraph cache, filled from the responses relayed above
+app.post('/api/cache/lookup', cacheRoutes.lookup);
+
 // Serve React app for any other routes in production
 if (process.env.NODE_ENV === 'production') {
     // Handle all routes by serving index.html
@@ -0,0 +1,116 @@
+const { analyzeText } = require('../src/services/analysis/analyzeText');
+const { getCacheEntries } = require('../src/services/analysis/analyzeDocument');
+const { createCacheKey, createModelKey, isCacheKey } = require('../src/services/analysis/paragraphCache');
+const { getParagraphs } = require('../src/utils/segmentUtils');
+
+// Keys looked up per request
+const MAX_CACHE_KEYS = 1000;
+
+const isRange = (range) => Boolean(range) && Number.isInteger(range.start) && Number.isInteger(range.end);
+
+const isCacheContext = (context) => Boolean(context) && typeof context === 'object' &&
+    typeof context.text === 'string' &&
+    (context.houseRules === undefined || Array.isArray(context.houseRules)) &&
+    (context.markdown === undefined || typeof context.markdown === 'boolean') &&
+    (context.protectedRanges === undefined || (Array.isArray(context.protectedRanges) && context.protectedRanges.every(isRange)));
+
+// The prompt the proxy sent: the last user message
+const getSentPrompt = (messages) => {
+    const message = Array.isArray(messages) ? messages.filter(candidate => candidate && candidate.role === 'user').pop() : null;
+    return message && typeof message.content === 'string' ? message.content : null;
+};
+
+/**
+ * Caches the results of a model response the proxy relayed, per paragraph.
+ * The request's `cacheContext` (see `analyzeText`) says which draft the
+ * prompt was built from; the response is only used if `analyzeText` builds
+ * that same prompt from it, so what is stored is always the model's answer
+ * about those paragraphs. Responses that can't be parsed or aligned, and
+ * requests without a context, are not cached.
+ *
+ * @param {Object} cache - The shared cache
+ * @param {Object} request - The proxied request body: `messages`, `styleGuide`,
+ *   `provider`, `model` and `cacheContext`
+ * @param {string|Object} response - The response text, or the segment tool input
+ * @returns {Promise<number>} The number of paragraphs stored
+ */
+const cacheRelayedResponse = async (cache, request, response) => {
+    const context = request.cacheContext;
+    const prompt = getSentPrompt(request.messages);
+    if (!isCacheContext(context) || !prompt) return 0;
+
+    let result;
+    try {
+        result = await analyzeText(context.text, {
+            generate: async (builtPrompt) => {
+                if (builtPrompt !== prompt) throw new Error('the prompt was not built from the cache context');
+                return response;
+            },
+            styleGuideId: request.styleGuide,
+            houseRules: context.houseRules,
+            markdown: context.markdown,
+            protectedRanges: context.protectedRanges,
+            rerequest: false
+        });
+    } catch (error) {
+        console.warn('Not caching the response:', error.message);
+        return 0;
+    }
+
+    const paragraphs = getParagraphs(context.text);
+    const keys = paragraphs.map(({ text }) => createCacheKey({
+        text,
+        styleGuideId: request.styleGuide,
+        houseRules: context.houseRules,
+        model: createModelKey(request.provider, request.model),
+        markdown: context.markdown
+    }));
+    const entries = getCacheEntries({ start: 0, end: context.text.length }, result, paragraphs, keys);
+
+    if (entries.length > 0) await cache.setMany(entries);
+    return entries.length;
+};
+
+/**
+ * Creates the handler of `POST /api/cache/lookup` with `{ keys }`, which
+ * responds with `{ entries: { key: segments } }` for the keys found in the
+ * proxy's shared paragraph cache.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.cache - The shared cache, e.g. from `createFileCache`
+ * @param {number} [options.maxKeys] - Keys allowed per request
+ * @returns {Object} `{ lookup }`, an Express handler
+ */
+const createCacheRoutes = ({ cache, maxKeys = MAX_CACHE_KEYS }) => {
+    const lookup = async (req, res) => {
+        const { keys } = req.body || {};
+
+        if (!Array.isArray(keys) || keys.length > maxKeys || !keys.every(isCacheKey)) {
+            return res.status(400).json({
+                error: `Request body must include up to ${maxKeys} cache keys`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            const values = await cache.getMany(keys);
+            const entries = {};
+            keys.forEach((key, index) => {
+                if (values[index]) entries[key] = values[index];
+            });
+
+            res.json({ entries });
+        } catch (error) {
+            console.error('Cache lookup failed:', error);
+            res.status(500).json({ error: 'Cache lookup failed', timestamp: new Date().toISOString() });
+        }
+    };
+
+    return { lookup };
+};
+
+module.exports = {
+    MAX_CACHE_KEYS,
+    cacheRelayedResponse,
+    createCacheRoutes
+};
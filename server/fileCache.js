@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { isCacheKey } = require('../src/services/analysis/paragraphCache');
+const { isChange } = require('../src/utils/segmentUtils');
+
+// Least recently used entries are dropped beyond this many
+const MAX_ENTRIES = 10000;
+
+const isSegmentArray = (segments) => Array.isArray(segments) &&
+    segments.every(segment => typeof segment === 'string' || isChange(segment));
+
+/**
+ * Creates a paragraph cache (see `src/services/analysis/paragraphCache.js`)
+ * kept in memory and saved to a JSON file, so cached results survive
+ * restarts of the proxy. Writes go to a temporary file that replaces the
+ * cache file, so a crash never leaves it half-written.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.filePath - The cache file
+ * @param {number} [options.maxEntries] - The most entries kept
+ * @returns {Object} A cache
+ */
+const createFileCache = ({ filePath, maxEntries = MAX_ENTRIES }) => {
+    let entries = null;
+    let writing = Promise.resolve();
+
+    const load = () => {
+        if (entries) return entries;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            entries = new Map(Object.entries(data.entries || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Ignoring unreadable cache file:', error.message);
+            }
+            entries = new Map();
+        }
+
+        return entries;
+    };
+
+    const save = () => {
+        const contents = JSON.stringify({ entries: Object.fromEntries(entries) });
+        const temporaryPath = `${filePath}.${process.pid}.tmp`;
+
+        writing = writing
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.writeFile(temporaryPath, contents);
+                await fs.promises.rename(temporaryPath, filePath);
+            })
+            .catch(error => console.warn('Could not write cache file:', error.message));
+
+        return writing;
+    };
+
+    const getMany = async (keys) => {
+        const cache = load();
+
+        return keys.map(key => {
+            if (!cache.has(key)) return null;
+
+            // Re-inserting marks the entry as recently used
+            const segments = cache.get(key);
+            cache.delete(key);
+            cache.set(key, segments);
+            return segments;
+        });
+    };
+
+    const setMany = async (items) => {
+        const cache = load();
+
+        items.filter(isValidEntry).forEach(({ key, segments }) => {
+            cache.delete(key);
+            cache.set(key, segments);
+        });
+
+        while (cache.size > maxEntries) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        await save();
+    };
+
+    return { getMany, setMany };
+};
+
+/**
+ * Checks that a cache entry sent by a client is well-formed.
+ *
+ * @param {*} entry - The entry
+ * @returns {boolean} True for `{ key, segments }` with a valid key and segment array
+ */
+const isValidEntry = (entry) => Boolean(entry) && isCacheKey(entry.key) && isSegmentArray(entry.segments);
+
+module.exports = {
+    createFileCache,
+    isValidEntry
+};
@@ -0,0 +1,50 @@
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+
+/**
+ * Creates the adapter for Anthropic's Messages API. The proxy's requests and
+ * responses already use the Messages API shape, so they pass through as-is.
+ *
+ * @param {Object} env - The environment to read the configuration from
+ * @returns {Object} A provider (see `./index.js`)
+ */
+const createAnthropicProvider = (env) => ({
+    id: 'anthropic',
+    name: 'Anthropic',
+    model: null,
+    supportsTools: true,
+
+    getConfigError: () => (env.REACT_APP_ANTHROPIC_API_KEY ? null : 'Anthropic API key is not configured'),
+
+    buildRequest: ({ model, maxTokens, messages, system, tools, toolChoice, stream }) => ({
+        url: `${env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL}/messages`,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': env.REACT_APP_ANTHROPIC_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        body: {
+            model,
+            max_tokens: maxTokens,
+            messages,
+            system,
+            ...(tools ? { tools, tool_choice: toolChoice } : {}),
+            ...(stream ? { stream: true } : {})
+        }
+    }),
+
+    parseResponse: (data) => data,
+
+    createStreamHandler: ({ onText, onToolInput, onStop, onError }) => ({ event, data }) => {
+        if (event === 'content_block_delta' && data.delta?.type === 'text_delta') {
+            onText(data.delta.text);
+        } else if (event === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+            onToolInput(data.delta.partial_json);
+        } else if (event === 'message_delta' && data.delta?.stop_reason) {
+            onStop(data.delta.stop_reason);
+        } else if (event === 'error') {
+            onError(data.error?.message || 'Anthropic stream error');
+        }
+    }
+});
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,100 @@
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const DEFAULT_PROVIDER_ID = 'anthropic';
+
+/**
+ * The proxy talks to every model backend through a provider with this shape:
+ *
+ * - `id`, `name`: how the provider is selected and described
+ * - `model`: a model that overrides the one the client asked for, or null
+ * - `supportsTools`: whether the segment tool can be sent (see `segmentTool.js`)
+ * - `getConfigError()`: a message if the provider is missing configuration, or null
+ * - `buildRequest({ model, maxTokens, messages, system, tools, toolChoice, stream })`:
+ *   the `{ url, headers, body }` of the upstream request
+ * - `parseResponse(data)`: the upstream response as a Messages API response
+ * - `createStreamHandler({ onText, onToolInput, onStop, onError })`: a handler
+ *   for each `{ event, data }` of the upstream event stream
+ * - `fetch(url, options)` (optional): sends the request in place of `fetch`
+ *
+ * Providers are configured from the environment:
+ *
+ * - `anthropic`: `REACT_APP_ANTHROPIC_API_KEY`, optionally `ANTHROPIC_BASE_URL`
+ * - `openai`: `OPENAI_API_KEY`, optionally `OPENAI_BASE_URL` and `OPENAI_MODEL`
+ * - `local`: an Ollama or llama.cpp server at `LOCAL_LLM_URL` (default
+ *   `http://localhost:11434/v1`) running `LOCAL_LLM_MODEL`; set
+ *   `LOCAL_LLM_TOOLS=true` if the model supports tool calls
+ * - `mock`: canned, recorded and faulty responses without a model (see `./mock.js`)
+ *
+ * @param {Object} [env=process.env] - The environment to read the configuration from
+ * @returns {Object} Providers by id
+ */
+const createProviders = (env = process.env) => {
+    const providers = {
+        anthropic: createAnthropicProvider(env),
+        openai: createOpenAIProvider({
+            id: 'openai',
+            name: 'OpenAI',
+            baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL || null
+        }),
+        local: createOpenAIProvider({
+            id: 'local',
+            name: 'Local model',
+            baseUrl: env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+            apiKey: env.LOCAL_LLM_API_KEY,
+            requiresApiKey: false,
+            model: env.LOCAL_LLM_MODEL || null,
+            supportsTools: env.LOCAL_LLM_TOOLS === 'true'
+        })
+    };
+
+    providers.mock = createMockProvider({
+        env,
+        recordProvider: providers[env.MOCK_LLM_RECORD_PROVIDER || DEFAULT_PROVIDER_ID],
+        fetch
+    });
+
+    return providers;
+};
+
+// Providers are created once per environment, so the mock's request count lasts between requests
+const providersByEnv = new WeakMap();
+
+/**
+ * Looks up the provider for a request: the one it names, otherwise the one
+ * set by `LLM_PROVIDER`, otherwise Anthropic.
+ *
+ * @param {string} [id] - The provider id from the request
+ * @param {Object} [env=process.env] - The environment to read the configuration from
+ * @returns {Object|null} The provider, or null for an unknown id
+ */
+const getProvider = (id, env = process.env) => {
+    if (!providersByEnv.has(env)) providersByEnv.set(env, createProviders(env));
+    const providers = providersByEnv.get(env);
+    const providerId = id || env.LLM_PROVIDER || DEFAULT_PROVIDER_ID;
+    return Object.prototype.hasOwnProperty.call(providers, providerId) ? providers[providerId] : null;
+};
+
+/**
+ * Reads the error message from an upstream error response, which providers
+ * send either as `{ error: { message } }` or as `{ error: 'message' }`.
+ *
+ * @param {Object} data - The parsed error response
+ * @returns {string|null} The message, if there is one
+ */
+const getErrorMessage = (data) => {
+    if (!data || !data.error) return null;
+    return typeof data.error === 'string' ? data.error : data.error.message || null;
+};
+
+module.exports = {
+    DEFAULT_PROVIDER_ID,
+    createProviders,
+    getErrorMessage,
+    getProvider
+};
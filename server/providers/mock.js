@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { hashText } = require('../../src/utils/contentHash');
+const { formatEvent } = require('../../src/utils/eventStream');
+const { createAnthropicProvider } = require('./anthropic');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+// Streamed responses are split into deltas of this many characters
+const STREAM_CHUNK_SIZE = 64;
+
+const createAbortError = () => {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+// Waits for `ms` (forever when Infinity), or until the request is aborted
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+    }
+
+    const timeoutId = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timeoutId);
+            reject(createAbortError());
+        }, { once: true });
+    }
+});
+
+// A minimal stand-in for a fetch response, which is all the proxy reads
+const createResponse = (status, data) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status >= 200 && status < 300 ? 'OK' : `Mock error ${status}`,
+    json: async () => data
+});
+
+const createErrorResponse = (status, message) => createResponse(status, {
+    type: 'error',
+    error: { type: 'mock_error', message }
+});
+
+const splitText = (text) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        chunks.push(text.substring(i, i + STREAM_CHUNK_SIZE));
+    }
+    return chunks;
+};
+
+// Replays a complete message as the Messages API event stream it would have arrived as
+const createStreamResponse = (message) => {
+    const events = [];
+    message.content.forEach((block, index) => {
+        if (block.type === 'text') {
+            splitText(block.text).forEach(text => events.push(formatEvent('content_block_delta', {
+                type: 'content_block_delta', index, delta: { type: 'text_delta', text }
+            })));
+        } else if (block.type === 'tool_use') {
+            splitText(JSON.stringify(block.input)).forEach(json => events.push(formatEvent('content_block_delta', {
+                type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: json }
+            })));
+        }
+    });
+    events.push(formatEvent('message_delta', { type: 'message_delta', delta: { stop_reason: message.stop_reason } }));
+    events.push(formatEvent('message_stop', { type: 'message_stop' }));
+
+    return {
+        ...createResponse(200, null),
+        body: (async function* () {
+            for (const event of events) yield Buffer.from(event);
+        })()
+    };
+};
+
+const createTextMessage = (text) => ({
+    type: 'message',
+    role: 'assistant',
+    model: 'mock',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn'
+});
+
+/**
+ * Creates the mock provider, which answers without a model so the app can
+ * be developed and tested offline. In `replay` mode (the default) it serves
+ * the fixture recorded for the same system prompt, messages and tool use,
+ * or else the canned response, if there is one. In `record` mode it sends
+ * each request to a real provider and saves the exchange as a fixture.
+ * Latency, timeouts and error statuses can be injected to exercise the
+ * client's retries and error handling.
+ *
+ * Configured from the environment:
+ *
+ * - `MOCK_LLM_MODE`: `replay` or `record`
+ * - `MOCK_LLM_FIXTURES`: the fixture directory (default `fixtures/llm`)
+ * - `MOCK_LLM_RECORD_PROVIDER`: the provider recorded from (default `anthropic`)
+ * - `MOCK_LLM_RESPONSE`: a file whose contents are served as the model's text,
+ *   such as the malformed `test-complex-response.json`
+ * - `MOCK_LLM_LATENCY_MS`: a delay before every response
+ * - `MOCK_LLM_TIMEOUT`: set to `true` to never respond, so the proxy times out
+ * - `MOCK_LLM_STATUS`: an error status to respond with, e.g. 429 or 503
+ * - `MOCK_LLM_FAIL_TIMES`: only the first this many requests get `MOCK_LLM_STATUS`
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.env - The environment to read the configuration from
+ * @param {Object} [options.recordProvider] - The provider to record from
+ * @param {Function} [options.fetch] - Used to send requests when recording
+ * @returns {Object} A provider (see `./index.js`)
+ */
+const createMockProvider = ({ env, recordProvider, fetch }) => {
+    const mode = env.MOCK_LLM_MODE === 'record' ? 'record' : 'replay';
+    const fixturesDir = env.MOCK_LLM_FIXTURES ? path.resolve(env.MOCK_LLM_FIXTURES) : DEFAULT_FIXTURES_DIR;
+    const latencyMs = Number(env.MOCK_LLM_LATENCY_MS) || 0;
+    const status = Number(env.MOCK_LLM_STATUS) || null;
+    const failTimes = Number(env.MOCK_LLM_FAIL_TIMES) || 0;
+    let requestCount = 0;
+
+    // Fixtures are matched on what the model would see, so they replay with any model
+    const getFixturePath = (request) => path.join(fixturesDir, `${hashText(JSON.stringify([
+        request.system || null,
+        request.messages,
+        Boolean(request.tools)
+    ]))}.json`);
+
+    const replay = async (request) => {
+        try {
+            const fixture = JSON.parse(await fs.promises.readFile(getFixturePath(request), 'utf8'));
+            return createResponse(200, fixture.response);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (env.MOCK_LLM_RESPONSE) {
+            return createResponse(200, createTextMessage(await fs.promises.readFile(path.resolve(env.MOCK_LLM_RESPONSE), 'utf8')));
+        }
+
+        return createErrorResponse(404, 'No recorded response matches this request; record one with MOCK_LLM_MODE=record or set MOCK_LLM_RESPONSE');
+    };
+
+    const record = async (request, signal) => {
+        const upstreamRequest = recordProvider.buildRequest({
+            model: recordProvider.model || request.model,
+            maxTokens: request.max_tokens,
+            messages: request.messages,
+            system: request.system,
+            ...(request.tools && recordProvider.supportsTools ? { tools: request.tools, toolChoice: request.tool_choice } : {}),
+            // Whole responses are recorded; streams are replayed from them
+            stream: false
+        });
+
+        const response = await fetch(upstreamRequest.url, {
+            method: 'POST',
+            headers: upstreamRequest.headers,
+            body: JSON.stringify(upstreamRequest.body),
+            signal
+        });
+        if (!response.ok) return response;
+
+        const message = recordProvider.parseResponse(await response.json());
+        const fixture = {
+            request: { system: request.system || null, messages: request.messages, tools: Boolean(request.tools) },
+            response: message
+        };
+
+        await fs.promises.mkdir(fixturesDir, { recursive: true });
+        await fs.promises.writeFile(getFixturePath(request), `${JSON.stringify(fixture, null, 2)}\n`);
+        return createResponse(200, message);
+    };
+
+    const anthropic = createAnthropicProvider(env);
+
+    return {
+        id: 'mock',
+        name: 'Mock model',
+        model: null,
+        supportsTools: true,
+
+        getConfigError: () => {
+            if (mode !== 'record') return null;
+            return recordProvider ? recordProvider.getConfigError() : `Unknown provider to record from: ${env.MOCK_LLM_RECORD_PROVIDER}`;
+        },
+
+        buildRequest: (params) => ({
+            ...anthropic.buildRequest(params),
+            url: 'mock:messages',
+            headers: {}
+        }),
+
+        parseResponse: anthropic.parseResponse,
+        createStreamHandler: anthropic.createStreamHandler,
+
+        // Answers in place of the network request the proxy would make
+        fetch: async (url, { body, signal } = {}) => {
+            const request = JSON.parse(body);
+            requestCount += 1;
+
+            if (latencyMs) await wait(latencyMs, signal);
+            if (env.MOCK_LLM_TIMEOUT === 'true') await wait(Infinity, signal);
+
+            if (status && (!failTimes || requestCount <= failTimes)) {
+                return createErrorResponse(status, `Mock error ${status} for request ${requestCount}`);
+            }
+
+            const response = mode === 'record' ? await record(request, signal) : await replay(request);
+            if (!response.ok || !request.stream) return response;
+
+            return createStreamResponse(await response.json());
+        }
+    };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,124 @@
+// OpenAI finish reasons and the Messages API stop reasons the client expects
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use'
+};
+
+const toStopReason = (finishReason) => STOP_REASONS[finishReason] || finishReason || null;
+
+/**
+ * Creates an adapter for a Chat Completions endpoint: OpenAI itself, or any
+ * server that imitates it, such as Ollama or the llama.cpp server. Requests
+ * are translated from the Messages API shape the proxy receives, and
+ * responses are translated back, so the client never sees the difference.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.id - The provider id
+ * @param {string} options.name - The provider's display name
+ * @param {string} options.baseUrl - The API base URL, up to and including `/v1`
+ * @param {string} [options.apiKey] - Sent as a bearer token when set
+ * @param {boolean} [options.requiresApiKey=true] - Set to false for servers that need no key
+ * @param {string} [options.model] - Used in place of the model the client asked for
+ * @param {boolean} [options.supportsTools=true] - Set to false to ask for JSON text instead of a tool call
+ * @returns {Object} A provider (see `./index.js`)
+ */
+const createOpenAIProvider = ({
+    id,
+    name,
+    baseUrl,
+    apiKey,
+    requiresApiKey = true,
+    model = null,
+    supportsTools = true
+}) => ({
+    id,
+    name,
+    model,
+    supportsTools,
+
+    getConfigError: () => (requiresApiKey && !apiKey ? `${name} API key is not configured` : null),
+
+    buildRequest: ({ model: requestModel, maxTokens, messages, system, tools, toolChoice, stream }) => ({
+        url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: {
+            model: requestModel,
+            max_tokens: maxTokens,
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                ...messages
+            ],
+            ...(tools ? {
+                tools: tools.map(tool => ({
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+                })),
+                tool_choice: toolChoice ? { type: 'function', function: { name: toolChoice.name } } : 'auto'
+            } : {}),
+            ...(stream ? { stream: true } : {})
+        }
+    }),
+
+    parseResponse: (data) => {
+        const choice = data.choices?.[0] || {};
+        const message = choice.message || {};
+        const content = [];
+
+        if (message.content) {
+            content.push({ type: 'text', text: message.content });
+        }
+
+        (message.tool_calls || []).forEach(call => {
+            try {
+                content.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: JSON.parse(call.function.arguments)
+                });
+            } catch (error) {
+                // Malformed arguments are left to the client's text repair pipeline
+                content.push({ type: 'text', text: call.function.arguments });
+            }
+        });
+
+        return {
+            id: data.id,
+            type: 'message',
+            role: 'assistant',
+            model: data.model,
+            content,
+            stop_reason: toStopReason(choice.finish_reason)
+        };
+    },
+
+    createStreamHandler: ({ onText, onToolInput, onStop, onError }) => ({ data }) => {
+        // The stream ends with a literal `[DONE]`
+        if (!data || typeof data !== 'object') return;
+
+        if (data.error) {
+            onError(data.error.message || String(data.error));
+            return;
+        }
+
+        const choice = data.choices?.[0];
+        if (!choice) return;
+
+        if (choice.delta?.content) {
+            onText(choice.delta.content);
+        }
+        (choice.delta?.tool_calls || []).forEach(call => {
+            if (call.function?.arguments) onToolInput(call.function.arguments);
+        });
+        if (choice.finish_reason) {
+            onStop(toStopReason(choice.finish_reason));
+        }
+    }
+});
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,76 @@
+import React from 'react';
+
+const STATUS_COLORS = {
+    cached: 'rgba(26, 137, 23, 0.4)',
+    queued: 'rgba(0, 0, 0, 0.1)',
+    running: 'rgba(0, 123, 255, 0.6)',
+    retrying: 'rgba(255, 153, 0, 0.8)',
+    done: 'rgb(26, 137, 23)',
+    failed: 'rgba(179, 38, 30, 0.8)'
+};
+
+const STATUS_LABELS = {
+    cached: 'from cache',
+    queued: 'waiting',
+    running: 'analyzing',
+    retrying: 'retrying',
+    done: 'done',
+    failed: 'failed'
+};
+
+/**
+ * Summarizes chunk progress in one line, e.g.
+ * "Analyzing in 4 parts: 2 done (1 from cache), retrying part 3…".
+ *
+ * @param {Array<Object>} chunks - Chunks from `analyzeDocument`'s `onProgress`
+ * @returns {string} The summary
+ */
+export const describeChunkProgress = (chunks) => {
+    const finished = chunks.filter(chunk => ['cached', 'done', 'failed'].includes(chunk.status)).length;
+    const cached = chunks.filter(chunk => chunk.status === 'cached').length;
+    const retrying = chunks.filter(chunk => chunk.status === 'retrying').map(chunk => chunk.index + 1);
+
+    let message = `Analyzing in ${chunks.length} parts: ${finished} done`;
+    if (cached > 0) {
+        message += ` (${cached} from cache)`;
+    }
+    if (retrying.length > 0) {
+        message += `, retrying part ${retrying.join(', ')}`;
+    }
+    return `${message}…`;
+};
+
+/**
+ * ChunkProgress Component
+ *
+ * Shows the progress of a chunked analysis: a summary line and one bar per
+ * part, coloured by its status.
+ */
+const ChunkProgress = ({ chunks }) => {
+    return (
+        <div role="status" style={{
+            marginBottom: '16px',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+            fontSize: '14px',
+            color: 'rgba(0, 0, 0, 0.54)'
+        }}>
+            <p style={{ margin: '0 0 8px' }}>{describeChunkProgress(chunks)}</p>
+            <div style={{ display: 'flex', gap: '4px' }}>
+                {chunks.map(chunk => (
+                    <span
+                        key={chunk.index}
+                        title={`Part ${chunk.index + 1}: ${STATUS_LABELS[chunk.status]}`}
+                        style={{
+                            flex: chunk.end - chunk.start,
+                            height: '4px',
+                            borderRadius: '2px',
+                            background: STATUS_COLORS[chunk.status]
+                        }}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ChunkProgress;
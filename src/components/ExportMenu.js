@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { toPlainText, toCriticMarkup, toHtml } from '../utils/reviewExport';
+import { createDocx, DOCX_MIME_TYPE } from '../utils/docxExport';
+import { downloadFile } from '../utils/download';
+import { exportDocument, getFormatLabel } from '../services/documents';
+import { formatReport, REPORT_FORMATS } from '../services/check/reports';
+
+const EXPORT_FORMATS = [
+    {
+        id: 'text',
+        label: 'Final text (.txt)',
+        create: (segments, review) => ({ filename: 'final.txt', content: toPlainText(segments, review) })
+    },
+    {
+        id: 'markdown',
+        label: 'Markdown with CriticMarkup (.md)',
+        create: (segments, review) => ({
+            filename: 'tracked-changes.md',
+            content: toCriticMarkup(segments, review),
+            mimeType: 'text/markdown;charset=utf-8'
+        })
+    },
+    {
+        id: 'html',
+        label: 'HTML with changes (.html)',
+        create: (segments, review) => ({
+            filename: 'tracked-changes.html',
+            content: toHtml(segments, review),
+            mimeType: 'text/html;charset=utf-8'
+        })
+    },
+    {
+        id: 'docx',
+        label: 'Word with tracked changes (.docx)',
+        create: async (segments, review) => ({
+            filename: 'tracked-changes.docx',
+            content: new Blob([await createDocx(segments, review)], { type: DOCX_MIME_TYPE })
+        })
+    }
+];
+
+// Reports of the review for CI and review tooling; offsets are in the analyzed text
+const createReportFormats = (styleGuideId) => REPORT_FORMATS.map(format => ({
+    id: `report-${format.id}`,
+    label: `${format.label} report (${format.extension})`,
+    create: (segments, review) => ({
+        filename: `style-report${format.extension}`,
+        content: formatReport(format.id, [{ path: 'draft.txt', segments, review }], { styleGuideId }),
+        mimeType: format.mimeType
+    })
+}));
+
+// Writes the accepted changes back into the file the text was opened from
+const createSourceFormat = (sourceDocument) => ({
+    id: 'source',
+    label: `${sourceDocument.name} as ${getFormatLabel(sourceDocument)}, changes applied`,
+    create: async (segments, review) => {
+        const { filename, content, mimeType } = await exportDocument(sourceDocument, segments, review);
+        return {
+            filename,
+            content: content instanceof Uint8Array ? new Blob([content], { type: mimeType }) : content,
+            mimeType
+        };
+    }
+});
+
+/**
+ * ExportMenu Component
+ *
+ * Dropdown that downloads the reviewed text: the final text, or the changes
+ * as CriticMarkup, HTML or a Word document with tracked changes. Text opened
+ * from a file can also be written back into that file's format, and the
+ * review can be downloaded as a JSON, SARIF or JUnit report.
+ */
+const ExportMenu = ({ segments, review, sourceDocument = null, styleGuideId = null }) => {
+    const [exporting, setExporting] = useState(false);
+    const formats = [
+        ...(sourceDocument ? [createSourceFormat(sourceDocument)] : []),
+        ...EXPORT_FORMATS,
+        ...createReportFormats(styleGuideId)
+    ];
+
+    const handleExport = async (formatId) => {
+        const format = formats.find(candidate => candidate.id === formatId);
+        if (!format) return;
+
+        setExporting(true);
+        try {
+            const { filename, content, mimeType } = await format.create(segments, review);
+            downloadFile(filename, content, mimeType);
+        } catch (error) {
+            console.error('Export failed:', error);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <select
+            value=""
+            onChange={(e) => handleExport(e.target.value)}
+            disabled={exporting}
+            aria-label="Export"
+            title="Export"
+            style={{
+                fontSize: '14px',
+                padding: '6px 8px',
+                border: '1px solid rgba(0, 0, 0, 0.15)',
+                borderRadius: '4px',
+                backgroundColor: 'white',
+                color: 'rgba(0, 0, 0, 0.84)',
+                cursor: exporting ? 'default' : 'pointer'
+            }}
+        >
+            <option value="">{exporting ? 'Exporting…' : 'Export…'}</option>
+            {formats.map(format => (
+                <option key={format.id} value={format.id}>{format.label}</option>
+            ))}
+        </select>
+    );
+};
+
+export default ExportMenu;
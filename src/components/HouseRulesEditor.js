@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { HOUSE_RULE_TYPES, normalizeHouseRules } from '../services/prompts/houseRules';
+import { downloadFile } from '../utils/download';
+import './HouseRulesEditor.css';
+
+const TYPE_LABELS = {
+    prefer: 'Prefer',
+    ban: 'Ban',
+    guideline: 'Guideline'
+};
+
+const isComplete = (rule) => {
+    if (rule.type === 'prefer') return Boolean(rule.term && rule.preferred);
+    if (rule.type === 'ban') return Boolean(rule.term);
+    return Boolean(rule.description);
+};
+
+let nextRowKey = 0;
+const withRowKey = (rule) => ({ ...rule, rowKey: nextRowKey++ });
+
+/**
+ * HouseRulesEditor Component
+ *
+ * Modal editor for the team's house rules. Rules can be edited row by row or
+ * imported from / exported to a JSON file in the same format as
+ * `house-rules.example.json`.
+ */
+const HouseRulesEditor = ({ houseRules, onSave, onClose }) => {
+    const [draft, setDraft] = useState(() => houseRules.map(withRowKey));
+    const [importError, setImportError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const updateRule = (rowKey, field, value) => {
+        setDraft(prev => prev.map(rule => rule.rowKey === rowKey ? { ...rule, [field]: value } : rule));
+    };
+
+    const addRule = () => {
+        setDraft(prev => [...prev, withRowKey({ id: '', type: 'prefer', term: '', preferred: '', description: '' })]);
+    };
+
+    const removeRule = (rowKey) => {
+        setDraft(prev => prev.filter(rule => rule.rowKey !== rowKey));
+    };
+
+    const handleSave = () => {
+        onSave(draft.map(({ rowKey, ...rule }) => rule));
+        onClose();
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const rules = normalizeHouseRules(JSON.parse(await file.text()));
+            setDraft(rules.map(withRowKey));
+            setImportError(null);
+        } catch (error) {
+            setImportError(`Could not import ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleExport = () => {
+        const rules = draft.filter(isComplete).map(({ rowKey, ...rule }) => rule);
+        downloadFile('house-rules.json', JSON.stringify({ rules }, null, 2), 'application/json');
+    };
+
+    const canSave = draft.every(isComplete);
+
+    return (
+        <div
+            className="house-rules-overlay"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="house-rules-title"
+        >
+            <div className="house-rules-content" role="document">
+                <h2 id="house-rules-title">House rules</h2>
+                <p className="house-rules-help">
+                    House rules are added to every analysis and take precedence over the selected style guide.
+                    Suggestions that enforce a rule show its id.
+                </p>
+
+                {draft.length === 0 ? (
+                    <p className="house-rules-empty">No house rules yet.</p>
+                ) : (
+                    <ul className="house-rules-list">
+                        {draft.map(rule => (
+                            <li
+                                key={rule.rowKey}
+                                className={`house-rule-row${isComplete(rule) ? '' : ' incomplete'}`}
+                            >
+                                <span className="house-rule-id">{rule.id || 'new'}</span>
+                                <select
+                                    value={rule.type}
+                                    onChange={(e) => updateRule(rule.rowKey, 'type', e.target.value)}
+                                    aria-label="Rule type"
+                                >
+                                    {HOUSE_RULE_TYPES.map(type => (
+                                        <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    value={rule.term}
+                                    onChange={(e) => updateRule(rule.rowKey, 'term', e.target.value)}
+                                    placeholder={rule.type === 'guideline' ? '—' : 'Term, e.g. %'}
+                                    disabled={rule.type === 'guideline'}
+                                    required={rule.type !== 'guideline'}
+                                    aria-label="Term"
+                                />
+                                <input
+                                    value={rule.preferred}
+                                    onChange={(e) => updateRule(rule.rowKey, 'preferred', e.target.value)}
+                                    placeholder={rule.type === 'prefer' ? 'Preferred, e.g. per cent' : '—'}
+                                    disabled={rule.type !== 'prefer'}
+                                    required={rule.type === 'prefer'}
+                                    aria-label="Preferred"
+                                />
+                                <input
+                                    value={rule.description}
+                                    onChange={(e) => updateRule(rule.rowKey, 'description', e.target.value)}
+                                    placeholder={rule.type === 'guideline' ? 'Instruction' : 'Note (optional)'}
+                                    required={rule.type === 'guideline'}
+                                    aria-label="Description"
+                                />
+                                <button
+                                    onClick={() => removeRule(rule.rowKey)}
+                                    title="Remove rule"
+                                    aria-label="Remove rule"
+                                >
+                                    <span aria-hidden="true">✕</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {importError && <p className="house-rules-error">{importError}</p>}
+
+                <div className="house-rules-footer">
+                    <div className="house-rules-footer-group">
+                        <button onClick={addRule}>Add rule</button>
+                        <button onClick={() => fileInputRef.current?.click()}>Import…</button>
+                        <button onClick={handleExport} disabled={draft.length === 0}>Export</button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            onChange={handleImport}
+                            style={{ display: 'none' }}
+                        />
+                    </div>
+                    <div className="house-rules-footer-group">
+                        <button onClick={onClose}>Cancel</button>
+                        <button className="primary" onClick={handleSave} disabled={!canSave}>
+                            Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HouseRulesEditor;
@@ -0,0 +1,54 @@
+import React, { useState, useRef } from 'react';
+
+/**
+ * ReplacementEditor Component
+ *
+ * Inline input for rewriting a change's replacement. Enter or leaving the
+ * field saves, Escape cancels.
+ */
+const ReplacementEditor = ({ value, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(value);
+    // Some browsers blur the input as it is removed; ignore that after Enter or Escape
+    const finished = useRef(false);
+
+    const finish = (callback) => {
+        if (finished.current) return;
+        finished.current = true;
+        callback();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(() => onSave(draft));
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(onCancel);
+        }
+    };
+
+    return (
+        <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => finish(() => onSave(draft))}
+            autoFocus
+            aria-label="Edit replacement"
+            size={Math.max(draft.length, 4)}
+            style={{
+                font: 'inherit',
+                color: 'rgb(26, 137, 23)',
+                marginLeft: '4px',
+                padding: '0 4px',
+                border: 'none',
+                borderBottom: '1px solid rgb(26, 137, 23)',
+                outline: 'none',
+                background: 'rgba(26, 137, 23, 0.06)'
+            }}
+        />
+    );
+};
+
+export default ReplacementEditor;
@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import { isChange, getParagraphs, getOriginalText, getSegmentParagraphs } from '../utils/segmentUtils';
+import { CHANGE_CATEGORIES, getChangeCategory } from '../utils/changeCategories';
+import './ReviewToolbar.css';
+
+const PARAGRAPH_PREVIEW_LENGTH = 40;
+
+/**
+ * ReviewToolbar Component
+ *
+ * Progress counter and bulk actions for reviewing an analysis: accept or
+ * reject every pending change, accept the pending changes of one category,
+ * or accept everything in one paragraph. Undo and redo step through the
+ * review history when the handlers are given; `children` are rendered
+ * after the bulk actions.
+ */
+const ReviewToolbar = ({
+    segments,
+    acceptedChanges,
+    rejectedChanges,
+    onAccept,
+    onReject,
+    onUndo,
+    onRedo,
+    canUndo = false,
+    canRedo = false,
+    children
+}) => {
+    const [category, setCategory] = useState('');
+    const [paragraph, setParagraph] = useState('');
+
+    const { pending, categories, paragraphs } = useMemo(() => {
+        const segmentParagraphs = getSegmentParagraphs(segments);
+        const pendingChanges = [];
+
+        segments.forEach((segment, index) => {
+            if (!isChange(segment) || acceptedChanges.has(index) || rejectedChanges.has(index)) return;
+            pendingChanges.push({ index, category: getChangeCategory(segment), paragraph: segmentParagraphs[index] });
+        });
+
+        const countBy = (key) => pendingChanges.reduce((counts, change) => {
+            counts.set(change[key], (counts.get(change[key]) || 0) + 1);
+            return counts;
+        }, new Map());
+
+        const categoryCounts = countBy('category');
+        const paragraphCounts = countBy('paragraph');
+
+        return {
+            pending: pendingChanges,
+            categories: CHANGE_CATEGORIES
+                .filter(({ id }) => categoryCounts.has(id))
+                .map(({ id, label }) => ({ id, label, count: categoryCounts.get(id) })),
+            paragraphs: getParagraphs(getOriginalText(segments))
+                .map((item, index) => ({ index, text: item.text.trim(), count: paragraphCounts.get(index) || 0 }))
+                .filter(item => item.count > 0)
+        };
+    }, [segments, acceptedChanges, rejectedChanges]);
+
+    const pendingIndices = (filter = () => true) => pending.filter(filter).map(change => change.index);
+
+    const acceptCategory = () => {
+        onAccept(pendingIndices(change => change.category === category));
+        setCategory('');
+    };
+
+    const acceptParagraph = () => {
+        onAccept(pendingIndices(change => change.paragraph === Number(paragraph)));
+        setParagraph('');
+    };
+
+    const preview = (text) => text.length > PARAGRAPH_PREVIEW_LENGTH
+        ? `${text.substring(0, PARAGRAPH_PREVIEW_LENGTH)}…`
+        : text;
+
+    return (
+        <div className="review-toolbar" role="toolbar" aria-label="Review actions">
+            <p className="review-toolbar-counts" aria-live="polite">
+                <span>{pending.length} pending</span>
+                <span>{acceptedChanges.size} accepted</span>
+                <span>{rejectedChanges.size} rejected</span>
+            </p>
+
+            <div className="review-toolbar-actions">
+                {onUndo && (
+                    <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                        Undo
+                    </button>
+                )}
+                {onRedo && (
+                    <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                        Redo
+                    </button>
+                )}
+                <button className="primary" onClick={() => onAccept(pendingIndices())} disabled={pending.length === 0}>
+                    Accept all
+                </button>
+                <button onClick={() => onReject(pendingIndices())} disabled={pending.length === 0}>
+                    Reject all
+                </button>
+
+                <span className="review-toolbar-group">
+                    <select
+                        value={category}
+                        onChange={(e) => setCategory(e.target.value)}
+                        disabled={categories.length === 0}
+                        aria-label="Category"
+                    >
+                        <option value="">Category…</option>
+                        {categories.map(item => (
+                            <option key={item.id} value={item.id}>{item.label} ({item.count})</option>
+                        ))}
+                    </select>
+                    <button onClick={acceptCategory} disabled={!category}>
+                        Accept category
+                    </button>
+                </span>
+
+                <span className="review-toolbar-group">
+                    <select
+                        value={paragraph}
+                        onChange={(e) => setParagraph(e.target.value)}
+                        disabled={paragraphs.length === 0}
+                        aria-label="Paragraph"
+                    >
+                        <option value="">Paragraph…</option>
+                        {paragraphs.map(item => (
+                            <option key={item.index} value={item.index}>
+                                {item.index + 1}. {preview(item.text)} ({item.count})
+                            </option>
+                        ))}
+                    </select>
+                    <button onClick={acceptParagraph} disabled={paragraph === ''}>
+                        Accept paragraph
+                    </button>
+                </span>
+
+                {children}
+            </div>
+        </div>
+    );
+};
+
+export default ReviewToolbar;
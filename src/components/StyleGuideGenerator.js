@@ -5,22 +5,84 @@ import NetworkErrorBoundary from './NetworkErrorBoundary';
 import { Tooltip } from 'react-tooltip';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorDisplay from './ErrorDisplay';
-import { getStyleGuidePrompt } from '../services/prompts/styleGuidePrompt';
-import { cleanAndParseResponse, getParserTelemetry } from '../utils/responseParser';
+import StyleGuideSelect from './StyleGuideSelect';
+import HouseRulesEditor from './HouseRulesEditor';
+import ReviewToolbar from './ReviewToolbar';
+import ExportMenu from './ExportMenu';
+import SuggestionSidebar, { SEVERITY_COLORS } from './SuggestionSidebar';
+import ReplacementEditor from './ReplacementEditor';
+import ChunkProgress, { describeChunkProgress } from './ChunkProgress';
+import { useHouseRules } from '../hooks/useHouseRules';
+import { useReviewHistory } from '../hooks/useReviewHistory';
+import { DEFAULT_STYLE_GUIDE_ID } from '../services/prompts/styleGuides';
+import { findHouseRule, describeHouseRule } from '../services/prompts/houseRules';
+import { analyzeDocument } from '../services/analysis/analyzeDocument';
+import { createLayeredCache, createModelKey } from '../services/analysis/paragraphCache';
+import { prepareCarryOver } from '../services/analysis/carryOver';
+import { expandSelection, spliceSelection } from '../services/analysis/selection';
+import { paragraphCache } from '../services/cache';
+import {
+    ACCEPTED_FILE_TYPES,
+    applyReviewToDocument,
+    getDocumentText,
+    getFormatLabel,
+    openDocument
+} from '../services/documents';
+import { getParserTelemetry } from '../utils/responseParser';
+import { isChange, getSegmentSpans } from '../utils/segmentUtils';
+import { getChangeSeverity, describeChangeRating } from '../utils/changeCategories';
+import { getSegmentAttributes, getSelectionOffsets } from '../utils/selectionOffsets';
 import { loadingPhrases } from '../utils/loadingPhrases';
 import 'react-tooltip/dist/react-tooltip.css';
 
 function StyleGuideGenerator() {
     const [inputText, setInputText] = useState('');
+    const [styleGuideId, setStyleGuideId] = useState(DEFAULT_STYLE_GUIDE_ID);
     const [styleGuide, setStyleGuide] = useState(null);
+    const [streamedSegments, setStreamedSegments] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [acceptedChanges, setAcceptedChanges] = useState(new Set());
-    const [rejectedChanges, setRejectedChanges] = useState(new Set());
     const [parserStats, setParserStats] = useState(null);
     const [loadingPhraseIndex, setLoadingPhraseIndex] = useState(0);
     const [isTouchDevice, setIsTouchDevice] = useState(false);
+    const [isHouseRulesOpen, setIsHouseRulesOpen] = useState(false);
+    const [rulesOnly, setRulesOnly] = useState(false);
+    // Keeps code, links and front matter out of the analysis
+    const [markdownMode, setMarkdownMode] = useState(false);
+    const [analysisSource, setAnalysisSource] = useState(null);
+    const [fallbackError, setFallbackError] = useState(null);
+    const [alignment, setAlignment] = useState(null);
+    const [chunkProgress, setChunkProgress] = useState([]);
+    // While editing reviewed text: the analysis being edited and what carries over from it
+    const [revision, setRevision] = useState(null);
+    // The selected part of the draft or results, as offsets in the original text
+    const [selection, setSelection] = useState(null);
+    // The file the draft was opened from, while the draft is still its text
+    const [sourceDocument, setSourceDocument] = useState(null);
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const { houseRules, setHouseRules } = useHouseRules();
+    const {
+        review,
+        accept: acceptChanges,
+        reject: rejectChanges,
+        reopen: reopenChanges,
+        edit: editReplacement,
+        undo,
+        redo,
+        reset: resetReview,
+        canUndo,
+        canRedo
+    } = useReviewHistory();
+    const { accepted: acceptedChanges, rejected: rejectedChanges, edits } = review;
+    const [editingIndex, setEditingIndex] = useState(null);
+    const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+    // The change last selected in the sidebar, highlighted in the text
+    const [activeChangeIndex, setActiveChangeIndex] = useState(null);
     const textareaRef = useRef(null);
+    const resultsRef = useRef(null);
+    const fileInputRef = useRef(null);
+    // Cancels the analysis in progress
+    const analysisControllerRef = useRef(null);
 
     // Example text constant
     const EXAMPLE_TEXT = `A report from the Labor Department yesterday showed that inflation has dropped again, falling back to 2.4%, the same rate as it was just before the coronavirus pandemic. Today the Dow Jones Industrial Average jumped 400 points to a record high, while the S&P 500 closed above 5,800 for the first time. 
@@ -75,6 +137,37 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
         return () => window.removeEventListener('resize', checkTouchDevice);
     }, []);
 
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo review decisions,
+    // except in form fields, which keep their own undo
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
+
+    // Leaving the page cancels an analysis in progress
+    useEffect(() => () => {
+        if (analysisControllerRef.current) analysisControllerRef.current.abort();
+    }, []);
+
+    // Change indices refer to the current results only
+    useEffect(() => {
+        setActiveChangeIndex(null);
+    }, [styleGuide]);
+
     // Auto-resize textarea as content changes
     const adjustTextareaHeight = () => {
         const textarea = textareaRef.current;
@@ -87,123 +180,408 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
     // Handle input changes
     const handleInputChange = (e) => {
         setInputText(e.target.value);
+        // Edited text can no longer be written back into the file
+        if (sourceDocument && e.target.value !== getDocumentText(sourceDocument)) {
+            setSourceDocument(null);
+        }
         adjustTextareaHeight();
     };
 
     const handleExampleText = () => {
         setInputText(EXAMPLE_TEXT);
+        setSourceDocument(null);
         // Wait for state update then adjust height
         setTimeout(adjustTextareaHeight, 0);
     };
 
+    const getModelKey = () => createModelKey(anthropicService.provider, anthropicService.model);
+
+    const getAnalysisOptions = () => ({
+        generate: (prompt, options) => anthropicService.generateStyleGuide(prompt, options),
+        styleGuideId,
+        houseRules,
+        useModel: !rulesOnly,
+        markdown: markdownMode,
+        model: getModelKey()
+    });
+
+    // Starts tracking a new analysis, which `handleCancelAnalysis` can abort
+    const startAnalysis = () => {
+        const controller = new AbortController();
+        analysisControllerRef.current = controller;
+        return controller;
+    };
+
+    // Once cancelled, an analysis no longer owns the loading state
+    const finishAnalysis = (controller) => {
+        if (analysisControllerRef.current !== controller) return false;
+        analysisControllerRef.current = null;
+        return true;
+    };
+
+    // Stops the request and any retries and goes back to what was shown
+    // before: the draft, or the results a selection was being analyzed in
+    const handleCancelAnalysis = () => {
+        const controller = analysisControllerRef.current;
+        if (!controller) return;
+
+        analysisControllerRef.current = null;
+        controller.abort();
+        setLoading(false);
+        setStreamedSegments([]);
+        setChunkProgress([]);
+    };
+
     const generateStyleGuide = async () => {
         if (!inputText.trim()) return;
 
+        const controller = startAnalysis();
         setLoading(true);
         setError(null);
+        setSelection(null);
         setStyleGuide(null);
+        setStreamedSegments([]);
+        resetReview();
+        setEditingIndex(null);
         setParserStats(null);
+        setAnalysisSource(null);
+        setFallbackError(null);
+        setAlignment(null);
+        setChunkProgress([]);
 
         try {
-            const prompt = getStyleGuidePrompt(inputText);
-            const response = await anthropicService.generateStyleGuide(prompt);
-            
-            try {
-                console.log('Raw API response:', response);
-                const changes = cleanAndParseResponse(response);
-                setStyleGuide(changes);
-                
-                // Capture parser statistics
+            const result = await analyzeDocument(inputText, {
+                ...getAnalysisOptions(),
+                // Unchanged paragraphs of an edited text keep their earlier segments
+                cache: revision ? createLayeredCache([revision.carryOver.cache, paragraphCache]) : paragraphCache,
+                // Render completed segments while the rest of the response streams in
+                onSegment: (segment) => setStreamedSegments(prev => [...prev, segment]),
+                onProgress: setChunkProgress,
+                signal: controller.signal
+            });
+            if (controller.signal.aborted) return;
+
+            setStyleGuide(result.segments);
+            if (revision) {
+                resetReview(revision.carryOver.restoreReview(result.segments));
+                setRevision(null);
+            }
+            setAnalysisSource(result.source);
+            setFallbackError(result.fallbackError);
+            setAlignment(result.alignment);
+
+            // Capture parser statistics
+            if (result.source === 'model') {
                 setParserStats(getParserTelemetry());
-            } catch (err) {
-                console.error('Parse error details:', {
-                    error: err.message,
-                    responseLength: response?.length,
-                    responsePreview: response?.substring(0, 300) + '...',
-                    position: err.message.match(/position (\d+)/)?.[1]
-                });
-                throw err; // Pass the error as is to be handled by the error state
             }
         } catch (err) {
-            setError(err);
+            if (!controller.signal.aborted) setError(err);
         } finally {
-            setLoading(false);
+            if (finishAnalysis(controller)) {
+                setLoading(false);
+                setStreamedSegments([]);
+            }
         }
     };
 
-    const handleAcceptChange = (index) => {
-        setAcceptedChanges(prev => {
-            const newSet = new Set(prev);
-            newSet.add(index);
-            return newSet;
-        });
-        setRejectedChanges(prev => {
-            const newSet = new Set(prev);
-            newSet.delete(index);
-            return newSet;
-        });
+    const getDraftSelection = () => {
+        const textarea = textareaRef.current;
+        if (!textarea || textarea.selectionEnd <= textarea.selectionStart) return null;
+        return { start: textarea.selectionStart, end: textarea.selectionEnd };
+    };
+
+    const updateSelection = () => {
+        setSelection(styleGuide ? getSelectionOffsets(resultsRef.current) : getDraftSelection());
+    };
+
+    // Analyzes the selected passage alone and splices its segments into the
+    // results, keeping the decisions on changes outside it
+    const analyzeSelection = async () => {
+        const segments = styleGuide || [inputText];
+        const current = styleGuide ? getSelectionOffsets(resultsRef.current) : getDraftSelection();
+        const range = current && expandSelection(segments, current);
+        if (!range) return;
+
+        const controller = startAnalysis();
+        setLoading(true);
+        setError(null);
+        setSelection(null);
+        setEditingIndex(null);
+        setParserStats(null);
+        setChunkProgress([]);
+
+        try {
+            const result = await analyzeDocument(range.text, {
+                ...getAnalysisOptions(),
+                cache: paragraphCache,
+                onProgress: setChunkProgress,
+                signal: controller.signal
+            });
+            if (controller.signal.aborted) return;
+
+            const spliced = spliceSelection(segments, styleGuide ? review : undefined, range, result.segments);
+
+            setStyleGuide(spliced.segments);
+            resetReview(spliced.review);
+            setRevision(null);
+            setAnalysisSource(result.source);
+            setFallbackError(result.fallbackError);
+            setAlignment(result.alignment);
+
+            if (result.source === 'model') {
+                setParserStats(getParserTelemetry());
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) setError(err);
+        } finally {
+            if (finishAnalysis(controller)) setLoading(false);
+        }
     };
 
-    const handleRejectChange = (index) => {
-        setRejectedChanges(prev => {
-            const newSet = new Set(prev);
-            newSet.add(index);
-            return newSet;
+    const handleSelectSuggestion = (index) => {
+        setActiveChangeIndex(index);
+        const element = resultsRef.current && resultsRef.current.querySelector(`[data-change-index="${index}"]`);
+        if (element && element.scrollIntoView) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    };
+
+    const handleAcceptChange = (index) => acceptChanges([index]);
+
+    const handleRejectChange = (index) => rejectChanges([index]);
+
+    const handleReopenChange = (index) => reopenChanges([index]);
+
+    // Saving the model's own suggestion again drops the edit
+    const handleSaveReplacement = (index, replacement) => {
+        editReplacement(index, replacement === styleGuide[index].replacement ? null : replacement);
+        setEditingIndex(null);
+    };
+
+    // The reviewed text, with accepted changes applied, becomes the new draft;
+    // pending and rejected changes stay as suggestions in it
+    const handleEditAndRerun = () => {
+        const carryOver = prepareCarryOver(styleGuide, review, {
+            styleGuideId,
+            houseRules,
+            model: getModelKey(),
+            markdown: markdownMode
         });
-        setAcceptedChanges(prev => {
-            const newSet = new Set(prev);
-            newSet.delete(index);
-            return newSet;
+
+        setRevision({
+            previous: { inputText, sourceDocument, styleGuide, review, analysisSource, fallbackError, alignment, chunkProgress },
+            carryOver
         });
+        setInputText(carryOver.text);
+        if (sourceDocument) {
+            // The file goes on with the accepted changes written into it
+            const reviewedDocument = applyReviewToDocument(sourceDocument, styleGuide, review);
+            setSourceDocument(getDocumentText(reviewedDocument) === carryOver.text ? reviewedDocument : null);
+        }
+        setStyleGuide(null);
+        setSelection(null);
+        setEditingIndex(null);
+        setTimeout(adjustTextareaHeight, 0);
+    };
+
+    // Goes back to the analysis being edited, as it was
+    const handleCancelEdit = () => {
+        const { previous } = revision;
+
+        setRevision(null);
+        setSelection(null);
+        setInputText(previous.inputText);
+        setSourceDocument(previous.sourceDocument);
+        setStyleGuide(previous.styleGuide);
+        resetReview(previous.review);
+        setAnalysisSource(previous.analysisSource);
+        setFallbackError(previous.fallbackError);
+        setAlignment(previous.alignment);
+        setChunkProgress(previous.chunkProgress);
     };
 
     const resetState = () => {
         setInputText('');
+        setSourceDocument(null);
+        setRevision(null);
+        setSelection(null);
         setStyleGuide(null);
+        setStreamedSegments([]);
         setError(null);
-        setAcceptedChanges(new Set());
-        setRejectedChanges(new Set());
+        resetReview();
+        setEditingIndex(null);
         setParserStats(null);
+        setAnalysisSource(null);
+        setFallbackError(null);
+        setAlignment(null);
+        setChunkProgress([]);
         // Reset textarea height
         if (textareaRef.current) {
             textareaRef.current.style.height = 'auto';
         }
     };
 
+    // Replaces everything with the text of a file the user chose or dropped
+    const handleOpenFile = async (file) => {
+        if (!file) return;
+
+        try {
+            const document = await openDocument(file);
+            resetState();
+            setSourceDocument(document);
+            setInputText(getDocumentText(document));
+            setTimeout(adjustTextareaHeight, 0);
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    const handleFileInputChange = (e) => {
+        handleOpenFile(e.target.files[0]);
+        // Choosing the same file again still opens it
+        e.target.value = '';
+    };
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer.types || []).includes('Files')) return;
+        e.preventDefault();
+        setIsDraggingFile(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDraggingFile(false);
+        handleOpenFile(e.dataTransfer.files[0]);
+    };
+
     // Reset error and retry the operation
     const resetError = () => {
         setError(null);
         // Keep the input text so the user can retry
     };
 
-    const renderChanges = (changes) => {
+    // Text not yet covered by the streamed segments, shown greyed out until it arrives
+    const getPendingStreamText = () => {
+        const received = streamedSegments
+            .map(segment => typeof segment === 'string' ? segment : segment.original)
+            .join('');
+        return inputText.startsWith(received) ? inputText.substring(received.length) : '';
+    };
+
+    // Explains results that are incomplete: rules only, or a response that did not match the text
+    const getAnalysisNotices = () => {
+        const notices = [];
+
+        if (analysisSource === 'rules') {
+            notices.push(fallbackError
+                ? `The style service is unavailable (${fallbackError.message}), so only automatic rule checks were run.`
+                : 'Only automatic rule checks were run.');
+        }
+
+        const rulesOnlyParts = analysisSource === 'model'
+            ? chunkProgress.filter(chunk => chunk.source === 'rules')
+            : [];
+        if (rulesOnlyParts.length > 0) {
+            const parts = rulesOnlyParts.map(chunk => chunk.index + 1).join(', ');
+            notices.push(`${rulesOnlyParts.length === 1 ? 'Part' : 'Parts'} ${parts} of ${chunkProgress.length} could not be analyzed, so only automatic rule checks were run on ${rulesOnlyParts.length === 1 ? 'it' : 'them'}.`);
+        }
+
+        if (alignment && alignment.unresolved.length > 0) {
+            const previews = alignment.unresolved.map(region => {
+                const text = region.text.trim();
+                return `“${text.length > 60 ? `${text.substring(0, 60)}…` : text}”`;
+            });
+            notices.push(alignment.repaired
+                ? `Some passages were not checked: ${previews.join(', ')}.`
+                : 'The suggestions did not match your text and may be unreliable. Try analyzing again.');
+        }
+
+        if (alignment && alignment.repaired && alignment.discarded.length > 0) {
+            const count = alignment.discarded.length;
+            notices.push(`${count} ${count === 1 ? 'suggestion' : 'suggestions'} did not match your text and ${count === 1 ? 'was' : 'were'} dropped.`);
+        }
+
+        return notices;
+    };
+
+    const renderChanges = (changes, { readOnly = false } = {}) => {
         if (!Array.isArray(changes)) return null;
 
+        const spans = getSegmentSpans(changes);
+
         return (
             <>
                 {changes.map((segment, index) => {
+                    // Lets a selection in the results be mapped back to the text
+                    const segmentAttributes = readOnly ? {} : getSegmentAttributes(spans[index]);
+
                     if (typeof segment === 'string') {
                         // Handle newline characters properly
                         if (segment === "\n") {
-                            return <br key={index} />;
+                            return <br key={index} {...segmentAttributes} />;
                         }
-                        return <span key={index}>{segment}</span>;
+                        return <span key={index} {...segmentAttributes}>{segment}</span>;
                     }
                     
                     const tooltipId = `change-${index}`;
                     const isAccepted = acceptedChanges.has(index);
                     const isRejected = rejectedChanges.has(index);
-                    const showTooltip = !isAccepted && !isRejected;
+                    const showTooltip = !readOnly && !isAccepted && !isRejected;
+                    const canReopen = !readOnly && (isAccepted || isRejected);
+                    const isEditing = showTooltip && editingIndex === index;
+                    const isEdited = !readOnly && edits.has(index);
+                    const replacement = isEdited ? edits.get(index) : segment.replacement;
+                    let cursor = 'default';
+                    if (showTooltip) cursor = 'help';
+                    else if (canReopen) cursor = 'pointer';
+                    const houseRule = findHouseRule(segment, houseRules);
+                    let tooltipContent = segment.reason;
+                    if (segment.source === 'rules') {
+                        tooltipContent = `${segment.reason} (automatic rule)`;
+                    } else if (houseRule) {
+                        tooltipContent = `${segment.reason} (House rule ${houseRule.id}: ${describeHouseRule(houseRule)})`;
+                    }
+                    const rating = describeChangeRating(segment);
+                    if (rating) {
+                        tooltipContent = `${tooltipContent} (${rating})`;
+                    }
+                    if (isEdited) {
+                        tooltipContent = `${tooltipContent} (edited by you; suggested: “${segment.replacement}”)`;
+                    }
 
                     return (
                         <span 
                             key={index} 
+                            {...segmentAttributes}
+                            data-change-index={readOnly ? undefined : index}
+                            data-severity={showTooltip ? getChangeSeverity(segment) : undefined}
                             style={{ 
                                 position: 'relative',
-                                display: 'inline'
+                                display: 'inline',
+                                // Pending changes are underlined in their severity's colour
+                                ...(showTooltip && {
+                                    boxShadow: `inset 0 -2px 0 ${SEVERITY_COLORS[getChangeSeverity(segment)]}`
+                                }),
+                                ...(!readOnly && index === activeChangeIndex && {
+                                    backgroundColor: 'rgba(26, 137, 23, 0.08)',
+                                    borderRadius: '2px'
+                                })
                             }}
                             data-tooltip-id={showTooltip ? tooltipId : undefined}
-                            data-tooltip-content={showTooltip ? segment.reason : undefined}
+                            data-tooltip-content={showTooltip ? tooltipContent : undefined}
+                            {...(canReopen && {
+                                role: 'button',
+                                tabIndex: 0,
+                                title: `${isAccepted ? 'Accepted' : 'Rejected'}: click to reopen`,
+                                'aria-label': `Reopen change: ${segment.original} to ${replacement}`,
+                                onClick: () => handleReopenChange(index),
+                                onKeyDown: (e) => {
+                                    if (e.key === 'Enter' || e.key === ' ') {
+                                        e.preventDefault();
+                                        handleReopenChange(index);
+                                    }
+                                }
+                            })}
                         >
                             {showTooltip && (
                                 <Tooltip 
@@ -232,18 +610,30 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                 <span style={{ 
                                     textDecoration: !isRejected ? 'line-through' : 'none', 
                                     color: isRejected ? 'rgba(0, 0, 0, 0.84)' : 'rgba(0, 0, 0, 0.54)',
-                                    cursor: showTooltip ? 'help' : 'default'
+                                    cursor
                                 }}>
                                     {segment.original}
                                 </span>
                             )}
-                            {!isRejected && (
-                                <span style={{ 
-                                    color: isAccepted ? 'rgba(0, 0, 0, 0.84)' : 'rgb(26, 137, 23)',
-                                    cursor: showTooltip ? 'help' : 'default',
-                                    marginLeft: !isAccepted ? '4px' : '0'
-                                }}>
-                                    {segment.replacement}
+                            {isEditing && (
+                                <ReplacementEditor
+                                    value={replacement}
+                                    onSave={(value) => handleSaveReplacement(index, value)}
+                                    onCancel={() => setEditingIndex(null)}
+                                />
+                            )}
+                            {!isRejected && !isEditing && (
+                                <span
+                                    style={{ 
+                                        color: isAccepted ? 'rgba(0, 0, 0, 0.84)' : 'rgb(26, 137, 23)',
+                                        cursor: showTooltip ? 'text' : cursor,
+                                        marginLeft: !isAccepted ? '4px' : '0',
+                                        borderBottom: isEdited && !isAccepted ? '1px dashed rgb(26, 137, 23)' : 'none'
+                                    }}
+                                    data-user-modified={isEdited || undefined}
+                                    onClick={showTooltip ? () => setEditingIndex(index) : undefined}
+                                >
+                                    {replacement}
                                 </span>
                             )}
                             {showTooltip && (
@@ -254,6 +644,23 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                     position: 'relative',
                                     top: '-4px'
                                 }}>
+                                    <button
+                                        onClick={() => setEditingIndex(index)}
+                                        style={{
+                                            padding: '2px 6px',
+                                            marginRight: '4px',
+                                            minWidth: 'unset',
+                                            fontSize: '12px',
+                                            lineHeight: '1',
+                                            display: 'inline-flex',
+                                            alignItems: 'center',
+                                            justifyContent: 'center'
+                                        }}
+                                        title="Edit replacement"
+                                        aria-label="Edit change"
+                                    >
+                                        <span aria-hidden="true">✎</span>
+                                    </button>
                                     <button
                                         onClick={() => handleAcceptChange(index)}
                                         style={{
@@ -328,25 +735,148 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                             }}>
                                 Style Guider
                             </div>
-                            <button
-                                onClick={styleGuide || error ? resetState : generateStyleGuide}
-                                disabled={loading || (!styleGuide && !error && !inputText.trim())}
-                                className={styleGuide || error ? '' : 'primary'}
-                                style={{
-                                    fontSize: '15px',
-                                    padding: '8px 16px',
-                                    minWidth: '120px',
-                                    margin: 0,
-                                    ...(styleGuide || error ? {
-                                        backgroundColor: 'white',
-                                        color: 'rgb(26, 137, 23)',
-                                        border: '1px solid rgb(26, 137, 23)',
-                                        cursor: 'pointer'
-                                    } : {})
-                                }}
-                            >
-                                {loading ? 'Analyzing...' : (styleGuide || error ? 'Reset' : 'Analyze Text')}
-                            </button>
+                            <div style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '12px'
+                            }}>
+                                <StyleGuideSelect
+                                    value={styleGuideId}
+                                    onChange={setStyleGuideId}
+                                    disabled={loading}
+                                />
+                                <label
+                                    title="Check numbers, dates and other mechanical rules without calling the model"
+                                    style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '6px',
+                                        fontSize: '15px',
+                                        color: 'rgba(0, 0, 0, 0.68)',
+                                        whiteSpace: 'nowrap'
+                                    }}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={rulesOnly}
+                                        onChange={(e) => setRulesOnly(e.target.checked)}
+                                        disabled={loading}
+                                    />
+                                    Rules only
+                                </label>
+                                <label
+                                    title="Treat the text as Markdown: code, links, URLs and front matter are never changed"
+                                    style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '6px',
+                                        fontSize: '15px',
+                                        color: 'rgba(0, 0, 0, 0.68)',
+                                        whiteSpace: 'nowrap'
+                                    }}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={markdownMode}
+                                        onChange={(e) => setMarkdownMode(e.target.checked)}
+                                        disabled={loading}
+                                    />
+                                    Markdown
+                                </label>
+                                <button
+                                    onClick={() => setIsHouseRulesOpen(true)}
+                                    disabled={loading}
+                                    title="Edit house rules"
+                                    style={{
+                                        fontSize: '15px',
+                                        padding: '8px 12px',
+                                        margin: 0
+                                    }}
+                                >
+                                    House rules{houseRules.length > 0 ? ` (${houseRules.length})` : ''}
+                                </button>
+                                <button
+                                    onClick={() => fileInputRef.current.click()}
+                                    disabled={loading}
+                                    title="Open a Word, Markdown, HTML or text file, or drop one on the page"
+                                    style={{
+                                        fontSize: '15px',
+                                        padding: '8px 12px',
+                                        margin: 0
+                                    }}
+                                >
+                                    Open file
+                                </button>
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    accept={ACCEPTED_FILE_TYPES}
+                                    onChange={handleFileInputChange}
+                                    data-testid="file-input"
+                                    style={{ display: 'none' }}
+                                />
+                                {!loading && (styleGuide || inputText.trim()) && (
+                                    <button
+                                        // Keep the selection when the button is pressed
+                                        onMouseDown={(e) => e.preventDefault()}
+                                        onClick={analyzeSelection}
+                                        disabled={!selection}
+                                        title="Select a sentence or paragraph to analyze just that passage"
+                                        style={{
+                                            fontSize: '15px',
+                                            padding: '8px 12px',
+                                            margin: 0
+                                        }}
+                                    >
+                                        Analyze selection
+                                    </button>
+                                )}
+                                {styleGuide && !loading && (
+                                    <button
+                                        onClick={handleEditAndRerun}
+                                        title="Edit the reviewed text and analyze the changed paragraphs again"
+                                        style={{
+                                            fontSize: '15px',
+                                            padding: '8px 12px',
+                                            margin: 0
+                                        }}
+                                    >
+                                        Edit and re-run
+                                    </button>
+                                )}
+                                {loading && (
+                                    <button
+                                        onClick={handleCancelAnalysis}
+                                        title="Stop the analysis and return to your text"
+                                        style={{
+                                            fontSize: '15px',
+                                            padding: '8px 12px',
+                                            margin: 0
+                                        }}
+                                    >
+                                        Cancel
+                                    </button>
+                                )}
+                                <button
+                                    onClick={styleGuide || error ? resetState : generateStyleGuide}
+                                    disabled={loading || (!styleGuide && !error && !inputText.trim())}
+                                    className={styleGuide || error ? '' : 'primary'}
+                                    style={{
+                                        fontSize: '15px',
+                                        padding: '8px 16px',
+                                        minWidth: '120px',
+                                        margin: 0,
+                                        ...(styleGuide || error ? {
+                                            backgroundColor: 'white',
+                                            color: 'rgb(26, 137, 23)',
+                                            border: '1px solid rgb(26, 137, 23)',
+                                            cursor: 'pointer'
+                                        } : {})
+                                    }}
+                                >
+                                    {loading ? 'Analyzing...' : (styleGuide || error ? 'Reset' : (revision ? 'Re-analyze' : 'Analyze Text'))}
+                                </button>
+                            </div>
                         </div>
                     </div>
 
@@ -357,15 +887,66 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                         position: 'relative'
                     }}>
                         {!loading && !styleGuide && (
-                            <div style={{ 
-                                display: 'flex', 
-                                flexDirection: 'column',
-                                alignItems: 'center'
-                            }}>
+                            <div
+                                onDragOver={handleDragOver}
+                                onDragLeave={() => setIsDraggingFile(false)}
+                                onDrop={handleDrop}
+                                style={{
+                                    display: 'flex',
+                                    flexDirection: 'column',
+                                    alignItems: 'center',
+                                    outline: isDraggingFile ? '2px dashed rgb(26, 137, 23)' : 'none',
+                                    outlineOffset: '8px'
+                                }}
+                            >
+                                {sourceDocument && !revision && (
+                                    <div role="status" style={{
+                                        width: '100%',
+                                        boxSizing: 'border-box',
+                                        padding: '12px 16px',
+                                        fontSize: '15px',
+                                        color: 'rgba(0, 0, 0, 0.68)',
+                                        background: 'rgba(0, 0, 0, 0.04)',
+                                        borderRadius: '4px'
+                                    }}>
+                                        Opened {sourceDocument.name}. Only its prose is analyzed; export the results
+                                        as {getFormatLabel(sourceDocument)} to keep its formatting.
+                                    </div>
+                                )}
+                                {revision && (
+                                    <div role="status" style={{
+                                        width: '100%',
+                                        boxSizing: 'border-box',
+                                        display: 'flex',
+                                        justifyContent: 'space-between',
+                                        alignItems: 'center',
+                                        gap: '12px',
+                                        padding: '12px 16px',
+                                        fontSize: '15px',
+                                        color: 'rgba(0, 0, 0, 0.68)',
+                                        background: 'rgba(0, 0, 0, 0.04)',
+                                        borderRadius: '4px'
+                                    }}>
+                                        <span>Editing the reviewed text. Unchanged paragraphs keep their suggestions and decisions.</span>
+                                        <button
+                                            onClick={handleCancelEdit}
+                                            style={{
+                                                fontSize: '15px',
+                                                padding: '4px 12px',
+                                                margin: 0
+                                            }}
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                )}
                                 <textarea
                                     ref={textareaRef}
                                     value={inputText}
                                     onChange={handleInputChange}
+                                    onSelect={updateSelection}
+                                    onKeyUp={updateSelection}
+                                    onMouseUp={updateSelection}
                                     placeholder="Start writing or paste your text here..."
                                     disabled={loading}
                                     style={{
@@ -407,7 +988,7 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                             </div>
                         )}
 
-                        {loading && (
+                        {loading && streamedSegments.length === 0 && (
                             <div style={{
                                 width: '100%',
                                 minHeight: '200px',
@@ -420,6 +1001,7 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                 textAlign: 'left',
                                 whiteSpace: 'pre-wrap'
                             }}>
+                                {chunkProgress.length > 1 && <ChunkProgress chunks={chunkProgress} />}
                                 {inputText}
                                 <div style={{
                                     position: 'fixed',
@@ -433,12 +1015,14 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                     borderRadius: '12px',
                                     boxShadow: '0 4px 24px rgba(0, 0, 0, 0.1)'
                                 }}>
-                                    <LoadingSpinner message={loadingPhrases[loadingPhraseIndex]} />
+                                    <LoadingSpinner message={chunkProgress.length > 1
+                                        ? describeChunkProgress(chunkProgress)
+                                        : loadingPhrases[loadingPhraseIndex]} />
                                 </div>
                             </div>
                         )}
 
-                        {!loading && styleGuide && (
+                        {loading && streamedSegments.length > 0 && (
                             <div style={{
                                 width: '100%',
                                 minHeight: '200px',
@@ -448,11 +1032,89 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                 lineHeight: '1.6',
                                 color: 'rgba(0, 0, 0, 0.84)',
                                 textAlign: 'left',
-                                whiteSpace: 'pre-wrap',
-                                border: 'none',
-                                outline: 'none',
-                                background: 'transparent'
+                                whiteSpace: 'pre-wrap'
+                            }}>
+                                {chunkProgress.length > 1 && <ChunkProgress chunks={chunkProgress} />}
+                                {renderChanges(streamedSegments, { readOnly: true })}
+                                <span style={{ color: 'rgba(0, 0, 0, 0.4)' }}>
+                                    {getPendingStreamText()}
+                                </span>
+                            </div>
+                        )}
+
+                        {!loading && styleGuide && getAnalysisNotices().map(notice => (
+                            <p key={notice} role="status" style={{
+                                margin: '0 0 8px',
+                                padding: '12px 16px',
+                                fontSize: '15px',
+                                color: 'rgba(0, 0, 0, 0.68)',
+                                background: 'rgba(0, 0, 0, 0.04)',
+                                borderRadius: '4px'
                             }}>
+                                {notice}
+                            </p>
+                        ))}
+
+                        {!loading && styleGuide && styleGuide.some(isChange) && (
+                            <ReviewToolbar
+                                segments={styleGuide}
+                                acceptedChanges={acceptedChanges}
+                                rejectedChanges={rejectedChanges}
+                                onAccept={acceptChanges}
+                                onReject={rejectChanges}
+                                onUndo={undo}
+                                onRedo={redo}
+                                canUndo={canUndo}
+                                canRedo={canRedo}
+                            >
+                                <button
+                                    onClick={() => setIsSidebarOpen(open => !open)}
+                                    aria-expanded={isSidebarOpen}
+                                    title="List every suggestion by category"
+                                >
+                                    Suggestions
+                                </button>
+                                <ExportMenu
+                                    segments={styleGuide}
+                                    review={review}
+                                    sourceDocument={sourceDocument}
+                                    styleGuideId={styleGuideId}
+                                />
+                            </ReviewToolbar>
+                        )}
+
+                        {!loading && styleGuide && styleGuide.some(isChange) && isSidebarOpen && (
+                            <SuggestionSidebar
+                                segments={styleGuide}
+                                acceptedChanges={acceptedChanges}
+                                rejectedChanges={rejectedChanges}
+                                edits={edits}
+                                activeIndex={activeChangeIndex}
+                                onSelect={handleSelectSuggestion}
+                                onClose={() => setIsSidebarOpen(false)}
+                            />
+                        )}
+
+                        {!loading && styleGuide && (
+                            <div
+                                ref={resultsRef}
+                                onMouseUp={updateSelection}
+                                onKeyUp={updateSelection}
+                                style={{
+                                    width: '100%',
+                                    minHeight: '200px',
+                                    padding: '20px 0',
+                                    fontFamily: 'medium-content-serif-font, Georgia, Cambria, "Times New Roman", Times, serif',
+                                    fontSize: '21px',
+                                    lineHeight: '1.6',
+                                    color: 'rgba(0, 0, 0, 0.84)',
+                                    textAlign: 'left',
+                                    whiteSpace: 'pre-wrap',
+                                    border: 'none',
+                                    outline: 'none',
+                                    background: 'transparent'
+                                }}
+                            >
                                 {renderChanges(styleGuide)}
                             </div>
                         )}
@@ -461,6 +1123,14 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                             <ErrorDisplay error={error} resetError={resetError} />
                         )}
 
+                        {isHouseRulesOpen && (
+                            <HouseRulesEditor
+                                houseRules={houseRules}
+                                onSave={setHouseRules}
+                                onClose={() => setIsHouseRulesOpen(false)}
+                            />
+                        )}
+
                         {/* Parser statistics display in development mode */}
                         {process.env.NODE_ENV === 'development' && parserStats && (
                             <div style={{
@@ -477,6 +1147,7 @@ The Committee for a Responsible Federal Budget, which focuses on the direct effe
                                     <li>Primary Success: {parserStats.primarySuccessRate}</li>
                                     <li>Fallback Success: {parserStats.fallbackSuccessRate}</li>
                                     <li>Total Attempts: {parserStats.totalAttempts}</li>
+                                    <li>Tool Calls: {parserStats.toolCallCount}, Text Responses: {parserStats.textResponseCount} (last: {parserStats.lastPath})</li>
                                 </ul>
                             </div>
                         )}
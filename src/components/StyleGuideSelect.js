@@ -0,0 +1,36 @@
+import React from 'react';
+import { listStyleGuides } from '../services/prompts/styleGuides';
+
+/**
+ * StyleGuideSelect Component
+ *
+ * Header dropdown for choosing which style guide the analysis applies.
+ */
+const StyleGuideSelect = ({ value, onChange, disabled }) => {
+    return (
+        <select
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            disabled={disabled}
+            aria-label="Style guide"
+            title="Style guide"
+            style={{
+                fontSize: '15px',
+                padding: '7px 8px',
+                border: '1px solid rgba(0, 0, 0, 0.15)',
+                borderRadius: '4px',
+                backgroundColor: 'white',
+                color: 'rgba(0, 0, 0, 0.84)',
+                cursor: disabled ? 'default' : 'pointer'
+            }}
+        >
+            {listStyleGuides().map(guide => (
+                <option key={guide.id} value={guide.id}>
+                    {guide.name}
+                </option>
+            ))}
+        </select>
+    );
+};
+
+export default StyleGuideSelect;
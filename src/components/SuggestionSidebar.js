@@ -0,0 +1,205 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { isChange } from '../utils/segmentUtils';
+import {
+    CHANGE_CATEGORIES,
+    SEVERITIES,
+    getChangeCategory,
+    getChangeSeverity,
+    getSeverityLabel
+} from '../utils/changeCategories';
+import './SuggestionSidebar.css';
+
+export const SEVERITY_COLORS = {
+    'must-fix': 'rgb(179, 38, 30)',
+    recommended: 'rgb(204, 133, 0)',
+    optional: 'rgba(0, 0, 0, 0.24)'
+};
+
+const STATUSES = [
+    { id: 'pending', label: 'Pending' },
+    { id: 'accepted', label: 'Accepted' },
+    { id: 'rejected', label: 'Rejected' }
+];
+
+/**
+ * SuggestionSidebar Component
+ *
+ * Lists every change of an analysis with its original, replacement, reason,
+ * severity and review status, grouped by category with the most severe
+ * first, and filterable by status, category and severity. Selecting a
+ * suggestion calls `onSelect` with its index so the document can scroll to
+ * it; the arrow keys, Home and End move between the listed suggestions.
+ */
+const SuggestionSidebar = ({
+    segments,
+    acceptedChanges,
+    rejectedChanges,
+    edits = new Map(),
+    activeIndex = null,
+    onSelect,
+    onClose
+}) => {
+    const [status, setStatus] = useState('');
+    const [category, setCategory] = useState('');
+    const [severity, setSeverity] = useState('');
+    const listRef = useRef(null);
+
+    const suggestions = useMemo(() => segments
+        .map((segment, index) => {
+            if (!isChange(segment)) return null;
+
+            let changeStatus = 'pending';
+            if (acceptedChanges.has(index)) changeStatus = 'accepted';
+            else if (rejectedChanges.has(index)) changeStatus = 'rejected';
+
+            return {
+                index,
+                change: segment,
+                category: getChangeCategory(segment),
+                severity: getChangeSeverity(segment),
+                status: changeStatus
+            };
+        })
+        .filter(Boolean), [segments, acceptedChanges, rejectedChanges]);
+
+    const severityRank = (item) => SEVERITIES.findIndex(({ id }) => id === item.severity);
+
+    const categoryCounts = suggestions.reduce((counts, item) => {
+        counts.set(item.category, (counts.get(item.category) || 0) + 1);
+        return counts;
+    }, new Map());
+
+    const visible = suggestions.filter(item => (!status || item.status === status) &&
+        (!category || item.category === category) && (!severity || item.severity === severity));
+
+    const groups = CHANGE_CATEGORIES
+        .map(({ id, label }) => ({
+            id,
+            label,
+            items: visible
+                .filter(item => item.category === id)
+                .sort((a, b) => severityRank(a) - severityRank(b) || a.index - b.index)
+        }))
+        .filter(group => group.items.length > 0);
+
+    // Keyboard navigation follows the order the suggestions are listed in
+    const order = groups.flatMap(group => group.items.map(item => item.index));
+
+    const focusSuggestion = (index) => {
+        const element = listRef.current && listRef.current.querySelector(`[data-suggestion-index="${index}"]`);
+        if (element) element.focus();
+        onSelect(index);
+    };
+
+    const handleKeyDown = (e) => {
+        const current = order.indexOf(Number(e.target.getAttribute('data-suggestion-index')));
+        if (current === -1) return;
+
+        let next = null;
+        if (e.key === 'ArrowDown') next = Math.min(current + 1, order.length - 1);
+        else if (e.key === 'ArrowUp') next = Math.max(current - 1, 0);
+        else if (e.key === 'Home') next = 0;
+        else if (e.key === 'End') next = order.length - 1;
+        if (next === null) return;
+
+        e.preventDefault();
+        focusSuggestion(order[next]);
+    };
+
+    return (
+        <aside className="suggestion-sidebar" aria-label="Suggestions">
+            <div className="suggestion-sidebar-header">
+                <h2>Suggestions ({suggestions.length})</h2>
+                {onClose && (
+                    <button onClick={onClose} aria-label="Close suggestions" title="Close">
+                        <span aria-hidden="true">✕</span>
+                    </button>
+                )}
+            </div>
+
+            <div className="suggestion-sidebar-filters">
+                <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Filter by status">
+                    <option value="">All statuses</option>
+                    {STATUSES.map(item => (
+                        <option key={item.id} value={item.id}>{item.label}</option>
+                    ))}
+                </select>
+                <select value={category} onChange={(e) => setCategory(e.target.value)} aria-label="Filter by category">
+                    <option value="">All categories</option>
+                    {CHANGE_CATEGORIES.filter(({ id }) => categoryCounts.has(id)).map(item => (
+                        <option key={item.id} value={item.id}>{item.label} ({categoryCounts.get(item.id)})</option>
+                    ))}
+                </select>
+                <select value={severity} onChange={(e) => setSeverity(e.target.value)} aria-label="Filter by severity">
+                    <option value="">All severities</option>
+                    {SEVERITIES.map(item => (
+                        <option key={item.id} value={item.id}>{item.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {groups.length === 0 && (
+                <p className="suggestion-sidebar-empty">No suggestions match these filters.</p>
+            )}
+
+            <div ref={listRef} onKeyDown={handleKeyDown}>
+                {groups.map(group => (
+                    <section key={group.id} className="suggestion-group" aria-labelledby={`suggestion-group-${group.id}`}>
+                        <h3 id={`suggestion-group-${group.id}`}>
+                            {group.label} <span>({group.items.length})</span>
+                        </h3>
+                        <ul>
+                            {group.items.map(({ index, change, severity: itemSeverity, status: itemStatus }) => {
+                                const isEdited = edits.has(index);
+                                const replacement = isEdited ? edits.get(index) : change.replacement;
+
+                                return (
+                                    <li key={index}>
+                                        <button
+                                            type="button"
+                                            className={`suggestion${index === activeIndex ? ' active' : ''}`}
+                                            data-suggestion-index={index}
+                                            aria-current={index === activeIndex || undefined}
+                                            onClick={() => onSelect(index)}
+                                        >
+                                            <span className="suggestion-text">
+                                                {change.original
+                                                    ? <del>{change.original}</del>
+                                                    : <em>Insert</em>}
+                                                {' → '}
+                                                {replacement
+                                                    ? <ins>{replacement}</ins>
+                                                    : <em>Delete</em>}
+                                            </span>
+                                            {change.reason && (
+                                                <span className="suggestion-reason">{change.reason}</span>
+                                            )}
+                                            <span className="suggestion-meta">
+                                                <span
+                                                    className="suggestion-severity"
+                                                    style={{ borderColor: SEVERITY_COLORS[itemSeverity] }}
+                                                >
+                                                    {getSeverityLabel(itemSeverity)}
+                                                </span>
+                                                {typeof change.confidence === 'number' && (
+                                                    <span>{Math.round(change.confidence * 100)}% confidence</span>
+                                                )}
+                                                {change.ruleId && <span>{change.ruleId}</span>}
+                                                <span className={`suggestion-status suggestion-status-${itemStatus}`}>
+                                                    {STATUSES.find(item => item.id === itemStatus).label}
+                                                    {isEdited ? ', edited' : ''}
+                                                </span>
+                                            </span>
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </section>
+                ))}
+            </div>
+        </aside>
+    );
+};
+
+export default SuggestionSidebar;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ReviewToolbar from '../ReviewToolbar';
+
+/**
+ * Test suite for the ReviewToolbar component.
+ * The toolbar counts review progress and hands the indices of pending
+ * changes to the bulk accept and reject callbacks.
+ */
+describe('ReviewToolbar', () => {
+    const segments = [
+        'We hired ',
+        { original: '3', replacement: 'three', reason: 'Spell out numbers', category: 'numbers' },
+        ' people ',
+        { original: 'a lot of', replacement: 'many', reason: 'Redundant wording' },
+        ' times.\n\nCosts rose ',
+        { original: '5%', replacement: '5 per cent', reason: 'Per cent', category: 'numbers' },
+        '.'
+    ];
+
+    const renderToolbar = (props = {}) => {
+        const handlers = { onAccept: jest.fn(), onReject: jest.fn() };
+        render(
+            <ReviewToolbar
+                segments={segments}
+                acceptedChanges={new Set()}
+                rejectedChanges={new Set()}
+                {...handlers}
+                {...props}
+            />
+        );
+        return handlers;
+    };
+
+    it('shows pending, accepted and rejected counts', () => {
+        renderToolbar({ acceptedChanges: new Set([1]), rejectedChanges: new Set([3]) });
+
+        expect(screen.getByText('1 pending')).toBeInTheDocument();
+        expect(screen.getByText('1 accepted')).toBeInTheDocument();
+        expect(screen.getByText('1 rejected')).toBeInTheDocument();
+    });
+
+    it('accepts or rejects every pending change', () => {
+        const { onAccept, onReject } = renderToolbar({ rejectedChanges: new Set([3]) });
+
+        fireEvent.click(screen.getByText('Accept all'));
+        fireEvent.click(screen.getByText('Reject all'));
+
+        expect(onAccept).toHaveBeenCalledWith([1, 5]);
+        expect(onReject).toHaveBeenCalledWith([1, 5]);
+    });
+
+    it('accepts the pending changes of one category', () => {
+        const { onAccept } = renderToolbar();
+
+        fireEvent.change(screen.getByLabelText('Category'), { target: { value: 'numbers' } });
+        fireEvent.click(screen.getByText('Accept category'));
+
+        expect(onAccept).toHaveBeenCalledWith([1, 5]);
+    });
+
+    it('accepts the pending changes of one paragraph', () => {
+        const { onAccept } = renderToolbar();
+
+        fireEvent.change(screen.getByLabelText('Paragraph'), { target: { value: '0' } });
+        fireEvent.click(screen.getByText('Accept paragraph'));
+
+        expect(onAccept).toHaveBeenCalledWith([1, 3]);
+    });
+});
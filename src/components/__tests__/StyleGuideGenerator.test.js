@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import StyleGuideGenerator from '../StyleGuideGenerator';
 import { anthropicService } from '../../services/anthropic/AnthropicService';
@@ -470,4 +470,296 @@ describe('StyleGuideGenerator', () => {
         expect(container).not.toHaveAttribute('data-tooltip-content');
         expect(container).not.toHaveAttribute('data-tooltip-id');
     });
-}); 
\ No newline at end of file
+
+    /**
+     * Tests the review history.
+     * Verifies:
+     * - Clicking a decided change reopens it
+     * - Ctrl+Z undoes a decision and Ctrl+Shift+Z redoes it
+     */
+    it('reopens decided changes and undoes decisions', async () => {
+        const mockResponse = JSON.stringify([
+            {
+                "original": "test",
+                "replacement": "example",
+                "reason": "AP style explanation"
+            }
+        ]);
+
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(mockResponse);
+
+        render(<StyleGuideGenerator />);
+
+        const textarea = screen.getByPlaceholderText('Start writing or paste your text here...');
+        const analyzeButton = screen.getByRole('button', { name: 'Analyze Text' });
+
+        await act(async () => {
+            await userEvent.type(textarea, 'Test text');
+            await userEvent.click(analyzeButton);
+        });
+
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: /accept change/i })).toBeInTheDocument();
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: /accept change/i }));
+        fireEvent.click(screen.getByRole('button', { name: /reopen change/i }));
+
+        expect(screen.getByText('test')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /accept change/i })).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: /reject change/i }));
+        expect(screen.queryByText('example')).not.toBeInTheDocument();
+
+        fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+        expect(screen.getByText('example')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /reject change/i })).toBeInTheDocument();
+
+        fireEvent.keyDown(document.body, { key: 'Z', ctrlKey: true, shiftKey: true });
+        expect(screen.queryByText('example')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Tests inline editing of a replacement.
+     * Verifies:
+     * - Clicking the replacement opens an editor
+     * - The saved text is shown and accepted as the user's version
+     * - The edit can be undone
+     */
+    it('edits a replacement inline before accepting it', async () => {
+        const mockResponse = JSON.stringify([
+            {
+                "original": "test",
+                "replacement": "example",
+                "reason": "AP style explanation"
+            }
+        ]);
+
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(mockResponse);
+
+        render(<StyleGuideGenerator />);
+
+        const textarea = screen.getByPlaceholderText('Start writing or paste your text here...');
+        const analyzeButton = screen.getByRole('button', { name: 'Analyze Text' });
+
+        await act(async () => {
+            await userEvent.type(textarea, 'Test text');
+            await userEvent.click(analyzeButton);
+        });
+
+        await waitFor(() => {
+            expect(screen.getByText('example')).toBeInTheDocument();
+        });
+
+        fireEvent.click(screen.getByText('example'));
+        const editor = screen.getByLabelText('Edit replacement');
+        fireEvent.change(editor, { target: { value: 'sample' } });
+        fireEvent.keyDown(editor, { key: 'Enter' });
+
+        const edited = screen.getByText('sample');
+        expect(edited).toHaveAttribute('data-user-modified', 'true');
+        expect(edited.closest('[data-tooltip-content]')).toHaveAttribute(
+            'data-tooltip-content',
+            'AP style explanation (edited by you; suggested: “example”)'
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: /accept change/i }));
+        expect(screen.getByText('sample')).toHaveStyle({ color: 'rgba(0, 0, 0, 0.84)' });
+
+        fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+        fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+        expect(screen.getByText('example')).toBeInTheDocument();
+        expect(screen.queryByText('sample')).not.toBeInTheDocument();
+    });
+
+    /**
+     * Tests editing reviewed text and analyzing it again.
+     * Verifies:
+     * - The reviewed text returns to the editor
+     * - Cancel goes back to the results as they were
+     * - Re-analyzing unchanged text keeps the suggestions and decisions
+     *   without calling the model again
+     */
+    it('re-analyzes edited text keeping earlier decisions', async () => {
+        const mockResponse = JSON.stringify([
+            {
+                "original": "Test",
+                "replacement": "Example",
+                "reason": "AP style explanation"
+            },
+            " text"
+        ]);
+
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(mockResponse);
+
+        render(<StyleGuideGenerator />);
+
+        const textarea = screen.getByPlaceholderText('Start writing or paste your text here...');
+
+        await act(async () => {
+            await userEvent.type(textarea, 'Test text');
+            await userEvent.click(screen.getByRole('button', { name: 'Analyze Text' }));
+        });
+
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: /reject change/i })).toBeInTheDocument();
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: /reject change/i }));
+        fireEvent.click(screen.getByRole('button', { name: 'Edit and re-run' }));
+
+        expect(screen.getByPlaceholderText('Start writing or paste your text here...')).toHaveValue('Test text');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+        expect(screen.getByRole('button', { name: /reopen change/i })).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Edit and re-run' }));
+        await act(async () => {
+            await userEvent.click(screen.getByRole('button', { name: 'Re-analyze' }));
+        });
+
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: /reopen change/i })).toBeInTheDocument();
+        });
+        expect(screen.queryByText('Example')).not.toBeInTheDocument();
+        expect(anthropicService.generateStyleGuide).toHaveBeenCalledTimes(1);
+    });
+
+    /**
+     * Tests cancelling an analysis.
+     * Verifies the request is aborted and the draft comes back unchanged,
+     * without an error.
+     */
+    it('cancels an analysis in progress', async () => {
+        let requestSignal;
+        anthropicService.generateStyleGuide.mockImplementationOnce((prompt, { signal }) => new Promise((resolve, reject) => {
+            requestSignal = signal;
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+
+        render(<StyleGuideGenerator />);
+
+        await act(async () => {
+            await userEvent.type(screen.getByPlaceholderText('Start writing or paste your text here...'), 'Test text');
+            await userEvent.click(screen.getByRole('button', { name: 'Analyze Text' }));
+        });
+
+        await waitFor(() => expect(anthropicService.generateStyleGuide).toHaveBeenCalled());
+        await act(async () => {
+            await userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+        });
+
+        expect(requestSignal.aborted).toBe(true);
+        expect(screen.getByPlaceholderText('Start writing or paste your text here...')).toHaveValue('Test text');
+        expect(screen.getByRole('button', { name: 'Analyze Text' })).toBeEnabled();
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+        expect(anthropicService.generateStyleGuide).toHaveBeenCalledTimes(1);
+    });
+
+    /**
+     * Tests analyzing a selected passage of the draft.
+     * Verifies only the selection is sent and its suggestions appear within
+     * the rest of the draft.
+     */
+    it('analyzes only the selected passage', async () => {
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(JSON.stringify([
+            {
+                "original": "test",
+                "replacement": "example",
+                "reason": "AP style explanation"
+            },
+            " text."
+        ]));
+
+        render(<StyleGuideGenerator />);
+
+        const textarea = screen.getByPlaceholderText('Start writing or paste your text here...');
+        fireEvent.change(textarea, { target: { value: 'Intro.\n\nA test text.' } });
+        expect(screen.getByRole('button', { name: 'Analyze selection' })).toBeDisabled();
+
+        textarea.setSelectionRange(10, 20);
+        fireEvent.select(textarea);
+
+        await act(async () => {
+            await userEvent.click(screen.getByRole('button', { name: 'Analyze selection' }));
+        });
+
+        await waitFor(() => {
+            expect(screen.getByText('example')).toBeInTheDocument();
+        });
+
+        const prompt = anthropicService.generateStyleGuide.mock.calls[0][0];
+        expect(prompt).toContain('test text.');
+        expect(prompt).not.toContain('Intro.');
+        expect(screen.getByText(/Intro\./)).toBeInTheDocument();
+    });
+
+    /**
+     * Tests the suggestion sidebar.
+     * Verifies it opens from the toolbar and selecting a suggestion
+     * highlights the change in the text.
+     */
+    it('lists suggestions in a sidebar and highlights the selected one', async () => {
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(JSON.stringify([
+            {
+                "original": "Test",
+                "replacement": "Example",
+                "reason": "AP style explanation"
+            },
+            " text"
+        ]));
+
+        render(<StyleGuideGenerator />);
+
+        await act(async () => {
+            await userEvent.type(screen.getByPlaceholderText('Start writing or paste your text here...'), 'Test text');
+            await userEvent.click(screen.getByRole('button', { name: 'Analyze Text' }));
+        });
+
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: 'Suggestions' })).toBeInTheDocument();
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Suggestions' }));
+        const sidebar = screen.getByRole('complementary', { name: 'Suggestions' });
+        fireEvent.click(within(sidebar).getByText('AP style explanation').closest('button'));
+
+        expect(document.querySelector('[data-change-index="0"]')).toHaveStyle({ backgroundColor: 'rgba(26, 137, 23, 0.08)' });
+    });
+
+    /**
+     * Tests opening a file.
+     * Verifies only the file's prose is analyzed and the results can be
+     * exported back into its format.
+     */
+    it('opens a file and offers to export the results in its format', async () => {
+        anthropicService.generateStyleGuide.mockResolvedValueOnce(JSON.stringify([
+            'Title\n\nWe ',
+            {
+                "original": "utilize",
+                "replacement": "use",
+                "reason": "Plain words"
+            },
+            ' tools.'
+        ]));
+
+        render(<StyleGuideGenerator />);
+
+        const file = new File(['# Title\n\nWe **utilize** tools.\n\n```\ncode\n```\n'], 'notes.md', { type: 'text/markdown' });
+        fireEvent.change(screen.getByTestId('file-input'), { target: { files: [file] } });
+
+        const textarea = screen.getByPlaceholderText('Start writing or paste your text here...');
+        await waitFor(() => {
+            expect(textarea).toHaveValue('Title\n\nWe utilize tools.');
+        });
+        expect(screen.getByRole('status')).toHaveTextContent('Opened notes.md.');
+
+        await act(async () => {
+            await userEvent.click(screen.getByRole('button', { name: 'Analyze Text' }));
+        });
+
+        await waitFor(() => {
+            expect(screen.getByRole('option', { name: 'notes.md as Markdown, changes applied' })).toBeInTheDocument();
+        });
+    });
+});
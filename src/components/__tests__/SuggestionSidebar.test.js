@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import SuggestionSidebar from '../SuggestionSidebar';
+
+/**
+ * Test suite for the SuggestionSidebar component.
+ * The sidebar groups changes by category, filters them, and reports the
+ * selected change's index.
+ */
+describe('SuggestionSidebar', () => {
+    const segments = [
+        'We hired ',
+        { original: '3', replacement: 'three', reason: 'Spell out numbers', category: 'numbers' },
+        ' people ',
+        { original: 'a lot of', replacement: 'many', reason: 'Redundant wording' },
+        ' times.\n\nCosts rose ',
+        { original: '5%', replacement: '5 per cent', reason: 'Per cent', category: 'numbers' },
+        '.'
+    ];
+
+    const renderSidebar = (props = {}) => {
+        const handlers = { onSelect: jest.fn() };
+        render(
+            <SuggestionSidebar
+                segments={segments}
+                acceptedChanges={new Set()}
+                rejectedChanges={new Set()}
+                {...handlers}
+                {...props}
+            />
+        );
+        return handlers;
+    };
+
+    const listedIndices = () => screen.queryAllByRole('button')
+        .filter(button => button.hasAttribute('data-suggestion-index'))
+        .map(button => Number(button.getAttribute('data-suggestion-index')));
+
+    it('groups suggestions by category with reason and status', () => {
+        renderSidebar({ acceptedChanges: new Set([1]), edits: new Map([[3, 'several']]) });
+
+        const numbers = screen.getByRole('region', { name: /Numbers/ });
+        expect(within(numbers).getByText('three')).toBeInTheDocument();
+        expect(within(numbers).getByText('Spell out numbers')).toBeInTheDocument();
+        expect(within(numbers).getByText('Accepted')).toBeInTheDocument();
+
+        const concision = screen.getByRole('region', { name: /Concision/ });
+        expect(within(concision).getByText('several')).toBeInTheDocument();
+        expect(within(concision).getByText('Pending, edited')).toBeInTheDocument();
+    });
+
+    it('filters by status and category', () => {
+        renderSidebar({ rejectedChanges: new Set([5]) });
+
+        fireEvent.change(screen.getByLabelText('Filter by status'), { target: { value: 'pending' } });
+        expect(listedIndices()).toEqual([1, 3]);
+
+        fireEvent.change(screen.getByLabelText('Filter by category'), { target: { value: 'numbers' } });
+        expect(listedIndices()).toEqual([1]);
+
+        fireEvent.change(screen.getByLabelText('Filter by status'), { target: { value: 'accepted' } });
+        expect(screen.getByText('No suggestions match these filters.')).toBeInTheDocument();
+    });
+
+    it('lists the most severe suggestions first and filters by severity', () => {
+        renderSidebar({
+            segments: [
+                { original: '3', replacement: 'three', reason: 'Numbers', category: 'numbers', severity: 'optional', confidence: 0.6 },
+                ' and ',
+                { original: '5', replacement: 'five', reason: 'Numbers', category: 'numbers', severity: 'must-fix' }
+            ]
+        });
+
+        expect(listedIndices()).toEqual([2, 0]);
+        expect(screen.getByText('Must fix', { selector: '.suggestion-severity' })).toBeInTheDocument();
+        expect(screen.getByText('60% confidence')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('Filter by severity'), { target: { value: 'optional' } });
+        expect(listedIndices()).toEqual([0]);
+    });
+
+    it('selects suggestions by click and arrow keys', () => {
+        const { onSelect } = renderSidebar();
+
+        fireEvent.click(screen.getByText('three').closest('button'));
+        expect(onSelect).toHaveBeenLastCalledWith(1);
+
+        const first = screen.getByText('three').closest('button');
+        fireEvent.keyDown(first, { key: 'ArrowDown' });
+        expect(onSelect).toHaveBeenLastCalledWith(5);
+        expect(document.activeElement).toHaveAttribute('data-suggestion-index', '5');
+
+        fireEvent.keyDown(document.activeElement, { key: 'End' });
+        expect(onSelect).toHaveBeenLastCalledWith(3);
+
+        fireEvent.keyDown(document.activeElement, { key: 'Home' });
+        expect(onSelect).toHaveBeenLastCalledWith(1);
+    });
+});
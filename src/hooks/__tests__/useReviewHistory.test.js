@@ -0,0 +1,74 @@
+import { renderHook, act } from '@testing-library/react';
+import { useReviewHistory } from '../useReviewHistory';
+
+describe('useReviewHistory', () => {
+    it('undoes and redoes decisions one action at a time', () => {
+        const { result } = renderHook(() => useReviewHistory());
+
+        act(() => result.current.accept([0, 2]));
+        act(() => result.current.reject([2]));
+
+        expect([...result.current.review.accepted]).toEqual([0]);
+        expect([...result.current.review.rejected]).toEqual([2]);
+
+        act(() => result.current.undo());
+        expect([...result.current.review.accepted]).toEqual([0, 2]);
+        expect(result.current.review.rejected.size).toBe(0);
+
+        act(() => result.current.undo());
+        expect(result.current.review.accepted.size).toBe(0);
+        expect(result.current.canUndo).toBe(false);
+
+        act(() => result.current.redo());
+        act(() => result.current.redo());
+        expect([...result.current.review.rejected]).toEqual([2]);
+        expect(result.current.canRedo).toBe(false);
+    });
+
+    it('reopens changes and records edits', () => {
+        const { result } = renderHook(() => useReviewHistory());
+
+        act(() => result.current.accept([1]));
+        act(() => result.current.reopen([1]));
+        act(() => result.current.edit(1, 'hand-written'));
+
+        expect(result.current.review.accepted.size).toBe(0);
+        expect(result.current.review.edits.get(1)).toBe('hand-written');
+
+        act(() => result.current.undo());
+        expect(result.current.review.edits.has(1)).toBe(false);
+    });
+
+    it('ignores actions that change nothing and clears redo on a new action', () => {
+        const { result } = renderHook(() => useReviewHistory());
+
+        act(() => result.current.reopen([0]));
+        act(() => result.current.accept([]));
+        expect(result.current.canUndo).toBe(false);
+
+        act(() => result.current.accept([0]));
+        act(() => result.current.undo());
+        act(() => result.current.reject([0]));
+        expect(result.current.canRedo).toBe(false);
+
+        act(() => result.current.reset());
+        expect(result.current.canUndo).toBe(false);
+        expect(result.current.review.rejected.size).toBe(0);
+    });
+
+    it('resets to carried-over decisions without undo history', () => {
+        const { result } = renderHook(() => useReviewHistory());
+
+        act(() => result.current.accept([0]));
+        act(() => result.current.reset({
+            accepted: new Set(),
+            rejected: new Set([2]),
+            edits: new Map([[3, 'kept']])
+        }));
+
+        expect(result.current.canUndo).toBe(false);
+        expect(result.current.review.accepted.size).toBe(0);
+        expect(result.current.review.rejected.has(2)).toBe(true);
+        expect(result.current.review.edits.get(3)).toBe('kept');
+    });
+});
@@ -0,0 +1,34 @@
+import { useState, useCallback } from 'react';
+import { normalizeHouseRules } from '../services/prompts/houseRules';
+
+const STORAGE_KEY = 'houseRules';
+
+const loadHouseRules = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? normalizeHouseRules(JSON.parse(stored)) : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable house rules in local storage:', error);
+        return [];
+    }
+};
+
+/**
+ * Keeps the team's house rules in local storage so they apply to every
+ * analysis in this browser.
+ */
+export const useHouseRules = () => {
+    const [houseRules, setHouseRulesState] = useState(loadHouseRules);
+
+    const setHouseRules = useCallback((rules) => {
+        const normalized = normalizeHouseRules(rules);
+        setHouseRulesState(normalized);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ rules: normalized }));
+        return normalized;
+    }, []);
+
+    return {
+        houseRules,
+        setHouseRules,
+    };
+};
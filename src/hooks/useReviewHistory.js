@@ -0,0 +1,122 @@
+import { useState, useCallback } from 'react';
+
+const MAX_HISTORY = 100;
+
+const createReview = () => ({
+    accepted: new Set(),
+    rejected: new Set(),
+    edits: new Map()
+});
+
+const createHistory = (review = createReview()) => ({ past: [], present: review, future: [] });
+
+const getDecision = (review, index) => {
+    if (review.accepted.has(index)) return 'accepted';
+    if (review.rejected.has(index)) return 'rejected';
+    return null;
+};
+
+// Returns the review with `indices` set to `decision`, or the same review when nothing changes
+const decide = (review, indices, decision) => {
+    if (!indices.some(index => getDecision(review, index) !== decision)) return review;
+
+    const accepted = new Set(review.accepted);
+    const rejected = new Set(review.rejected);
+
+    indices.forEach(index => {
+        accepted.delete(index);
+        rejected.delete(index);
+        if (decision === 'accepted') accepted.add(index);
+        if (decision === 'rejected') rejected.add(index);
+    });
+
+    return { ...review, accepted, rejected };
+};
+
+// Returns the review with a replacement edited by hand; `null` restores the suggestion
+const editReplacement = (review, index, replacement) => {
+    const current = review.edits.has(index) ? review.edits.get(index) : null;
+    if (current === replacement) return review;
+
+    const edits = new Map(review.edits);
+    if (replacement === null) {
+        edits.delete(index);
+    } else {
+        edits.set(index, replacement);
+    }
+
+    return { ...review, edits };
+};
+
+/**
+ * Keeps the review decisions for an analysis — accepted and rejected change
+ * indices and hand-edited replacements — with an undo/redo history. Every
+ * action that changes the review is one undo step, so a bulk action is undone
+ * as a whole. `reset` clears the history, optionally starting from decisions
+ * carried over from an earlier analysis.
+ */
+export const useReviewHistory = () => {
+    const [history, setHistory] = useState(createHistory);
+
+    const commit = useCallback((update) => {
+        setHistory(prev => {
+            const next = update(prev.present);
+            if (next === prev.present) return prev;
+
+            return {
+                past: [...prev.past, prev.present].slice(-MAX_HISTORY),
+                present: next,
+                future: []
+            };
+        });
+    }, []);
+
+    const accept = useCallback((indices) => commit(review => decide(review, indices, 'accepted')), [commit]);
+
+    const reject = useCallback((indices) => commit(review => decide(review, indices, 'rejected')), [commit]);
+
+    const reopen = useCallback((indices) => commit(review => decide(review, indices, null)), [commit]);
+
+    const edit = useCallback((index, replacement) => {
+        commit(review => editReplacement(review, index, replacement));
+    }, [commit]);
+
+    const undo = useCallback(() => {
+        setHistory(prev => {
+            if (prev.past.length === 0) return prev;
+
+            return {
+                past: prev.past.slice(0, -1),
+                present: prev.past[prev.past.length - 1],
+                future: [prev.present, ...prev.future]
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(prev => {
+            if (prev.future.length === 0) return prev;
+
+            return {
+                past: [...prev.past, prev.present],
+                present: prev.future[0],
+                future: prev.future.slice(1)
+            };
+        });
+    }, []);
+
+    const reset = useCallback((review) => setHistory(createHistory(review)), []);
+
+    return {
+        review: history.present,
+        accept,
+        reject,
+        reopen,
+        edit,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+    };
+};
@@ -0,0 +1,130 @@
+import { analyzeDocument } from '../analyzeDocument';
+import { splitIntoChunks } from '../chunking';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+describe('splitIntoChunks', () => {
+    it('packs whole paragraphs into chunks that cover the text', () => {
+        const text = 'First paragraph.\n\nSecond paragraph.\n\nThird one here.';
+        const chunks = splitIntoChunks(text, { maxLength: 40 });
+
+        expect(chunks.map(chunk => chunk.text)).toEqual([
+            'First paragraph.\n\nSecond paragraph.\n\n',
+            'Third one here.'
+        ]);
+        expect(chunks.map(chunk => chunk.text).join('')).toBe(text);
+        expect(chunks[1]).toEqual(expect.objectContaining({ index: 1, start: 37, end: 52 }));
+    });
+
+    it('keeps a paragraph longer than the limit whole', () => {
+        const text = 'A very long paragraph indeed.\n\nShort.';
+
+        expect(splitIntoChunks(text, { maxLength: 10 }).map(chunk => chunk.text))
+            .toEqual(['A very long paragraph indeed.\n\n', 'Short.']);
+    });
+
+    it('returns one chunk for empty text', () => {
+        expect(splitIntoChunks('')).toEqual([{ index: 0, start: 0, end: 0, text: '' }]);
+    });
+});
+
+describe('analyzeDocument', () => {
+    const text = 'Alpha paragraph here.\n\nBeta paragraph here.\n\nGamma paragraph here.';
+    const echo = (prompt) => {
+        const passage = ['Alpha paragraph here.\n\n', 'Beta paragraph here.\n\n', 'Gamma paragraph here.']
+            .find(candidate => prompt.includes(candidate.trim()));
+        return JSON.stringify([passage]);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('analyzes chunks with limited concurrency and stitches them in order', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const generate = jest.fn(async (prompt) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return echo(prompt);
+        });
+        const onProgress = jest.fn();
+
+        const result = await analyzeDocument(text, { generate, maxChunkLength: 25, concurrency: 2, onProgress });
+
+        expect(generate).toHaveBeenCalledTimes(3);
+        expect(maxRunning).toBe(2);
+        expect(getOriginalText(result.segments)).toBe(text);
+        expect(result.source).toBe('model');
+        expect(result.chunks.map(chunk => chunk.status)).toEqual(['done', 'done', 'done']);
+        expect(onProgress.mock.calls[0][0].map(chunk => chunk.status)).toEqual(['queued', 'queued', 'queued']);
+    });
+
+    it('retries a failed chunk and falls back to local rules when it keeps failing', async () => {
+        const generate = jest.fn(async (prompt) => {
+            if (prompt.includes('Beta')) throw new Error('Bad gateway');
+            return echo(prompt);
+        });
+
+        const result = await analyzeDocument(text, { generate, maxChunkLength: 25 });
+
+        expect(generate.mock.calls.filter(([prompt]) => prompt.includes('Beta'))).toHaveLength(2);
+        expect(getOriginalText(result.segments)).toBe(text);
+        expect(result.source).toBe('model');
+        expect(result.chunks[1]).toEqual(expect.objectContaining({
+            status: 'failed', attempt: 2, source: 'rules', error: 'Bad gateway'
+        }));
+    });
+
+    it('throws when every chunk fails', async () => {
+        const generate = jest.fn().mockRejectedValue(new Error('Unauthorized'));
+
+        await expect(analyzeDocument(text, { generate, maxChunkLength: 25 })).rejects.toThrow('Unauthorized');
+    });
+
+    /**
+     * Tests cancelling.
+     * Verifies an abort is neither retried nor replaced by the local rules,
+     * and no further chunks start.
+     */
+    it('stops every chunk when cancelled', async () => {
+        const controller = new AbortController();
+        const generate = jest.fn((prompt, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                const error = new Error('Aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        }));
+
+        const analysis = analyzeDocument(text, { generate, maxChunkLength: 25, concurrency: 2, signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(generate).toHaveBeenCalledTimes(2);
+        controller.abort();
+
+        await expect(analysis).rejects.toMatchObject({ name: 'AbortError' });
+        expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('streams segments in document order', async () => {
+        const delays = { Alpha: 20, Beta: 0, Gamma: 10 };
+        const generate = async (prompt, { onText }) => {
+            const key = Object.keys(delays).find(name => prompt.includes(`${name} paragraph here.`));
+            await new Promise(resolve => setTimeout(resolve, delays[key]));
+            const response = echo(prompt);
+            onText(response, response);
+            return response;
+        };
+        const streamed = [];
+
+        await analyzeDocument(text, { generate, maxChunkLength: 25, onSegment: segment => streamed.push(segment) });
+
+        expect(streamed.join('')).toBe(text);
+    });
+});
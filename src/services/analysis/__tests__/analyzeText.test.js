@@ -0,0 +1,165 @@
+import { analyzeText } from '../analyzeText';
+import { AnthropicError } from '../../../utils/errors/AnthropicError';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+describe('analyzeText', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('merges local rule changes with the model response', async () => {
+        const generate = jest.fn().mockResolvedValue(JSON.stringify([
+            'We hired ',
+            { original: 'a lot of', replacement: 'many', reason: 'Concise' },
+            ' people in 3 weeks.'
+        ]));
+
+        const result = await analyzeText('We hired a lot of people in 3 weeks.', { generate });
+
+        expect(result.source).toBe('model');
+        expect(result.alignment).toEqual({ repaired: false, unresolved: [], discarded: [] });
+        expect(result.segments.filter(segment => typeof segment === 'object').map(change => change.replacement))
+            .toEqual(['many', 'three']);
+    });
+
+    /**
+     * Tests the optional change fields.
+     * Verifies well-formed values are kept, loose ones are normalized and
+     * unknown ones are dropped, while three-field changes still work.
+     */
+    it('keeps category, severity and confidence from the model', async () => {
+        const generate = jest.fn().mockResolvedValue(JSON.stringify([
+            'We hired ',
+            { original: 'a lot of', replacement: 'many', reason: 'Concise', category: 'concision', severity: 'Must fix', confidence: 85 },
+            ' people ',
+            { original: 'real quick', replacement: 'quickly', reason: 'Informal', category: 'slang', severity: 'urgent', confidence: 'high' },
+            ' and ',
+            { original: 'fired', replacement: 'dismissed', reason: 'Tone' },
+            ' some.'
+        ]));
+
+        const result = await analyzeText('We hired a lot of people real quick and fired some.', { generate });
+        const changes = result.segments.filter(segment => typeof segment === 'object');
+
+        expect(changes[0]).toEqual({ original: 'a lot of', replacement: 'many', reason: 'Concise', category: 'concision', severity: 'must-fix', confidence: 0.85 });
+        expect(changes[1]).toEqual({ original: 'real quick', replacement: 'quickly', reason: 'Informal' });
+        expect(changes[2]).toEqual({ original: 'fired', replacement: 'dismissed', reason: 'Tone' });
+    });
+
+    it('accepts segments from a tool call', async () => {
+        const generate = jest.fn().mockResolvedValue({
+            segments: [
+                'We hired ',
+                { original: 'a lot of', replacement: 'many', reason: 'Concise', category: 'concision' },
+                ' people.'
+            ]
+        });
+
+        const result = await analyzeText('We hired a lot of people.', { generate });
+
+        expect(result.source).toBe('model');
+        expect(result.segments).toEqual([
+            'We hired ',
+            { original: 'a lot of', replacement: 'many', reason: 'Concise', category: 'concision' },
+            ' people.'
+        ]);
+    });
+
+    it('falls back to local rules when the service is unavailable', async () => {
+        const error = new AnthropicError('Anthropic API service unavailable', 503);
+        const generate = jest.fn().mockRejectedValue(error);
+
+        const result = await analyzeText('Growth was 3%.', { generate });
+
+        expect(result.source).toBe('rules');
+        expect(result.fallbackError).toBe(error);
+        expect(result.segments[1]).toEqual(expect.objectContaining({ replacement: '3 per cent' }));
+    });
+
+    /**
+     * Tests alignment in the pipeline.
+     * Verifies a passage the model skipped is re-requested on its own and the
+     * changes from the retry are placed at the passage's position.
+     */
+    it('re-requests passages the model skipped', async () => {
+        const input = 'The first sentence is fine. The second sentence utilize jargon. The third is fine too.';
+        const generate = jest.fn()
+            .mockResolvedValueOnce(JSON.stringify(['The first sentence is fine. ', 'The third is fine too.']))
+            .mockResolvedValueOnce(JSON.stringify([
+                'The second sentence ',
+                { original: 'utilize', replacement: 'uses', reason: 'Plain English' },
+                ' jargon. '
+            ]));
+
+        const result = await analyzeText(input, { generate });
+
+        expect(generate).toHaveBeenCalledTimes(2);
+        expect(generate.mock.calls[1][0]).toContain('The second sentence utilize jargon.');
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(result.segments[1]).toEqual({ original: 'utilize', replacement: 'uses', reason: 'Plain English' });
+        expect(result.alignment.unresolved).toEqual([]);
+    });
+
+    it('reports passages that are still unresolved after a failed re-request', async () => {
+        const input = 'Kept sentence one here. Skipped sentence two here. Kept sentence three here.';
+        const generate = jest.fn()
+            .mockResolvedValueOnce(JSON.stringify(['Kept sentence one here. ', 'Kept sentence three here.']))
+            .mockRejectedValueOnce(new Error('Network down'));
+
+        const result = await analyzeText(input, { generate });
+
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(result.alignment.unresolved).toEqual([
+            expect.objectContaining({ text: 'Skipped sentence two here. ' })
+        ]);
+    });
+
+    /**
+     * Tests Markdown mode.
+     * Verifies the prompt holds placeholders instead of code and links, a
+     * change to a placeholder is undone and the results show the Markdown.
+     */
+    it('keeps code and links out of the prompt in Markdown mode', async () => {
+        const input = 'Run `npm test` before you utilize the [guide](https://example.com).';
+        const generate = jest.fn().mockResolvedValue(JSON.stringify([
+            'Run ',
+            { original: '⟦1⟧', replacement: '`npm run test`', reason: 'Command' },
+            ' before you ',
+            { original: 'utilize', replacement: 'use', reason: 'Plain English' },
+            ' the ⟦2⟧guide⟦3⟧.'
+        ]));
+
+        const result = await analyzeText(input, { generate, markdown: true });
+        const prompt = generate.mock.calls[0][0];
+
+        expect(prompt).toContain('Run ⟦1⟧ before you utilize the ⟦2⟧guide⟦3⟧.');
+        expect(prompt).not.toContain('npm test');
+        expect(prompt).not.toContain('https://example.com');
+        expect(result.segments).toEqual([
+            'Run `npm test` before you ',
+            { original: 'utilize', replacement: 'use', reason: 'Plain English' },
+            ' the [guide](https://example.com).'
+        ]);
+        expect(getOriginalText(result.segments)).toBe(input);
+    });
+
+    /**
+     * Tests the local rules in Markdown mode.
+     * Verifies they never change the figures in placeholders, so nothing is undone.
+     */
+    it('runs the local rules around placeholders in Markdown mode', async () => {
+        const input = 'See `a`, `b` and `c` for 4 examples.';
+        const generate = jest.fn().mockResolvedValue(JSON.stringify(['See ⟦1⟧, ⟦2⟧ and ⟦3⟧ for 4 examples.']));
+
+        const result = await analyzeText(input, { generate, markdown: true });
+
+        expect(result.segments.filter(segment => typeof segment === 'object').map(change => change.original)).toEqual(['4']);
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('protected Markdown'));
+    });
+});
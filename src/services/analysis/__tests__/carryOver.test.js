@@ -0,0 +1,73 @@
+import { applyAcceptedChanges, prepareCarryOver } from '../carryOver';
+import { analyzeDocument } from '../analyzeDocument';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+describe('review carry-over', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const big = { original: 'big', replacement: 'large', reason: 'Word choice' };
+    const utilize = { original: 'utilize', replacement: 'use', reason: 'Plain words' };
+    const very = { original: 'very ', replacement: '', reason: 'Filler' };
+
+    it('applies accepted changes and re-indexes the rest', () => {
+        const segments = ['A ', big, ' dog will ', utilize, ' a ', very, 'long stick.'];
+        const result = applyAcceptedChanges(segments, {
+            accepted: new Set([1]),
+            rejected: new Set([5]),
+            edits: new Map([[1, 'huge'], [3, 'employ']])
+        });
+
+        expect(result.segments).toEqual(['A huge dog will ', utilize, ' a ', very, 'long stick.']);
+        expect(result.review.rejected).toEqual(new Set([3]));
+        expect(result.review.edits).toEqual(new Map([[1, 'employ']]));
+    });
+
+    /**
+     * Tests carrying a review over into the next analysis.
+     * Verifies only the edited paragraph is sent to the model, and decisions
+     * on suggestions in untouched paragraphs come back at their new indices.
+     */
+    it('re-analyzes edited paragraphs and restores earlier decisions', async () => {
+        const segments = [
+            'A ', big, ' dog.\n\n',
+            'We ', utilize, ' sticks.\n\n',
+            'It is ', very, 'long.'
+        ];
+        const carryOver = prepareCarryOver(segments, {
+            accepted: new Set([1]),
+            rejected: new Set([7]),
+            edits: new Map([[4, 'employ']])
+        }, { styleGuideId: 'economist' });
+
+        expect(carryOver.text).toBe('A large dog.\n\nWe utilize sticks.\n\nIt is very long.');
+
+        const prompts = [];
+        const generate = jest.fn(async (prompt) => {
+            prompts.push(prompt);
+            return JSON.stringify(['A large cat.\n\n']);
+        });
+        const edited = carryOver.text.replace('dog', 'cat');
+        const result = await analyzeDocument(edited, { generate, styleGuideId: 'economist', cache: carryOver.cache });
+
+        expect(generate).toHaveBeenCalledTimes(1);
+        expect(prompts[0]).toContain('A large cat.');
+        expect(prompts[0]).not.toContain('utilize');
+        expect(getOriginalText(result.segments)).toBe(edited);
+
+        const review = carryOver.restoreReview(result.segments);
+        const utilizeIndex = result.segments.indexOf(utilize);
+        const veryIndex = result.segments.indexOf(very);
+
+        expect(utilizeIndex).toBeGreaterThan(-1);
+        expect(review.accepted.size).toBe(0);
+        expect(review.rejected).toEqual(new Set([veryIndex]));
+        expect(review.edits).toEqual(new Map([[utilizeIndex, 'employ']]));
+    });
+});
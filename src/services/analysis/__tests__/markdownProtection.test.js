@@ -0,0 +1,105 @@
+import {
+    clipRanges,
+    findProtectedRanges,
+    keepPlaceholders,
+    protectText,
+    restorePlaceholders,
+    toDraftOffset
+} from '../markdownProtection';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+const draft = [
+    '---',
+    'title: Notes',
+    '---',
+    '',
+    'Run `npm test` and read the [setup guide](https://example.com/setup) or https://example.com/faq.',
+    '',
+    '```',
+    'const utilize = true;',
+    '```',
+    '',
+    '![Chart](chart.png) Our team utilize it.[^1]'
+].join('\n');
+
+const protectedValues = (text) => findProtectedRanges(text).map(range => text.substring(range.start, range.end));
+
+describe('markdownProtection', () => {
+    it('protects front matter, code, link destinations, URLs and images but not link text', () => {
+        expect(protectedValues(draft)).toEqual([
+            '---\ntitle: Notes\n---',
+            '`npm test`',
+            '[',
+            '](https://example.com/setup)',
+            'https://example.com/faq',
+            '```\nconst utilize = true;\n```',
+            '![Chart](chart.png)',
+            '[^1]'
+        ]);
+    });
+
+    it('keeps indented list content and escaped characters as prose', () => {
+        expect(protectedValues('- Item\n\n    continued \\`text\\`')).toEqual([]);
+        expect(protectedValues('Text\n\n    indented code')).toEqual(['    indented code']);
+    });
+
+    it('replaces protected ranges with placeholders and restores them', () => {
+        const protection = protectText(draft, findProtectedRanges(draft));
+
+        expect(protection.text).toBe('⟦1⟧\n\nRun ⟦2⟧ and read the ⟦3⟧setup guide⟦4⟧ or ⟦5⟧.\n\n⟦6⟧\n\n⟦7⟧ Our team utilize it.⟦8⟧');
+        expect(restorePlaceholders([protection.text], protection)).toEqual([draft]);
+    });
+
+    it('maps offsets in the protected text back to the draft', () => {
+        const text = 'See `code` here.';
+        const protection = protectText(text, findProtectedRanges(text));
+
+        expect(toDraftOffset(protection, protection.text.indexOf('here'))).toBe(text.indexOf('here'));
+        expect(toDraftOffset(protection, protection.text.indexOf('1'))).toBe(text.indexOf('`'));
+    });
+
+    /**
+     * Tests checking a response for the protected text.
+     * Verifies changes that touch or add placeholders are undone while other
+     * changes are kept and restored around the original Markdown.
+     */
+    it('undoes changes that touch placeholders', () => {
+        const text = 'Our team utilize `npm` daily.';
+        const protection = protectText(text, findProtectedRanges(text));
+        const segments = [
+            'Our team ',
+            { original: 'utilize', replacement: 'use', reason: 'Plain English' },
+            ' ',
+            { original: '⟦1⟧ daily', replacement: 'npm every day', reason: 'Concise' },
+            { original: '.', replacement: ' ⟦2⟧.', reason: 'Invented' }
+        ];
+
+        const { segments: checked, rejected } = keepPlaceholders(segments, protection);
+        const restored = restorePlaceholders(checked, protection);
+
+        expect(rejected).toBe(2);
+        expect(restored).toEqual([
+            'Our team ',
+            { original: 'utilize', replacement: 'use', reason: 'Plain English' },
+            ' `npm` daily.'
+        ]);
+        expect(getOriginalText(restored)).toBe(text);
+    });
+
+    it('reports segments that do not match the protected text', () => {
+        const text = 'Use `npm`.';
+        const protection = protectText(text, findProtectedRanges(text));
+        const segments = ['Use ', { original: 'npm', replacement: '⟦2⟧', reason: 'Made up' }, '.'];
+
+        expect(keepPlaceholders(segments, protection)).toEqual({
+            segments: ['Use ', 'npm', '.'],
+            rejected: 1,
+            matchesText: false
+        });
+    });
+
+    it('clips ranges to part of the draft', () => {
+        expect(clipRanges([{ start: 2, end: 8, kind: 'code block' }, { start: 12, end: 14, kind: 'code' }], 5, 10))
+            .toEqual([{ start: 0, end: 3, kind: 'code block' }]);
+    });
+});
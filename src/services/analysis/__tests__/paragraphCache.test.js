@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCacheKey, createLayeredCache, createMemoryCache } from '../paragraphCache';
+import { analyzeDocument } from '../analyzeDocument';
+import { createFileCache } from '../../../../server/fileCache';
+import { splitSegmentsByRanges, getParagraphs, getOriginalText } from '../../../utils/segmentUtils';
+
+describe('paragraph cache', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keys paragraphs by text, style guide, house rules and model', () => {
+        const key = createCacheKey({ text: 'One.', styleGuideId: 'economist', model: 'a' });
+
+        expect(key).toMatch(/^[0-9a-f]{16}$/);
+        expect(createCacheKey({ text: 'One.', styleGuideId: 'economist', model: 'a' })).toBe(key);
+        expect(createCacheKey({ text: 'Two.', styleGuideId: 'economist', model: 'a' })).not.toBe(key);
+        expect(createCacheKey({ text: 'One.', styleGuideId: 'ap', model: 'a' })).not.toBe(key);
+        expect(createCacheKey({ text: 'One.', styleGuideId: 'economist', model: 'b' })).not.toBe(key);
+        expect(createCacheKey({
+            text: 'One.', styleGuideId: 'economist', model: 'a', houseRules: [{ id: 'r', type: 'ban', term: 'x' }]
+        })).not.toBe(key);
+    });
+
+    it('splits segments into paragraphs unless a change crosses a boundary', () => {
+        const segments = ['One ', { original: 'big', replacement: 'large', reason: 'x' }, '.\n\nTwo', { original: '.\n\nThree', replacement: '. Three', reason: 'y' }, '.'];
+        const ranges = getParagraphs(getOriginalText(segments));
+
+        expect(splitSegmentsByRanges(segments, ranges)).toEqual([
+            ['One ', segments[1], '.\n\n'],
+            null,
+            null
+        ]);
+    });
+
+    it('reads through layers and copies hits into faster layers', async () => {
+        const fast = createMemoryCache();
+        const slow = createMemoryCache();
+        await slow.setMany([{ key: 'aaaaaaaaaaaaaaaa', segments: ['One.'] }]);
+
+        const cache = createLayeredCache([fast, slow]);
+
+        expect(await cache.getMany(['aaaaaaaaaaaaaaaa', 'bbbbbbbbbbbbbbbb'])).toEqual([['One.'], null]);
+        expect(await fast.getMany(['aaaaaaaaaaaaaaaa'])).toEqual([['One.']]);
+    });
+
+    /**
+     * Tests the cache in the analysis pipeline.
+     * Verifies a second analysis after editing one paragraph only sends that
+     * paragraph, and the result still covers the whole draft.
+     */
+    it('only sends paragraphs that changed since the last analysis', async () => {
+        const cache = createMemoryCache();
+        const generate = jest.fn(async (prompt) => {
+            const passage = prompt.match(/<draft_document>\n([\s\S]*?)\n<\/draft_document>/);
+            return JSON.stringify([passage[1]]);
+        });
+        const first = 'First paragraph.\n\nSecond paragraph.\n\nThird paragraph.';
+        const second = 'First paragraph.\n\nSecond paragraph, edited.\n\nThird paragraph.';
+
+        await analyzeDocument(first, { generate, cache });
+        generate.mockClear();
+
+        const prompts = [];
+        generate.mockImplementation(async (prompt) => {
+            prompts.push(prompt);
+            return JSON.stringify(['Second paragraph, edited.\n\n']);
+        });
+
+        const result = await analyzeDocument(second, { generate, cache });
+
+        expect(generate).toHaveBeenCalledTimes(1);
+        expect(prompts[0]).toContain('Second paragraph, edited.');
+        expect(prompts[0]).not.toContain('Third paragraph.');
+        expect(getOriginalText(result.segments)).toBe(second);
+        expect(result.chunks.map(chunk => chunk.status)).toEqual(['cached', 'done', 'cached']);
+    });
+
+    it('saves entries to a file that a new cache reads back', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'paragraph-cache-'));
+        const filePath = path.join(directory, 'cache.json');
+
+        try {
+            await createFileCache({ filePath }).setMany([
+                { key: 'aaaaaaaaaaaaaaaa', segments: ['One.'] },
+                { key: 'bbbbbbbbbbbbbbbb', segments: ['Two.'] },
+                { key: 'not a key', segments: ['Three.'] }
+            ]);
+
+            const reloaded = createFileCache({ filePath, maxEntries: 1 });
+            expect(await reloaded.getMany(['aaaaaaaaaaaaaaaa', 'not a key'])).toEqual([['One.'], null]);
+
+            await reloaded.setMany([{ key: 'cccccccccccccccc', segments: ['Three.'] }]);
+            expect(await reloaded.getMany(['aaaaaaaaaaaaaaaa', 'cccccccccccccccc'])).toEqual([null, ['Three.']]);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
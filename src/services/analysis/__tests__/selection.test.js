@@ -0,0 +1,67 @@
+import { expandSelection, spliceSelection } from '../selection';
+import { analyzeDocument } from '../analyzeDocument';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+describe('selection analysis', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const big = { original: 'big', replacement: 'large', reason: 'Word choice' };
+    const utilize = { original: 'utilize', replacement: 'use', reason: 'Plain words' };
+    const comma = { original: '', replacement: ',', reason: 'Serial comma' };
+    const segments = ['A ', big, ' dog.\n\nWe ', utilize, ' sticks', comma, ' and stones.'];
+
+    it('trims the selection and widens it over changes it touches', () => {
+        expect(expandSelection(segments, { start: 0, end: 4 })).toEqual({ start: 0, end: 5, text: 'A big' });
+        expect(expandSelection(segments, { start: 16, end: 10 })).toEqual({ start: 12, end: 22, text: 'We utilize' });
+        expect(expandSelection(segments, { start: 10, end: 12 })).toBeNull();
+    });
+
+    it('splices new segments in and re-indexes decisions outside the range', () => {
+        const review = {
+            accepted: new Set([1, 3]),
+            rejected: new Set([5]),
+            edits: new Map([[1, 'huge']])
+        };
+        const range = expandSelection(segments, { start: 12, end: 29 });
+        const replacement = [{ original: 'We', replacement: 'They', reason: 'Voice' }, ' utilize sticks'];
+
+        expect(range.text).toBe('We utilize sticks');
+
+        const result = spliceSelection(segments, review, range, replacement);
+
+        expect(result.segments).toEqual(['A ', big, ' dog.\n\n', ...replacement, comma, ' and stones.']);
+        expect(getOriginalText(result.segments)).toBe(getOriginalText(segments));
+        expect(result.review.accepted).toEqual(new Set([1]));
+        expect(result.review.rejected).toEqual(new Set([5]));
+        expect(result.review.edits).toEqual(new Map([[1, 'huge']]));
+    });
+
+    /**
+     * Tests analyzing a selection of a plain draft.
+     * Verifies only the selected passage is sent and the result covers the
+     * whole draft.
+     */
+    it('analyzes only the selected passage', async () => {
+        const draft = 'First paragraph.\n\nSecond paragraph.';
+        const prompts = [];
+        const generate = jest.fn(async (prompt) => {
+            prompts.push(prompt);
+            return JSON.stringify([{ original: 'Second', replacement: '2nd', reason: 'Numbers' }, ' paragraph.']);
+        });
+        const range = expandSelection([draft], { start: 16, end: draft.length });
+        const analysis = await analyzeDocument(range.text, { generate });
+        const result = spliceSelection([draft], undefined, range, analysis.segments);
+
+        expect(prompts[0]).toContain('Second paragraph.');
+        expect(prompts[0]).not.toContain('First paragraph.');
+        expect(getOriginalText(result.segments)).toBe(draft);
+        expect(result.segments[0]).toBe('First paragraph.\n\n');
+        expect(result.segments[1]).toMatchObject({ original: 'Second', replacement: '2nd' });
+    });
+});
@@ -0,0 +1,321 @@
+/**
+ * Document Analysis
+ *
+ * Analyzes long drafts in chunks of whole paragraphs (see `chunking.js`):
+ * each chunk goes through `analyzeText` on its own, a few at a time, and the
+ * results are stitched back into one segment array. A chunk that fails is
+ * retried; one that still fails gets the local rules only, unless every
+ * chunk failed, in which case the first error is thrown. Cancelling (through
+ * the `signal` option) stops every chunk and throws the AbortError.
+ *
+ * Streamed segments are passed on in document order: a chunk's segments are
+ * held back until every chunk before it has finished.
+ *
+ * With a `cache` (see `paragraphCache.js`), paragraphs analyzed before are
+ * taken from it and only the runs of paragraphs between them are chunked and
+ * sent; the model's results are stored per paragraph afterwards.
+ *
+ * In Markdown mode the protected ranges are found in the whole draft, so a
+ * code block split between chunks stays protected in both.
+ */
+
+const { analyzeText, isAbortError } = require('./analyzeText');
+const { splitIntoChunks } = require('./chunking');
+const { createCacheKey } = require('./paragraphCache');
+const { clipRanges, findProtectedRanges } = require('./markdownProtection');
+const { getParagraphs, getOriginalText, splitSegmentsByRanges } = require('../../utils/segmentUtils');
+
+// Requests in flight at once
+const MAX_CONCURRENT_CHUNKS = 3;
+
+// Attempts per chunk, including the first
+const MAX_CHUNK_ATTEMPTS = 2;
+
+/**
+ * Runs `task(index)` for `count` items with at most `limit` running at once.
+ * No new task starts once `signal` has aborted.
+ */
+const runWithConcurrency = async (count, limit, task, signal) => {
+    let next = 0;
+    const worker = async () => {
+        while (next < count && !(signal && signal.aborted)) {
+            await task(next++);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, count) }, worker));
+};
+
+/**
+ * Passes streamed segments on in document order. Once any attempt fails
+ * streaming stops, since a retry would repeat segments already shown.
+ */
+const createOrderedStream = (count, onSegment) => {
+    const buffers = Array.from({ length: count }, () => []);
+    const finished = new Array(count).fill(false);
+    let cursor = 0;
+    let stopped = !onSegment;
+
+    const flush = () => {
+        while (!stopped && cursor < count) {
+            buffers[cursor].splice(0).forEach(segment => onSegment(segment));
+            if (!finished[cursor]) break;
+            cursor++;
+        }
+    };
+
+    return {
+        enabled: () => !stopped,
+        push: (index, segment) => {
+            if (stopped) return;
+            buffers[index].push(segment);
+            flush();
+        },
+        finish: (index) => {
+            finished[index] = true;
+            flush();
+        },
+        stop: () => {
+            stopped = true;
+        }
+    };
+};
+
+/**
+ * Looks up each paragraph in the cache. Entries that do not reconstruct
+ * their paragraph are ignored.
+ */
+const lookUpParagraphs = async (cache, paragraphs, keys) => {
+    if (!cache) return paragraphs.map(() => null);
+
+    try {
+        const cached = await cache.getMany(keys);
+        return paragraphs.map((paragraph, index) => (
+            Array.isArray(cached[index]) && getOriginalText(cached[index]) === paragraph.text ? cached[index] : null
+        ));
+    } catch (error) {
+        console.warn('Cache lookup failed:', error.message);
+        return paragraphs.map(() => null);
+    }
+};
+
+/**
+ * Divides the draft into parts: one per cached paragraph, and chunks of the
+ * runs of paragraphs in between.
+ */
+const planParts = (text, paragraphs, cached, maxLength) => {
+    const parts = [];
+    let runStart = null;
+
+    const closeRun = (end) => {
+        if (runStart === null) return;
+        splitIntoChunks(text.substring(runStart, end), { maxLength }).forEach(chunk => {
+            parts.push({ start: runStart + chunk.start, end: runStart + chunk.end, text: chunk.text, cached: null });
+        });
+        runStart = null;
+    };
+
+    paragraphs.forEach((paragraph, index) => {
+        if (cached[index]) {
+            closeRun(paragraph.start);
+            parts.push({ start: paragraph.start, end: paragraph.end, text: paragraph.text, cached: cached[index] });
+        } else if (runStart === null) {
+            runStart = paragraph.start;
+        }
+    });
+    closeRun(text.length);
+
+    return parts.map((part, index) => ({ ...part, index }));
+};
+
+/**
+ * Collects cache entries for the paragraphs of a part the model analyzed.
+ * Paragraphs with passages the model skipped, or that a change crosses, are
+ * not cached. The proxy uses it too, to cache the responses it relays.
+ *
+ * @param {Object} part - `{ start, end }` of the part in the draft
+ * @param {Object} result - The part's `analyzeText` result
+ * @param {Array<Object>} paragraphs - The draft's paragraphs, from `getParagraphs`
+ * @param {Array<string>} keys - The paragraphs' cache keys
+ * @returns {Array<Object>} `{ key, segments }` entries
+ */
+const getCacheEntries = (part, result, paragraphs, keys) => {
+    if (result.source !== 'model') return [];
+
+    const inPart = paragraphs
+        .map((paragraph, index) => ({ ...paragraph, key: keys[index] }))
+        .filter(paragraph => paragraph.start >= part.start && paragraph.end <= part.end);
+    const ranges = inPart.map(paragraph => ({ start: paragraph.start - part.start, end: paragraph.end - part.start }));
+    const unresolved = result.alignment ? result.alignment.unresolved : [];
+
+    return splitSegmentsByRanges(result.segments, ranges)
+        .map((segments, index) => ({ key: inPart[index].key, segments, range: ranges[index] }))
+        .filter(({ segments, range }) => segments &&
+            !unresolved.some(region => region.start < range.end && region.end > range.start))
+        .map(({ key, segments }) => ({ key, segments }));
+};
+
+/**
+ * Combines the per-chunk results into one, shifting offsets to the document.
+ */
+const stitchResults = (chunks, results) => {
+    const modelResults = results.filter(result => result.source === 'model');
+    const alignments = results
+        .map((result, index) => ({ alignment: result.alignment, offset: chunks[index].start }))
+        .filter(({ alignment }) => alignment);
+
+    return {
+        segments: results.flatMap(result => result.segments),
+        source: modelResults.length > 0 ? 'model' : 'rules',
+        fallbackError: modelResults.length > 0
+            ? null
+            : (results.find(result => result.fallbackError) || {}).fallbackError || null,
+        alignment: alignments.length === 0 ? null : {
+            repaired: alignments.some(({ alignment }) => alignment.repaired),
+            unresolved: alignments.flatMap(({ alignment, offset }) => alignment.unresolved.map(region => ({
+                ...region,
+                start: region.start + offset,
+                end: region.end + offset
+            }))),
+            discarded: alignments.flatMap(({ alignment }) => alignment.discarded)
+        }
+    };
+};
+
+/**
+ * Analyzes a draft of any length.
+ *
+ * @param {string} inputText - The draft to analyze
+ * @param {Object} options - The `analyzeText` options, plus:
+ * @param {Function} [options.onProgress] - Called with the chunk list whenever a chunk's
+ *   status changes; each chunk is `{ index, start, end, status, attempt, source, error }`,
+ *   where status is 'cached', 'queued', 'running', 'retrying', 'done' or 'failed'
+ * @param {Object} [options.cache] - A paragraph cache
+ * @param {string} [options.model] - The model name, part of the cache key
+ * @param {number} [options.maxChunkLength] - The target maximum chunk length
+ * @param {number} [options.concurrency] - Chunks analyzed at once
+ * @param {number} [options.maxAttempts] - Attempts per chunk
+ * @returns {Promise<Object>} The `analyzeText` result for the whole draft, plus `chunks`
+ */
+const analyzeDocument = async (inputText, {
+    onSegment,
+    onProgress,
+    cache,
+    model,
+    maxChunkLength,
+    concurrency = MAX_CONCURRENT_CHUNKS,
+    maxAttempts = MAX_CHUNK_ATTEMPTS,
+    ...options
+} = {}) => {
+    const useCache = Boolean(cache) && options.useModel !== false && Boolean(options.generate);
+    const paragraphs = getParagraphs(inputText);
+    const keys = useCache
+        ? paragraphs.map(({ text }) => createCacheKey({
+            text, styleGuideId: options.styleGuideId, houseRules: options.houseRules, model, markdown: options.markdown
+        }))
+        : [];
+    const cached = await lookUpParagraphs(useCache ? cache : null, paragraphs, keys);
+
+    const chunks = planParts(inputText, paragraphs, cached, maxChunkLength);
+    let progress = chunks.map(({ index, start, end, cached: segments }) => ({
+        index,
+        start,
+        end,
+        status: segments ? 'cached' : 'queued',
+        attempt: 0,
+        source: segments ? 'model' : null,
+        error: null
+    }));
+
+    const update = (index, changes) => {
+        progress = progress.map(chunk => (chunk.index === index ? { ...chunk, ...changes } : chunk));
+        if (onProgress) onProgress(progress);
+    };
+
+    const protectedRanges = options.markdown ? findProtectedRanges(inputText) : null;
+    const getChunkOptions = (chunk) => (protectedRanges
+        ? { ...options, protectedRanges: clipRanges(protectedRanges, chunk.start, chunk.end) }
+        : options);
+
+    const stream = createOrderedStream(chunks.length, onSegment);
+    const results = new Array(chunks.length);
+    const errors = [];
+
+    chunks.filter(chunk => chunk.cached).forEach(chunk => {
+        results[chunk.index] = {
+            segments: chunk.cached,
+            source: 'model',
+            fallbackError: null,
+            alignment: { repaired: false, unresolved: [], discarded: [] }
+        };
+        chunk.cached.forEach(segment => stream.push(chunk.index, segment));
+        stream.finish(chunk.index);
+    });
+
+    if (onProgress) onProgress(progress);
+
+    const pending = chunks.filter(chunk => !chunk.cached);
+    await runWithConcurrency(pending.length, concurrency, async (position) => {
+        const chunk = pending[position];
+        const { index } = chunk;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            update(index, { status: attempt === 1 ? 'running' : 'retrying', attempt });
+            try {
+                const result = await analyzeText(chunk.text, {
+                    ...getChunkOptions(chunk),
+                    ...(stream.enabled() ? { onSegment: (segment) => stream.push(index, segment) } : {})
+                });
+
+                results[index] = result;
+                stream.finish(index);
+                update(index, { status: 'done', source: result.source });
+                return;
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+
+                console.warn(`Analysis of part ${index + 1} failed (attempt ${attempt}):`, error.message);
+                lastError = error;
+                stream.stop();
+            }
+        }
+
+        errors.push(lastError);
+        results[index] = {
+            ...await analyzeText(chunk.text, { ...getChunkOptions(chunk), useModel: false }),
+            fallbackError: lastError
+        };
+        stream.finish(index);
+        update(index, { status: 'failed', source: 'rules', error: lastError.message });
+    }, options.signal);
+
+    // Chunks that finished before the abort are not worth returning on their own
+    if (options.signal && options.signal.aborted) {
+        const error = new Error('The analysis was cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    if (pending.length > 0 && errors.length === pending.length) throw errors[0];
+
+    if (useCache) {
+        const entries = pending.flatMap(chunk => getCacheEntries(chunk, results[chunk.index], paragraphs, keys));
+        if (entries.length > 0) {
+            try {
+                await cache.setMany(entries);
+            } catch (error) {
+                console.warn('Cache write failed:', error.message);
+            }
+        }
+    }
+
+    return { ...stitchResults(chunks, results), chunks: progress };
+};
+
+module.exports = {
+    analyzeDocument,
+    getCacheEntries,
+    MAX_CONCURRENT_CHUNKS,
+    MAX_CHUNK_ATTEMPTS
+};
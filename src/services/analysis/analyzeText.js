@@ -0,0 +1,257 @@
+/**
+ * Text Analysis Pipeline
+ *
+ * Runs one analysis of a draft: builds the prompt, sends it to the model,
+ * parses the response, checks that it reconstructs the draft (asking again
+ * about passages the model skipped) and adds the local rule engine's changes
+ * wherever the model did not already change the text. When the model is
+ * unavailable the local rules alone are returned, so mechanical fixes still
+ * work offline.
+ *
+ * The model call is injected as `generate(prompt, options)` so the same
+ * pipeline can run in the browser (via `anthropicService`) and in Node.
+ *
+ * In Markdown mode the code, links and front matter of the draft are
+ * replaced by placeholders the model must leave alone, and put back in the
+ * results (see `markdownProtection.js`).
+ */
+
+const { getStyleGuidePrompt } = require('../prompts/styleGuidePrompt');
+const { DEFAULT_STYLE_GUIDE_ID } = require('../prompts/styleGuides');
+const { linkChangesToHouseRules } = require('../prompts/houseRules');
+const { cleanAndParseResponse, parseToolInput } = require('../../utils/responseParser');
+const { createStreamingParser } = require('../../utils/streamingParser');
+const { applyLocalRules, mergeLocalRules } = require('../../utils/localRules');
+const { alignSegments } = require('../../utils/alignmentValidator');
+const { normalizeChangeFields } = require('../../utils/changeCategories');
+const { getSegmentSpans, mergeChanges } = require('../../utils/segmentUtils');
+const {
+    findProtectedRanges,
+    keepPlaceholders,
+    protectText,
+    restorePlaceholders,
+    toDraftOffset
+} = require('./markdownProtection');
+
+// Status codes that mean the model could not be reached, rather than that the request was wrong
+const UNAVAILABLE_CODES = [408, 429, 500, 502, 503, 504];
+
+// At most this many skipped passages are re-requested per analysis
+const MAX_REREQUESTED_REGIONS = 3;
+
+/**
+ * Checks whether an error comes from a cancelled request. Cancelling is
+ * never treated as a failure to fall back from or retry.
+ *
+ * @param {Error} error - The error thrown by `generate`
+ * @returns {boolean} True if the analysis was cancelled
+ */
+const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+/**
+ * Checks whether an error means the model service is unavailable, in which
+ * case the local rules are used on their own.
+ *
+ * @param {Error} error - The error thrown by `generate`
+ * @returns {boolean} True if the analysis should fall back to local rules
+ */
+const isServiceUnavailable = (error) => {
+    if (isAbortError(error)) return false;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return Boolean(error) && error.name === 'AnthropicError' && UNAVAILABLE_CODES.includes(error.code);
+};
+
+/**
+ * Parses a model response and aligns it with the text it was asked about.
+ * A response is either the raw text, which goes through the repair
+ * pipeline, or the input of a segment tool call.
+ *
+ * @param {string|Object} response - The raw model response, or the tool input `{ segments }`
+ * @param {string} text - The text the prompt contained
+ * @param {Array<Object>} houseRules - Normalized house rules
+ * @returns {Object} The `alignSegments` result
+ */
+const parseAndAlign = (response, text, houseRules) => {
+    let parsed;
+    try {
+        const segments = typeof response === 'string' ? cleanAndParseResponse(response) : parseToolInput(response);
+        parsed = linkChangesToHouseRules(normalizeChangeFields(segments), houseRules);
+    } catch (err) {
+        console.error('Parse error details:', {
+            error: err.message,
+            responseLength: typeof response === 'string' ? response.length : undefined,
+            position: err.message.match(/position (\d+)/)?.[1]
+        });
+        throw err; // Pass the error as is to be handled by the caller
+    }
+
+    return alignSegments(parsed, text);
+};
+
+/**
+ * Asks the model again about passages its first response skipped, and merges
+ * the changes from every retry that covers its passage exactly.
+ *
+ * @param {Object} alignment - The `alignSegments` result for the whole draft
+ * @param {Object} options - `{ generate, styleGuideId, houseRules, placeholders, signal }`
+ * @returns {Promise<Object>} The alignment with the re-requested passages merged in
+ */
+const reanalyzeUnresolved = async (alignment, { generate, styleGuideId, houseRules, placeholders, signal }) => {
+    let { segments } = alignment;
+    const unresolved = alignment.unresolved.slice(MAX_REREQUESTED_REGIONS);
+
+    for (const region of alignment.unresolved.slice(0, MAX_REREQUESTED_REGIONS)) {
+        try {
+            const prompt = getStyleGuidePrompt(region.text, styleGuideId, { houseRules, placeholders });
+            const retry = parseAndAlign(await generate(prompt, { styleGuideId, signal }), region.text, houseRules);
+
+            if (!retry.isAligned) {
+                unresolved.push(region);
+                continue;
+            }
+
+            const changes = getSegmentSpans(retry.segments)
+                .filter(span => span.isChange)
+                .map(span => ({
+                    ...retry.segments[span.index],
+                    start: region.start + span.start,
+                    end: region.start + span.end
+                }));
+            segments = mergeChanges(segments, changes);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            console.warn('Re-request for a skipped passage failed:', error.message);
+            unresolved.push(region);
+        }
+    }
+
+    unresolved.sort((a, b) => a.start - b.start);
+
+    return {
+        ...alignment,
+        segments,
+        unresolved,
+        isAligned: unresolved.length === 0 && alignment.discarded.length === 0
+    };
+};
+
+/**
+ * Checks and restores the placeholders of a Markdown analysis, so its
+ * segments and offsets are for the draft rather than the protected text.
+ */
+const restoreMarkdown = (result, protection) => {
+    const { segments, rejected } = keepPlaceholders(result.segments, protection);
+    if (rejected > 0) {
+        console.warn(`Undid ${rejected} change(s) that touched protected Markdown`);
+    }
+
+    return {
+        ...result,
+        segments: restorePlaceholders(segments, protection),
+        alignment: result.alignment && {
+            ...result.alignment,
+            unresolved: result.alignment.unresolved.map(region => ({
+                ...region,
+                start: toDraftOffset(protection, region.start),
+                end: toDraftOffset(protection, region.end),
+                text: restorePlaceholders([region.text], protection)[0]
+            }))
+        }
+    };
+};
+
+/**
+ * Analyzes a draft.
+ *
+ * @param {string} inputText - The draft to analyze
+ * @param {Object} options - Analysis options
+ * @param {Function} [options.generate] - `(prompt, { styleGuideId, onText, signal, cacheContext }) => Promise<string|Object>`,
+ *   resolving with the response text or the segment tool input; `cacheContext` is
+ *   `{ text, houseRules, markdown, protectedRanges }` for the first request of an analysis
+ * @param {string} [options.styleGuideId] - The selected style guide
+ * @param {Array<Object>} [options.houseRules] - Normalized house rules
+ * @param {Function} [options.onSegment] - Called with each segment as the response streams in
+ * @param {boolean} [options.useModel=true] - Set to false to run the local rules only
+ * @param {boolean} [options.rerequest=true] - Set to false to report skipped passages without asking again
+ * @param {boolean} [options.markdown=false] - Set to true to keep Markdown code, links and front matter out of the analysis
+ * @param {Array<Object>} [options.protectedRanges] - In Markdown mode, the ranges to protect, if already
+ *   found in a larger draft (see `findProtectedRanges`)
+ * @param {AbortSignal} [options.signal] - Cancels the analysis; passed on to `generate`
+ * @returns {Promise<Object>} `{ segments, source, fallbackError, alignment }`, where `source` is
+ *   'model' or 'rules', `fallbackError` is the error that caused a fallback and `alignment`
+ *   is `{ repaired, unresolved, discarded }` (see `alignSegments`), or null for rules only
+ */
+const analyzeText = async (inputText, {
+    generate,
+    styleGuideId = DEFAULT_STYLE_GUIDE_ID,
+    houseRules = [],
+    onSegment,
+    useModel = true,
+    rerequest = true,
+    markdown = false,
+    protectedRanges,
+    signal
+} = {}) => {
+    const ruleOptions = { styleGuideId, houseRules };
+    const ranges = markdown ? protectedRanges || findProtectedRanges(inputText) : null;
+    const protection = ranges ? protectText(inputText, ranges) : null;
+    const text = protection ? protection.text : inputText;
+    const finish = (result) => (protection ? restoreMarkdown(result, protection) : result);
+
+    if (!useModel || !generate) {
+        return finish({ segments: applyLocalRules(text, ruleOptions), source: 'rules', fallbackError: null, alignment: null });
+    }
+
+    const streamingParser = onSegment ? createStreamingParser({
+        onSegment: protection ? (segment) => onSegment(restorePlaceholders([segment], protection)[0]) : onSegment
+    }) : null;
+    const prompt = getStyleGuidePrompt(text, styleGuideId, { houseRules, placeholders: Boolean(protection) });
+
+    let response;
+    try {
+        response = await generate(prompt, {
+            styleGuideId,
+            // What the prompt was built from, so the proxy can cache the results of the response it relays
+            cacheContext: { text: inputText, houseRules, ...(protection ? { markdown: true, protectedRanges: ranges } : {}) },
+            ...(signal ? { signal } : {}),
+            ...(streamingParser ? { onText: (delta) => streamingParser.push(delta) } : {})
+        });
+    } catch (error) {
+        if (!isServiceUnavailable(error)) throw error;
+
+        console.warn('Model unavailable, using local rules only:', error.message);
+        return finish({ segments: applyLocalRules(text, ruleOptions), source: 'rules', fallbackError: error, alignment: null });
+    }
+
+    let alignment = parseAndAlign(response, text, houseRules);
+
+    // Only a response that could be anchored onto the draft has passages worth asking about again
+    if (rerequest && alignment.repaired && alignment.unresolved.length > 0) {
+        alignment = await reanalyzeUnresolved(alignment, {
+            generate,
+            styleGuideId,
+            houseRules,
+            placeholders: Boolean(protection),
+            signal
+        });
+    }
+
+    const { repaired, unresolved, discarded } = alignment;
+    if (!alignment.isAligned) {
+        console.warn('Response does not match the submitted text:', { repaired, unresolved, discarded });
+    }
+
+    return finish({
+        segments: mergeLocalRules(alignment.segments, ruleOptions),
+        source: 'model',
+        fallbackError: null,
+        alignment: { repaired, unresolved, discarded }
+    });
+};
+
+module.exports = {
+    analyzeText,
+    isAbortError,
+    isServiceUnavailable
+};
@@ -0,0 +1,105 @@
+/**
+ * Review Carry-Over
+ *
+ * Supports editing the reviewed text and analyzing it again. The accepted
+ * changes are applied to make the new draft; pending and rejected changes
+ * keep their original text, so they stay in the draft as changes. Each
+ * unchanged paragraph of the draft is then served from a cache holding its
+ * previous segments, so only the paragraphs the user edited are sent to the
+ * model, and the decisions on carried-over changes are restored afterwards.
+ */
+
+const { createCacheKey, createMemoryCache } = require('./paragraphCache');
+const { isChange, getOriginalText, getParagraphs, splitSegmentsByRanges } = require('../../utils/segmentUtils');
+
+/**
+ * Applies the accepted changes to reviewed segments.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {Object} `{ segments, review }`: segments whose original text is
+ *   the reviewed text, and the decisions on the remaining changes re-indexed
+ */
+const applyAcceptedChanges = (segments, { accepted = new Set(), rejected = new Set(), edits = new Map() } = {}) => {
+    const result = [];
+    const review = { accepted: new Set(), rejected: new Set(), edits: new Map() };
+    let text = '';
+
+    const flush = () => {
+        if (text) result.push(text);
+        text = '';
+    };
+
+    segments.forEach((segment, index) => {
+        if (typeof segment === 'string') {
+            text += segment;
+        } else if (!isChange(segment)) {
+            return;
+        } else if (accepted.has(index)) {
+            text += edits.has(index) ? edits.get(index) : segment.replacement;
+        } else {
+            flush();
+            if (rejected.has(index)) review.rejected.add(result.length);
+            if (edits.has(index)) review.edits.set(result.length, edits.get(index));
+            result.push(segment);
+        }
+    });
+    flush();
+
+    return { segments: result, review };
+};
+
+/**
+ * Prepares a reviewed analysis for editing and re-analysis.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @param {Object} keyOptions - `{ styleGuideId, houseRules, model, markdown }` for the cache keys
+ * @returns {Object} `{ text, cache, restoreReview }`: the new draft, a cache of its
+ *   paragraphs' current segments, and a function that maps the decisions onto
+ *   the segments of the next analysis
+ */
+const prepareCarryOver = (segments, review, keyOptions = {}) => {
+    const draft = applyAcceptedChanges(segments, review);
+    const text = getOriginalText(draft.segments);
+    const paragraphs = getParagraphs(text);
+    const cache = createMemoryCache();
+
+    // The cache hands back these same change objects, which is how their decisions are found again
+    const decisions = new Map();
+    draft.segments.forEach((segment, index) => {
+        if (!isChange(segment)) return;
+        decisions.set(segment, {
+            rejected: draft.review.rejected.has(index),
+            edit: draft.review.edits.has(index) ? draft.review.edits.get(index) : null
+        });
+    });
+
+    const entries = splitSegmentsByRanges(draft.segments, paragraphs)
+        .map((paragraphSegments, index) => paragraphSegments && {
+            key: createCacheKey({ ...keyOptions, text: paragraphs[index].text }),
+            segments: paragraphSegments
+        })
+        .filter(Boolean);
+    cache.setMany(entries);
+
+    const restoreReview = (nextSegments) => {
+        const restored = { accepted: new Set(), rejected: new Set(), edits: new Map() };
+
+        nextSegments.forEach((segment, index) => {
+            const decision = decisions.get(segment);
+            if (!decision) return;
+            if (decision.rejected) restored.rejected.add(index);
+            if (decision.edit !== null) restored.edits.set(index, decision.edit);
+        });
+
+        return restored;
+    };
+
+    return { text, cache, restoreReview };
+};
+
+module.exports = {
+    applyAcceptedChanges,
+    prepareCarryOver
+};
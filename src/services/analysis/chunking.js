@@ -0,0 +1,49 @@
+/**
+ * Document Chunking
+ *
+ * Splits long drafts into chunks of whole paragraphs, small enough that the
+ * model's response for each fits in one request's output limit and time
+ * budget. Chunks are contiguous and cover the whole draft, so concatenating
+ * their texts gives the draft back.
+ */
+
+const { getParagraphs } = require('../../utils/segmentUtils');
+
+// The response repeats the text plus change objects, so a chunk must stay
+// well below what 4096 output tokens can hold
+const MAX_CHUNK_LENGTH = 4000;
+
+/**
+ * Splits a draft into chunks at paragraph boundaries. Paragraphs are packed
+ * into a chunk until the next one would take it over `maxLength`; a single
+ * paragraph longer than that becomes a chunk of its own.
+ *
+ * @param {string} text - The draft
+ * @param {Object} options - Options
+ * @param {number} [options.maxLength] - The target maximum chunk length
+ * @returns {Array<Object>} `{ index, start, end, text }` for each chunk
+ */
+const splitIntoChunks = (text, { maxLength = MAX_CHUNK_LENGTH } = {}) => {
+    const chunks = [];
+    let start = 0;
+    let end = 0;
+
+    const close = () => {
+        chunks.push({ index: chunks.length, start, end, text: text.substring(start, end) });
+        start = end;
+    };
+
+    getParagraphs(text).forEach(paragraph => {
+        if (end > start && paragraph.end - start > maxLength) close();
+        end = paragraph.end;
+    });
+
+    if (end > start || chunks.length === 0) close();
+
+    return chunks;
+};
+
+module.exports = {
+    MAX_CHUNK_LENGTH,
+    splitIntoChunks
+};
@@ -0,0 +1,269 @@
+/**
+ * Markdown Protection
+ *
+ * In Markdown mode, the parts of a draft that aren't prose (front matter,
+ * code blocks and spans, link destinations, URLs, inline HTML) are replaced
+ * by numbered placeholders such as `⟦3⟧` before the draft goes into the
+ * prompt, so the model only sees prose. The placeholders must come back
+ * exactly where they were: any change that touches or invents one is turned
+ * back into the original text, and then each placeholder is replaced by the
+ * Markdown it stands for, so the results and exports show the draft as
+ * written.
+ */
+
+const { getSegmentSpans, getOriginalText } = require('../../utils/segmentUtils');
+const { PLACEHOLDER_CHARACTERS, PLACEHOLDER_PATTERN, formatPlaceholder } = require('../../utils/placeholders');
+
+const FRONT_MATTER = /^---[ \t]*\r?\n[\s\S]*?\r?\n(?:---|\.\.\.)[ \t]*(?=\r?\n|$)/;
+const FENCE = /^[ ]{0,3}(`{3,}|~{3,})/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d{1,9}[.)])(?:[ \t]|$)/;
+const LINK_DEFINITION = /^[ ]{0,3}\[[^\]]+\]:[ \t]*\S/;
+
+const IMAGE = /^!\[(?:\\.|[^\\\]])*\](?:\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)|\[[^\]]*\])/;
+const LINK = /^\[((?:\\.|[^\\\]])+)\](\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)|\[[^\]]*\])/;
+const FOOTNOTE_REFERENCE = /^\[\^[^\]\s]+\]/;
+const AUTOLINK_OR_HTML = /^<(?:[a-zA-Z][\w+.-]*:[^\s<>]*|[^\s<>@]+@[^\s<>]+|\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?|!--[\s\S]*?--)>/;
+const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?'")\]]/;
+
+// Finds front matter, code blocks and link definitions, line by line
+const findBlockRanges = (text) => {
+    const ranges = [];
+    const frontMatter = FRONT_MATTER.exec(text);
+    let offset = frontMatter ? frontMatter[0].length : 0;
+    if (frontMatter) ranges.push({ start: 0, end: offset, kind: 'front matter' });
+
+    const lines = text.substring(offset).split('\n').map(line => {
+        const start = offset;
+        offset += line.length + 1;
+        return { text: line, start, end: start + line.length };
+    });
+
+    let previous = '';
+    let inList = false;
+    for (let i = 0; i < lines.length; i += 1) {
+        const line = lines[i];
+        const fence = FENCE.exec(line.text);
+
+        if (fence) {
+            const closing = new RegExp(`^[ ]{0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*\\r?$`);
+            let last = i + 1;
+            while (last < lines.length && !closing.test(lines[last].text)) last += 1;
+            last = Math.min(last, lines.length - 1);
+            ranges.push({ start: line.start, end: lines[last].end, kind: 'code block' });
+            i = last;
+        } else if (INDENTED_CODE.test(line.text) && !previous.trim() && !inList && line.text.trim()) {
+            let last = i;
+            while (last + 1 < lines.length && (INDENTED_CODE.test(lines[last + 1].text) || !lines[last + 1].text.trim())) {
+                last += 1;
+            }
+            while (last > i && !lines[last].text.trim()) last -= 1;
+            ranges.push({ start: line.start, end: lines[last].end, kind: 'code block' });
+            i = last;
+        } else if (LINK_DEFINITION.test(line.text)) {
+            ranges.push({ start: line.start, end: line.end, kind: 'link definition' });
+        } else if (line.text.trim()) {
+            inList = LIST_ITEM.test(line.text) || (inList && /^\s/.test(line.text));
+        }
+        previous = lines[i].text;
+    }
+
+    return ranges;
+};
+
+/**
+ * Finds the parts of a Markdown draft that must not be edited.
+ *
+ * @param {string} text - The draft
+ * @returns {Array<Object>} `{ start, end, kind }` ranges in order, not overlapping
+ */
+const findProtectedRanges = (text) => {
+    const blocks = findBlockRanges(text);
+    const ranges = [];
+    const add = (start, end, kind) => ranges.push({ start, end, kind });
+
+    let block = 0;
+    let i = 0;
+    while (i < text.length) {
+        if (block < blocks.length && i >= blocks[block].start) {
+            ranges.push(blocks[block]);
+            i = blocks[block].end;
+            block += 1;
+            continue;
+        }
+
+        // Inline markup never reaches past the paragraph or into the next block
+        const paragraphEnd = text.indexOf('\n\n', i);
+        const limit = Math.min(
+            paragraphEnd === -1 ? text.length : paragraphEnd,
+            block < blocks.length ? blocks[block].start : text.length
+        );
+        const rest = text.substring(i, limit);
+        const previous = text[i - 1] || '';
+        let match;
+
+        if (rest[0] === '`') {
+            const ticks = /^`+/.exec(rest)[0];
+            const close = rest.indexOf(ticks, ticks.length);
+            if (close !== -1 && rest[close + ticks.length] !== '`') {
+                add(i, i + close + ticks.length, 'code');
+                i += close + ticks.length;
+            } else {
+                i += ticks.length;
+            }
+        } else if (rest[0] === '\\') {
+            i += 2;
+        } else if ((match = IMAGE.exec(rest))) {
+            add(i, i + match[0].length, 'image');
+            i += match[0].length;
+        } else if ((match = FOOTNOTE_REFERENCE.exec(rest))) {
+            add(i, i + match[0].length, 'footnote');
+            i += match[0].length;
+        } else if ((match = LINK.exec(rest))) {
+            // The link text is prose; its brackets and destination are not
+            const labelStart = i + 1;
+            const labelEnd = labelStart + match[1].length;
+            add(i, labelStart, 'link');
+            ranges.push(...findProtectedRanges(match[1])
+                .map(range => ({ ...range, start: range.start + labelStart, end: range.end + labelStart })));
+            add(labelEnd, i + match[0].length, 'link');
+            i += match[0].length;
+        } else if ((match = AUTOLINK_OR_HTML.exec(rest))) {
+            add(i, i + match[0].length, 'html');
+            i += match[0].length;
+        } else if ((match = BARE_URL.exec(rest)) && !/[\p{L}\p{N}]/u.test(previous)) {
+            add(i, i + match[0].length, 'url');
+            i += match[0].length;
+        } else if (PLACEHOLDER_CHARACTERS.test(rest[0])) {
+            // Kept out of the prose so they can't be mistaken for placeholders
+            add(i, i + 1, 'placeholder character');
+            i += 1;
+        } else {
+            i += 1;
+        }
+    }
+
+    return ranges;
+};
+
+/**
+ * Replaces protected ranges with placeholders.
+ *
+ * @param {string} text - The draft
+ * @param {Array<Object>} ranges - Ranges from `findProtectedRanges`
+ * @returns {Object} `{ text, placeholders }`: the text to analyze, and
+ *   `{ token, value, start, end }` for each placeholder, where start and end
+ *   are its offsets in that text
+ */
+const protectText = (text, ranges) => {
+    const placeholders = [];
+    let protectedText = '';
+    let offset = 0;
+
+    ranges.forEach(range => {
+        protectedText += text.substring(offset, range.start);
+        const token = formatPlaceholder(placeholders.length + 1);
+        placeholders.push({
+            token,
+            value: text.substring(range.start, range.end),
+            start: protectedText.length,
+            end: protectedText.length + token.length
+        });
+        protectedText += token;
+        offset = range.end;
+    });
+
+    return { text: protectedText + text.substring(offset), placeholders };
+};
+
+/**
+ * Maps an offset in protected text back to the draft. Offsets inside a
+ * placeholder map to the start of the Markdown it stands for.
+ *
+ * @param {Object} protection - The `protectText` result
+ * @param {number} offset - An offset in the protected text
+ * @returns {number} The offset in the draft
+ */
+const toDraftOffset = ({ placeholders }, offset) => placeholders.reduce((mapped, placeholder) => {
+    if (offset >= placeholder.end) return mapped + placeholder.value.length - placeholder.token.length;
+    if (offset > placeholder.start) return mapped - (offset - placeholder.start);
+    return mapped;
+}, offset);
+
+/**
+ * Checks that segments keep every placeholder untouched. Changes that
+ * overlap a placeholder, or add placeholder characters, are turned back into
+ * their original text. Segments that don't reconstruct the protected text
+ * are about some other text: only the changes adding placeholder characters
+ * are undone, and the mismatch is reported rather than repaired.
+ *
+ * @param {Array} segments - Segments for the protected text
+ * @param {Object} protection - The `protectText` result
+ * @returns {Object} `{ segments, rejected, matchesText }`, where rejected counts the
+ *   changes undone and matchesText is false if the segments are about some other text
+ */
+const keepPlaceholders = (segments, protection) => {
+    const matchesText = getOriginalText(segments) === protection.text;
+    const spans = matchesText ? getSegmentSpans(segments) : null;
+
+    let rejected = 0;
+    const checked = segments.map((segment, index) => {
+        if (typeof segment === 'string') return segment;
+
+        const overlapsPlaceholder = spans !== null && protection.placeholders
+            .some(placeholder => spans[index].start < placeholder.end && spans[index].end > placeholder.start);
+        if (!overlapsPlaceholder && !PLACEHOLDER_CHARACTERS.test(segment.replacement || '')) return segment;
+
+        rejected += 1;
+        return segment.original;
+    });
+
+    return { segments: checked, rejected, matchesText };
+};
+
+/**
+ * Puts the Markdown back in place of the placeholders.
+ *
+ * @param {Array} segments - Segments for the protected text
+ * @param {Object} protection - The `protectText` result
+ * @returns {Array} Segments for the draft, with neighbouring strings joined
+ */
+const restorePlaceholders = (segments, { placeholders }) => {
+    const restore = (text) => text.replace(PLACEHOLDER_PATTERN, (token, number) => {
+        const placeholder = placeholders[Number(number) - 1];
+        return placeholder ? placeholder.value : token;
+    });
+
+    // Strings are joined first, as an undone change can split a placeholder between them
+    return segments
+        .reduce((joined, segment) => {
+            if (typeof segment === 'string' && typeof joined[joined.length - 1] === 'string') {
+                joined[joined.length - 1] += segment;
+            } else {
+                joined.push(segment);
+            }
+            return joined;
+        }, [])
+        .map(segment => (typeof segment === 'string' ? restore(segment) : { ...segment, original: restore(segment.original) }));
+};
+
+/**
+ * Cuts ranges found in a whole draft down to one part of it.
+ *
+ * @param {Array<Object>} ranges - Ranges in the draft
+ * @param {number} start - The part's start in the draft
+ * @param {number} end - The part's end in the draft
+ * @returns {Array<Object>} The ranges inside the part, relative to its start
+ */
+const clipRanges = (ranges, start, end) => ranges
+    .filter(range => range.start < end && range.end > start)
+    .map(range => ({ ...range, start: Math.max(range.start, start) - start, end: Math.min(range.end, end) - start }));
+
+module.exports = {
+    clipRanges,
+    findProtectedRanges,
+    keepPlaceholders,
+    protectText,
+    restorePlaceholders,
+    toDraftOffset
+};
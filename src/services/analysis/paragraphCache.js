@@ -0,0 +1,119 @@
+/**
+ * Paragraph Cache
+ *
+ * Analysis results are cached per paragraph, keyed by a hash of the
+ * paragraph text and everything else that shapes the response: the prompt
+ * version, model, style guide and house rules. Re-analyzing a draft after a
+ * small edit then only sends the paragraphs that changed.
+ *
+ * A cache is any object with `getMany(keys)`, resolving to the cached segment
+ * array (or null) for each key, and `setMany(entries)`, taking
+ * `{ key, segments }` entries. The browser layers IndexedDB in front of the
+ * proxy's file cache with `createLayeredCache`. Only the proxy writes to its
+ * cache, from the model responses it relays, so one client can't put
+ * suggestions in front of another.
+ */
+
+const { hashText } = require('../../utils/contentHash');
+const { PROMPT_VERSION } = require('../prompts/styleGuidePrompt');
+const { DEFAULT_STYLE_GUIDE_ID } = require('../prompts/styleGuides');
+
+/**
+ * Builds the cache key for a paragraph.
+ *
+ * @param {Object} options - What the analysis depends on
+ * @param {string} options.text - The paragraph text
+ * @param {string} [options.styleGuideId] - The selected style guide
+ * @param {Array<Object>} [options.houseRules] - Normalized house rules
+ * @param {string} [options.model] - The model name
+ * @param {boolean} [options.markdown] - Whether the paragraph was analyzed in Markdown mode
+ * @returns {string} A 16 character hex key
+ */
+const createCacheKey = ({ text, styleGuideId = DEFAULT_STYLE_GUIDE_ID, houseRules = [], model = '', markdown = false }) =>
+    // Markdown mode is added only when on, so keys made before it existed still match
+    hashText(JSON.stringify([PROMPT_VERSION, model, styleGuideId, houseRules, text, ...(markdown ? ['markdown'] : [])]));
+
+/**
+ * Names the model in cache keys. Results from different providers are
+ * cached apart, and the proxy names them the same way when it caches the
+ * responses it relays.
+ *
+ * @param {string} [provider] - The proxy's provider, if one was chosen
+ * @param {string} [model] - The model name
+ * @returns {string} E.g. 'openai/gpt-4o', or just the model name
+ */
+const createModelKey = (provider, model) => [provider, model].filter(Boolean).join('/');
+
+const isCacheKey = (key) => typeof key === 'string' && /^[0-9a-f]{16}$/.test(key);
+
+/**
+ * Creates a cache kept in memory, for Node and tests.
+ *
+ * @returns {Object} A cache
+ */
+const createMemoryCache = () => {
+    const entries = new Map();
+
+    return {
+        getMany: async (keys) => keys.map(key => entries.get(key) || null),
+        setMany: async (items) => {
+            items.forEach(({ key, segments }) => entries.set(key, segments));
+        }
+    };
+};
+
+/**
+ * Creates a cache that reads through `layers` in order, fastest first.
+ * Hits from a slower layer are copied into the layers in front of it, and
+ * writes go to every layer. A layer that fails is skipped with a warning.
+ *
+ * @param {Array<Object>} layers - Caches
+ * @returns {Object} A cache
+ */
+const createLayeredCache = (layers) => ({
+    getMany: async (keys) => {
+        const found = keys.map(() => null);
+        let missing = keys.map((key, index) => index);
+
+        for (const [layerIndex, layer] of layers.entries()) {
+            if (missing.length === 0) break;
+
+            let values;
+            try {
+                values = await layer.getMany(missing.map(index => keys[index]));
+            } catch (error) {
+                console.warn('Cache lookup failed:', error.message);
+                continue;
+            }
+
+            const hits = [];
+            missing = missing.filter((keyIndex, position) => {
+                const segments = values[position];
+                if (!Array.isArray(segments)) return true;
+
+                found[keyIndex] = segments;
+                hits.push({ key: keys[keyIndex], segments });
+                return false;
+            });
+
+            if (hits.length === 0) continue;
+            layers.slice(0, layerIndex).forEach(faster => {
+                faster.setMany(hits).catch(error => console.warn('Cache write failed:', error.message));
+            });
+        }
+
+        return found;
+    },
+    setMany: async (items) => {
+        await Promise.all(layers.map(layer => layer.setMany(items)
+            .catch(error => console.warn('Cache write failed:', error.message))));
+    }
+});
+
+module.exports = {
+    createCacheKey,
+    createModelKey,
+    isCacheKey,
+    createMemoryCache,
+    createLayeredCache
+};
@@ -0,0 +1,102 @@
+/**
+ * Selection Analysis
+ *
+ * Supports analyzing only a passage of the draft or of the results. The
+ * selected range of the original text is widened so it never cuts through
+ * a change, analyzed on its own, and the new segments are spliced into the
+ * existing ones in place of the segments the range covered. Decisions on
+ * changes outside the range are kept.
+ */
+
+const { getOriginalText, getSegmentSpans } = require('../../utils/segmentUtils');
+
+/**
+ * Widens a selection so it covers every change it touches, after trimming
+ * surrounding whitespace.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} selection - `{ start, end }` offsets in the original text
+ * @returns {Object|null} `{ start, end, text }`, or null for a blank selection
+ */
+const expandSelection = (segments, selection) => {
+    const text = getOriginalText(segments);
+    let start = Math.max(0, Math.min(selection.start, selection.end));
+    let end = Math.min(text.length, Math.max(selection.start, selection.end));
+
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (start === end) return null;
+
+    getSegmentSpans(segments).forEach(span => {
+        if (span.isChange && span.start < end && span.end > start) {
+            start = Math.min(start, span.start);
+            end = Math.max(end, span.end);
+        }
+    });
+
+    return { start, end, text: text.substring(start, end) };
+};
+
+// Insertions at the edges of the range stay outside it
+const isInRange = (span, { start, end }) => (span.start === span.end
+    ? span.start > start && span.start < end
+    : span.start >= start && span.end <= end);
+
+/**
+ * Replaces the segments covering a range with the analysis of that range.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }` for `segments`
+ * @param {Object} range - `{ start, end }` from `expandSelection`
+ * @param {Array} rangeSegments - Segments whose original text is the range's text
+ * @returns {Object} `{ segments, review }` with decisions outside the range re-indexed
+ */
+const spliceSelection = (segments, { accepted = new Set(), rejected = new Set(), edits = new Map() } = {}, range, rangeSegments) => {
+    const before = [];
+    const after = [];
+    // Old index of each kept change, by side and position
+    const keptBefore = new Map();
+    const keptAfter = new Map();
+
+    getSegmentSpans(segments).forEach(span => {
+        const segment = segments[span.index];
+
+        if (span.isChange) {
+            if (isInRange(span, range)) return;
+            if (span.start <= range.start) {
+                keptBefore.set(before.length, span.index);
+                before.push(segment);
+            } else {
+                keptAfter.set(after.length, span.index);
+                after.push(segment);
+            }
+        } else if (typeof segment === 'string') {
+            const head = segment.substring(0, Math.max(0, range.start - span.start));
+            const tail = segment.substring(Math.max(0, range.end - span.start));
+            if (head) before.push(head);
+            if (tail) after.push(tail);
+        }
+    });
+
+    const offset = before.length + rangeSegments.length;
+    const newIndices = [
+        ...[...keptBefore].map(([position, oldIndex]) => [oldIndex, position]),
+        ...[...keptAfter].map(([position, oldIndex]) => [oldIndex, offset + position])
+    ];
+
+    const mapped = { accepted: new Set(), rejected: new Set(), edits: new Map() };
+    newIndices.forEach(([oldIndex, index]) => {
+        if (accepted.has(oldIndex)) mapped.accepted.add(index);
+        if (rejected.has(oldIndex)) mapped.rejected.add(index);
+        if (edits.has(oldIndex)) mapped.edits.set(index, edits.get(oldIndex));
+    });
+
+    const result = [...before, ...rangeSegments, ...after];
+
+    return { segments: result, review: mapped };
+};
+
+module.exports = {
+    expandSelection,
+    spliceSelection
+};
@@ -1,17 +1,52 @@
 import { ANTHROPIC_CONFIG } from './config';
-import { handleApiError, withRetry } from '../../utils/errors/errorHandler';
+import { handleApiError, isAbortError, withRetry } from '../../utils/errors/errorHandler';
+import { AnthropicError } from '../../utils/errors/AnthropicError';
+import { createEventStreamParser } from '../../utils/eventStream';
+import { getSegmentToolInput } from '../prompts/segmentTool';
 
 class AnthropicService {
     constructor() {
         this.apiKey = ANTHROPIC_CONFIG.API_KEY;
         this.model = ANTHROPIC_CONFIG.MODEL;
+        this.useTools = ANTHROPIC_CONFIG.USE_TOOLS;
+        this.provider = ANTHROPIC_CONFIG.PROVIDER;
         // Use relative URL in production, localhost in development
         this.apiUrl = process.env.NODE_ENV === 'production' 
             ? '/api/anthropic'
             : 'http://localhost:3001/api/anthropic';
     }
 
-    async generateStyleGuide(prompt) {
+    buildRequestBody(prompt, styleGuideId, cacheContext) {
+        return {
+            model: this.model,
+            ...(this.provider ? { provider: this.provider } : {}),
+            ...(styleGuideId ? { styleGuide: styleGuideId } : {}),
+            ...(cacheContext ? { cacheContext } : {}),
+            ...(this.useTools ? { useTools: true } : {}),
+            max_tokens: 4096,
+            temperature: 0.7,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }],
+        };
+    }
+
+    /**
+     * Sends the prompt and resolves with the model's response: the segment
+     * tool input, `{ segments }`, when the model answered with a tool call,
+     * otherwise its full text. When `onText` is provided the response is
+     * streamed, and `onText` is called with each text or tool input delta
+     * and everything received so far. The `styleGuideId` lets the proxy pick
+     * the matching editor persona, and the `cacheContext` from `analyzeText`
+     * lets it cache the results. Aborting `signal` cancels the request and
+     * any retries, and rejects with an AbortError.
+     */
+    async generateStyleGuide(prompt, { onText, styleGuideId, signal, cacheContext } = {}) {
+        if (onText) {
+            return this.streamStyleGuide(prompt, onText, styleGuideId, signal, cacheContext);
+        }
+
         return withRetry(async () => {
             try {
                 const response = await fetch(`${this.apiUrl}/messages`, {
@@ -19,15 +54,8 @@ class AnthropicService {
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({
-                        model: this.model,
-                        max_tokens: 4096,
-                        temperature: 0.7,
-                        messages: [{
-                            role: 'user',
-                            content: prompt
-                        }],
-                    }),
+                    body: JSON.stringify(this.buildRequestBody(prompt, styleGuideId, cacheContext)),
+                    signal,
                 });
 
                 if (!response.ok) {
@@ -36,13 +64,93 @@ class AnthropicService {
                 }
 
                 const data = await response.json();
-                return data.content[0].text;
+                const toolInput = getSegmentToolInput(data.content);
+                if (toolInput) return toolInput;
+
+                const textBlock = data.content.find(block => block.type === 'text') || data.content[0];
+                return textBlock.text;
             } catch (error) {
+                if (isAbortError(error)) throw error;
+
                 // Handle all errors in one place
                 const response = error.cause;
                 throw await handleApiError(error, response);
             }
+        }, undefined, undefined, { signal });
+    }
+
+    async streamStyleGuide(prompt, onText, styleGuideId, signal, cacheContext) {
+        // Only opening the stream is retried; once text has been delivered a
+        // failure is surfaced rather than replayed from the start
+        const response = await withRetry(async () => {
+            try {
+                const response = await fetch(`${this.apiUrl}/messages`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ ...this.buildRequestBody(prompt, styleGuideId, cacheContext), stream: true }),
+                    signal,
+                });
+
+                if (!response.ok) {
+                    throw new Error(response.statusText, { cause: response });
+                }
+
+                return response;
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+
+                const response = error.cause;
+                throw await handleApiError(error, response);
+            }
+        }, undefined, undefined, { signal });
+
+        try {
+            return await this.readTextStream(response, onText);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            throw await handleApiError(error);
+        }
+    }
+
+    async readTextStream(response, onText) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        let toolJson = '';
+
+        const parser = createEventStreamParser(({ event, data }) => {
+            if (event === 'text') {
+                text += data.text;
+                onText(data.text, text);
+            } else if (event === 'tool_input') {
+                // The input streams as `{"segments": [...]}`, which the streaming parser reads past
+                toolJson += data.json;
+                onText(data.json, toolJson);
+            } else if (event === 'error') {
+                throw new AnthropicError(data.error || 'Streaming error', data.code || 500);
+            }
         });
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+        parser.push(decoder.decode());
+        parser.flush();
+
+        if (!toolJson) return text;
+
+        try {
+            return JSON.parse(toolJson);
+        } catch (error) {
+            // A tool call cut short (e.g. at max_tokens) is left to the text repair pipeline
+            const arrayStart = toolJson.indexOf('[');
+            return arrayStart === -1 ? toolJson : toolJson.substring(arrayStart);
+        }
     }
 
     // Add more methods for different types of requests as needed
@@ -1,8 +1,26 @@
 import { anthropicService } from '../AnthropicService';
 import { AnthropicError } from '../../../utils/errors/AnthropicError';
+import { TextEncoder, TextDecoder } from 'util';
 
 // Mock fetch globally
 global.fetch = jest.fn();
+global.TextDecoder = TextDecoder;
+
+// Build a fetch response whose body streams the given SSE chunks
+const createStreamResponse = (chunks) => {
+    const encoder = new TextEncoder();
+    const queue = chunks.map(chunk => encoder.encode(chunk));
+    return {
+        ok: true,
+        body: {
+            getReader: () => ({
+                read: () => Promise.resolve(queue.length > 0
+                    ? { done: false, value: queue.shift() }
+                    : { done: true, value: undefined })
+            })
+        }
+    };
+};
 
 describe('AnthropicService', () => {
     const originalEnv = process.env;
@@ -223,6 +241,122 @@ describe('AnthropicService', () => {
         );
     });
 
+    /**
+     * Tests streaming responses.
+     * Verifies:
+     * - The stream flag is sent to the proxy
+     * - Text deltas are reported as they arrive, even when split across chunks
+     * - The full text is returned once the stream ends
+     */
+    it('should stream text deltas when onText is provided', async () => {
+        global.fetch.mockResolvedValueOnce(createStreamResponse([
+            'event: text\ndata: {"text": "[\\"Hello"}\n\n',
+            'event: text\ndata: {"text": " world\\"]"}\n',
+            '\nevent: done\ndata: {"stopReason": "end_turn"}\n\n'
+        ]));
+
+        const onText = jest.fn();
+        const result = await anthropicService.generateStyleGuide('Test prompt', { onText });
+
+        expect(result).toBe('["Hello world"]');
+        expect(onText).toHaveBeenCalledTimes(2);
+        expect(onText).toHaveBeenLastCalledWith(' world"]', '["Hello world"]');
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(
+            expect.objectContaining({ stream: true })
+        );
+    });
+
+    /**
+     * Tests structured output.
+     * Verifies:
+     * - The proxy is asked to use the segment tool
+     * - The tool input is returned in place of the text
+     * - Responses without a tool call still return their text
+     */
+    it('should return the segment tool input when the model calls the tool', async () => {
+        const segments = ['Hello ', { original: 'world', replacement: 'everyone', reason: 'Friendlier' }];
+
+        global.fetch
+            .mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({
+                    content: [{ type: 'tool_use', id: 'toolu_1', name: 'submit_segments', input: { segments } }]
+                })
+            })
+            .mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({ content: [{ type: 'text', text: '["Hello world"]' }] })
+            });
+
+        expect(await anthropicService.generateStyleGuide('Test prompt')).toEqual({ segments });
+        expect(await anthropicService.generateStyleGuide('Test prompt')).toBe('["Hello world"]');
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(
+            expect.objectContaining({ useTools: true })
+        );
+    });
+
+    /**
+     * Tests streamed tool input.
+     * Verifies the JSON pieces are reported through `onText` and parsed
+     * once the stream ends, and that a tool call cut short is returned as
+     * text for the repair pipeline.
+     */
+    it('should stream and parse tool input', async () => {
+        global.fetch
+            .mockResolvedValueOnce(createStreamResponse([
+                'event: tool_input\ndata: {"json": "{\\"segments\\": [\\"Hel"}\n\n',
+                'event: tool_input\ndata: {"json": "lo\\"]}"}\n\n',
+                'event: done\ndata: {"stopReason": "tool_use"}\n\n'
+            ]))
+            .mockResolvedValueOnce(createStreamResponse([
+                'event: tool_input\ndata: {"json": "{\\"segments\\": [\\"Hel"}\n\n',
+                'event: done\ndata: {"stopReason": "max_tokens"}\n\n'
+            ]));
+
+        const onText = jest.fn();
+        const result = await anthropicService.generateStyleGuide('Test prompt', { onText });
+
+        expect(result).toEqual({ segments: ['Hello'] });
+        expect(onText).toHaveBeenLastCalledWith('lo"]}', '{"segments": ["Hello"]}');
+        expect(await anthropicService.generateStyleGuide('Test prompt', { onText })).toBe('["Hel');
+    });
+
+    /**
+     * Tests cancelling a request.
+     * Verifies the signal reaches fetch and an abort is passed on as an
+     * AbortError without retrying.
+     */
+    it('should pass aborts on without retrying', async () => {
+        const controller = new AbortController();
+        global.fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+
+        const request = anthropicService.generateStyleGuide('Test prompt', { signal: controller.signal });
+        controller.abort();
+
+        await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Tests errors reported inside an open stream.
+     * Verifies the error is raised as an AnthropicError and not retried.
+     */
+    it('should surface in-stream errors without retrying', async () => {
+        global.fetch.mockResolvedValueOnce(createStreamResponse([
+            'event: text\ndata: {"text": "[\\"Partial"}\n\n',
+            'event: error\ndata: {"error": "Overloaded", "code": 503}\n\n'
+        ]));
+
+        await expect(anthropicService.generateStyleGuide('Test prompt', { onText: jest.fn() }))
+            .rejects
+            .toThrow('Overloaded');
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
     /**
      * Tests environment variable validation.
      * Verifies:
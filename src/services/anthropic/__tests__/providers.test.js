@@ -0,0 +1,228 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProviders, getErrorMessage, getProvider } from '../../../../server/providers';
+import { createMockProvider } from '../../../../server/providers/mock';
+import { createEventStreamParser } from '../../../utils/eventStream';
+import { SEGMENT_TOOL, SEGMENT_TOOL_CHOICE } from '../../prompts/segmentTool';
+
+const request = {
+    model: 'requested-model',
+    maxTokens: 100,
+    messages: [{ role: 'user', content: 'Prompt' }],
+    system: 'System prompt',
+    tools: [SEGMENT_TOOL],
+    toolChoice: SEGMENT_TOOL_CHOICE,
+    stream: false
+};
+
+// Runs raw upstream SSE text through a provider's stream handler
+const readStream = (provider, text) => {
+    const events = [];
+    const parser = createEventStreamParser(provider.createStreamHandler({
+        onText: (value) => events.push(['text', value]),
+        onToolInput: (value) => events.push(['tool_input', value]),
+        onStop: (value) => events.push(['stop', value]),
+        onError: (value) => events.push(['error', value])
+    }));
+    parser.push(text);
+    parser.flush();
+    return events;
+};
+
+describe('Model providers', () => {
+    it('selects the provider by request, then by configuration', () => {
+        expect(getProvider(undefined, {}).id).toBe('anthropic');
+        expect(getProvider(undefined, { LLM_PROVIDER: 'local' }).id).toBe('local');
+        expect(getProvider('openai', { LLM_PROVIDER: 'local' }).id).toBe('openai');
+        expect(getProvider('unknown', {})).toBeNull();
+        expect(getProvider('toString', {})).toBeNull();
+    });
+
+    it('reports missing configuration', () => {
+        expect(getProvider('anthropic', {}).getConfigError()).toBe('Anthropic API key is not configured');
+        expect(getProvider('anthropic', { REACT_APP_ANTHROPIC_API_KEY: 'key' }).getConfigError()).toBeNull();
+        expect(getProvider('openai', {}).getConfigError()).toBe('OpenAI API key is not configured');
+        expect(getProvider('local', {}).getConfigError()).toBeNull();
+    });
+
+    /**
+     * Tests the Anthropic adapter.
+     * Verifies the Messages API request is unchanged and its stream events
+     * are reported.
+     */
+    it('passes Anthropic requests through', () => {
+        const provider = getProvider('anthropic', { REACT_APP_ANTHROPIC_API_KEY: 'key' });
+        const { url, headers, body } = provider.buildRequest(request);
+
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(headers['x-api-key']).toBe('key');
+        expect(body).toEqual({
+            model: 'requested-model',
+            max_tokens: 100,
+            messages: request.messages,
+            system: 'System prompt',
+            tools: [SEGMENT_TOOL],
+            tool_choice: SEGMENT_TOOL_CHOICE
+        });
+        expect(readStream(provider, [
+            'event: content_block_delta\ndata: {"delta": {"type": "text_delta", "text": "Hi"}}\n\n',
+            'event: content_block_delta\ndata: {"delta": {"type": "input_json_delta", "partial_json": "{\\"seg"}}\n\n',
+            'event: message_delta\ndata: {"delta": {"stop_reason": "end_turn"}}\n\n'
+        ].join(''))).toEqual([['text', 'Hi'], ['tool_input', '{"seg'], ['stop', 'end_turn']]);
+    });
+
+    /**
+     * Tests the OpenAI-compatible adapter.
+     * Verifies the system prompt and tool are translated into Chat
+     * Completions form, and responses are translated back into the
+     * Messages API shape the client reads.
+     */
+    it('translates to and from OpenAI-compatible endpoints', () => {
+        const provider = getProvider('openai', { OPENAI_API_KEY: 'key', OPENAI_MODEL: 'gpt-4o' });
+        const { url, headers, body } = provider.buildRequest({ ...request, model: provider.model, stream: true });
+
+        expect(url).toBe('https://api.openai.com/v1/chat/completions');
+        expect(headers.Authorization).toBe('Bearer key');
+        expect(body).toMatchObject({
+            model: 'gpt-4o',
+            max_tokens: 100,
+            stream: true,
+            messages: [{ role: 'system', content: 'System prompt' }, { role: 'user', content: 'Prompt' }],
+            tool_choice: { type: 'function', function: { name: 'submit_segments' } }
+        });
+        expect(body.tools[0].function.parameters).toBe(SEGMENT_TOOL.input_schema);
+
+        expect(provider.parseResponse({
+            choices: [{
+                finish_reason: 'tool_calls',
+                message: {
+                    content: null,
+                    tool_calls: [{ id: 'call_1', function: { name: 'submit_segments', arguments: '{"segments": ["Text"]}' } }]
+                }
+            }]
+        })).toMatchObject({
+            content: [{ type: 'tool_use', id: 'call_1', name: 'submit_segments', input: { segments: ['Text'] } }],
+            stop_reason: 'tool_use'
+        });
+        expect(provider.parseResponse({ choices: [{ finish_reason: 'length', message: { content: '["Te' } }] }))
+            .toMatchObject({ content: [{ type: 'text', text: '["Te' }], stop_reason: 'max_tokens' });
+
+        expect(readStream(provider, [
+            'data: {"choices": [{"delta": {"content": "Hi"}}]}\n\n',
+            'data: {"choices": [{"delta": {"tool_calls": [{"index": 0, "function": {"arguments": "{\\"seg"}}]}}]}\n\n',
+            'data: {"choices": [{"delta": {}, "finish_reason": "stop"}]}\n\n',
+            'data: [DONE]\n\n'
+        ].join(''))).toEqual([['text', 'Hi'], ['tool_input', '{"seg'], ['stop', 'end_turn']]);
+    });
+
+    it('runs local models without a key or tools unless configured', () => {
+        const provider = getProvider('local', { LOCAL_LLM_MODEL: 'llama3.1' });
+        const { url, headers } = provider.buildRequest(request);
+
+        expect(url).toBe('http://localhost:11434/v1/chat/completions');
+        expect(headers.Authorization).toBeUndefined();
+        expect(provider.model).toBe('llama3.1');
+        expect(provider.supportsTools).toBe(false);
+        expect(getProvider('local', { LOCAL_LLM_URL: 'http://gpu-box:8080/v1/', LOCAL_LLM_TOOLS: 'true' }))
+            .toMatchObject({ supportsTools: true });
+        expect(getProvider('local', { LOCAL_LLM_URL: 'http://gpu-box:8080/v1/' }).buildRequest(request).url)
+            .toBe('http://gpu-box:8080/v1/chat/completions');
+    });
+
+    it('reads error messages in either shape', () => {
+        expect(getErrorMessage({ error: { message: 'Overloaded' } })).toBe('Overloaded');
+        expect(getErrorMessage({ error: 'model "llama3.1" not found' })).toBe('model "llama3.1" not found');
+        expect(getErrorMessage(null)).toBeNull();
+    });
+});
+
+describe('Mock provider', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    // Sends a request through a provider the way the proxy does
+    const send = (provider, params = request, options = {}) => {
+        const { url, body } = provider.buildRequest(params);
+        return provider.fetch(url, { body: JSON.stringify(body), ...options });
+    };
+
+    const readBody = async (response) => {
+        let text = '';
+        for await (const chunk of response.body) text += chunk.toString();
+        return text;
+    };
+
+    /**
+     * Tests recording and replaying.
+     * Verifies a recorded exchange is saved as a fixture and replayed,
+     * whole or as a stream, without the recorded provider.
+     */
+    it('records live exchanges and replays them', async () => {
+        const message = { type: 'message', content: [{ type: 'text', text: '["Recorded"]' }], stop_reason: 'end_turn' };
+        const fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => message });
+        const env = { MOCK_LLM_FIXTURES: fixturesDir, REACT_APP_ANTHROPIC_API_KEY: 'key' };
+        const recorder = createMockProvider({
+            env: { ...env, MOCK_LLM_MODE: 'record' },
+            recordProvider: createProviders(env).anthropic,
+            fetch
+        });
+
+        expect(await (await send(recorder)).json()).toEqual(message);
+        expect(fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages', expect.anything());
+        expect(fs.readdirSync(fixturesDir)).toHaveLength(1);
+
+        const player = createMockProvider({ env });
+        expect(player.getConfigError()).toBeNull();
+        expect(await (await send(player)).json()).toEqual(message);
+
+        const stream = await readBody(await send(player, { ...request, stream: true }));
+        expect(readStream(player, stream)).toEqual([['text', '["Recorded"]'], ['stop', 'end_turn']]);
+    });
+
+    it('serves the canned response when nothing was recorded', async () => {
+        const cannedPath = path.join(fixturesDir, 'canned.txt');
+        fs.writeFileSync(cannedPath, '[{original: "Malformed"');
+
+        const missing = await send(createMockProvider({ env: { MOCK_LLM_FIXTURES: fixturesDir } }));
+        expect(missing.status).toBe(404);
+
+        const canned = await send(createMockProvider({ env: { MOCK_LLM_FIXTURES: fixturesDir, MOCK_LLM_RESPONSE: cannedPath } }));
+        expect((await canned.json()).content).toEqual([{ type: 'text', text: '[{original: "Malformed"' }]);
+    });
+
+    /**
+     * Tests fault injection.
+     * Verifies injected statuses stop after the set number of requests and
+     * injected timeouts end only when the request is aborted.
+     */
+    it('injects error statuses and timeouts', async () => {
+        const cannedPath = path.join(fixturesDir, 'canned.txt');
+        fs.writeFileSync(cannedPath, '["Text"]');
+
+        const flaky = createMockProvider({
+            env: { MOCK_LLM_FIXTURES: fixturesDir, MOCK_LLM_RESPONSE: cannedPath, MOCK_LLM_STATUS: '503', MOCK_LLM_FAIL_TIMES: '2' }
+        });
+        expect((await send(flaky)).status).toBe(503);
+        expect(getErrorMessage(await (await send(flaky)).json())).toBe('Mock error 503 for request 2');
+        expect((await send(flaky)).status).toBe(200);
+
+        const controller = new AbortController();
+        const hanging = send(createMockProvider({ env: { MOCK_LLM_TIMEOUT: 'true' } }), request, { signal: controller.signal });
+        controller.abort();
+        await expect(hanging).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('keeps its state between requests to the proxy', () => {
+        const env = { LLM_PROVIDER: 'mock' };
+
+        expect(getProvider(undefined, env)).toBe(getProvider('mock', env));
+    });
+});
@@ -3,14 +3,22 @@ export const ANTHROPIC_CONFIG = {
     API_KEY: process.env.REACT_APP_ANTHROPIC_API_KEY,
     API_URL: process.env.REACT_APP_ANTHROPIC_API_URL,
     MODEL: process.env.REACT_APP_ANTHROPIC_MODEL,
+    // Set to "false" for models without tool support; their JSON text responses are repaired instead
+    USE_TOOLS: process.env.REACT_APP_ANTHROPIC_USE_TOOLS !== 'false',
+    // The proxy's provider to ask: "anthropic", "openai", "local" or "mock"; the proxy's LLM_PROVIDER when unset
+    PROVIDER: process.env.REACT_APP_LLM_PROVIDER,
 };
 
+// The Anthropic key and URL are only needed when the proxy answers with Anthropic, which it
+// does by default; the other providers are configured in the proxy's environment
+const USES_ANTHROPIC = !ANTHROPIC_CONFIG.PROVIDER || ANTHROPIC_CONFIG.PROVIDER === 'anthropic';
+
 // Validate required environment variables
-if (!ANTHROPIC_CONFIG.API_KEY) {
+if (!ANTHROPIC_CONFIG.API_KEY && USES_ANTHROPIC) {
     throw new Error('Missing required environment variable: REACT_APP_ANTHROPIC_API_KEY');
 }
 
-if (!ANTHROPIC_CONFIG.API_URL) {
+if (!ANTHROPIC_CONFIG.API_URL && USES_ANTHROPIC) {
     throw new Error('Missing required environment variable: REACT_APP_ANTHROPIC_API_URL');
 }
 
@@ -0,0 +1,117 @@
+import { cacheRelayedResponse, createCacheRoutes } from '../../../../server/cacheRoutes';
+import { analyzeText } from '../../analysis/analyzeText';
+import { createCacheKey, createMemoryCache } from '../../analysis/paragraphCache';
+
+// Records what a handler responds with
+const createResponse = () => {
+    const res = { statusCode: 200, body: undefined, ended: false };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        res.ended = true;
+        return res;
+    };
+    return res;
+};
+
+const call = async (handler, body) => {
+    const res = createResponse();
+    await handler({ body }, res);
+    return res;
+};
+
+const text = 'We utilize tools.';
+const segments = ['We ', { original: 'utilize', replacement: 'use', reason: 'Plain English' }, ' tools.'];
+const key = createCacheKey({ text, styleGuideId: 'economist', houseRules: [], model: 'anthropic/test-model' });
+
+// The request body the browser sends for an analysis of `draft`
+const createRequest = async (draft) => {
+    let request;
+    await analyzeText(draft, {
+        generate: async (prompt, { cacheContext }) => {
+            request = {
+                messages: [{ role: 'user', content: prompt }],
+                styleGuide: 'economist',
+                provider: 'anthropic',
+                model: 'test-model',
+                cacheContext
+            };
+            return { segments };
+        },
+        styleGuideId: 'economist',
+        houseRules: []
+    });
+    return request;
+};
+
+describe('cache routes', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Tests caching a relayed response and looking it up.
+     * Verifies the paragraph's results are found under the key the browser computes.
+     */
+    it('caches the results of a relayed response', async () => {
+        const cache = createMemoryCache();
+        const routes = createCacheRoutes({ cache });
+
+        expect(await cacheRelayedResponse(cache, await createRequest(text), { segments })).toBe(1);
+
+        const found = await call(routes.lookup, { keys: [key, 'aaaaaaaaaaaaaaaa'] });
+        expect(found.body).toEqual({ entries: { [key]: segments } });
+    });
+
+    /**
+     * Tests cache poisoning.
+     * Verifies nothing is stored when the cache context isn't what the prompt was built from.
+     */
+    it('does not cache a response when the context does not match the prompt', async () => {
+        const cache = createMemoryCache();
+        const request = await createRequest('We utilize people.');
+
+        const stored = await cacheRelayedResponse(cache, { ...request, cacheContext: { ...request.cacheContext, text } }, { segments });
+
+        expect(stored).toBe(0);
+        expect(await cache.getMany([key])).toEqual([null]);
+    });
+
+    it('ignores requests without a cache context', async () => {
+        const cache = createMemoryCache();
+        const { cacheContext, ...request } = await createRequest(text);
+
+        expect(cacheContext.text).toBe(text);
+        expect(await cacheRelayedResponse(cache, request, { segments })).toBe(0);
+        expect(await cacheRelayedResponse(cache, { ...request, cacheContext: { text: 42 } }, { segments })).toBe(0);
+        expect(await cache.getMany([key])).toEqual([null]);
+    });
+
+    it('rejects malformed requests', async () => {
+        const routes = createCacheRoutes({ cache: createMemoryCache(), maxKeys: 1 });
+
+        expect((await call(routes.lookup, { keys: ['not a key'] })).statusCode).toBe(400);
+        expect((await call(routes.lookup, { keys: [key, key] })).statusCode).toBe(400);
+        expect((await call(routes.lookup, undefined)).statusCode).toBe(400);
+    });
+
+    /**
+     * Tests a cache that fails.
+     * Verifies the lookup responds with an error instead of rejecting.
+     */
+    it('responds with 500 when the cache fails', async () => {
+        const routes = createCacheRoutes({ cache: { getMany: async () => { throw new Error('disk gone'); } } });
+
+        const lookedUp = await call(routes.lookup, { keys: [key] });
+
+        expect([lookedUp.statusCode, lookedUp.body.error]).toEqual([500, 'Cache lookup failed']);
+    });
+});
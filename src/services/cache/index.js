@@ -0,0 +1,9 @@
+import { createLayeredCache } from '../analysis/paragraphCache';
+import { createIndexedDbCache } from './indexedDbCache';
+import { createProxyCache } from './proxyCache';
+
+// The browser's own cache first, then the proxy's shared one
+export const paragraphCache = createLayeredCache([
+    createIndexedDbCache(),
+    createProxyCache()
+]);
@@ -0,0 +1,57 @@
+const DB_NAME = 'style-guider';
+const DB_VERSION = 1;
+const STORE_NAME = 'paragraphs';
+
+// Wraps an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a paragraph cache stored in the browser's IndexedDB (see
+ * `paragraphCache.js` for the interface). Where IndexedDB is unavailable,
+ * e.g. in private browsing or tests, every lookup misses.
+ */
+export const createIndexedDbCache = ({ dbName = DB_NAME } = {}) => {
+    let database = null;
+
+    const open = () => {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        if (!database) {
+            const request = indexedDB.open(dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            database = promisify(request);
+        }
+
+        return database;
+    };
+
+    const getMany = async (keys) => {
+        const db = await open();
+        if (!db) return keys.map(() => null);
+
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const values = await Promise.all(keys.map(key => promisify(store.get(key))));
+        return values.map(value => value || null);
+    };
+
+    const setMany = async (entries) => {
+        const db = await open();
+        if (!db || entries.length === 0) return;
+
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        entries.forEach(({ key, segments }) => store.put(segments, key));
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    return { getMany, setMany };
+};
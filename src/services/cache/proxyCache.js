@@ -0,0 +1,37 @@
+/**
+ * Creates a paragraph cache backed by the proxy's `/api/cache/lookup`
+ * endpoint (see `paragraphCache.js` for the interface), so results are shared
+ * between browsers and survive clearing site data. It is read-only: the
+ * proxy stores results itself, from the model responses it relays.
+ */
+export const createProxyCache = ({
+    apiUrl = process.env.NODE_ENV === 'production' ? '/api/cache' : 'http://localhost:3001/api/cache'
+} = {}) => {
+    const post = async (path, body) => {
+        if (typeof fetch === 'undefined') return null;
+
+        const response = await fetch(`${apiUrl}/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Cache ${path} failed: ${response.status} ${response.statusText}`);
+        }
+
+        return response.status === 204 ? null : response.json();
+    };
+
+    const getMany = async (keys) => {
+        const data = await post('lookup', { keys });
+        const entries = (data && data.entries) || {};
+        return keys.map(key => entries[key] || null);
+    };
+
+    const setMany = async () => {};
+
+    return { getMany, setMany };
+};
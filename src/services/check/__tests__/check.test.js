@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EXIT_ERROR, EXIT_MUST_FIX, runCheck } from '../../../../cli/check';
+
+const utilize = { original: 'utilize', replacement: 'use', reason: 'Plain English', category: 'word-choice', severity: 'must-fix' };
+
+// Collects what is written to a stream
+const createOutput = () => {
+    let text = '';
+    return { write: (chunk) => { text += chunk; }, text: () => text };
+};
+
+describe('runCheck', () => {
+    let cwd;
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'style-guider-check-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const check = async (file, text, response) => {
+        fs.writeFileSync(path.join(cwd, file), text);
+        const stdout = createOutput();
+        const stderr = createOutput();
+        const exitCode = await runCheck([file], {
+            analysisOptions: { generate: async () => response, styleGuideId: 'economist', useModel: true },
+            cwd
+        }, { stdout, stderr });
+        return { exitCode, stdout: stdout.text(), stderr: stderr.text() };
+    };
+
+    /**
+     * Tests checking a Markdown file.
+     * Verifies suggestions are reported by line and column
+     */
+    it('reports suggestions in a Markdown file', async () => {
+        const text = 'We utilize `npm`.\n';
+        const result = await check('notes.md', text, { segments: ['We ', utilize, ' ⟦1⟧.\n'] });
+
+        expect(result.exitCode).toBe(EXIT_MUST_FIX);
+        expect(result.stdout).toContain('notes.md:1:4: must-fix: replace "utilize" with "use" (Plain English)');
+        expect(result.stderr).toBe('');
+    });
+
+    /**
+     * Tests a Markdown file the model answered about some other text.
+     * Verifies the file fails rather than passing with no suggestions
+     */
+    it('fails a Markdown file when the response is about some other text', async () => {
+        const text = 'We utilize `npm` to install the packages.\n';
+        const result = await check('notes.md', text, {
+            segments: ['A completely different draft about gardening, roses and the weather in spring.']
+        });
+
+        expect(result.exitCode).toBe(EXIT_ERROR);
+        expect(result.stderr).toContain("notes.md: the model's response doesn't match the file's text");
+        expect(fs.readFileSync(path.join(cwd, 'notes.md'), 'utf8')).toBe(text);
+    });
+
+    /**
+     * Tests a Markdown file with a passage the model skipped.
+     * Verifies the suggestions made are reported and the file still fails
+     */
+    it('fails a Markdown file with passages the model skipped', async () => {
+        const first = 'We utilize many different tools to build and test the product every day.\n\n';
+        const text = `${first}See the \`npm\` docs for the rest of it.\n`;
+        const result = await check('notes.md', text, {
+            segments: ['We ', utilize, first.substring('We utilize'.length)]
+        });
+
+        expect(result.exitCode).toBe(EXIT_ERROR);
+        expect(result.stdout).toContain('notes.md:1:4: must-fix');
+        expect(result.stderr).toContain('notes.md: the model skipped 1 passage(s), which were not checked');
+    });
+});
@@ -0,0 +1,85 @@
+import {
+    applyFixes,
+    formatDiagnostic,
+    getDiagnostics,
+    getLineStarts,
+    getPosition,
+    isAtLeastSeverity
+} from '../diagnostics';
+import { getOriginalText } from '../../../utils/segmentUtils';
+
+const segments = [
+    '# Notes\n\nWe will ',
+    { original: 'utilize', replacement: 'use', reason: 'Plain English', category: 'word-choice', severity: 'must-fix' },
+    ' it in ',
+    { original: '3', replacement: 'three', reason: 'Spell out small numbers', ruleId: 'numbers-under-ten', source: 'rules' },
+    ' weeks.\nAnd ',
+    { original: 'very ', replacement: '', reason: 'Concise', severity: 'optional', confidence: 0.6 },
+    'soon.'
+];
+
+describe('diagnostics', () => {
+    it('locates offsets by line and column', () => {
+        const lineStarts = getLineStarts('ab\ncd\n\nef');
+
+        expect(lineStarts).toEqual([0, 3, 6, 7]);
+        expect(getPosition(lineStarts, 0)).toEqual({ line: 1, column: 1 });
+        expect(getPosition(lineStarts, 4)).toEqual({ line: 2, column: 2 });
+        expect(getPosition(lineStarts, 6)).toEqual({ line: 3, column: 1 });
+        expect(getPosition(lineStarts, 9)).toEqual({ line: 4, column: 3 });
+    });
+
+    it('lists each change with its position, category and severity', () => {
+        const diagnostics = getDiagnostics(segments);
+
+        expect(diagnostics[0]).toEqual({
+            index: 1,
+            start: 17,
+            end: 24,
+            line: 3,
+            column: 9,
+            endLine: 3,
+            endColumn: 16,
+            original: 'utilize',
+            replacement: 'use',
+            reason: 'Plain English',
+            category: 'word-choice',
+            severity: 'must-fix'
+        });
+        expect(diagnostics[1]).toMatchObject({ line: 3, column: 23, category: 'numbers', severity: 'recommended', ruleId: 'numbers-under-ten' });
+        expect(diagnostics[2]).toMatchObject({ line: 4, column: 5, severity: 'optional', confidence: 0.6 });
+    });
+
+    it('compares severities', () => {
+        expect(isAtLeastSeverity('must-fix', 'recommended')).toBe(true);
+        expect(isAtLeastSeverity('recommended', 'recommended')).toBe(true);
+        expect(isAtLeastSeverity('optional', 'recommended')).toBe(false);
+        expect(isAtLeastSeverity('unknown', 'optional')).toBe(false);
+    });
+
+    /**
+     * Tests fixing by severity.
+     * Verifies only the chosen changes are applied and the ones left over
+     * are located in the fixed text.
+     */
+    it('applies the chosen fixes and locates the rest in the fixed text', () => {
+        const { segments: fixedSegments, fixed } = applyFixes(segments, change => change.severity === 'must-fix');
+
+        expect(fixed).toEqual([segments[1]]);
+        expect(getOriginalText(fixedSegments)).toBe('# Notes\n\nWe will use it in 3 weeks.\nAnd very soon.');
+        expect(getDiagnostics(fixedSegments).map(({ original, line, column }) => ({ original, line, column }))).toEqual([
+            { original: '3', line: 3, column: 19 },
+            { original: 'very ', line: 4, column: 5 }
+        ]);
+        expect(getOriginalText(applyFixes(segments, () => true).segments)).toBe('# Notes\n\nWe will use it in three weeks.\nAnd soon.');
+    });
+
+    it('formats a diagnostic as a linter line', () => {
+        const [mustFix, , deletion] = getDiagnostics(segments);
+
+        expect(formatDiagnostic('docs/notes.md', mustFix))
+            .toBe('docs/notes.md:3:9: must-fix: replace "utilize" with "use" (Plain English) [word-choice]');
+        expect(formatDiagnostic('docs/notes.md', deletion))
+            .toBe('docs/notes.md:4:5: optional: delete "very " (Concise) [concision]');
+    });
+});
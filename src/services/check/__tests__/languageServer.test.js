@@ -0,0 +1,229 @@
+import { PassThrough } from 'stream';
+import { createConnection } from '../../../../lsp/connection';
+import { createLanguageServer } from '../../../../lsp/languageServer';
+import { createMemoryCache } from '../../../services/analysis/paragraphCache';
+
+// Answers every prompt by replacing "utilize" in its draft
+const answer = async (prompt) => {
+    const draft = /<draft_document>\n([\s\S]*)\n<\/draft_document>/.exec(prompt)[1];
+    const parts = draft.split('utilize');
+    return {
+        segments: parts.flatMap((part, index) => (index === 0
+            ? [part]
+            : [{ original: 'utilize', replacement: 'use', reason: 'Plain English', category: 'word-choice', severity: 'must-fix' }, part]))
+    };
+};
+
+// Records what the server sends and lets tests call its handlers
+const createFakeConnection = () => {
+    const requests = new Map();
+    const notifications = new Map();
+    const sent = [];
+    return {
+        sent,
+        onRequest: (method, handler) => requests.set(method, handler),
+        onNotification: (method, handler) => notifications.set(method, handler),
+        sendNotification: (method, params) => sent.push({ method, params }),
+        request: (method, params) => requests.get(method)(params),
+        notify: (method, params) => notifications.get(method)(params),
+        published: () => sent.filter(message => message.method === 'textDocument/publishDiagnostics').map(message => message.params)
+    };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const frame = (message) => {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+};
+
+describe('language server', () => {
+    const uri = 'file:///docs/notes.md';
+    let generate;
+
+    beforeEach(() => {
+        generate = jest.fn(answer);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const start = (options = {}) => {
+        const connection = createFakeConnection();
+        const onExit = jest.fn();
+        createLanguageServer({
+            connection,
+            analysisOptions: { generate, styleGuideId: 'economist', model: 'test-model' },
+            cache: createMemoryCache(),
+            debounceMs: 20,
+            onExit,
+            ...options
+        });
+        return { connection, onExit };
+    };
+
+    /**
+     * Tests opening a document.
+     * Verifies its suggestions are published as diagnostics for its version
+     * and code in backticks is left out of the analysis.
+     */
+    it('publishes diagnostics for an opened document', async () => {
+        const { connection } = start();
+        const capabilities = await connection.request('initialize', { capabilities: {} });
+
+        expect(capabilities.capabilities.textDocumentSync).toEqual({ openClose: true, change: 1 });
+
+        connection.notify('textDocument/didOpen', {
+            textDocument: { uri, languageId: 'markdown', version: 1, text: '# Notes\n\nWe utilize `utilize` daily.' }
+        });
+        await wait(50);
+
+        expect(connection.published()).toEqual([{
+            uri,
+            version: 1,
+            diagnostics: [{
+                range: { start: { line: 2, character: 3 }, end: { line: 2, character: 10 } },
+                severity: 1,
+                source: 'style-guider',
+                code: 'word-choice',
+                message: 'Replace "utilize" with "use": Plain English',
+                data: { replacement: 'use' }
+            }]
+        }]);
+    });
+
+    /**
+     * Tests editing a document.
+     * Verifies edits are debounced into one analysis of the latest text, and
+     * only the paragraph that changed is sent to the model.
+     */
+    it('analyzes the latest version once edits pause, sending only changed paragraphs', async () => {
+        const { connection } = start();
+        await connection.request('initialize', { capabilities: {} });
+        const first = 'First we utilize tools.\n\nSecond paragraph.';
+
+        connection.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'plaintext', version: 1, text: first } });
+        await wait(50);
+        generate.mockClear();
+
+        connection.notify('textDocument/didChange', {
+            textDocument: { uri, version: 2 },
+            contentChanges: [{ text: `${first}\n\nThird we` }]
+        });
+        connection.notify('textDocument/didChange', {
+            textDocument: { uri, version: 3 },
+            contentChanges: [{ text: `${first}\n\nThird we utilize more.` }]
+        });
+        await wait(200);
+
+        expect(generate).toHaveBeenCalledTimes(1);
+        expect(generate.mock.calls[0][0]).toContain('Third we utilize more.');
+        expect(generate.mock.calls[0][0]).not.toContain('First we utilize tools.');
+
+        const published = connection.published();
+        expect(published.map(params => params.version)).toEqual([1, 2, 3]);
+        expect(published[2].diagnostics.map(diagnostic => diagnostic.range.start)).toEqual([
+            { line: 0, character: 9 },
+            { line: 4, character: 9 }
+        ]);
+    });
+
+    /**
+     * Tests the diagnostics between an edit and the analysis after it.
+     * Verifies the old ranges are cleared at once, and the new ones follow.
+     */
+    it('clears diagnostics when the document changes', async () => {
+        const { connection } = start();
+        await connection.request('initialize', { capabilities: {} });
+        connection.notify('textDocument/didOpen', {
+            textDocument: { uri, languageId: 'plaintext', version: 1, text: 'We utilize it.' }
+        });
+        await wait(50);
+
+        connection.notify('textDocument/didChange', {
+            textDocument: { uri, version: 2 },
+            contentChanges: [{ text: 'Today we utilize it.' }]
+        });
+        await wait(0);
+
+        expect(connection.published().slice(1)).toEqual([{ uri, version: 2, diagnostics: [] }]);
+        const actions = await connection.request('textDocument/codeAction', {
+            textDocument: { uri },
+            range: { start: { line: 0, character: 0 }, end: { line: 0, character: 20 } },
+            context: { diagnostics: [] }
+        });
+        expect(actions).toEqual([]);
+
+        await wait(100);
+        const published = connection.published();
+        expect(published).toHaveLength(3);
+        expect(published[2].version).toBe(2);
+        expect(published[2].diagnostics.map(diagnostic => diagnostic.range)).toEqual([
+            { start: { line: 0, character: 9 }, end: { line: 0, character: 16 } }
+        ]);
+    });
+
+    it('offers a quick fix for each diagnostic in range and a fix for all of them', async () => {
+        const { connection } = start();
+        await connection.request('initialize', { capabilities: {} });
+        connection.notify('textDocument/didOpen', {
+            textDocument: { uri, languageId: 'markdown', version: 1, text: 'We utilize it.\n\nThey utilize it.' }
+        });
+        await wait(50);
+
+        const range = { start: { line: 2, character: 6 }, end: { line: 2, character: 6 } };
+        const actions = await connection.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [] } });
+
+        expect(actions.map(action => [action.title, action.kind])).toEqual([
+            ['Replace "utilize" with "use"', 'quickfix'],
+            ['Apply all 2 style suggestion(s)', 'source.fixAll']
+        ]);
+        expect(actions[0].edit.changes[uri]).toEqual([
+            { range: { start: { line: 2, character: 5 }, end: { line: 2, character: 12 } }, newText: 'use' }
+        ]);
+        expect(actions[1].edit.changes[uri]).toHaveLength(2);
+
+        const quickFixes = await connection.request('textDocument/codeAction', {
+            textDocument: { uri }, range, context: { diagnostics: [], only: ['quickfix'] }
+        });
+        expect(quickFixes.map(action => action.kind)).toEqual(['quickfix']);
+    });
+
+    it('clears diagnostics on close and exits cleanly after shutdown', async () => {
+        const { connection, onExit } = start();
+        await connection.request('initialize', { capabilities: {} });
+        connection.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'markdown', version: 1, text: 'We utilize it.' } });
+        await wait(50);
+
+        connection.notify('textDocument/didClose', { textDocument: { uri } });
+        await connection.request('shutdown');
+        connection.notify('exit');
+
+        expect(connection.published().pop()).toEqual({ uri, diagnostics: [] });
+        expect(onExit).toHaveBeenCalledWith(0);
+    });
+});
+
+describe('language server connection', () => {
+    it('reads framed messages split across chunks and frames its replies', async () => {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const connection = createConnection(input, output);
+        connection.onRequest('echo', params => ({ echoed: params.text }));
+        connection.listen();
+
+        const message = frame({ jsonrpc: '2.0', id: 1, method: 'echo', params: { text: 'café' } });
+        input.write(message.substring(0, 20));
+        input.write(message.substring(20) + frame({ jsonrpc: '2.0', id: 2, method: 'unknown' }));
+        await wait(50);
+
+        const replies = output.read().toString().split(/Content-Length: \d+\r\n\r\n/).filter(Boolean).map(JSON.parse);
+        expect(replies.sort((a, b) => a.id - b.id)).toEqual([
+            { jsonrpc: '2.0', id: 1, result: { echoed: 'café' } },
+            { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Unhandled method unknown' } }
+        ]);
+    });
+});
@@ -0,0 +1,96 @@
+import { createJsonReport, formatReport, toJUnit, toSarif } from '../reports';
+
+const segments = [
+    'We will ',
+    { original: 'utilize', replacement: 'use', reason: 'Plain English', category: 'word-choice', severity: 'must-fix', confidence: 0.9 },
+    ' it in ',
+    { original: '3', replacement: 'three', reason: 'Spell out small numbers', ruleId: 'numbers-under-ten', source: 'rules' },
+    ' weeks.\nIt is ',
+    { original: 'very ', replacement: '', reason: 'Concise', category: 'concision', severity: 'optional' },
+    'good & <done>.'
+];
+
+const review = { accepted: new Set([3]), rejected: new Set([5]), edits: new Map([[3, '3 (three)']]) };
+
+describe('reports', () => {
+    /**
+     * Tests the JSON report.
+     * Verifies each change has its span, position, rating and review status,
+     * with the reviewer's edit as its replacement, and the summaries count them.
+     */
+    it('lists every change with its span and review status', () => {
+        const report = createJsonReport([{ path: 'docs/notes.md', segments, review }], { styleGuideId: 'economist' });
+
+        expect(report).toMatchObject({
+            version: 1,
+            tool: 'style-guider',
+            styleGuide: 'economist',
+            summary: { total: 3, pending: 1, accepted: 1, rejected: 1, mustFix: 1 }
+        });
+        expect(report.files[0].changes).toEqual([
+            {
+                index: 1, start: 8, end: 15, line: 1, column: 9, endLine: 1, endColumn: 16,
+                original: 'utilize', replacement: 'use', reason: 'Plain English', category: 'word-choice',
+                severity: 'must-fix', confidence: 0.9, ruleId: null, status: 'pending', userModified: false
+            },
+            {
+                index: 3, start: 22, end: 23, line: 1, column: 23, endLine: 1, endColumn: 24,
+                original: '3', replacement: '3 (three)', reason: 'Spell out small numbers', category: 'numbers',
+                severity: 'recommended', confidence: null, ruleId: 'numbers-under-ten', status: 'accepted', userModified: true
+            },
+            {
+                index: 5, start: 37, end: 42, line: 2, column: 7, endLine: 2, endColumn: 12,
+                original: 'very ', replacement: '', reason: 'Concise', category: 'concision',
+                severity: 'optional', confidence: null, ruleId: null, status: 'rejected', userModified: false
+            }
+        ]);
+    });
+
+    it('leaves out changes below the chosen severity', () => {
+        const report = createJsonReport([{ path: 'a.txt', segments }], { severity: 'recommended' });
+
+        expect(report.files[0].changes.map(change => change.status)).toEqual(['pending', 'pending']);
+        expect(report.summary).toEqual({ total: 2, pending: 2, accepted: 0, rejected: 0, mustFix: 1 });
+    });
+
+    it('writes SARIF results with levels, regions, fixes and suppressions', () => {
+        const sarif = toSarif(createJsonReport([{ path: 'docs/notes.md', segments, review }]));
+        const [run] = sarif.runs;
+
+        expect(sarif.version).toBe('2.1.0');
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['numbers', 'word-choice', 'concision']);
+        expect(run.results.map(result => [result.ruleId, result.ruleIndex, result.level])).toEqual([
+            ['word-choice', 1, 'error'],
+            ['numbers', 0, 'warning'],
+            ['concision', 2, 'note']
+        ]);
+        expect(run.results[0].locations[0].physicalLocation).toEqual({
+            artifactLocation: { uri: 'docs/notes.md' },
+            region: { startLine: 1, startColumn: 9, endLine: 1, endColumn: 16, charOffset: 8, charLength: 7, snippet: { text: 'utilize' } }
+        });
+        expect(run.results[0].fixes[0].artifactChanges[0].replacements[0].insertedContent).toEqual({ text: 'use' });
+        expect(run.results[2].suppressions).toEqual([{ kind: 'external', justification: 'Rejected in review' }]);
+        expect(run.results[0].partialFingerprints).toEqual(
+            toSarif(createJsonReport([{ path: 'docs/notes.md', segments: ['Intro.\n\n', ...segments] }])).runs[0].results[0].partialFingerprints
+        );
+    });
+
+    it('writes JUnit XML with a failure per pending change and a skip per rejected one', () => {
+        const xml = toJUnit(createJsonReport([{ path: 'docs/notes.md', segments, review }, { path: 'empty.txt', segments: ['Fine.'] }]));
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="style-guider" tests="3" failures="1" skipped="1" errors="0">/);
+        expect(xml).toContain('<testsuite name="docs/notes.md" tests="3" failures="1" skipped="1" errors="0">');
+        expect(xml).toContain('<testcase classname="docs/notes.md" name="1:9 replace &quot;utilize&quot; with &quot;use&quot;">\n      <failure type="must-fix"');
+        expect(xml).toContain('<testcase classname="docs/notes.md" name="1:23 replace &quot;3&quot; with &quot;3 (three)&quot;"></testcase>');
+        expect(xml).toContain('<skipped message="Rejected in review"/>');
+        expect(xml).toContain('<testsuite name="empty.txt" tests="0" failures="0" skipped="0" errors="0">\n  </testsuite>');
+    });
+
+    it('formats reports by id', () => {
+        const files = [{ path: 'a.txt', segments }];
+
+        expect(JSON.parse(formatReport('json', files))).toEqual(createJsonReport(files));
+        expect(JSON.parse(formatReport('sarif', files))).toEqual(toSarif(createJsonReport(files)));
+        expect(() => formatReport('csv', files)).toThrow('Unknown report format: csv');
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Diagnostics
+ *
+ * Turns the segments of an analyzed file into diagnostics, one per change,
+ * located by line and column the way editors and linters report them:
+ * both start at 1, and columns count UTF-16 code units, as string offsets
+ * do. Fixes apply changes to the segments themselves, so diagnostics for the
+ * changes left over point into the fixed text.
+ */
+
+const { getChangeCategory, getChangeSeverity, SEVERITIES } = require('../../utils/changeCategories');
+const { getOriginalText, getSegmentSpans, isChange } = require('../../utils/segmentUtils');
+
+/**
+ * Finds where each line of a text starts.
+ *
+ * @param {string} text - The text
+ * @returns {Array<number>} The offset of each line's first character
+ */
+const getLineStarts = (text) => {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+};
+
+/**
+ * Converts an offset into a line and column.
+ *
+ * @param {Array<number>} lineStarts - From `getLineStarts`
+ * @param {number} offset - An offset in the text
+ * @returns {Object} `{ line, column }`, both starting at 1
+ */
+const getPosition = (lineStarts, offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+};
+
+/**
+ * Lists the changes in a file's segments as diagnostics.
+ *
+ * @param {Array} segments - Response segments for the file's text
+ * @returns {Array<Object>} `{ index, start, end, line, column, endLine, endColumn,
+ *   original, replacement, reason, category, severity }` for each change, in
+ *   order, plus `confidence` and `ruleId` when the change has them
+ */
+const getDiagnostics = (segments) => {
+    const spans = getSegmentSpans(segments);
+    const lineStarts = getLineStarts(getOriginalText(segments));
+
+    return spans.filter(span => span.isChange).map(({ index, start, end }) => {
+        const change = segments[index];
+        const from = getPosition(lineStarts, start);
+        const to = getPosition(lineStarts, end);
+        return {
+            index,
+            start,
+            end,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column,
+            original: change.original,
+            replacement: change.replacement || '',
+            reason: change.reason || '',
+            category: getChangeCategory(change),
+            severity: getChangeSeverity(change),
+            ...(typeof change.confidence === 'number' ? { confidence: change.confidence } : {}),
+            ...(change.ruleId ? { ruleId: change.ruleId } : {})
+        };
+    });
+};
+
+/**
+ * Checks whether a severity is at least as serious as another.
+ *
+ * @param {string} severity - A severity id
+ * @param {string} minimum - The least serious severity id that counts
+ * @returns {boolean} True if `severity` ranks at or above `minimum`
+ */
+const isAtLeastSeverity = (severity, minimum) => {
+    const rank = (id) => SEVERITIES.findIndex(candidate => candidate.id === id);
+    return rank(severity) !== -1 && rank(severity) <= rank(minimum);
+};
+
+/**
+ * Applies changes: each one `shouldFix` picks becomes its replacement text.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Function} shouldFix - Called with each change object
+ * @returns {Object} `{ segments, fixed }`: the segments for the fixed text,
+ *   with neighbouring strings joined, and the changes that were applied
+ */
+const applyFixes = (segments, shouldFix) => {
+    const fixed = [];
+    const result = segments.reduce((next, segment) => {
+        let item = segment;
+        if (isChange(segment) && shouldFix(segment)) {
+            fixed.push(segment);
+            item = segment.replacement || '';
+        }
+
+        if (typeof item === 'string' && typeof next[next.length - 1] === 'string') {
+            next[next.length - 1] += item;
+        } else if (item !== '') {
+            next.push(item);
+        }
+        return next;
+    }, []);
+
+    return { segments: result, fixed };
+};
+
+/**
+ * Describes the edit a diagnostic suggests.
+ *
+ * @param {Object} diagnostic - From `getDiagnostics`
+ * @returns {string} E.g. 'replace "utilize" with "use"'
+ */
+const describeEdit = ({ original, replacement }) => {
+    if (!original) return `insert "${replacement}"`;
+    if (!replacement) return `delete "${original}"`;
+    return `replace "${original}" with "${replacement}"`;
+};
+
+/**
+ * Formats a diagnostic as one line of linter output.
+ *
+ * @param {string} file - The file's path, as the user gave it
+ * @param {Object} diagnostic - From `getDiagnostics`
+ * @returns {string} E.g. 'docs/a.md:3:14: must-fix: replace "utilize" with "use" (Plain English) [word-choice]'
+ */
+const formatDiagnostic = (file, diagnostic) => {
+    const reason = diagnostic.reason ? ` (${diagnostic.reason})` : '';
+    const text = `${describeEdit(diagnostic)}${reason}`.replace(/\r?\n/g, '\\n');
+    return `${file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${text} [${diagnostic.category}]`;
+};
+
+module.exports = {
+    applyFixes,
+    describeEdit,
+    formatDiagnostic,
+    getDiagnostics,
+    getLineStarts,
+    getPosition,
+    isAtLeastSeverity
+};
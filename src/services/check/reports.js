@@ -0,0 +1,244 @@
+/**
+ * Reports
+ *
+ * Machine-readable reports of a review for CI and review tooling, built from
+ * the same segment arrays the app renders. The JSON report is the source of
+ * the other two: SARIF 2.1.0 for code-scanning UIs, and JUnit XML for test
+ * dashboards, where each suggestion is a test case that fails until it is
+ * accepted, and is skipped once rejected.
+ *
+ * A report covers one or more files, each `{ path, segments, review }`: the
+ * path the report gives for it, its segments, and optionally the review
+ * (`{ accepted, rejected, edits }`, as in `reviewExport.js`). Offsets and
+ * columns count UTF-16 code units of the analyzed text (see `diagnostics.js`).
+ */
+
+const { CHANGE_CATEGORIES, getCategoryLabel } = require('../../utils/changeCategories');
+const { hashText } = require('../../utils/contentHash');
+const { escapeMarkup } = require('../../utils/reviewExport');
+const { stripUnsafeCharacters } = require('../../utils/unicodeText');
+const { describeEdit, getDiagnostics, isAtLeastSeverity } = require('./diagnostics');
+
+// Bumped whenever a field of the JSON report changes meaning or goes away
+const REPORT_VERSION = 1;
+
+const TOOL_NAME = 'style-guider';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+    'must-fix': 'error',
+    recommended: 'warning',
+    optional: 'note'
+};
+
+const REPORT_FORMATS = [
+    { id: 'json', label: 'JSON', extension: '.json', mimeType: 'application/json' },
+    { id: 'sarif', label: 'SARIF', extension: '.sarif', mimeType: 'application/sarif+json' },
+    { id: 'junit', label: 'JUnit XML', extension: '.xml', mimeType: 'application/xml' }
+];
+
+// Resolves a change against the review, as `getReviewedSegments` does
+const getStatus = (index, review = {}) => {
+    if (review.accepted && review.accepted.has(index)) return 'accepted';
+    if (review.rejected && review.rejected.has(index)) return 'rejected';
+    return 'pending';
+};
+
+// Counts changes by status and severity
+const summarize = (changes) => ({
+    total: changes.length,
+    pending: changes.filter(change => change.status === 'pending').length,
+    accepted: changes.filter(change => change.status === 'accepted').length,
+    rejected: changes.filter(change => change.status === 'rejected').length,
+    mustFix: changes.filter(change => change.severity === 'must-fix' && change.status === 'pending').length
+});
+
+/**
+ * Builds the JSON report.
+ *
+ * @param {Array<Object>} files - `{ path, segments, review }` for each file
+ * @param {Object} [options] - Options
+ * @param {string} [options.styleGuideId] - The style guide the files were checked against
+ * @param {string} [options.severity='optional'] - The least serious severity included
+ * @returns {Object} `{ version, tool, styleGuide, summary, files }`, where each
+ *   file is `{ path, summary, changes }` and each change is `{ index, start,
+ *   end, line, column, endLine, endColumn, original, replacement, reason,
+ *   category, severity, confidence, ruleId, status, userModified }`, with
+ *   `confidence` and `ruleId` null when the change has none and `replacement`
+ *   the reviewer's edit if there is one
+ */
+const createJsonReport = (files, { styleGuideId = null, severity = 'optional' } = {}) => {
+    const reportFiles = files.map(({ path, segments, review = {} }) => {
+        const edits = review.edits || new Map();
+        const changes = getDiagnostics(segments)
+            .filter(diagnostic => isAtLeastSeverity(diagnostic.severity, severity))
+            .map(diagnostic => ({
+                index: diagnostic.index,
+                start: diagnostic.start,
+                end: diagnostic.end,
+                line: diagnostic.line,
+                column: diagnostic.column,
+                endLine: diagnostic.endLine,
+                endColumn: diagnostic.endColumn,
+                original: diagnostic.original,
+                replacement: edits.has(diagnostic.index) ? edits.get(diagnostic.index) : diagnostic.replacement,
+                reason: diagnostic.reason,
+                category: diagnostic.category,
+                severity: diagnostic.severity,
+                confidence: diagnostic.confidence === undefined ? null : diagnostic.confidence,
+                ruleId: diagnostic.ruleId || null,
+                status: getStatus(diagnostic.index, review),
+                userModified: edits.has(diagnostic.index)
+            }));
+        return { path, summary: summarize(changes), changes };
+    });
+
+    return {
+        version: REPORT_VERSION,
+        tool: TOOL_NAME,
+        styleGuide: styleGuideId,
+        summary: summarize(reportFiles.flatMap(file => file.changes)),
+        files: reportFiles
+    };
+};
+
+const describeChange = (change) => (change.reason ? `${describeEdit(change)}: ${change.reason}` : describeEdit(change));
+
+/**
+ * Builds a SARIF 2.1.0 log from a JSON report. Each category is a rule,
+ * severities map to levels, replacements are fixes, and rejected changes
+ * are suppressed.
+ *
+ * @param {Object} report - From `createJsonReport`
+ * @returns {Object} The SARIF log
+ */
+const toSarif = (report) => {
+    const categories = CHANGE_CATEGORIES.filter(category => report.files
+        .some(file => file.changes.some(change => change.category === category.id)));
+
+    const results = report.files.flatMap(file => file.changes.map(change => {
+        const region = {
+            startLine: change.line,
+            startColumn: change.column,
+            endLine: change.endLine,
+            endColumn: change.endColumn,
+            charOffset: change.start,
+            charLength: change.end - change.start
+        };
+        const artifactLocation = { uri: file.path };
+
+        return {
+            ruleId: change.category,
+            ruleIndex: categories.findIndex(category => category.id === change.category),
+            level: SARIF_LEVELS[change.severity],
+            message: { text: describeChange(change) },
+            locations: [{ physicalLocation: { artifactLocation, region: { ...region, snippet: { text: change.original } } } }],
+            partialFingerprints: {
+                [`${TOOL_NAME}/v1`]: hashText(JSON.stringify([change.category, change.original, change.replacement]))
+            },
+            fixes: [{
+                description: { text: change.reason || describeEdit(change) },
+                artifactChanges: [{
+                    artifactLocation,
+                    replacements: [{ deletedRegion: region, insertedContent: { text: change.replacement } }]
+                }]
+            }],
+            ...(change.status === 'rejected'
+                ? { suppressions: [{ kind: 'external', justification: 'Rejected in review' }] }
+                : {}),
+            properties: {
+                severity: change.severity,
+                status: change.status,
+                ...(change.confidence === null ? {} : { confidence: change.confidence }),
+                ...(change.ruleId ? { ruleId: change.ruleId } : {})
+            }
+        };
+    }));
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    rules: categories.map(category => ({
+                        id: category.id,
+                        shortDescription: { text: category.label }
+                    }))
+                }
+            },
+            ...(report.styleGuide ? { properties: { styleGuide: report.styleGuide } } : {}),
+            artifacts: report.files.map(file => ({ location: { uri: file.path } })),
+            results
+        }]
+    };
+};
+
+const xml = (text) => escapeMarkup(stripUnsafeCharacters(String(text)));
+
+/**
+ * Builds JUnit XML from a JSON report: a test suite per file and a test case
+ * per change, which fails while pending and is skipped when rejected.
+ *
+ * @param {Object} report - From `createJsonReport`
+ * @returns {string} The XML
+ */
+const toJUnit = (report) => {
+    const suites = report.files.map(file => {
+        const cases = file.changes.map(change => {
+            const name = `${change.line}:${change.column} ${describeEdit(change)}`;
+            let outcome = '';
+            if (change.status === 'pending') {
+                outcome = `\n      <failure type="${xml(change.severity)}" message="${xml(describeChange(change))}">`
+                    + `${xml(`${file.path}:${change.line}:${change.column}: ${change.severity}: ${describeChange(change)} [${getCategoryLabel(change.category)}]`)}</failure>\n    `;
+            } else if (change.status === 'rejected') {
+                outcome = '\n      <skipped message="Rejected in review"/>\n    ';
+            }
+            return `    <testcase classname="${xml(file.path)}" name="${xml(name)}">${outcome}</testcase>`;
+        });
+
+        return [
+            `  <testsuite name="${xml(file.path)}" tests="${file.summary.total}" failures="${file.summary.pending}" `
+                + `skipped="${file.summary.rejected}" errors="0">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${TOOL_NAME}" tests="${report.summary.total}" failures="${report.summary.pending}" `
+            + `skipped="${report.summary.rejected}" errors="0">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Writes a report in one of the `REPORT_FORMATS`.
+ *
+ * @param {string} formatId - 'json', 'sarif' or 'junit'
+ * @param {Array<Object>} files - `{ path, segments, review }` for each file
+ * @param {Object} [options] - `createJsonReport` options
+ * @returns {string} The report
+ * @throws {Error} If the format is unknown
+ */
+const formatReport = (formatId, files, options) => {
+    const report = createJsonReport(files, options);
+    if (formatId === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+    if (formatId === 'sarif') return `${JSON.stringify(toSarif(report), null, 2)}\n`;
+    if (formatId === 'junit') return toJUnit(report);
+    throw new Error(`Unknown report format: ${formatId}`);
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    REPORT_VERSION,
+    createJsonReport,
+    formatReport,
+    toJUnit,
+    toSarif
+};
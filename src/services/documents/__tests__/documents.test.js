@@ -0,0 +1,192 @@
+import JSZip from 'jszip';
+import { exportDocument, getDocumentText, openDocument } from '..';
+import { applyReviewToDocument } from '../documentModel';
+import markdownDocument from '../markdownDocument';
+import htmlDocument from '../htmlDocument';
+import docxDocument from '../docxDocument';
+import textDocument from '../textDocument';
+
+// Splits a document's text into segments with a change for each `[original, replacement]`
+const createSegments = (text, changes) => {
+    const segments = [];
+    let rest = text;
+    changes.forEach(([original, replacement]) => {
+        const index = rest.indexOf(original);
+        segments.push(rest.substring(0, index), { original, replacement, reason: 'Style' });
+        rest = rest.substring(index + original.length);
+    });
+    segments.push(rest);
+    return segments;
+};
+
+const acceptAll = (segments) => ({
+    accepted: new Set(segments.map((segment, index) => index).filter(index => typeof segments[index] !== 'string'))
+});
+
+const review = (format, document, changes) => {
+    const segments = createSegments(getDocumentText(document), changes);
+    return format.serialize(applyReviewToDocument(document, segments, acceptAll(segments)));
+};
+
+describe('Markdown documents', () => {
+    const source = [
+        '---',
+        'title: Release notes',
+        '---',
+        '',
+        '# Release *notes*',
+        '',
+        'Our team **utilize** the [new API](https://example.com/api "API") to',
+        'ship faster. Run `npm run build` first.',
+        '',
+        '- [ ] An item with _emphasis_',
+        '> A quote that',
+        '> continues.',
+        '',
+        '```js',
+        'const utilize = true;',
+        '```',
+        '',
+        '| Name | Value |',
+        '|------|-------|',
+        '| a    | 1     |',
+        ''
+    ].join('\n');
+
+    it('analyzes only the prose and writes it back unchanged', () => {
+        const document = markdownDocument.parse(source, 'notes.md');
+
+        expect(getDocumentText(document)).toBe([
+            'Release notes',
+            'Our team utilize the new API to\nship faster. Run npm run build first.',
+            'An item with emphasis',
+            'A quote that\ncontinues.'
+        ].join('\n\n'));
+        expect(markdownDocument.serialize(document)).toBe(source);
+    });
+
+    /**
+     * Tests writing a review into Markdown.
+     * Verifies replacements keep the emphasis, links and line markers of the
+     * text they replace.
+     */
+    it('keeps formatting around accepted changes', () => {
+        const document = markdownDocument.parse(source, 'notes.md');
+        const output = review(markdownDocument, document, [['utilize', 'use'], ['new API', 'updated API'], ['A quote that', 'A quotation that']]);
+
+        expect(output).toContain('Our team **use** the [updated API](https://example.com/api "API") to\nship faster.');
+        expect(output).toContain('> A quotation that\n> continues.');
+        expect(output).toContain('const utilize = true;');
+    });
+});
+
+describe('HTML documents', () => {
+    const source = '<!DOCTYPE html>\n<html><head><title>Notes</title></head><body>'
+        + '<h1>Release <em>notes</em></h1>'
+        + '<p>Our team <strong>utilize</strong> the <a href="https://example.com">new API</a>.<br>'
+        + 'See <img src="chart.png"> below.</p>'
+        + '<pre>utilize</pre>'
+        + '</body></html>';
+
+    it('reads the text of each block the way it is shown', () => {
+        const document = htmlDocument.parse(source, 'notes.html');
+
+        expect(getDocumentText(document)).toBe('Release notes\n\nOur team utilize the new API.\nSee  below.');
+    });
+
+    it('keeps the page, inline elements and atoms around accepted changes', () => {
+        const document = htmlDocument.parse(source, 'notes.html');
+        const output = review(htmlDocument, document, [['utilize', 'use']]);
+
+        expect(output).toMatch(/^<!DOCTYPE html>\n<html><head><title>Notes<\/title><\/head>/);
+        expect(output).toContain('<p>Our team <strong>use</strong> the <a href="https://example.com">new API</a>.<br>See <img src="chart.png"> below.</p>');
+        expect(output).toContain('<pre>utilize</pre>');
+    });
+
+    it('writes fragments back as fragments', () => {
+        const document = htmlDocument.parse('<p>Hello <b>world</b></p>', 'fragment.html');
+
+        expect(review(htmlDocument, document, [['Hello', 'Hi']])).toBe('<p>Hi <b>world</b></p>');
+    });
+});
+
+describe('Word documents', () => {
+    const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + `<w:document ${W}><w:body>`
+        + '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Release notes</w:t></w:r></w:p>'
+        + '<w:p><w:r><w:t xml:space="preserve">Our team </w:t></w:r>'
+        + '<w:r><w:rPr><w:b/></w:rPr><w:t>utilize</w:t></w:r>'
+        + '<w:r><w:t xml:space="preserve"> the </w:t></w:r>'
+        + '<w:hyperlink r:id="rId5"><w:r><w:t>new API</w:t></w:r></w:hyperlink>'
+        + '<w:bookmarkStart w:id="0" w:name="end"/><w:r><w:t>.</w:t></w:r></w:p>'
+        + '<w:p/>'
+        + '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>utilize</w:t></w:r></w:p></w:tc></w:tr></w:tbl>'
+        + '<w:sectPr/></w:body></w:document>';
+
+    const createFile = async () => {
+        const zip = new JSZip();
+        zip.file('word/document.xml', documentXml);
+        zip.file('word/styles.xml', '<w:styles/>');
+        return zip.generateAsync({ type: 'uint8array' });
+    };
+
+    /**
+     * Tests writing a review into a .docx.
+     * Verifies replacements keep their run's properties, paragraph styles,
+     * hyperlinks, bookmarks and tables stay, and other parts are copied.
+     */
+    it('replaces the text of runs and keeps everything else', async () => {
+        const document = await docxDocument.parse(await createFile(), 'notes.docx');
+
+        expect(getDocumentText(document)).toBe('Release notes\n\nOur team utilize the new API.');
+
+        const zip = await JSZip.loadAsync(await review(docxDocument, document, [['utilize', 'use'], ['new API', 'new interface']]));
+        const xml = await zip.file('word/document.xml').async('string');
+
+        expect(xml).toMatch(/^<\?xml/);
+        expect(xml).toContain('<w:pStyle w:val="Heading1"/>');
+        expect(xml).toMatch(/<w:r><w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">use<\/w:t><\/w:r>/);
+        expect(xml).toMatch(/<w:hyperlink r:id="rId5"><w:r><w:t xml:space="preserve">new interface<\/w:t><\/w:r><\/w:hyperlink><w:bookmarkStart/);
+        expect(xml).toContain('<w:tc><w:p><w:r><w:t>utilize</w:t></w:r></w:p></w:tc>');
+        expect(await zip.file('word/styles.xml').async('string')).toBe('<w:styles/>');
+    });
+
+    it('rejects files that are not Word documents', async () => {
+        const zip = new JSZip();
+        zip.file('notes.txt', 'Text');
+
+        await expect(docxDocument.parse(await zip.generateAsync({ type: 'uint8array' }), 'notes.docx'))
+            .rejects.toThrow('notes.docx is not a Word document');
+    });
+});
+
+describe('Document review', () => {
+    it('keeps the original where a change crosses blocks or is not accepted', () => {
+        const document = markdownDocument.parse('# Title\n\nFirst line.', 'notes.md');
+        const segments = createSegments(getDocumentText(document), [['Title\n\nFirst', 'Title: first'], ['line', 'row']]);
+
+        expect(markdownDocument.serialize(applyReviewToDocument(document, segments, { accepted: new Set([1]) })))
+            .toBe('# Title\n\nFirst line.');
+    });
+
+    it('refuses segments for a different text', () => {
+        const document = textDocument.parse('Some text.', 'notes.txt');
+
+        expect(() => applyReviewToDocument(document, ['Other text.'], {})).toThrow('no longer matches notes.txt');
+    });
+
+    it('opens files by extension and exports them under a new name', async () => {
+        const document = await openDocument(new File(['Line one\r\nLine two'], 'notes.txt'));
+        const segments = createSegments(getDocumentText(document), [['one', '1']]);
+
+        expect(getDocumentText(document)).toBe('Line one\nLine two');
+        expect(await exportDocument(document, segments, acceptAll(segments))).toEqual({
+            filename: 'notes-reviewed.txt',
+            content: 'Line 1\r\nLine two',
+            mimeType: 'text/plain;charset=utf-8'
+        });
+        await expect(openDocument(new File(['%PDF'], 'notes.pdf'))).rejects.toThrow("notes.pdf can't be opened");
+    });
+});
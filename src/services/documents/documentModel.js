@@ -0,0 +1,231 @@
+/**
+ * Document Model
+ *
+ * Files opened for analysis are read into a document that keeps their
+ * structure, so the review can be written back into the same format. A
+ * document is `{ format, name, blocks }`, plus whatever its format needs to
+ * write it out again. Each block is prose, `{ type: 'prose', runs }`, or
+ * something kept exactly as it was and never analyzed, `{ type: 'raw' }`:
+ * code, tables, front matter, empty paragraphs.
+ *
+ * A run is a stretch of prose with the same formatting, `{ text, marks, key }`.
+ * `marks` are the formatting the run is nested in, outermost first, each
+ * with an `id` naming the element it came from; runs with the same `key`
+ * format the same way. Runs with an `atom` (an image, a footnote reference,
+ * anything the format can't treat as text) have no text and are written back
+ * unchanged wherever the review leaves them.
+ *
+ * The analysis only sees the prose: the text of each prose block, separated
+ * by blank lines.
+ */
+
+const { getReviewedSegments } = require('../../utils/reviewExport');
+
+const BLOCK_SEPARATOR = '\n\n';
+
+const isAtom = (run) => run.atom !== undefined;
+
+const getBlockText = (block) => block.runs.map(run => run.text).join('');
+
+const getProseBlocks = (document) => document.blocks.filter(block => block.type === 'prose');
+
+/**
+ * Gets the text of a document that is analyzed.
+ *
+ * @param {Object} document - A document
+ * @returns {string} The prose blocks' text, separated by blank lines
+ */
+const getDocumentText = (document) => getProseBlocks(document).map(getBlockText).join(BLOCK_SEPARATOR);
+
+// Lays the runs of a block out by offset within the block's text
+const getRunSpans = (block) => {
+    let offset = 0;
+    return block.runs.map(run => {
+        const span = { run, start: offset, end: offset + run.text.length };
+        offset = span.end;
+        return span;
+    });
+};
+
+// The runs in [start, end) of a block, cut to fit; atoms are included when they sit at start or within
+const sliceRuns = (spans, start, end) => spans
+    .filter(span => (span.start === span.end
+        ? span.start >= start && span.start < end
+        : span.start < end && span.end > start))
+    .map(({ run, start: runStart }) => (isAtom(run) ? run : {
+        ...run,
+        text: run.text.substring(Math.max(start - runStart, 0), end - runStart)
+    }));
+
+// The run whose formatting new text at `offset` takes: the run it replaces,
+// or for an insertion, the run it continues
+const getRunAt = (spans, offset, inserting) => {
+    const textSpans = spans.filter(span => !isAtom(span.run));
+    const span = (inserting && textSpans.find(candidate => candidate.start < offset && candidate.end >= offset))
+        || textSpans.find(candidate => candidate.start <= offset && candidate.end > offset)
+        || textSpans[textSpans.length - 1];
+    return span.run;
+};
+
+const getCommonPrefixLength = (a, b) => {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length += 1;
+    return length;
+};
+
+const getCommonSuffixLength = (a, b, prefixLength) => {
+    let length = 0;
+    while (length < a.length - prefixLength
+        && length < b.length - prefixLength
+        && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+        length += 1;
+    }
+    return length;
+};
+
+// Joins neighbouring runs that format the same way and drops empty ones
+const mergeRuns = (runs) => runs.reduce((merged, run) => {
+    const previous = merged[merged.length - 1];
+    if (isAtom(run)) {
+        merged.push(run);
+    } else if (previous && !isAtom(previous) && previous.key === run.key) {
+        merged[merged.length - 1] = { ...previous, text: previous.text + run.text };
+    } else if (run.text) {
+        merged.push(run);
+    }
+    return merged;
+}, []);
+
+/**
+ * Writes the review into a document. Accepted changes replace their text;
+ * pending and rejected changes keep the original. The text a change keeps
+ * keeps its formatting, and the text it adds takes the formatting of the
+ * text it replaces. A change reaching past the end of a block can't be
+ * placed in the document's structure, so it keeps the original too.
+ *
+ * @param {Object} document - The document that was analyzed
+ * @param {Array} segments - Response segments for the document's text
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {Object} The document with the review applied
+ * @throws {Error} If the segments are not for this document's text
+ */
+const applyReviewToDocument = (document, segments, review) => {
+    const items = getReviewedSegments(segments, review);
+    const originalText = items.map(item => (item.text !== undefined ? item.text : item.original)).join('');
+    if (originalText !== getDocumentText(document)) {
+        throw new Error(`The reviewed text no longer matches ${document.name}`);
+    }
+
+    let offset = 0;
+    const blocks = getProseBlocks(document).map(block => {
+        const start = offset;
+        offset += getBlockText(block).length + BLOCK_SEPARATOR.length;
+        return { block, start, end: offset - BLOCK_SEPARATOR.length, spans: getRunSpans(block), runs: [] };
+    });
+
+    const keepOriginal = (start, end) => blocks.forEach(target => {
+        if (start >= target.end || end <= target.start) return;
+        target.runs.push(...sliceRuns(target.spans, start - target.start, end - target.start));
+    });
+
+    offset = 0;
+    items.forEach(item => {
+        const original = item.text !== undefined ? item.text : item.original;
+        const start = offset;
+        const end = offset + original.length;
+        offset = end;
+
+        const target = item.status === 'accepted'
+            && blocks.find(candidate => candidate.start <= start && end <= candidate.end);
+        if (!target) {
+            keepOriginal(start, end);
+            return;
+        }
+
+        // Only the text that actually differs takes on new formatting
+        const prefixLength = getCommonPrefixLength(original, item.replacement);
+        const suffixLength = getCommonSuffixLength(original, item.replacement, prefixLength);
+        const changeStart = start - target.start + prefixLength;
+        const changeEnd = end - target.start - suffixLength;
+        const text = item.replacement.substring(prefixLength, item.replacement.length - suffixLength);
+
+        keepOriginal(start, start + prefixLength);
+        target.runs.push(...sliceRuns(target.spans, changeStart, changeEnd).filter(isAtom));
+        if (text) {
+            target.runs.push({ ...getRunAt(target.spans, changeStart, changeStart === changeEnd), text });
+        }
+        keepOriginal(end - suffixLength, end);
+    });
+
+    // Atoms after the last character of a block fall outside every change
+    blocks.forEach(target => {
+        target.runs.push(...target.spans
+            .filter(span => isAtom(span.run) && span.start === target.end - target.start)
+            .map(span => span.run));
+    });
+
+    const reviewedRuns = new Map(blocks.map(target => [target.block, mergeRuns(target.runs)]));
+    return {
+        ...document,
+        blocks: document.blocks.map(block => (reviewedRuns.has(block)
+            ? { ...block, runs: reviewedRuns.get(block) }
+            : block))
+    };
+};
+
+/**
+ * Writes out runs with their marks nested: marks a run shares with the one
+ * before stay open, and the rest are closed and opened around it.
+ *
+ * @param {Array<Object>} runs - The runs of a block
+ * @param {Object} writer - Format callbacks, each returning markup
+ * @param {Function} writer.open - Opens a mark
+ * @param {Function} writer.close - Closes a mark
+ * @param {Function} writer.run - Writes a run's text or atom
+ * @returns {string} The block's markup
+ */
+const writeRuns = (runs, { open, close, run: writeRun }) => {
+    const openMarks = [];
+    let output = '';
+
+    const closeTo = (depth) => {
+        while (openMarks.length > depth) output += close(openMarks.pop());
+    };
+
+    runs.forEach(run => {
+        const marks = run.marks || [];
+        let shared = 0;
+        while (shared < openMarks.length && shared < marks.length && openMarks[shared].id === marks[shared].id) {
+            shared += 1;
+        }
+
+        closeTo(shared);
+        marks.slice(shared).forEach(mark => {
+            output += open(mark);
+            openMarks.push(mark);
+        });
+        output += writeRun(run);
+    });
+    closeTo(0);
+
+    return output;
+};
+
+/**
+ * Gets the key runs with these marks share.
+ *
+ * @param {Array<Object>} marks - Marks, outermost first
+ * @param {string} [extra=''] - Formatting kept on the run itself
+ * @returns {string} The key
+ */
+const getMarksKey = (marks, extra = '') => `${marks.map(mark => mark.id).join('/')}|${extra}`;
+
+module.exports = {
+    BLOCK_SEPARATOR,
+    applyReviewToDocument,
+    getBlockText,
+    getDocumentText,
+    getMarksKey,
+    isAtom,
+    writeRuns
+};
@@ -0,0 +1,179 @@
+/**
+ * Word Documents
+ *
+ * The body's paragraphs are prose; tables, section properties and
+ * paragraphs without text are kept as they were. Paragraph properties
+ * (headings, list numbering, alignment) stay on the paragraph, and each
+ * run's properties (bold, italic, fonts) stay with its text. Hyperlinks are
+ * marks; anything in a paragraph that isn't plain text (drawings, fields,
+ * bookmarks, comment ranges, existing tracked changes) is an atom. Only
+ * `word/document.xml` is rewritten; every other part of the package is
+ * copied across unchanged.
+ */
+
+const JSZip = require('jszip');
+const { DOCX_MIME_TYPE } = require('../../utils/docxExport');
+const { escapeMarkup } = require('../../utils/reviewExport');
+const { getMarksKey, isAtom, writeRuns } = require('./documentModel');
+
+const W_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const DOCUMENT_PART = 'word/document.xml';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Run content that reads as text
+const TEXT_CONTENT = {
+    t: (node) => node.textContent,
+    tab: () => '\t',
+    cr: () => '\n',
+    br: (node) => (node.getAttributeNS(W_NAMESPACE, 'type') || 'textWrapping') === 'textWrapping' ? '\n' : null,
+    noBreakHyphen: () => '\u2011',
+    softHyphen: () => '\u00ad'
+};
+
+const isWordElement = (node, localName) => node.namespaceURI === W_NAMESPACE && node.localName === localName;
+
+const getChildElements = (element) => Array.from(element.childNodes).filter(node => node.nodeType === 1);
+
+const parseXml = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+const serializeXml = (node) => new XMLSerializer().serializeToString(node);
+
+const getBody = (dom) => dom.getElementsByTagNameNS(W_NAMESPACE, 'body')[0];
+
+// Reads a paragraph's content into runs
+const parseParagraph = (paragraph) => {
+    const runs = [];
+    let nextId = 0;
+
+    const addRun = (run, marks) => {
+        const properties = getChildElements(run).find(node => isWordElement(node, 'rPr'));
+        const rPr = properties ? serializeXml(properties) : '';
+        const key = getMarksKey(marks, rPr);
+
+        getChildElements(run).forEach(node => {
+            if (node === properties) return;
+
+            const read = node.namespaceURI === W_NAMESPACE && TEXT_CONTENT[node.localName];
+            const text = read ? read(node) : null;
+            const previous = runs[runs.length - 1];
+            if (text === null) {
+                runs.push({ text: '', atom: `<w:r>${rPr}${serializeXml(node)}</w:r>`, marks, key: `atom${nextId++}` });
+            } else if (previous && !isAtom(previous) && previous.key === key) {
+                previous.text += text;
+            } else {
+                runs.push({ text, marks, key, rPr });
+            }
+        });
+    };
+
+    getChildElements(paragraph).forEach(node => {
+        if (isWordElement(node, 'pPr')) return;
+
+        if (isWordElement(node, 'r')) {
+            addRun(node, []);
+        } else if (isWordElement(node, 'hyperlink')) {
+            const attributes = Array.from(node.attributes)
+                .map(attribute => ` ${attribute.name}="${escapeMarkup(attribute.value)}"`)
+                .join('');
+            const mark = { id: nextId++, open: `<w:hyperlink${attributes}>`, close: '</w:hyperlink>' };
+            getChildElements(node).forEach(child => (isWordElement(child, 'r')
+                ? addRun(child, [mark])
+                : runs.push({ text: '', atom: serializeXml(child), marks: [mark], key: `atom${nextId++}` })));
+        } else {
+            runs.push({ text: '', atom: serializeXml(node), marks: [], key: `atom${nextId++}` });
+        }
+    });
+
+    return runs;
+};
+
+// Writes a text run, turning tabs and line breaks back into their elements
+const writeTextRun = (run) => {
+    const content = run.text.split(/(\t|\n)/)
+        .map(part => {
+            if (part === '\t') return '<w:tab/>';
+            if (part === '\n') return '<w:br/>';
+            return part ? `<w:t xml:space="preserve">${escapeMarkup(part)}</w:t>` : '';
+        })
+        .join('');
+    return `<w:r>${run.rPr || ''}${content}</w:r>`;
+};
+
+/**
+ * Reads a .docx into a document.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The file's contents
+ * @param {string} name - The file name
+ * @returns {Promise<Object>} A document (see `./documentModel.js`)
+ * @throws {Error} If the file is not a Word document
+ */
+const parse = async (data, name) => {
+    const zip = await JSZip.loadAsync(data);
+    const part = zip.file(DOCUMENT_PART);
+    if (!part) throw new Error(`${name} is not a Word document`);
+
+    const xml = await part.async('string');
+    const body = getBody(parseXml(xml));
+    if (!body) throw new Error(`${name} is not a Word document`);
+
+    return {
+        format: 'docx',
+        name,
+        data,
+        xml,
+        blocks: getChildElements(body).map(node => {
+            const runs = isWordElement(node, 'p') ? parseParagraph(node) : [];
+            return runs.some(run => run.text.trim()) ? { type: 'prose', runs } : { type: 'raw' };
+        })
+    };
+};
+
+/**
+ * Writes a document back out as a .docx: the original package with each
+ * paragraph's runs replaced.
+ *
+ * @param {Object} document - A document read by `parse`
+ * @returns {Promise<Uint8Array>} The file's contents
+ */
+const serialize = async (document) => {
+    const zip = await JSZip.loadAsync(document.data);
+    const dom = parseXml(document.xml);
+    const elements = getChildElements(getBody(dom));
+
+    // New runs are parsed inside an element declaring the document's namespaces
+    const namespaces = Array.from(dom.documentElement.attributes)
+        .filter(attribute => attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:'))
+        .map(attribute => ` ${attribute.name}="${escapeMarkup(attribute.value)}"`)
+        .join('');
+
+    document.blocks.forEach((block, index) => {
+        if (block.type !== 'prose') return;
+
+        const paragraph = elements[index];
+        Array.from(paragraph.childNodes)
+            .filter(node => !isWordElement(node, 'pPr'))
+            .forEach(node => paragraph.removeChild(node));
+
+        const content = writeRuns(block.runs, {
+            open: (mark) => mark.open,
+            close: (mark) => mark.close,
+            run: (run) => (isAtom(run) ? run.atom : writeTextRun(run))
+        });
+        const wrapper = parseXml(`<w:wrapper${namespaces}>${content}</w:wrapper>`).documentElement;
+        getChildElements(wrapper).forEach(node => paragraph.appendChild(dom.importNode(node, true)));
+    });
+
+    const xml = serializeXml(dom);
+    zip.file(DOCUMENT_PART, xml.startsWith('<?xml') ? xml : XML_DECLARATION + xml);
+    return zip.generateAsync({ type: 'uint8array', mimeType: DOCX_MIME_TYPE });
+};
+
+module.exports = {
+    id: 'docx',
+    label: 'Word',
+    extensions: ['.docx'],
+    mimeType: DOCX_MIME_TYPE,
+    binary: true,
+    parse,
+    serialize
+};
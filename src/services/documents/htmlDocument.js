@@ -0,0 +1,166 @@
+/**
+ * HTML Documents
+ *
+ * The innermost text blocks (paragraphs, headings, list items, table cells
+ * and the like) are prose; everything around and between them is kept as it
+ * was. Within prose, inline elements such as `strong`, `em`, `a` and `code`
+ * are marks, line breaks are newlines, and elements without text (images,
+ * inputs) or that hold code (`script`, `pre`) are atoms. Whitespace is read
+ * the way a browser shows it, collapsed.
+ */
+
+const { getMarksKey, isAtom, writeRuns } = require('./documentModel');
+
+const TEXT_BLOCK_TAGS = new Set([
+    'ADDRESS', 'BLOCKQUOTE', 'CAPTION', 'DD', 'DIV', 'DT', 'FIGCAPTION', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'LEGEND', 'LI', 'P', 'SUMMARY', 'TD', 'TH'
+]);
+const ATOM_TAGS = new Set([
+    'AUDIO', 'BUTTON', 'CANVAS', 'IFRAME', 'IMG', 'INPUT', 'MATH', 'NOSCRIPT', 'OBJECT', 'PICTURE', 'PRE',
+    'SCRIPT', 'SELECT', 'STYLE', 'SVG', 'TEMPLATE', 'TEXTAREA', 'VIDEO'
+]);
+const SKIPPED_TAGS = new Set(['HEAD', 'PRE', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH', 'TEXTAREA']);
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+
+const escapeAttribute = (value) => escapeHtml(value).replace(/"/g, '&quot;');
+
+const getOpeningTag = (element) => `<${element.tagName.toLowerCase()}${Array.from(element.attributes)
+    .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+    .join('')}>`;
+
+const hasTextBlock = (element) => Array.from(element.children).some(child => TEXT_BLOCK_TAGS.has(child.tagName.toUpperCase())
+    || (!ATOM_TAGS.has(child.tagName.toUpperCase()) && hasTextBlock(child)));
+
+/**
+ * Finds the elements whose text is prose, in document order.
+ *
+ * @param {Document} dom - The parsed page
+ * @returns {Array<Element>} Text blocks holding no other text blocks
+ */
+const findTextBlocks = (dom) => {
+    const blocks = [];
+    const visit = (element) => {
+        const tag = element.tagName.toUpperCase();
+        if (SKIPPED_TAGS.has(tag)) return;
+        if (TEXT_BLOCK_TAGS.has(tag) && !hasTextBlock(element)) {
+            if (element.textContent.trim()) blocks.push(element);
+            return;
+        }
+        Array.from(element.children).forEach(visit);
+    };
+    visit(dom.body);
+    return blocks;
+};
+
+// Reads a text block's content into runs
+const parseRuns = (block) => {
+    const runs = [];
+    let nextId = 0;
+
+    const addText = (text, marks) => {
+        const key = getMarksKey(marks);
+        const previous = runs[runs.length - 1];
+        if (previous && !isAtom(previous) && previous.key === key) {
+            previous.text += text;
+        } else {
+            runs.push({ text, marks, key });
+        }
+    };
+
+    const visit = (node, marks) => {
+        if (node.nodeType === TEXT_NODE) {
+            addText(node.textContent.replace(/[ \t\n\r\f]+/g, ' '), marks);
+        } else if (node.nodeType !== ELEMENT_NODE) {
+            return;
+        } else if (node.tagName.toUpperCase() === 'BR') {
+            addText('\n', marks);
+        } else if (ATOM_TAGS.has(node.tagName.toUpperCase()) || !node.textContent) {
+            runs.push({ text: '', atom: node.outerHTML, marks, key: `atom${nextId++}` });
+        } else {
+            const mark = { id: nextId++, open: getOpeningTag(node), close: `</${node.tagName.toLowerCase()}>` };
+            Array.from(node.childNodes).forEach(child => visit(child, [...marks, mark]));
+        }
+    };
+    Array.from(block.childNodes).forEach(child => visit(child, []));
+
+    // Spaces collapse across elements and disappear at line and block edges
+    let previousText = '\n';
+    runs.forEach(run => {
+        if (isAtom(run)) {
+            previousText = run.atom;
+            return;
+        }
+        if (/[ \n]$/.test(previousText)) run.text = run.text.replace(/^ /, '');
+        run.text = run.text.replace(/ \n/g, '\n').replace(/\n /g, '\n');
+        if (run.text) previousText = run.text;
+    });
+    const textRuns = runs.filter(run => !isAtom(run) && run.text);
+    if (textRuns.length > 0) {
+        const last = textRuns[textRuns.length - 1];
+        last.text = last.text.replace(/ $/, '');
+    }
+
+    return runs.filter(run => isAtom(run) || run.text);
+};
+
+const parseHtml = (source) => new DOMParser().parseFromString(source, 'text/html');
+
+/**
+ * Reads an HTML page or fragment into a document.
+ *
+ * @param {string} source - The HTML
+ * @param {string} name - The file name
+ * @returns {Object} A document (see `./documentModel.js`)
+ */
+const parse = (source, name) => ({
+    format: 'html',
+    name,
+    source,
+    blocks: findTextBlocks(parseHtml(source)).map(element => {
+        const runs = parseRuns(element);
+        return runs.some(run => run.text.trim()) ? { type: 'prose', runs } : { type: 'raw' };
+    })
+});
+
+/**
+ * Writes a document back out as HTML: the original page with each text
+ * block's content replaced.
+ *
+ * @param {Object} document - A document read by `parse`
+ * @returns {string} The HTML
+ */
+const serialize = (document) => {
+    const dom = parseHtml(document.source);
+    const elements = findTextBlocks(dom);
+
+    document.blocks.forEach((block, index) => {
+        if (block.type !== 'prose') return;
+        elements[index].innerHTML = writeRuns(block.runs, {
+            open: (mark) => mark.open,
+            close: (mark) => mark.close,
+            run: (run) => (isAtom(run) ? run.atom : escapeHtml(run.text).replace(/\n/g, '<br>'))
+        });
+    });
+
+    // Fragments stay fragments; whole pages keep their doctype
+    if (!/<html[\s>]/i.test(document.source)) return dom.body.innerHTML;
+    const doctype = dom.doctype ? `<!DOCTYPE ${dom.doctype.name}>\n` : '';
+    return `${doctype}${dom.documentElement.outerHTML}\n`;
+};
+
+module.exports = {
+    id: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeType: 'text/html;charset=utf-8',
+    parse,
+    serialize
+};
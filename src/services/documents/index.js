@@ -0,0 +1,101 @@
+/**
+ * Document Import and Export
+ *
+ * Opens Word, Markdown, HTML and plain text files for analysis and writes
+ * the reviewed text back into the same format (see `./documentModel.js`).
+ */
+
+const { applyReviewToDocument, getDocumentText } = require('./documentModel');
+const textDocument = require('./textDocument');
+const markdownDocument = require('./markdownDocument');
+const htmlDocument = require('./htmlDocument');
+const docxDocument = require('./docxDocument');
+
+const DOCUMENT_FORMATS = [docxDocument, markdownDocument, htmlDocument, textDocument];
+
+// For the `accept` attribute of a file input
+const ACCEPTED_FILE_TYPES = DOCUMENT_FORMATS.flatMap(format => format.extensions).join(',');
+
+const getExtension = (filename) => {
+    const match = /\.[^.]+$/.exec(filename);
+    return match ? match[0].toLowerCase() : '';
+};
+
+/**
+ * Finds the format of a file from its name.
+ *
+ * @param {string} filename - The file name
+ * @returns {Object|null} The format, or null if it isn't supported
+ */
+const getDocumentFormat = (filename) => DOCUMENT_FORMATS
+    .find(format => format.extensions.includes(getExtension(filename))) || null;
+
+const readFile = (file, binary) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(binary ? new Uint8Array(reader.result) : reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    if (binary) {
+        reader.readAsArrayBuffer(file);
+    } else {
+        reader.readAsText(file);
+    }
+});
+
+/**
+ * Opens a file the user chose or dropped.
+ *
+ * @param {File} file - The file
+ * @returns {Promise<Object>} The document, whose text is `getDocumentText(document)`
+ * @throws {Error} If the file type isn't supported or the file can't be read
+ */
+const openDocument = async (file) => {
+    const format = getDocumentFormat(file.name);
+    if (!format) {
+        throw new Error(`${file.name} can't be opened. Choose a Word (.docx), Markdown (.md), HTML (.html) or text (.txt) file.`);
+    }
+
+    const document = await format.parse(await readFile(file, format.binary), file.name);
+    if (!getDocumentText(document).trim()) {
+        throw new Error(`${file.name} has no text to analyze.`);
+    }
+    return document;
+};
+
+/**
+ * Writes the review into a document, in the format it was opened from.
+ *
+ * @param {Object} document - The document that was analyzed
+ * @param {Array} segments - Response segments for its text
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {Promise<Object>} `{ filename, content, mimeType }`, where content
+ *   is a string, or a Uint8Array for binary formats
+ */
+const exportDocument = async (document, segments, review) => {
+    const format = DOCUMENT_FORMATS.find(candidate => candidate.id === document.format);
+    const extension = getExtension(document.name);
+
+    return {
+        filename: `${document.name.substring(0, document.name.length - extension.length)}-reviewed${extension}`,
+        content: await format.serialize(applyReviewToDocument(document, segments, review)),
+        mimeType: format.mimeType
+    };
+};
+
+/**
+ * Gets the name of a document's format for display.
+ *
+ * @param {Object} document - A document
+ * @returns {string} The format's label, e.g. 'Word'
+ */
+const getFormatLabel = (document) => DOCUMENT_FORMATS.find(format => format.id === document.format).label;
+
+module.exports = {
+    ACCEPTED_FILE_TYPES,
+    DOCUMENT_FORMATS,
+    applyReviewToDocument,
+    exportDocument,
+    getDocumentFormat,
+    getDocumentText,
+    getFormatLabel,
+    openDocument
+};
@@ -0,0 +1,309 @@
+/**
+ * Markdown Documents
+ *
+ * Headings, paragraphs, list items and block quotes are prose, with their
+ * markers kept aside for each line. Front matter, fenced and indented code,
+ * tables, HTML blocks and thematic breaks are kept as they were. Within
+ * prose, emphasis, strong text, strikethrough, code spans and links are
+ * marks; images, footnote references, autolinks and inline HTML are atoms.
+ */
+
+const { getMarksKey, isAtom, writeRuns } = require('./documentModel');
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const THEMATIC_BREAK = /^\s{0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const SETEXT_UNDERLINE = /^\s{0,3}(?:=+|-+)[ \t]*$/;
+const HTML_BLOCK = /^\s{0,3}<(?:[a-zA-Z][\w-]*(?:\s|\/?>|$)|\/[a-zA-Z]|!--)/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)+\|?\s*$/;
+const HEADING = /^(\s{0,3}#{1,6}(?:[ \t]+|$))(.*?)((?:[ \t]+#+)?[ \t]*)$/;
+const LIST_ITEM = /^(\s*(?:[-*+]|\d{1,9}[.)])(?:[ \t]+|$)(?:\[[ xX]\][ \t]+)?)(.*)$/;
+const BLOCK_QUOTE = /^(\s{0,3}(?:>[ \t]?)+)(.*)$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const LINK_DEFINITION = /^\s{0,3}\[[^\]]+\]:/;
+const LEADING_WHITESPACE = /^(\s*)(.*)$/;
+
+const ESCAPED_CHARACTER = /^\\([!-/:-@[-`{-~])/;
+const IMAGE = /^!\[(?:\\.|[^\\\]])*\](?:\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)|\[[^\]]*\])/;
+const FOOTNOTE_REFERENCE = /^\[\^[^\]\s]+\]/;
+const AUTOLINK_OR_HTML = /^<(?:[a-zA-Z][\w+.-]*:[^\s<>]*|[^\s<>@]+@[^\s<>]+|\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?|!--[\s\S]*?--)>/;
+const INLINE_LINK = /^\[((?:\\.|[^\\\]])+)\](\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)|\[[^\]]*\])/;
+const EMPHASIS_DELIMITER = /^(\*\*|__|~~|\*|_)/;
+
+const MARK_TYPES = { '**': 'strong', '__': 'strong', '~~': 'strikethrough', '*': 'emphasis', '_': 'emphasis' };
+
+const isBlank = (line) => !line.trim();
+
+const isWordCharacter = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+// Finds where emphasis opened with `delimiter` at `start` closes, or -1
+const findClosingDelimiter = (text, start, delimiter) => {
+    for (let i = start + delimiter.length + 1; i <= text.length - delimiter.length; i += 1) {
+        if (text[i] === '\\') {
+            i += 1;
+        } else if (text[i] === '`') {
+            const ticks = /^`+/.exec(text.substring(i))[0];
+            const close = text.indexOf(ticks, i + ticks.length);
+            if (close !== -1) i = close + ticks.length - 1;
+        } else if (text.startsWith(delimiter, i)
+            && !/\s/.test(text[i - 1])
+            // A single delimiter doesn't close on half of a double one
+            && (delimiter.length > 1 || (text[i + 1] !== delimiter && text[i - 1] !== delimiter))
+            && (delimiter[0] !== '_' || !isWordCharacter(text[i + delimiter.length]))) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Reads the inline Markdown of a block into runs.
+ *
+ * @param {string} source - The block's content, without its line markers
+ * @returns {Array<Object>} Runs (see `./documentModel.js`)
+ */
+const parseInline = (source) => {
+    const runs = [];
+    let nextId = 0;
+
+    const addText = (text, marks) => {
+        const key = getMarksKey(marks);
+        const previous = runs[runs.length - 1];
+        if (previous && !isAtom(previous) && previous.key === key) {
+            previous.text += text;
+        } else {
+            runs.push({ text, marks, key });
+        }
+    };
+
+    const parse = (text, marks) => {
+        let i = 0;
+        while (i < text.length) {
+            const rest = text.substring(i);
+            let match;
+
+            if ((match = ESCAPED_CHARACTER.exec(rest))) {
+                addText(match[1], marks);
+                i += match[0].length;
+            } else if (rest[0] === '`') {
+                const ticks = /^`+/.exec(rest)[0];
+                const close = text.indexOf(ticks, i + ticks.length);
+                if (close === -1) {
+                    addText(ticks, marks);
+                } else {
+                    const mark = { id: nextId++, type: 'code', delimiter: ticks };
+                    addText(text.substring(i + ticks.length, close), [...marks, mark]);
+                }
+                i = close === -1 ? i + ticks.length : close + ticks.length;
+            } else if ((match = IMAGE.exec(rest) || FOOTNOTE_REFERENCE.exec(rest) || AUTOLINK_OR_HTML.exec(rest))) {
+                runs.push({ text: '', atom: match[0], marks, key: `atom${nextId++}` });
+                i += match[0].length;
+            } else if ((match = INLINE_LINK.exec(rest))) {
+                parse(match[1], [...marks, { id: nextId++, type: 'link', destination: match[2] }]);
+                i += match[0].length;
+            } else if ((match = EMPHASIS_DELIMITER.exec(rest))
+                && rest[match[0].length] && !/\s/.test(rest[match[0].length])
+                && (match[0][0] !== '_' || !isWordCharacter(text[i - 1]))) {
+                const delimiter = match[0];
+                const close = findClosingDelimiter(text, i, delimiter);
+                if (close === -1) {
+                    addText(delimiter, marks);
+                    i += delimiter.length;
+                } else {
+                    const mark = { id: nextId++, type: MARK_TYPES[delimiter], delimiter };
+                    parse(text.substring(i + delimiter.length, close), [...marks, mark]);
+                    i = close + delimiter.length;
+                }
+            } else {
+                addText(rest[0], marks);
+                i += 1;
+            }
+        }
+    };
+
+    parse(source, []);
+    return runs;
+};
+
+// Escapes text that would otherwise read as markup
+const escapeText = (text) => text
+    .replace(/\\(?=[!-/:-@[-`{-~])/g, '\\\\')
+    .replace(/`/g, '\\`')
+    // A star between spaces can't start or end emphasis
+    .replace(/\*/g, (star, offset, all) => (/\s/.test(all[offset - 1] || '') && /\s/.test(all[offset + 1] || '') ? star : '\\*'))
+    .replace(/(^|[^\p{L}\p{N}])_|_(?=[^\p{L}\p{N}]|$)/gu, (match) => match.replace('_', '\\_'));
+
+const writeInline = (runs) => writeRuns(runs, {
+    open: (mark) => (mark.type === 'link' ? '[' : mark.delimiter),
+    close: (mark) => (mark.type === 'link' ? `]${mark.destination}` : mark.delimiter),
+    run: (run) => {
+        if (isAtom(run)) return run.atom;
+        return run.marks.some(mark => mark.type === 'code') ? run.text : escapeText(run.text);
+    }
+});
+
+const createProseBlock = (prefix, content, suffix = '') => ({
+    type: 'prose',
+    prefixes: [prefix],
+    lines: [content],
+    suffix
+});
+
+/**
+ * Reads Markdown into a document.
+ *
+ * @param {string} source - The Markdown
+ * @param {string} name - The file name
+ * @returns {Object} A document (see `./documentModel.js`)
+ */
+const parse = (source, name) => {
+    const lineEnding = source.includes('\r\n') ? '\r\n' : '\n';
+    const lines = source.split(/\r?\n/);
+    const blocks = [];
+    // The prose block the next line continues, if any
+    let open = null;
+    let lastProse = null;
+    let i = 0;
+
+    const addRaw = (rawLines) => {
+        blocks.push({ type: 'raw', lines: rawLines });
+        open = null;
+    };
+
+    const addProse = (block, continues = true) => {
+        blocks.push(block);
+        open = continues ? block : null;
+        lastProse = block;
+    };
+
+    // Collects lines from `i` while `test` holds
+    const takeWhile = (test) => {
+        const taken = [];
+        while (i < lines.length && test(lines[i])) taken.push(lines[i++]);
+        return taken;
+    };
+
+    if (lines[0] === '---') {
+        const end = lines.findIndex((line, index) => index > 0 && (line === '---' || line === '...'));
+        if (end !== -1) {
+            addRaw(lines.slice(0, end + 1));
+            i = end + 1;
+        }
+    }
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (isBlank(line)) {
+            addRaw([line]);
+            i += 1;
+        } else if ((match = FENCE.exec(line))) {
+            const fence = match[1];
+            const closing = new RegExp(`^\\s{0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+            const code = [lines[i++]];
+            while (i < lines.length && !closing.test(lines[i])) code.push(lines[i++]);
+            if (i < lines.length) code.push(lines[i++]);
+            addRaw(code);
+        } else if (open && SETEXT_UNDERLINE.test(line)
+            && !LIST_ITEM.test(open.prefixes[0]) && !BLOCK_QUOTE.test(open.prefixes[0])) {
+            // The paragraph above is a heading; its underline stays as it is
+            addRaw([line]);
+            i += 1;
+        } else if (THEMATIC_BREAK.test(line)) {
+            addRaw([line]);
+            i += 1;
+        } else if (LINK_DEFINITION.test(line)) {
+            addRaw([line]);
+            i += 1;
+        } else if (HTML_BLOCK.test(line)) {
+            addRaw(takeWhile(candidate => !isBlank(candidate)));
+        } else if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) {
+            addRaw(takeWhile(candidate => !isBlank(candidate)));
+        } else if ((match = HEADING.exec(line))) {
+            if (match[2]) {
+                addProse(createProseBlock(match[1], match[2], match[3]), false);
+            } else {
+                addRaw([line]);
+            }
+            i += 1;
+        } else if ((match = LIST_ITEM.exec(line)) && match[2].trim()) {
+            addProse(createProseBlock(match[1], match[2]));
+            i += 1;
+        } else if ((match = BLOCK_QUOTE.exec(line))) {
+            const heading = HEADING.exec(match[2]);
+            const item = heading || LIST_ITEM.exec(match[2]);
+            if (!match[2].trim()) {
+                addRaw([line]);
+            } else if (item && item[2].trim()) {
+                addProse(createProseBlock(match[1] + item[1], item[2], heading ? heading[3] : ''), !heading);
+            } else if (open && BLOCK_QUOTE.test(open.prefixes[0])) {
+                open.prefixes.push(match[1]);
+                open.lines.push(match[2]);
+            } else {
+                addProse(createProseBlock(match[1], match[2]));
+            }
+            i += 1;
+        } else if (!open && INDENTED_CODE.test(line) && !(lastProse && LIST_ITEM.test(lastProse.prefixes[0]))) {
+            addRaw(takeWhile(candidate => isBlank(candidate) || INDENTED_CODE.test(candidate)));
+        } else {
+            match = LEADING_WHITESPACE.exec(line);
+            if (open) {
+                open.prefixes.push(match[1]);
+                open.lines.push(match[2]);
+            } else {
+                addProse(createProseBlock(match[1], match[2]));
+            }
+            i += 1;
+        }
+    }
+
+    return {
+        format: 'markdown',
+        name,
+        lineEnding,
+        blocks: blocks.map(block => {
+            if (block.type !== 'prose') return block;
+            const { lines: contentLines, ...rest } = block;
+            const runs = parseInline(contentLines.join('\n'));
+
+            // A block of nothing but images has no prose to analyze
+            if (!runs.some(run => run.text.trim())) {
+                const rawLines = contentLines.map((line, index) => block.prefixes[index] + line);
+                rawLines[rawLines.length - 1] += block.suffix;
+                return { type: 'raw', lines: rawLines };
+            }
+            return { ...rest, runs };
+        })
+    };
+};
+
+/**
+ * Writes a document back out as Markdown.
+ *
+ * @param {Object} document - A document read by `parse`
+ * @returns {string} The Markdown
+ */
+const serialize = (document) => document.blocks
+    .flatMap(block => {
+        if (block.type !== 'prose') return block.lines;
+
+        // Lines the review added are indented like the block's other lines
+        const continuation = block.prefixes.length > 1
+            ? block.prefixes[block.prefixes.length - 1]
+            : block.prefixes[0].replace(/[^\s>]/g, ' ');
+        const lines = writeInline(block.runs).split('\n')
+            .map((line, index) => (index < block.prefixes.length ? block.prefixes[index] : continuation) + line);
+        lines[lines.length - 1] += block.suffix;
+        return lines;
+    })
+    .join(document.lineEnding);
+
+module.exports = {
+    id: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeType: 'text/markdown;charset=utf-8',
+    parse,
+    parseInline,
+    serialize
+};
@@ -0,0 +1,43 @@
+/**
+ * Plain Text Documents
+ *
+ * The whole file is prose, with no formatting to keep apart from its line
+ * endings.
+ */
+
+/**
+ * Reads plain text into a document.
+ *
+ * @param {string} source - The text
+ * @param {string} name - The file name
+ * @returns {Object} A document (see `./documentModel.js`)
+ */
+const parse = (source, name) => {
+    const text = source.replace(/\r\n/g, '\n');
+    return {
+        format: 'text',
+        name,
+        lineEnding: source.includes('\r\n') ? '\r\n' : '\n',
+        blocks: text.trim() ? [{ type: 'prose', runs: [{ text, marks: [], key: '' }] }] : []
+    };
+};
+
+/**
+ * Writes a document back out as plain text.
+ *
+ * @param {Object} document - A document read by `parse`
+ * @returns {string} The text
+ */
+const serialize = (document) => document.blocks
+    .flatMap(block => block.runs.map(run => run.text))
+    .join('')
+    .replace(/\n/g, document.lineEnding);
+
+module.exports = {
+    id: 'text',
+    label: 'Plain text',
+    extensions: ['.txt'],
+    mimeType: 'text/plain;charset=utf-8',
+    parse,
+    serialize
+};
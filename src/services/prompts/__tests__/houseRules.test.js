@@ -0,0 +1,83 @@
+import {
+    normalizeHouseRules,
+    describeHouseRule,
+    linkChangesToHouseRules,
+    findHouseRule
+} from '../houseRules';
+import { getStyleGuidePrompt } from '../styleGuidePrompt';
+import { cleanAndParseResponse } from '../../../utils/responseParser';
+import exampleRules from '../../../../house-rules.example.json';
+
+describe('House rules', () => {
+    const rules = normalizeHouseRules([
+        { type: 'prefer', term: '%', preferred: 'per cent' },
+        { id: 'LEVERAGE', type: 'ban', term: 'leverage', description: 'as a verb' },
+        { type: 'guideline', description: 'Use British spelling' }
+    ]);
+
+    /**
+     * Tests normalization of raw rules.
+     * Verifies ids are assigned, explicit ids are kept and invalid rules dropped.
+     */
+    it('normalizes rules and assigns ids', () => {
+        expect(rules.map(rule => rule.id)).toEqual(['HR1', 'LEVERAGE', 'HR2']);
+
+        expect(normalizeHouseRules([
+            { type: 'prefer', term: 'focussed' },
+            { type: 'unknown', term: 'x' },
+            { type: 'ban' },
+            null
+        ])).toEqual([]);
+    });
+
+    it('accepts the house rules file format', () => {
+        const normalized = normalizeHouseRules(exampleRules);
+
+        expect(normalized).toHaveLength(exampleRules.rules.length);
+        expect(normalized[0]).toEqual(expect.objectContaining({ id: 'HR1', term: '%', preferred: 'per cent' }));
+    });
+
+    it('describes each type of rule', () => {
+        expect(describeHouseRule(rules[0])).toBe('Write "per cent", not "%"');
+        expect(describeHouseRule(rules[1])).toBe('Never use "leverage" (as a verb)');
+        expect(describeHouseRule(rules[2])).toBe('Use British spelling');
+    });
+
+    /**
+     * Tests prompt injection.
+     * Verifies rules are listed with their ids and the ruleId field is requested.
+     */
+    it('injects rules into the prompt', () => {
+        const prompt = getStyleGuidePrompt('Draft', 'economist', { houseRules: rules });
+
+        expect(prompt).toContain('HOUSE RULES:');
+        expect(prompt).toContain('   - [HR1] Write "per cent", not "%"');
+        expect(prompt).toContain('   - [LEVERAGE] Never use "leverage" (as a verb)');
+        expect(prompt).toContain('plus "ruleId" when it enforces a house rule');
+    });
+
+    it('leaves the prompt unchanged when there are no rules', () => {
+        expect(getStyleGuidePrompt('Draft', 'economist', { houseRules: [] }))
+            .toBe(getStyleGuidePrompt('Draft'));
+    });
+
+    /**
+     * Tests that change objects keep references to known rules only,
+     * after passing through the response parser.
+     */
+    it('links parsed change objects to known rules', () => {
+        const response = JSON.stringify([
+            'Growth was 3',
+            { original: '%', replacement: ' per cent', reason: 'House style', ruleId: 'HR1' },
+            ' and we ',
+            { original: 'leveraged', replacement: 'used', reason: 'Jargon', ruleId: 'HR9' }
+        ]);
+
+        const linked = linkChangesToHouseRules(cleanAndParseResponse(response), rules);
+
+        expect(linked[1].ruleId).toBe('HR1');
+        expect(findHouseRule(linked[1], rules)).toBe(rules[0]);
+        expect(linked[3]).not.toHaveProperty('ruleId');
+        expect(findHouseRule(linked[3], rules)).toBeNull();
+    });
+});
@@ -0,0 +1,32 @@
+import { SEGMENT_TOOL, getSegmentToolInput } from '../segmentTool';
+import { CHANGE_CATEGORIES } from '../../../utils/changeCategories';
+
+describe('Segment tool', () => {
+    /**
+     * Tests the tool's input schema.
+     * Verifies segments are strings or change objects with the same
+     * required and optional fields the text responses use.
+     */
+    it('describes segments and change objects', () => {
+        const { items } = SEGMENT_TOOL.input_schema.properties.segments;
+        const change = items.anyOf.find(item => item.type === 'object');
+
+        expect(SEGMENT_TOOL.input_schema.required).toEqual(['segments']);
+        expect(items.anyOf.map(item => item.type)).toEqual(['string', 'object']);
+        expect(change.required).toEqual(['original', 'replacement', 'reason']);
+        expect(change.properties.category.enum).toEqual(CHANGE_CATEGORIES.map(({ id }) => id));
+        expect(change.properties.severity.enum).toEqual(['must-fix', 'recommended', 'optional']);
+    });
+
+    it('finds the tool call among the content blocks', () => {
+        const input = { segments: ['Text'] };
+
+        expect(getSegmentToolInput([
+            { type: 'text', text: 'Here are the edits.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'submit_segments', input }
+        ])).toBe(input);
+        expect(getSegmentToolInput([{ type: 'tool_use', name: 'other_tool', input }])).toBeNull();
+        expect(getSegmentToolInput([{ type: 'text', text: '["Text"]' }])).toBeNull();
+        expect(getSegmentToolInput(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,84 @@
+import { getStyleGuidePrompt } from '../styleGuidePrompt';
+import { STYLE_GUIDES, getStyleGuide, getSystemPrompt, listStyleGuides } from '../styleGuides';
+import { validateSegmentStructure } from '../../../utils/parserValidator';
+
+describe('Style guide prompts', () => {
+    /**
+     * Tests the default prompt.
+     * Verifies the Economist guide is used when no style guide is given.
+     */
+    it('uses The Economist style guide by default', () => {
+        const prompt = getStyleGuidePrompt('Draft text');
+
+        expect(prompt).toMatch(/^You are an expert copy editor at The Economist magazine\./);
+        expect(prompt).toContain('<draft_document>\nDraft text\n</draft_document>');
+        expect(prompt).toContain('"replacement": "seven Republicans,"');
+    });
+
+    /**
+     * Tests that every registered guide supplies its own persona,
+     * focus areas and examples.
+     */
+    it.each(STYLE_GUIDES.map(guide => [guide.id, guide]))('builds the %s prompt', (id, guide) => {
+        const prompt = getStyleGuidePrompt('Draft text', id);
+
+        expect(prompt).toContain(`You are ${guide.persona}.`);
+        guide.focusAreas.forEach(area => {
+            expect(prompt).toContain(`   - ${area}`);
+        });
+        guide.examples.forEach(example => {
+            expect(prompt).toContain(JSON.stringify(example.input));
+        });
+    });
+
+    /**
+     * Tests the few-shot examples themselves.
+     * Verifies each example response is a valid segment array that
+     * reconstructs its example input exactly.
+     */
+    it.each(STYLE_GUIDES.map(guide => [guide.id, guide]))('has well-formed %s examples', (id, guide) => {
+        guide.examples.forEach(example => {
+            const validation = validateSegmentStructure(JSON.stringify(example.response));
+            expect(validation.isValid).toBe(true);
+
+            const reconstructed = example.response
+                .map(segment => typeof segment === 'string' ? segment : segment.original)
+                .join('');
+            expect(reconstructed).toBe(example.input);
+        });
+    });
+
+    /**
+     * Tests the optional change fields in the response schema.
+     * Verifies the prompt asks for them and the validator accepts changes
+     * with or without them, but not with unknown values.
+     */
+    it('asks for category, severity and confidence', () => {
+        const prompt = getStyleGuidePrompt('Draft text');
+        const change = { original: 'a', replacement: 'b', reason: 'x' };
+        const validate = (fields) => validateSegmentStructure(JSON.stringify(['Text ', { ...change, ...fields }]));
+
+        expect(prompt).toContain('"severity" is "must-fix" for errors');
+        expect(prompt).toContain('"category" is one of "house-rules", "numbers", "dates"');
+
+        expect(validate({}).isValid).toBe(true);
+        expect(validate({ category: 'grammar', severity: 'optional', confidence: 0.5, ruleId: 'HR1' }).isValid).toBe(true);
+        expect(validate({ severity: 'urgent' })).toMatchObject({ isValid: false, errorType: 'invalid_field_value' });
+        expect(validate({ category: 'style' }).isValid).toBe(false);
+        expect(validate({ confidence: 1.5 }).isValid).toBe(false);
+    });
+
+    it('falls back to the default guide for unknown ids', () => {
+        expect(getStyleGuide('unknown').id).toBe('economist');
+        expect(getSystemPrompt('unknown')).toContain('The Economist');
+    });
+
+    it('lists guides for selection', () => {
+        expect(listStyleGuides()).toEqual(
+            expect.arrayContaining([
+                { id: 'economist', name: 'The Economist' },
+                { id: 'ap', name: 'AP' }
+            ])
+        );
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * House Rules
+ *
+ * Team-authored rules that are injected into the prompt alongside the chosen
+ * style guide and take precedence over it. Rules are plain JSON so they can be
+ * kept in a file (see `house-rules.example.json`) or edited in the browser.
+ *
+ * Supported rule types:
+ * - `prefer`: write `preferred` instead of `term` (also used for preferred spellings)
+ * - `ban`: never use `term`
+ * - `guideline`: a free-form instruction in `description`
+ */
+
+const HOUSE_RULE_TYPES = ['prefer', 'ban', 'guideline'];
+
+/**
+ * Validates raw rules (e.g. from a JSON file or local storage) and assigns
+ * ids to rules that lack one. Invalid rules are dropped.
+ *
+ * @param {Array|Object} raw - An array of rules or an object with a `rules` array
+ * @returns {Array<Object>} The normalized rules
+ */
+const normalizeHouseRules = (raw) => {
+    const list = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.rules) ? raw.rules : []);
+    const usedIds = new Set();
+    const rules = [];
+
+    list.forEach(item => {
+        if (!item || typeof item !== 'object' || !HOUSE_RULE_TYPES.includes(item.type)) return;
+
+        const rule = {
+            id: typeof item.id === 'string' ? item.id.trim() : '',
+            type: item.type,
+            term: typeof item.term === 'string' ? item.term : '',
+            preferred: typeof item.preferred === 'string' ? item.preferred : '',
+            description: typeof item.description === 'string' ? item.description.trim() : ''
+        };
+
+        if (rule.type === 'prefer' && (!rule.term || !rule.preferred)) return;
+        if (rule.type === 'ban' && !rule.term) return;
+        if (rule.type === 'guideline' && !rule.description) return;
+
+        if (!rule.id || usedIds.has(rule.id)) rule.id = '';
+        if (rule.id) usedIds.add(rule.id);
+        rules.push(rule);
+    });
+
+    // Number rules without an id after the explicit ids are known
+    let next = 1;
+    rules.forEach(rule => {
+        if (rule.id) return;
+        while (usedIds.has(`HR${next}`)) next++;
+        rule.id = `HR${next}`;
+        usedIds.add(rule.id);
+    });
+
+    return rules;
+};
+
+/**
+ * Describes a rule as a single instruction.
+ *
+ * @param {Object} rule - A normalized house rule
+ * @returns {string} The rule in plain words
+ */
+const describeHouseRule = (rule) => {
+    const note = rule.description ? ` (${rule.description})` : '';
+
+    switch (rule.type) {
+        case 'prefer':
+            return `Write "${rule.preferred}", not "${rule.term}"${note}`;
+        case 'ban':
+            return `Never use "${rule.term}"${note}`;
+        default:
+            return rule.description;
+    }
+};
+
+/**
+ * Formats the house rules section of the prompt.
+ *
+ * @param {Array<Object>} rules - Normalized house rules
+ * @returns {string} The prompt section, or an empty string if there are no rules
+ */
+const formatHouseRulesSection = (rules) => {
+    if (!rules || rules.length === 0) return '';
+
+    const lines = rules.map(rule => `   - [${rule.id}] ${describeHouseRule(rule)}`);
+
+    return `HOUSE RULES: The team's own rules below take precedence over the style guide. Apply every rule that is relevant to the draft:
+${lines.join('\n')}
+   When a change enforces one of these rules, add a "ruleId" property to the change object containing the rule's id, e.g. "ruleId": "${rules[0].id}".`;
+};
+
+/**
+ * Keeps `ruleId` only on change objects that reference a known house rule.
+ *
+ * @param {Array} segments - Parsed response segments
+ * @param {Array<Object>} rules - Normalized house rules
+ * @returns {Array} Segments with unknown rule references removed
+ */
+const linkChangesToHouseRules = (segments, rules = []) => {
+    if (!Array.isArray(segments)) return segments;
+
+    const ruleIds = new Set(rules.map(rule => rule.id));
+
+    return segments.map(segment => {
+        if (typeof segment !== 'object' || segment === null || !('ruleId' in segment)) {
+            return segment;
+        }
+
+        if (ruleIds.has(segment.ruleId)) return segment;
+
+        const { ruleId, ...change } = segment;
+        return change;
+    });
+};
+
+/**
+ * Finds the house rule a change object references.
+ *
+ * @param {Object} change - A change object
+ * @param {Array<Object>} rules - Normalized house rules
+ * @returns {Object|null} The matching rule, if any
+ */
+const findHouseRule = (change, rules = []) => {
+    if (!change || !change.ruleId) return null;
+    return rules.find(rule => rule.id === change.ruleId) || null;
+};
+
+module.exports = {
+    HOUSE_RULE_TYPES,
+    normalizeHouseRules,
+    describeHouseRule,
+    formatHouseRulesSection,
+    linkChangesToHouseRules,
+    findHouseRule
+};
@@ -0,0 +1,63 @@
+const { CHANGE_CATEGORIES, SEVERITIES } = require('../../utils/changeCategories');
+
+const SEGMENT_TOOL_NAME = 'submit_segments';
+
+/**
+ * The tool the model is made to call with its edits, so the segments arrive
+ * as structured input rather than JSON written into the text response.
+ */
+const SEGMENT_TOOL = {
+    name: SEGMENT_TOOL_NAME,
+    description: 'Submit the edited document as an ordered list of segments. Joining the unchanged strings and the "original" of every change must reproduce the draft exactly.',
+    input_schema: {
+        type: 'object',
+        properties: {
+            segments: {
+                type: 'array',
+                items: {
+                    anyOf: [
+                        {
+                            type: 'string',
+                            description: 'Unchanged text, including its whitespace and line breaks'
+                        },
+                        {
+                            type: 'object',
+                            properties: {
+                                original: { type: 'string', description: 'The original text' },
+                                replacement: { type: 'string', description: 'The suggested improvement' },
+                                reason: { type: 'string', description: 'Why the change improves style guide adherence' },
+                                category: { type: 'string', enum: CHANGE_CATEGORIES.map(({ id }) => id) },
+                                severity: { type: 'string', enum: SEVERITIES.map(({ id }) => id) },
+                                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                                ruleId: { type: 'string', description: 'The id of the house rule the change enforces' }
+                            },
+                            required: ['original', 'replacement', 'reason']
+                        }
+                    ]
+                }
+            }
+        },
+        required: ['segments']
+    }
+};
+
+// Forces the model to answer with the tool rather than with text
+const SEGMENT_TOOL_CHOICE = { type: 'tool', name: SEGMENT_TOOL_NAME };
+
+/**
+ * Finds the segment tool call in the content blocks of a Messages API response.
+ *
+ * @param {Array<Object>} content - The response's content blocks
+ * @returns {Object|null} The tool input, `{ segments }`, or null if the model answered with text
+ */
+const getSegmentToolInput = (content) => {
+    const block = (content || []).find(item => item.type === 'tool_use' && item.name === SEGMENT_TOOL_NAME);
+    return block ? block.input : null;
+};
+
+module.exports = {
+    SEGMENT_TOOL,
+    SEGMENT_TOOL_CHOICE,
+    SEGMENT_TOOL_NAME,
+    getSegmentToolInput
+};
@@ -1,6 +1,51 @@
-export const getStyleGuidePrompt = (inputText) => `You are an expert copy editor at The Economist magazine. You are tasked with improving a draft document by applying the principles contained in The Economist Style Guide. Your response will be used to demonstrate a novel editing interface for writers. As such, you should prefer to make changes at a more granular level so that the resulting document displays a variety of smaller edits, rather than fewer larger edits. Be comprehensive, and make improvements whenever necessary. Follow these steps carefully:
-
-1. First, review your knowledge of The Economist Style Guide.
+const { DEFAULT_STYLE_GUIDE_ID, getStyleGuide } = require('./styleGuides');
+const { formatHouseRulesSection } = require('./houseRules');
+const { CHANGE_CATEGORIES, SEVERITIES } = require('../../utils/changeCategories');
+
+// Bump whenever a change to the prompt changes the responses; cached results are keyed by it
+const PROMPT_VERSION = 2;
+
+const formatIds = (items) => items.map(item => `"${item.id}"`).join(', ');
+
+const formatFocusAreas = (focusAreas) => focusAreas
+    .map(area => `   - ${area}`)
+    .join('\n');
+
+// Examples are serialized the same way the model is asked to respond
+const formatExamples = (examples) => examples
+    .map((example, index) => {
+        const number = index + 1;
+        const label = example.label ? ` (${example.label})` : '';
+        return `Example input ${number}${label}:\n${JSON.stringify(example.input)}\n\n` +
+            `Example response ${number}:\n${JSON.stringify(example.response, null, 3)}`;
+    })
+    .join('\n\n');
+
+/**
+ * Builds the prompt asking the model to apply a style guide to the draft.
+ *
+ * @param {string} inputText - The draft document
+ * @param {string} [styleGuideId] - The id of a style guide in the registry
+ * @param {Object} [options] - Prompt options
+ * @param {Array<Object>} [options.houseRules] - Normalized house rules, which take precedence over the guide
+ * @param {boolean} [options.placeholders=false] - Whether the draft contains Markdown placeholders
+ *   (see `markdownProtection.js`) that must be returned untouched
+ * @returns {string} The prompt
+ */
+const getStyleGuidePrompt = (inputText, styleGuideId = DEFAULT_STYLE_GUIDE_ID, { houseRules = [], placeholders = false } = {}) => {
+    const guide = getStyleGuide(styleGuideId);
+    const houseRulesSection = formatHouseRulesSection(houseRules);
+    const houseRulesBlock = houseRulesSection ? `\n${houseRulesSection}\n` : '';
+    const placeholdersNote = placeholders
+        ? '\n- The draft is Markdown. Placeholders such as ⟦1⟧ stand for code, links, URLs and other markup. Copy every placeholder exactly, in its place, inside a string segment. NEVER change, move or remove a placeholder, and NEVER include one in a change object'
+        : '';
+    const changeObjectFields = houseRulesSection
+        ? 'Each change object must contain the three properties "original", "replacement", and "reason", should contain "category", "severity" and "confidence", plus "ruleId" when it enforces a house rule'
+        : 'Each change object must contain the three properties "original", "replacement", and "reason", and should contain "category", "severity" and "confidence"';
+
+    return `You are ${guide.persona}. You are tasked with improving a draft document by applying the principles contained in ${guide.guideName}. Your response will be used to demonstrate a novel editing interface for writers. As such, you should prefer to make changes at a more granular level so that the resulting document displays a variety of smaller edits, rather than fewer larger edits. Be comprehensive, and make improvements whenever necessary. Follow these steps carefully:
+
+1. First, review your knowledge of ${guide.guideName}.
 
 2. Next, examine the Draft Document:
 <draft_document>
@@ -8,12 +53,8 @@ ${inputText}
 </draft_document>
 
 3. Analyze the draft document against the style guide. Pay close attention to:
-   - Writing style (e.g., active vs. passive voice, sentence structure)
-   - Tone and voice
-   - Formatting and layout
-   - Use of terminology and jargon
-   - Grammar and punctuation rules specific to the style guide
-
+${formatFocusAreas(guide.focusAreas)}
+${houseRulesBlock}
 4. Consider how the text can be improved to better align with the style guide. Think about:
    - Rewording sentences to match the preferred style
    - Adjusting formatting to meet guidelines
@@ -30,14 +71,21 @@ ${inputText}
       {
         "original": "the original text",
         "replacement": "the suggested improvement",
-        "reason": "brief explanation of why this change improves style guide adherence"
+        "reason": "brief explanation of why this change improves style guide adherence",
+        "category": "the kind of edit",
+        "severity": "how much the change matters",
+        "confidence": 0.9
       }
+      where:
+      - "category" is one of ${formatIds(CHANGE_CATEGORIES)}
+      - "severity" is "must-fix" for errors and clear breaches of the style guide, "recommended" for the guide's preferences, or "optional" for matters of taste (one of ${formatIds(SEVERITIES)})
+      - "confidence" is a number from 0 to 1 for how sure you are that the change is right
 
 6. IMPORTANT JSON FORMATTING RULES:
    - The entire response must be a valid JSON array (starting with '[' and ending with ']')
    - All strings must have properly escaped quotes, backslashes, and control characters
    - All property names in objects must be in double quotes
-   - Each change object must contain exactly three properties: "original", "replacement", and "reason"
+   - ${changeObjectFields}
    - Do not include trailing commas in arrays or objects
    - Make sure all brackets and braces are properly balanced
 
@@ -62,95 +110,7 @@ ${inputText}
 
 NOTE: THe following examples are intended to help you format responses. Do not rely on them for stylistic guidance, rather lean on your knowledge of the style guide instead.
 
-Example input 1:
-"Four years ago today, on February 13, 2021, Senate Republicans acquitted former president Donald Trump of incitement of insurrection in his second impeachment trial. Although 57 senators, including 7 Republicans, voted to convict Trump for launching the January 6, 2021 attack on the U.S. Capitol, that vote did not reach the threshold of 67 votes — two thirds of the Senate — necessary to convict a president in an impeachment trial."
-
-Example response 1:
-[
-   "Four years ago today, on February 13, 2021, Senate Republicans acquitted ",
-   {
-      "original": "former president Donald Trump",
-      "replacement": "Donald Trump",
-      "reason": "The Economist style guide advises against using 'former president' as a title - use the person's name directly"
-   },
-   " of ",
-   {
-      "original": "incitement of insurrection",
-      "replacement": "inciting insurrection",
-      "reason": "The Economist favors active, direct language over nominal constructions"
-   },
-   " in his second impeachment trial. Although 57 senators, including ",
-   {
-      "original": "7 Republicans,",
-      "replacement": "seven Republicans,",
-      "reason": "The Economist style guide recommends spelling out single-digit numbers"
-   },
-   " voted to convict Trump for launching the ",
-   {
-      "original": "January 6, 2021",
-      "replacement": "January 6th 2021",
-      "reason": "The Economist style guide uses 'th' for dates and removes comma between date and year"
-   },
-   " attack on the ",
-   {
-      "original": "U.S.",
-      "replacement": "American",
-      "reason": "The Economist prefers 'American' to 'U.S.' in most contexts"
-   },
-   " Capitol, that vote did not reach the threshold of 67 votes — ",
-   {
-      "original": "two thirds",
-      "replacement": "two-thirds",
-      "reason": "The Economist hyphenates compound modifiers"
-   },
-   " of the Senate — necessary to convict a president in an impeachment trial."
-]
-
-Example input 2:
-"While the implementation of the new policy, which was developed after extensive consultation with stakeholders and underwent multiple rounds of revision, has been met with some resistance from certain quarters, the majority of employees have expressed support for the changes."
-
-Example response 2:
-[
-   "While the implementation of the new policy, ",
-   {
-      "original": "which was developed after extensive consultation with stakeholders and underwent multiple rounds of revision",
-      "replacement": "developed after consulting stakeholders",
-      "reason": "The Economist style guide favors concise, clear sentences over complex subordinate clauses"
-   },
-   ", has ",
-   {
-      "original": "been met with some resistance from certain quarters",
-      "replacement": "faced some opposition",
-      "reason": "Replace passive voice and vague phrases with active, specific language"
-   },
-   ", ",
-   {
-      "original": "the majority of employees have expressed support for the changes",
-      "replacement": "most employees support it",
-      "reason": "Simplify wordy expressions and use direct language"
-   },
-   "."
-]
-
-Example input 3 (with special characters and quotes):
-"The CEO stated, \\"Our Q1 results were 'unprecedented' in the company's 20-year history.\\" However, revenue actually decreased by 5% compared to Q1 of the previous year. The CFO explained that \\"special circumstances—including supply chain disruptions—affected our bottom line.\\""
-
-Example response 3:
-[
-   "The CEO stated, \\"Our ",
-   {
-      "original": "Q1 results",
-      "replacement": "first-quarter results",
-      "reason": "The Economist style guide prefers writing out 'first quarter' instead of using 'Q1' abbreviation"
-   },
-   " were 'unprecedented' in the company's 20-year history.\\" However, revenue actually decreased by 5% compared to ",
-   {
-      "original": "Q1",
-      "replacement": "the first quarter",
-      "reason": "Consistency with Economist style of writing out 'first quarter' instead of abbreviation"
-   },
-   " of the previous year. The CFO explained that \\"special circumstances—including supply chain disruptions—affected our bottom line.\\""
-]
+${formatExamples(guide.examples)}
 
 IMPORTANT:
 - Make changes at the most granular level appropriate (specific words or phrases rather than entire sentences)
@@ -160,7 +120,7 @@ IMPORTANT:
 - Each change object must include all three fields: original, replacement, and reason
 - Preserve all linebreaks and paragraph structure in string segments
 - NEVER confuse the above examples with the input text
-- Return ONLY the raw JSON array with no additional formatting or explanation
+- Return ONLY the raw JSON array with no additional formatting or explanation${placeholdersNote}
 - Ensure all quotes and special characters are properly escaped in JSON strings, particularly with nested quotes
 - Carefully balance all brackets and braces in the JSON structure
 - Verify the JSON is valid before completing your response
@@ -186,4 +146,7 @@ The above response is INCORRECT because it:
 3. Gives vague reasons for multiple changes
 4. Does not separate unchanged portions as string elements
 
-Remember: Return ONLY the raw JSON array with no additional formatting or explanation and check your response is valid JSON that follows the above rules.`; 
\ No newline at end of file
+Remember: Return ONLY the raw JSON array with no additional formatting or explanation and check your response is valid JSON that follows the above rules.`;
+};
+
+module.exports = { getStyleGuidePrompt, PROMPT_VERSION };
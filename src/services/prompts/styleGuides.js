@@ -0,0 +1,506 @@
+/**
+ * Style Guide Registry
+ *
+ * Each style guide supplies the editor persona, the areas the model should
+ * focus on and few-shot examples for the prompt built by `getStyleGuidePrompt`.
+ * The registry is shared by the browser and the proxy (which uses the
+ * persona as the system prompt), so it is written as a CommonJS module.
+ */
+
+const DEFAULT_STYLE_GUIDE_ID = 'economist';
+
+const STYLE_GUIDES = [
+    {
+        id: 'economist',
+        name: 'The Economist',
+        guideName: 'The Economist Style Guide',
+        persona: 'an expert copy editor at The Economist magazine',
+        focusAreas: [
+            'Writing style (e.g., active vs. passive voice, sentence structure)',
+            'Tone and voice',
+            'Formatting and layout',
+            'Use of terminology and jargon',
+            'Grammar and punctuation rules specific to the style guide'
+        ],
+        examples: [
+            {
+                input: 'Four years ago today, on February 13, 2021, Senate Republicans acquitted former president Donald Trump of incitement of insurrection in his second impeachment trial. Although 57 senators, including 7 Republicans, voted to convict Trump for launching the January 6, 2021 attack on the U.S. Capitol, that vote did not reach the threshold of 67 votes — two thirds of the Senate — necessary to convict a president in an impeachment trial.',
+                response: [
+                    'Four years ago today, on February 13, 2021, Senate Republicans acquitted ',
+                    {
+                        original: 'former president Donald Trump',
+                        replacement: 'Donald Trump',
+                        reason: "The Economist style guide advises against using 'former president' as a title - use the person's name directly",
+                        category: 'word-choice',
+                        severity: 'recommended',
+                        confidence: 0.8
+                    },
+                    ' of ',
+                    {
+                        original: 'incitement of insurrection',
+                        replacement: 'inciting insurrection',
+                        reason: 'The Economist favors active, direct language over nominal constructions',
+                        category: 'concision',
+                        severity: 'optional',
+                        confidence: 0.7
+                    },
+                    ' in his second impeachment trial. Although 57 senators, including ',
+                    {
+                        original: '7 Republicans,',
+                        replacement: 'seven Republicans,',
+                        reason: 'The Economist style guide recommends spelling out single-digit numbers',
+                        category: 'numbers',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' voted to convict Trump for launching the ',
+                    {
+                        original: 'January 6, 2021',
+                        replacement: 'January 6th 2021',
+                        reason: "The Economist style guide uses 'th' for dates and removes comma between date and year",
+                        category: 'dates',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' attack on the ',
+                    {
+                        original: 'U.S.',
+                        replacement: 'American',
+                        reason: "The Economist prefers 'American' to 'U.S.' in most contexts",
+                        category: 'word-choice',
+                        severity: 'recommended',
+                        confidence: 0.85
+                    },
+                    ' Capitol, that vote did not reach the threshold of 67 votes — ',
+                    {
+                        original: 'two thirds',
+                        replacement: 'two-thirds',
+                        reason: 'The Economist hyphenates compound modifiers',
+                        category: 'punctuation',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' of the Senate — necessary to convict a president in an impeachment trial.'
+                ]
+            },
+            {
+                input: 'While the implementation of the new policy, which was developed after extensive consultation with stakeholders and underwent multiple rounds of revision, has been met with some resistance from certain quarters, the majority of employees have expressed support for the changes.',
+                response: [
+                    'While the implementation of the new policy, ',
+                    {
+                        original: 'which was developed after extensive consultation with stakeholders and underwent multiple rounds of revision',
+                        replacement: 'developed after consulting stakeholders',
+                        reason: 'The Economist style guide favors concise, clear sentences over complex subordinate clauses',
+                        category: 'concision',
+                        severity: 'optional',
+                        confidence: 0.7
+                    },
+                    ', has ',
+                    {
+                        original: 'been met with some resistance from certain quarters',
+                        replacement: 'faced some opposition',
+                        reason: 'Replace passive voice and vague phrases with active, specific language',
+                        category: 'grammar',
+                        severity: 'recommended',
+                        confidence: 0.75
+                    },
+                    ', ',
+                    {
+                        original: 'the majority of employees have expressed support for the changes',
+                        replacement: 'most employees support it',
+                        reason: 'Simplify wordy expressions and use direct language',
+                        category: 'concision',
+                        severity: 'optional',
+                        confidence: 0.7
+                    },
+                    '.'
+                ]
+            },
+            {
+                label: 'with special characters and quotes',
+                input: 'The CEO stated, "Our Q1 results were \'unprecedented\' in the company\'s 20-year history." However, revenue actually decreased by 5% compared to Q1 of the previous year. The CFO explained that "special circumstances—including supply chain disruptions—affected our bottom line."',
+                response: [
+                    'The CEO stated, "Our ',
+                    {
+                        original: 'Q1 results',
+                        replacement: 'first-quarter results',
+                        reason: "The Economist style guide prefers writing out 'first quarter' instead of using 'Q1' abbreviation",
+                        category: 'jargon',
+                        severity: 'recommended',
+                        confidence: 0.85
+                    },
+                    ' were \'unprecedented\' in the company\'s 20-year history." However, revenue actually decreased by 5% compared to ',
+                    {
+                        original: 'Q1',
+                        replacement: 'the first quarter',
+                        reason: "Consistency with Economist style of writing out 'first quarter' instead of abbreviation",
+                        category: 'jargon',
+                        severity: 'recommended',
+                        confidence: 0.85
+                    },
+                    ' of the previous year. The CFO explained that "special circumstances—including supply chain disruptions—affected our bottom line."'
+                ]
+            }
+        ]
+    },
+    {
+        id: 'ap',
+        name: 'AP',
+        guideName: 'The Associated Press Stylebook',
+        persona: 'an experienced copy editor on the Associated Press news desk',
+        focusAreas: [
+            'Numerals (spell out one through nine, use figures for 10 and above, ages, percentages and money)',
+            'Dates, times and abbreviated months',
+            'Titles, capitalization and abbreviations such as state names',
+            'Punctuation, including no Oxford comma in simple series',
+            'Concise, neutral news writing and attribution'
+        ],
+        examples: [
+            {
+                input: 'On Tuesday, September 3rd, the Governor of California announced that 5 new clinics will open in Sacramento, Fresno, and San Diego by 2026.',
+                response: [
+                    'On Tuesday, ',
+                    {
+                        original: 'September 3rd',
+                        replacement: 'Sept. 3',
+                        reason: 'AP abbreviates months with specific dates and does not use ordinals in dates',
+                        category: 'dates',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ', the ',
+                    {
+                        original: 'Governor of California',
+                        replacement: 'California governor',
+                        reason: 'AP lowercases titles that are not used directly before a name',
+                        category: 'spelling',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' announced that ',
+                    {
+                        original: '5',
+                        replacement: 'five',
+                        reason: 'AP spells out numbers one through nine',
+                        category: 'numbers',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' new clinics will open in Sacramento, ',
+                    {
+                        original: 'Fresno, and',
+                        replacement: 'Fresno and',
+                        reason: 'AP omits the Oxford comma in a simple series',
+                        category: 'punctuation',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' San Diego by 2026.'
+                ]
+            },
+            {
+                input: 'The company\'s revenue grew by 12 percent to $4,000,000, according to a statement released by the company\'s spokesperson.',
+                response: [
+                    'The company\'s revenue grew ',
+                    {
+                        original: 'by 12 percent to $4,000,000',
+                        replacement: '12% to $4 million',
+                        reason: 'AP uses the % sign with figures and writes large dollar amounts as $4 million',
+                        category: 'numbers',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ', ',
+                    {
+                        original: 'according to a statement released by the company\'s spokesperson',
+                        replacement: 'a company spokesperson said in a statement',
+                        reason: 'AP prefers direct attribution with "said"',
+                        category: 'word-choice',
+                        severity: 'recommended',
+                        confidence: 0.8
+                    },
+                    '.'
+                ]
+            }
+        ]
+    },
+    {
+        id: 'chicago',
+        name: 'Chicago',
+        guideName: 'The Chicago Manual of Style',
+        persona: 'a senior manuscript editor at a university press who follows The Chicago Manual of Style',
+        focusAreas: [
+            'Numbers (spell out zero through one hundred and round numbers in nonscientific prose)',
+            'Serial (Oxford) commas and other punctuation',
+            'Capitalization of titles and headings',
+            'Consistent treatment of dates, abbreviations and hyphenation',
+            'Clarity, agreement and precise word choice'
+        ],
+        examples: [
+            {
+                input: 'The committee reviewed 45 proposals from Ohio, Texas and Oregon, and approved the ones submitted before Feb. 1.',
+                response: [
+                    'The committee reviewed ',
+                    {
+                        original: '45',
+                        replacement: 'forty-five',
+                        reason: 'Chicago spells out whole numbers from zero through one hundred',
+                        category: 'numbers',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' proposals from Ohio, ',
+                    {
+                        original: 'Texas and Oregon,',
+                        replacement: 'Texas, and Oregon',
+                        reason: 'Chicago uses the serial comma, and the comma before the second verb is unnecessary',
+                        category: 'punctuation',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' and approved the ones submitted before ',
+                    {
+                        original: 'Feb. 1',
+                        replacement: 'February 1',
+                        reason: 'Chicago spells out month names in running text',
+                        category: 'dates',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    '.'
+                ]
+            },
+            {
+                input: 'Each of the authors have agreed to the revised timeline, which is a more long term solution.',
+                response: [
+                    'Each of the authors ',
+                    {
+                        original: 'have agreed',
+                        replacement: 'has agreed',
+                        reason: "'Each' is singular and takes a singular verb",
+                        category: 'grammar',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' to the revised timeline, which is a ',
+                    {
+                        original: 'more long term',
+                        replacement: 'more long-term',
+                        reason: 'Chicago hyphenates compound adjectives that precede a noun',
+                        category: 'punctuation',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' solution.'
+                ]
+            }
+        ]
+    },
+    {
+        id: 'guardian',
+        name: 'The Guardian',
+        guideName: 'The Guardian and Observer style guide',
+        persona: 'a sub-editor at The Guardian who applies the Guardian and Observer style guide',
+        focusAreas: [
+            'British spelling and the -ise endings the Guardian prefers',
+            'Minimal capitalisation of titles, institutions and job descriptions',
+            'Numbers, dates (e.g. 6 January 2021) and per cent',
+            'Plain, jargon-free language and avoidance of cliches',
+            'Inclusive, respectful terminology'
+        ],
+        examples: [
+            {
+                input: 'The Prime Minister said on January 6th that the government will prioritize a 10% cut in emissions going forward.',
+                response: [
+                    'The ',
+                    {
+                        original: 'Prime Minister',
+                        replacement: 'prime minister',
+                        reason: 'The Guardian lowercases job titles when they are not followed by a name',
+                        category: 'spelling',
+                        severity: 'must-fix',
+                        confidence: 0.9
+                    },
+                    ' said on ',
+                    {
+                        original: 'January 6th',
+                        replacement: '6 January',
+                        reason: 'The Guardian writes dates as day month, without ordinals',
+                        category: 'dates',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' that the government will ',
+                    {
+                        original: 'prioritize',
+                        replacement: 'prioritise',
+                        reason: 'The Guardian uses British -ise spellings',
+                        category: 'spelling',
+                        severity: 'must-fix',
+                        confidence: 0.95
+                    },
+                    ' a 10% cut in ',
+                    {
+                        original: 'emissions going forward',
+                        replacement: 'emissions',
+                        reason: "The Guardian style guide lists 'going forward' as a phrase to avoid",
+                        category: 'jargon',
+                        severity: 'recommended',
+                        confidence: 0.85
+                    },
+                    '.'
+                ]
+            },
+            {
+                input: 'The Department of Health has leveraged its resources to tackle the issue of obesity amongst young people.',
+                response: [
+                    'The ',
+                    {
+                        original: 'Department of Health has leveraged its resources to tackle',
+                        replacement: 'Department of Health is using its resources to tackle',
+                        reason: "The Guardian avoids jargon such as 'leverage' as a verb",
+                        category: 'jargon',
+                        severity: 'recommended',
+                        confidence: 0.85
+                    },
+                    ' ',
+                    {
+                        original: 'the issue of obesity amongst',
+                        replacement: 'obesity among',
+                        reason: "Cut the redundant 'the issue of'; the Guardian prefers 'among' to 'amongst'",
+                        category: 'concision',
+                        severity: 'optional',
+                        confidence: 0.75
+                    },
+                    ' young people.'
+                ]
+            }
+        ]
+    },
+    {
+        id: 'plain-language',
+        name: 'Plain language (government)',
+        guideName: 'the Federal Plain Language Guidelines and the GOV.UK content style guide',
+        persona: 'a content designer who edits public-sector writing to plain-language standards',
+        focusAreas: [
+            'Short sentences (aim for 25 words or fewer) and short paragraphs',
+            'Everyday words instead of formal or bureaucratic terms',
+            'Active voice and addressing the reader as "you"',
+            'Removing jargon, acronyms and unnecessary words',
+            'Putting the most important information first'
+        ],
+        examples: [
+            {
+                input: 'Applicants are required to submit the aforementioned documentation prior to the commencement of the assessment period in order to facilitate timely processing.',
+                response: [
+                    {
+                        original: 'Applicants are required to submit',
+                        replacement: 'You must send',
+                        reason: 'Address the reader directly and use everyday verbs',
+                        category: 'tone',
+                        severity: 'recommended',
+                        confidence: 0.7
+                    },
+                    ' ',
+                    {
+                        original: 'the aforementioned documentation',
+                        replacement: 'these documents',
+                        reason: "Replace formal words like 'aforementioned' with plain ones",
+                        category: 'tone',
+                        severity: 'recommended',
+                        confidence: 0.8
+                    },
+                    ' ',
+                    {
+                        original: 'prior to the commencement of the assessment period',
+                        replacement: 'before the assessment starts',
+                        reason: "Use 'before' and a verb instead of nominal phrases",
+                        category: 'concision',
+                        severity: 'optional',
+                        confidence: 0.7
+                    },
+                    ' ',
+                    {
+                        original: 'in order to facilitate timely processing',
+                        replacement: 'so we can process them quickly',
+                        reason: 'Say what will happen in plain words',
+                        category: 'word-choice',
+                        severity: 'recommended',
+                        confidence: 0.75
+                    },
+                    '.'
+                ]
+            },
+            {
+                input: 'The HMRC will utilise the information provided for the purposes of determining eligibility.',
+                response: [
+                    {
+                        original: 'The HMRC will utilise',
+                        replacement: 'HMRC will use',
+                        reason: "Use 'use' instead of 'utilise'; do not put 'the' before HMRC",
+                        category: 'word-choice',
+                        severity: 'recommended',
+                        confidence: 0.8
+                    },
+                    ' the information ',
+                    {
+                        original: 'provided for the purposes of determining eligibility',
+                        replacement: 'you give us to decide if you are eligible',
+                        reason: 'Use active voice and everyday words',
+                        category: 'grammar',
+                        severity: 'recommended',
+                        confidence: 0.75
+                    },
+                    '.'
+                ]
+            }
+        ]
+    }
+];
+
+/**
+ * Returns the style guide with the given id, or the default style guide if
+ * the id is missing or unknown.
+ *
+ * @param {string} [id] - The style guide id
+ * @returns {Object} The style guide definition
+ */
+const getStyleGuide = (id) => {
+    return STYLE_GUIDES.find(guide => guide.id === id) ||
+        STYLE_GUIDES.find(guide => guide.id === DEFAULT_STYLE_GUIDE_ID);
+};
+
+/**
+ * Checks whether a style guide id is registered.
+ *
+ * @param {string} id - The style guide id
+ * @returns {boolean} True if the style guide exists
+ */
+const isStyleGuide = (id) => STYLE_GUIDES.some(guide => guide.id === id);
+
+/**
+ * Lists the available style guides for selection in the UI.
+ *
+ * @returns {Array<{id: string, name: string}>} Style guide ids and display names
+ */
+const listStyleGuides = () => STYLE_GUIDES.map(({ id, name }) => ({ id, name }));
+
+/**
+ * Builds the system prompt the proxy sends alongside the user prompt.
+ *
+ * @param {string} [id] - The style guide id
+ * @returns {string} The system prompt
+ */
+const getSystemPrompt = (id) => {
+    const guide = getStyleGuide(id);
+    return `You are ${guide.persona}. You apply ${guide.guideName} to writing projects.`;
+};
+
+module.exports = {
+    DEFAULT_STYLE_GUIDE_ID,
+    STYLE_GUIDES,
+    getStyleGuide,
+    isStyleGuide,
+    listStyleGuides,
+    getSystemPrompt
+};
@@ -0,0 +1,99 @@
+import { alignSegments } from '../alignmentValidator';
+import { getOriginalText } from '../segmentUtils';
+
+describe('Alignment Validator', () => {
+    const change = (original, replacement = 'X') => ({ original, replacement, reason: 'Style' });
+
+    it('leaves a response that reconstructs the input untouched', () => {
+        const segments = ['Four years ago, ', change('7 Republicans', 'seven Republicans'), ' voted.'];
+        const result = alignSegments(segments, 'Four years ago, 7 Republicans voted.');
+
+        expect(result).toEqual({ segments, isAligned: true, repaired: false, unresolved: [], discarded: [] });
+    });
+
+    /**
+     * Tests repair of small drift.
+     * Verifies changes are re-anchored onto the real text when the model
+     * retyped quotes, dashes, accents or whitespace.
+     */
+    it('re-anchors changes that differ from the input in quotes, dashes, accents and spacing', () => {
+        const input = 'Mr Müller said “it’s over” — again.\n\nThen he left.';
+        const segments = [
+            'Mr Muller said ',
+            change('"it\'s over"', 'it was over'),
+            ' - again. ',
+            'Then he left.'
+        ];
+
+        const result = alignSegments(segments, input);
+
+        expect(result.isAligned).toBe(true);
+        expect(result.repaired).toBe(true);
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(result.segments[1]).toEqual(change('“it’s over”', 'it was over'));
+    });
+
+    it('restores text the model dropped and reports it as unresolved', () => {
+        const input = 'First sentence stays. The model skipped this one entirely. Last one has 7 cats.';
+        const segments = ['First sentence stays. ', 'Last one has ', change('7', 'seven'), ' cats.'];
+
+        const result = alignSegments(segments, input);
+
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(result.isAligned).toBe(false);
+        expect(result.unresolved).toEqual([{
+            start: 22,
+            end: 59,
+            text: 'The model skipped this one entirely. '
+        }]);
+    });
+
+    it('discards text and changes the model invented', () => {
+        const input = 'The economy grew quickly last year.';
+        const segments = [
+            'The economy grew ',
+            change('very quickly indeed', 'fast'),
+            'quickly last year.',
+            ' An invented closing sentence.'
+        ];
+
+        const result = alignSegments(segments, input);
+
+        expect(getOriginalText(result.segments)).toBe(input);
+        expect(result.unresolved).toEqual([]);
+        expect(result.discarded).toEqual([segments[1], segments[3]]);
+    });
+
+    /**
+     * Tests insertions in a response that needs repairing.
+     * Verifies they are anchored after the segment before them rather than dropped.
+     */
+    it('keeps insertions when re-anchoring', () => {
+        const input = 'He said “yes” and left. Then he came back.';
+        const segments = ['He said "yes"', change('', ','), ' and left. Then he came back.'];
+
+        const result = alignSegments(segments, input);
+
+        expect(result.repaired).toBe(true);
+        expect(result.isAligned).toBe(true);
+        expect(result.segments).toEqual(['He said “yes”', change('', ','), ' and left. Then he came back.']);
+    });
+
+    it('absorbs gaps made only of whitespace and punctuation', () => {
+        const input = 'One.\n\nTwo!';
+        const result = alignSegments(['One', 'Two'], input);
+
+        expect(result.segments).toEqual([input]);
+        expect(result.isAligned).toBe(true);
+    });
+
+    it('does not rewrite a response that matches little of the input', () => {
+        const segments = ['This is unchanged text. ', change('govt', 'government'), ' more text.'];
+        const result = alignSegments(segments, 'Test text');
+
+        expect(result.segments).toBe(segments);
+        expect(result.repaired).toBe(false);
+        expect(result.isAligned).toBe(false);
+        expect(result.unresolved).toEqual([{ start: 0, end: 9, text: 'Test text' }]);
+    });
+});
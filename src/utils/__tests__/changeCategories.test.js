@@ -0,0 +1,82 @@
+import {
+    getChangeCategory,
+    getCategoryLabel,
+    getChangeSeverity,
+    describeChangeRating,
+    normalizeChangeFields
+} from '../changeCategories';
+import { getParagraphs, getSegmentParagraphs } from '../segmentUtils';
+
+describe('Change Categories', () => {
+    it('uses the category a change already carries', () => {
+        expect(getChangeCategory({ original: '5', replacement: 'five', reason: 'x', category: 'numbers' }))
+            .toBe('numbers');
+    });
+
+    it('treats model changes linked to a house rule as house rules', () => {
+        expect(getChangeCategory({ original: 'e-mail', replacement: 'email', reason: 'House style', ruleId: 'email' }))
+            .toBe('house-rules');
+    });
+
+    it('infers a category from the reason', () => {
+        const categoryOf = reason => getChangeCategory({ original: 'a', replacement: 'b', reason });
+
+        expect(categoryOf('Spell out numbers under ten')).toBe('numbers');
+        expect(categoryOf('British spelling')).toBe('spelling');
+        expect(categoryOf('Hyphenate compound modifiers')).toBe('punctuation');
+        expect(categoryOf('Prefer the active voice')).toBe('grammar');
+        expect(categoryOf('Redundant phrase')).toBe('concision');
+        expect(categoryOf('Write dates without a comma before the year')).toBe('dates');
+        expect(categoryOf('Too informal for news copy')).toBe('tone');
+        expect(categoryOf('Avoid jargon')).toBe('jargon');
+        expect(categoryOf('Prefer the plain word')).toBe('word-choice');
+        expect(categoryOf('Reads better')).toBe('other');
+    });
+
+    it('defaults the severity of changes that do not state one', () => {
+        expect(getChangeSeverity({ original: 'a', replacement: 'b', reason: 'x', severity: 'must-fix' })).toBe('must-fix');
+        expect(getChangeSeverity({ original: 'a', replacement: 'b', reason: 'x' })).toBe('recommended');
+        expect(getChangeSeverity({ original: 'a', replacement: 'b', reason: 'x', severity: 'urgent' })).toBe('recommended');
+    });
+
+    it('describes the stated severity and confidence', () => {
+        expect(describeChangeRating({ severity: 'optional', confidence: 0.42 })).toBe('Optional, 42% confidence');
+        expect(describeChangeRating({ severity: 'must-fix' })).toBe('Must fix');
+        expect(describeChangeRating({ original: 'a', replacement: 'b', reason: 'x' })).toBe('');
+    });
+
+    it('normalizes optional change fields', () => {
+        expect(normalizeChangeFields([
+            'Text',
+            { original: 'a', replacement: 'b', reason: 'x', category: ' Tone ', severity: 'must_fix', confidence: '70%', ruleId: 7 }
+        ])).toEqual([
+            'Text',
+            { original: 'a', replacement: 'b', reason: 'x', category: 'tone', severity: 'must-fix', confidence: 0.7 }
+        ]);
+    });
+
+    it('labels categories', () => {
+        expect(getCategoryLabel('numbers')).toBe('Numbers');
+        expect(getCategoryLabel('dates')).toBe('Dates');
+        expect(getCategoryLabel('unknown')).toBe('unknown');
+    });
+});
+
+describe('Paragraph helpers', () => {
+    it('splits text on blank lines', () => {
+        expect(getParagraphs('One.\n\nTwo.\n \nThree.').map(paragraph => paragraph.text))
+            .toEqual(['One.\n\n', 'Two.\n \n', 'Three.']);
+    });
+
+    it('finds the paragraph each segment starts in', () => {
+        const segments = [
+            'We hired ',
+            { original: '3', replacement: 'three', reason: 'Numbers' },
+            ' people.\n\nThey cost ',
+            { original: '5%', replacement: '5 per cent', reason: 'Numbers' },
+            ' more.'
+        ];
+
+        expect(getSegmentParagraphs(segments)).toEqual([0, 0, 0, 1, 1]);
+    });
+});
@@ -0,0 +1,145 @@
+import { runLocalRules, applyLocalRules, mergeLocalRules } from '../localRules';
+import { getOriginalText, mergeChanges } from '../segmentUtils';
+import { normalizeHouseRules } from '../../services/prompts/houseRules';
+
+// Reduce changes to "original -> replacement" pairs for readable assertions
+const pairs = (text, options) => runLocalRules(text, options)
+    .map(change => `${change.original} -> ${change.replacement}`);
+
+describe('Local Rule Engine', () => {
+    it('spells out whole numbers under ten', () => {
+        expect(pairs('We hired 7 people. 3 left after 12 weeks.')).toEqual([
+            '7 -> seven',
+            '3 -> Three'
+        ]);
+    });
+
+    /**
+     * Tests ordered lists and product names.
+     * Verifies list markers and version numbers keep their figures.
+     */
+    it('leaves list markers and product versions alone', () => {
+        expect(pairs('1. Install Python 3 on Windows 7.\n  2) Run it on an iPhone 8.')).toEqual([]);
+        expect(pairs('Only 3 of the 1 or 2 tests failed.')).toEqual(['3 -> three', '1 -> one', '2 -> two']);
+    });
+
+    it('leaves Markdown placeholders alone', () => {
+        expect(pairs('See ⟦3⟧ and ⟦12⟧ for 5 cats.')).toEqual(['5 -> five']);
+    });
+
+    it('leaves figures in amounts, decimals, times and measurements alone', () => {
+        expect(pairs('It cost $5 and rose 2.4 points by 9:30 over 5 km (version 2).')).toEqual([]);
+    });
+
+    it('formats dates and per cent the Economist way', () => {
+        expect(pairs('On January 6, 2021 inflation hit 2.4%.')).toEqual([
+            'January 6, 2021 -> January 6th 2021',
+            '2.4% -> 2.4 per cent'
+        ]);
+    });
+
+    it('prefers American and America to U.S.', () => {
+        expect(pairs('The U.S. economy is strong, said the U.S. and its allies.')).toEqual([
+            'U.S. -> American',
+            'the U.S. -> America'
+        ]);
+    });
+
+    /**
+     * Tests "U.S." that may end a sentence, and the pronoun "us".
+     * Verifies neither is rewritten.
+     */
+    it('leaves U.S. before a capital and US in capitals alone', () => {
+        expect(pairs('Prices rose in the U.S. The next year they fell.')).toEqual([]);
+        expect(pairs('Prices rose in the U.S.')).toEqual([]);
+        expect(pairs('CONTACT US TODAY. The US market is big.')).toEqual([]);
+    });
+
+    it('hyphenates compound modifiers', () => {
+        expect(pairs('A 20 year history and a 5 year old boy ate two thirds of it.')).toEqual([
+            '20 year -> 20-year',
+            '5 year old -> five-year-old',
+            'two thirds -> two-thirds'
+        ]);
+    });
+
+    /**
+     * Tests units followed by a word that is not a noun.
+     * Verifies the unit is not hyphenated onto it.
+     */
+    it('only hyphenates compound modifiers before a noun', () => {
+        const options = { styleGuideId: 'chicago' };
+        expect(pairs('It took 1 hour and then it rained.', options)).toEqual([]);
+        expect(pairs('Read 1 page at a time.', options)).toEqual([]);
+        expect(pairs('The meeting ran 1 day late.', options)).toEqual([]);
+        expect(pairs('A 3 day meeting ran 2 hours late.', options)).toEqual(['3 day -> three-day']);
+    });
+
+    it('only runs rules that apply to the selected style guide', () => {
+        expect(pairs('Growth of 3% since March 4', { styleGuideId: 'chicago' })).toEqual([]);
+        expect(pairs('Growth of 3% since March 4', { styleGuideId: 'ap' })).toEqual([]);
+        expect(pairs('We saw 3 cases', { styleGuideId: 'ap' })).toEqual(['3 -> three']);
+    });
+
+    /**
+     * Tests house rules.
+     * Verifies prefer rules are applied first, keep their id and win on overlap.
+     */
+    it('applies prefer house rules ahead of the built-in rules', () => {
+        const houseRules = normalizeHouseRules([
+            { type: 'prefer', term: '%', preferred: 'pc' },
+            { type: 'prefer', term: 'utilize', preferred: 'use' },
+            { type: 'ban', term: 'leverage' }
+        ]);
+
+        const changes = runLocalRules('Utilize 5% of it.', { houseRules });
+
+        expect(changes.map(change => [change.original, change.replacement, change.ruleId])).toEqual([
+            ['Utilize', 'Use', 'HR2'],
+            ['%', ' pc', 'HR1']
+        ]);
+    });
+
+    it('produces segments that reconstruct the text', () => {
+        const text = 'In 2024 the U.S. added 7 million jobs.\n\nGrowth was 3%.';
+        const segments = applyLocalRules(text);
+
+        expect(getOriginalText(segments)).toBe(text);
+        segments.filter(segment => typeof segment === 'object').forEach(change => {
+            expect(change).toEqual(expect.objectContaining({
+                original: expect.any(String),
+                replacement: expect.any(String),
+                reason: expect.any(String),
+                source: 'rules'
+            }));
+            expect(change).not.toHaveProperty('start');
+        });
+    });
+
+    /**
+     * Tests merging with model output.
+     * Verifies local changes never overlap the model's own changes.
+     */
+    it('merges with model suggestions without overlapping them', () => {
+        const modelSegments = [
+            'Four years ago, ',
+            { original: '7 Republicans', replacement: 'seven Republicans', reason: 'Numbers' },
+            ' and 3 Democrats voted in the U.S. election.'
+        ];
+
+        const merged = mergeLocalRules(modelSegments);
+
+        expect(getOriginalText(merged)).toBe(getOriginalText(modelSegments));
+        expect(merged.filter(segment => typeof segment === 'object').map(change => change.original)).toEqual([
+            '7 Republicans',
+            '3',
+            'U.S.'
+        ]);
+    });
+
+    it('skips added changes that cross an existing change', () => {
+        const segments = ['abc ', { original: 'def', replacement: 'x', reason: 'r' }, ' ghi'];
+
+        expect(mergeChanges(segments, [{ start: 2, end: 5, replacement: 'y', reason: 'r' }])).toEqual(segments);
+    });
+});
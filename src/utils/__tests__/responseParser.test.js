@@ -0,0 +1,170 @@
+import { cleanAndParseResponse, cleanResponse, getParserTelemetry, parseToolInput } from '../responseParser';
+import { extractValidFragments, attemptJsonRepair } from '../parserRecovery';
+import { validateJsonArrayStructure } from '../parserValidator';
+import { ParserError } from '../errors/ParserError';
+import { safeSubstring } from '../unicodeText';
+import { normalizeChangeFields } from '../changeCategories';
+
+// Multilingual corpus: each entry is a sentence plus a phrase in it that a
+// change object rewrites
+const corpus = [
+    { language: 'French', text: 'Le président a déclaré « c’est inacceptable » à Besançon.', original: 'a déclaré', replacement: 'a dit' },
+    { language: 'German', text: 'Die Straße in Köln war „überfüllt“, sagte Jürgen.', original: 'überfüllt', replacement: 'voll' },
+    { language: 'Spanish', text: '¿Dónde está el niño? ¡Mañana llegará a Logroño!', original: 'llegará', replacement: 'vendrá' },
+    { language: 'Polish', text: 'Zażółć gęślą jaźń w Łodzi.', original: 'Łodzi', replacement: 'Łódź' },
+    { language: 'Greek', text: 'Η οικονομία της Ελλάδας αναπτύχθηκε κατά 2%.', original: 'αναπτύχθηκε', replacement: 'μεγάλωσε' },
+    { language: 'Russian', text: 'Центральный банк снизил ставку — впервые за год.', original: 'снизил', replacement: 'понизил' },
+    { language: 'Arabic', text: 'قال الوزير إن الاقتصاد ينمو بسرعة.', original: 'بسرعة', replacement: 'سريعاً' },
+    { language: 'Hebrew', text: 'הבנק המרכזי העלה את הריבית.', original: 'העלה', replacement: 'הגדיל' },
+    { language: 'Hindi', text: 'भारत की अर्थव्यवस्था तेज़ी से बढ़ रही है।', original: 'तेज़ी से', replacement: 'तेजी से' },
+    { language: 'Chinese', text: '中国经济去年增长了百分之五。', original: '增长了', replacement: '增长' },
+    { language: 'Japanese', text: '日本銀行は金利を据え置いた。', original: '据え置いた', replacement: '維持した' },
+    { language: 'Korean', text: '한국은행은 기준금리를 동결했다.', original: '동결했다', replacement: '유지했다' },
+    { language: 'Thai', text: 'ธนาคารแห่งประเทศไทยคงอัตราดอกเบี้ย', original: 'คง', replacement: 'รักษา' },
+    { language: 'Vietnamese', text: 'Kinh tế Việt Nam tăng trưởng ổn định.', original: 'ổn định', replacement: 'vững chắc' },
+    { language: 'Currency and punctuation', text: 'Prices rose to £5 — or €6, ¥800 and ₹450… ‘allegedly’.', original: '— or', replacement: '(or' },
+    { language: 'Emoji', text: 'The team 👩‍💻 shipped it 🚀 on time 👍🏽.', original: 'shipped it', replacement: 'released it' },
+    { language: 'Decomposed accents', text: 'Cafe\u0301 owners in Mu\u0308nchen', original: 'owners', replacement: 'proprietors' },
+    { language: 'Non-breaking spaces', text: 'It cost 5\u00A0000\u00A0€ in total.', original: 'in total', replacement: 'altogether' }
+];
+
+// Builds the segment array the model is asked for: text, change, text
+const toSegments = ({ text, original, replacement }) => {
+    const start = text.indexOf(original);
+    return [
+        text.substring(0, start),
+        { original, replacement, reason: 'Clearer wording' },
+        text.substring(start + original.length)
+    ].filter(segment => segment !== '');
+};
+
+describe('Response Parser with Unicode text', () => {
+    it.each(corpus)('preserves $language text in a well-formed response', (entry) => {
+        const segments = toSegments(entry);
+
+        expect(cleanAndParseResponse(JSON.stringify(segments, null, 2))).toEqual(segments);
+    });
+
+    it.each(corpus)('preserves $language text while repairing malformed JSON', (entry) => {
+        const segments = toSegments(entry);
+        // Drop the commas between segments and leave the property names unquoted
+        const malformed = JSON.stringify(segments, null, 2)
+            .replace(/,\n(\s*)\{/g, '\n$1{')
+            .replace(/"(original|replacement|reason)":/g, '$1:');
+
+        expect(cleanAndParseResponse(malformed)).toEqual(segments);
+    });
+
+    it('keeps curly quotes, dashes and ellipses inside strings', () => {
+        const response = '["He said “Hello” — then left… it’s over"]';
+
+        expect(cleanAndParseResponse(response)).toEqual(['He said “Hello” — then left… it’s over']);
+    });
+
+    it('repairs curly quotes used as JSON delimiters', () => {
+        const response = '[“La réunion a duré “trop” longtemps.”, {“original”: “duré”, “replacement”: “pris”, “reason”: “Plus simple”}]';
+
+        expect(cleanAndParseResponse(response)).toEqual([
+            'La réunion a duré “trop” longtemps.',
+            { original: 'duré', replacement: 'pris', reason: 'Plus simple' }
+        ]);
+    });
+
+    it('escapes raw line breaks inside strings', () => {
+        const response = '["Première ligne.\n\nDeuxième ligne — fin."]';
+
+        expect(cleanAndParseResponse(response)).toEqual(['Première ligne.\n\nDeuxième ligne — fin.']);
+    });
+
+    it('removes only control characters, byte order marks and lone surrogates', () => {
+        const response = '\uFEFF["Zürich\u0007 \uD83D and 東京 🚀"]';
+
+        expect(cleanAndParseResponse(response)).toEqual(['Zürich  and 東京 🚀']);
+    });
+
+    it('wraps raw Unicode text in a single segment', () => {
+        const text = 'Ceci n’est pas du JSON : « bonjour » \\ "citation" ✓';
+
+        expect(JSON.parse(cleanResponse(text))).toEqual([text]);
+    });
+
+    it('recovers Unicode fragments from a truncated response', () => {
+        const response = '["Señor Muñoz dijo: ", {"original": "está bien", "replacement": "vale", "reason": "Más breve"}, "y se fué';
+        const fragments = extractValidFragments(response);
+
+        expect(fragments).toEqual([
+            'Señor Muñoz dijo: ',
+            { original: 'está bien', replacement: 'vale', reason: 'Más breve' }
+        ]);
+        expect(JSON.parse(attemptJsonRepair('["Ελλάδα\nΑθήνα"]'))).toEqual(['Ελλάδα\nΑθήνα']);
+    });
+
+    it('never splits surrogate pairs in error context', () => {
+        const text = '🚀🚀🚀';
+
+        expect(safeSubstring(text, 1, 3)).toBe('🚀🚀');
+        expect(validateJsonArrayStructure(`[${'🚀'.repeat(15)}`).context).toBe('🚀'.repeat(10));
+
+        const error = ParserError.fromJsonError(new Error('Unexpected token in JSON at position 21'), '🚀'.repeat(30));
+        expect(error.context).not.toMatch(/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/);
+    });
+});
+
+describe('Response Parser with tool input', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Tests segments delivered as a tool call.
+     * Verifies they are validated without the text repair pipeline and the
+     * telemetry records which path each response took.
+     */
+    it('returns tool segments and records the path used', () => {
+        const segments = toSegments(corpus[0]);
+        const before = getParserTelemetry();
+
+        expect(parseToolInput({ segments })).toEqual(segments);
+        expect(getParserTelemetry()).toMatchObject({
+            toolCallCount: before.toolCallCount + 1,
+            textResponseCount: before.textResponseCount,
+            successCount: before.successCount + 1,
+            lastPath: 'tool'
+        });
+
+        cleanAndParseResponse(JSON.stringify(segments));
+        expect(getParserTelemetry()).toMatchObject({
+            toolCallCount: before.toolCallCount + 1,
+            textResponseCount: before.textResponseCount + 1,
+            lastPath: 'text'
+        });
+    });
+
+    /**
+     * Tests optional fields the model did not write in canonical form.
+     * Verifies the tool call is kept and the fields are left for normalizing.
+     */
+    it('accepts tool input with loosely written optional fields', () => {
+        const segments = [
+            'Check the ',
+            { original: 'speling', replacement: 'spelling', reason: 'Typo', category: 'Spelling', severity: 'must fix', confidence: 90 }
+        ];
+
+        expect(parseToolInput({ segments })).toEqual(segments);
+        expect(normalizeChangeFields(parseToolInput({ segments }))[1]).toEqual({
+            original: 'speling', replacement: 'spelling', reason: 'Typo', category: 'spelling', severity: 'must-fix', confidence: 0.9
+        });
+    });
+
+    it('rejects tool input that is not a segment array', () => {
+        const before = getParserTelemetry();
+
+        expect(() => parseToolInput({})).toThrow(ParserError);
+        expect(() => parseToolInput({ segments: [{ original: 'a', replacement: 'b' }] })).toThrow(ParserError);
+        expect(getParserTelemetry().failureCount).toBe(before.failureCount + 2);
+    });
+});
@@ -0,0 +1,73 @@
+import JSZip from 'jszip';
+import { toPlainText, toCriticMarkup, toHtml } from '../reviewExport';
+import { createDocx } from '../docxExport';
+
+describe('Review Export', () => {
+    const segments = [
+        'We hired ',
+        { original: '3', replacement: 'three', reason: 'Spell out numbers' },
+        ' people ',
+        { original: 'a lot of', replacement: 'many', reason: 'Concise' },
+        ' times & ',
+        { original: '<b>', replacement: '', reason: '' },
+        'more.\n\nDone.'
+    ];
+    const review = { accepted: new Set([1]), rejected: new Set([3]) };
+
+    it('applies only accepted replacements to the final text', () => {
+        expect(toPlainText(segments, review)).toBe('We hired three people a lot of times & <b>more.\n\nDone.');
+    });
+
+    it('writes CriticMarkup for accepted and pending changes', () => {
+        expect(toCriticMarkup(segments, review)).toBe(
+            'We hired {~~3~>three~~}{>>Spell out numbers<<} people a lot of times & {--<b>--}more.\n\nDone.'
+        );
+    });
+
+    it('writes escaped HTML with del and ins elements', () => {
+        const html = toHtml(segments, review);
+
+        expect(html).toContain(
+            'We hired <del class="accepted" title="Spell out numbers">3</del>' +
+            '<ins class="accepted" title="Spell out numbers">three</ins> people a lot of times &amp; ' +
+            '<del class="pending">&lt;b&gt;</del>more.'
+        );
+        expect(html).not.toContain('many');
+    });
+
+    it('uses replacements the user edited and marks them', () => {
+        const edited = { ...review, edits: new Map([[1, 'three new']]) };
+
+        expect(toPlainText(segments, edited)).toContain('We hired three new people');
+        expect(toCriticMarkup(segments, edited)).toContain('{~~3~>three new~~}{>>Spell out numbers (edited by reviewer)<<}');
+        expect(toHtml(segments, edited)).toContain('<ins class="accepted user-modified" title="Spell out numbers (edited by reviewer)">three new</ins>');
+    });
+
+    /**
+     * Tests the Word export.
+     * Verifies changes become w:del / w:ins revisions, reasons become
+     * comments, and line breaks start new paragraphs.
+     */
+    it('creates a docx with tracked changes and comments', async () => {
+        const file = await createDocx(segments, review, { date: new Date('2024-05-01T12:00:00.000Z') });
+        const zip = await JSZip.loadAsync(file);
+
+        const document = await zip.file('word/document.xml').async('string');
+        const comments = await zip.file('word/comments.xml').async('string');
+
+        expect(document).toContain(
+            '<w:commentRangeStart w:id="0"/>' +
+            '<w:del w:id="1" w:author="Style Guider" w:date="2024-05-01T12:00:00Z">' +
+            '<w:r><w:delText xml:space="preserve">3</w:delText></w:r></w:del>' +
+            '<w:ins w:id="2" w:author="Style Guider" w:date="2024-05-01T12:00:00Z">' +
+            '<w:r><w:t xml:space="preserve">three</w:t></w:r></w:ins>' +
+            '<w:commentRangeEnd w:id="0"/><w:r><w:commentReference w:id="0"/></w:r>'
+        );
+        expect(document).toContain('<w:t xml:space="preserve">a lot of</w:t>');
+        expect(document).toContain('<w:t xml:space="preserve"> times &amp; </w:t>');
+        expect(document).toContain('<w:delText xml:space="preserve">&lt;b&gt;</w:delText>');
+        expect(document.match(/<w:p>/g)).toHaveLength(3);
+        expect(comments).toContain('<w:t xml:space="preserve">Spell out numbers</w:t>');
+        expect(zip.file('[Content_Types].xml')).not.toBeNull();
+    });
+});
@@ -0,0 +1,64 @@
+import { getSegmentAttributes, getSelectionOffsets } from '../selectionOffsets';
+import { getSegmentSpans } from '../segmentUtils';
+
+describe('selection offsets', () => {
+    let container;
+
+    // Renders segments the way the results view does, with a change as original and replacement
+    const renderSegments = (segments) => {
+        container = document.createElement('div');
+        getSegmentSpans(segments).forEach(span => {
+            const element = document.createElement('span');
+            Object.entries(getSegmentAttributes(span)).forEach(([name, value]) => element.setAttribute(name, value));
+            if (span.isChange) {
+                element.innerHTML = `<span>${segments[span.index].original}</span><span>${segments[span.index].replacement}</span>`;
+            } else {
+                element.textContent = segments[span.index];
+            }
+            container.appendChild(element);
+        });
+        document.body.appendChild(container);
+    };
+
+    const select = (startNode, startOffset, endNode, endOffset) => {
+        const range = document.createRange();
+        range.setStart(startNode, startOffset);
+        range.setEnd(endNode, endOffset);
+        const selection = document.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return selection;
+    };
+
+    afterEach(() => {
+        document.body.removeChild(container);
+    });
+
+    it('maps text positions to offsets in the original text', () => {
+        renderSegments(['A ', { original: 'big', replacement: 'large', reason: 'x' }, ' dog ran.']);
+        const last = container.childNodes[2].firstChild;
+
+        expect(getSelectionOffsets(container, select(last, 1, last, 4))).toEqual({ start: 6, end: 9 });
+    });
+
+    it('snaps positions inside a change to its edges', () => {
+        renderSegments(['A ', { original: 'big', replacement: 'large', reason: 'x' }, ' dog ran.']);
+        const first = container.childNodes[0].firstChild;
+        const replacement = container.childNodes[1].childNodes[1].firstChild;
+
+        expect(getSelectionOffsets(container, select(first, 0, replacement, 2))).toEqual({ start: 0, end: 5 });
+    });
+
+    it('ignores collapsed selections and selections outside the container', () => {
+        renderSegments(['Some text.']);
+        const text = container.firstChild.firstChild;
+        const outside = document.createElement('p');
+        outside.textContent = 'Elsewhere';
+        document.body.appendChild(outside);
+
+        expect(getSelectionOffsets(container, select(text, 2, text, 2))).toBeNull();
+        expect(getSelectionOffsets(container, select(outside.firstChild, 0, outside.firstChild, 4))).toBeNull();
+
+        document.body.removeChild(outside);
+    });
+});
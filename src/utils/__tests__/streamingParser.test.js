@@ -0,0 +1,81 @@
+import { createStreamingParser } from '../streamingParser';
+
+// Feed text to the parser in fixed-size chunks, as a stream would
+const pushInChunks = (parser, text, size) => {
+    for (let i = 0; i < text.length; i += size) {
+        parser.push(text.substring(i, i + size));
+    }
+};
+
+describe('Streaming Parser', () => {
+    const response = JSON.stringify([
+        'Four years ago today, ',
+        {
+            original: '7 Republicans',
+            replacement: 'seven Republicans',
+            reason: 'Spell out numbers under ten'
+        },
+        ' voted to convict.\n\n',
+        {
+            original: 'the "U.S." Capitol',
+            replacement: 'the American Capitol',
+            reason: 'Prefer {American} to [U.S.]'
+        }
+    ], null, 2);
+
+    it('emits each segment once it is complete', () => {
+        const onSegment = jest.fn();
+        const parser = createStreamingParser({ onSegment });
+
+        pushInChunks(parser, response, 7);
+
+        expect(onSegment).toHaveBeenCalledTimes(4);
+        expect(parser.getSegments()).toEqual(JSON.parse(response));
+    });
+
+    it('does not emit an element until it has been closed', () => {
+        const parser = createStreamingParser();
+
+        parser.push('["Complete segment", {"original": "a", "replacement": "b", "rea');
+        expect(parser.getSegments()).toEqual(['Complete segment']);
+
+        parser.push('son": "c"}]');
+        expect(parser.getSegments()).toEqual([
+            'Complete segment',
+            { original: 'a', replacement: 'b', reason: 'c' }
+        ]);
+    });
+
+    it('skips markdown fences and escaped quotes', () => {
+        const parser = createStreamingParser();
+
+        pushInChunks(parser, '```json\n["He said \\"Hello\\" to me", "\\n"]\n```', 3);
+
+        expect(parser.getSegments()).toEqual(['He said "Hello" to me', '\n']);
+    });
+
+    it('tolerates raw newlines inside string segments', () => {
+        const parser = createStreamingParser();
+
+        parser.push('["First paragraph.\n\nSecond paragraph."]');
+
+        expect(parser.getSegments()).toEqual(['First paragraph.\n\nSecond paragraph.']);
+    });
+
+    it('ignores incomplete change objects', () => {
+        const parser = createStreamingParser();
+
+        parser.push('[{"original": "a", "reason": "missing replacement"}, "text"]');
+
+        expect(parser.getSegments()).toEqual(['text']);
+    });
+
+    it('stops at the end of the array', () => {
+        const parser = createStreamingParser();
+
+        parser.push('["inside"] "outside"');
+        parser.end();
+
+        expect(parser.getSegments()).toEqual(['inside']);
+    });
+});
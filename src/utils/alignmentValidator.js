@@ -0,0 +1,198 @@
+/**
+ * Alignment Validator Module
+ *
+ * Checks that a parsed response reconstructs the text that was submitted:
+ * concatenating the string segments and each change's `original` must give
+ * back the input exactly. Models sometimes drop or invent sentences, or
+ * retype the original with different quotes, dashes, accents or whitespace.
+ *
+ * Small drift is repaired by re-anchoring every segment onto the real input
+ * and rebuilding the unchanged text from it. Input the response never
+ * covered is reported as unresolved so it can be re-requested, and response
+ * segments that match nothing in the input are reported as discarded.
+ */
+
+const { isChange, getSegmentOriginal, getOriginalText, createSegmentsFromChanges } = require('./segmentUtils');
+
+// Below this share of the input matched, the response is not repaired at all
+const MIN_ALIGNED_COVERAGE = 0.5;
+
+// Gaps made only of whitespace and punctuation are absorbed rather than reported
+const IGNORABLE_GAP = /^[\s\p{P}]*$/u;
+
+/**
+ * Folds a character for fuzzy comparison: accents are removed and curly
+ * quotes, dashes and ellipses are replaced by their ASCII forms.
+ *
+ * @param {string} char - A character (or surrogate pair)
+ * @returns {string} The folded form, possibly empty for combining marks
+ */
+function foldCharacter(char) {
+  return char
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB]/g, '"')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/\u2026/g, '...');
+}
+
+/**
+ * Folds a text and records where each folded character came from. Runs of
+ * whitespace fold to a single space.
+ *
+ * @param {string} text - The text to fold
+ * @returns {Object} `{ folded, map }`, where `map[i]` is the index in `text` of folded character `i`
+ *   and `map[folded.length]` is `text.length`
+ */
+function foldText(text) {
+  let folded = '';
+  const map = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = /[\uD800-\uDBFF]/.test(text[i]) ? text.substring(i, i + 2) : text[i];
+    let replacement = foldCharacter(char);
+
+    if (/\s/.test(char)) {
+      replacement = folded.endsWith(' ') ? '' : ' ';
+    }
+
+    for (let j = 0; j < replacement.length; j++) map.push(i);
+    folded += replacement;
+    i += char.length - 1;
+  }
+
+  map.push(text.length);
+  return { folded, map };
+}
+
+/**
+ * Finds the first folded index at or after a position in the original text.
+ *
+ * @param {Array<number>} map - The map returned by `foldText`
+ * @param {number} position - An index in the original text
+ * @returns {number} The folded index
+ */
+function toFoldedIndex(map, position) {
+  let low = 0;
+  let high = map.length - 1;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (map[mid] < position) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+/**
+ * Locates a segment's text in the input at or after the cursor, first
+ * exactly and then ignoring accents, quote and dash styles and whitespace.
+ *
+ * @param {string} inputText - The submitted text
+ * @param {Object} index - The input's `foldText` result
+ * @param {string} text - The segment's original text
+ * @param {number} cursor - Where the previous segment ended
+ * @returns {Object|null} `{ start, end }` in the input, or null if not found
+ */
+function locate(inputText, index, text, cursor) {
+  if (inputText.startsWith(text, cursor)) {
+    return { start: cursor, end: cursor + text.length };
+  }
+
+  const candidates = [];
+
+  const exact = inputText.indexOf(text, cursor);
+  if (exact !== -1) candidates.push({ start: exact, end: exact + text.length });
+
+  const target = foldText(text).folded;
+  if (target) {
+    const found = index.folded.indexOf(target, toFoldedIndex(index.map, cursor));
+    if (found !== -1) {
+      candidates.push({ start: index.map[found], end: index.map[found + target.length] });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => candidate.start < best.start ? candidate : best);
+}
+
+/**
+ * Aligns parsed segments with the submitted text.
+ *
+ * @param {Array} segments - Parsed response segments
+ * @param {string} inputText - The text that was submitted for analysis
+ * @returns {Object} Alignment result:
+ *   - `segments`: segments that reconstruct `inputText` (or the originals if they could not be reconciled)
+ *   - `isAligned`: true if the returned segments reconstruct the input and nothing was reported
+ *   - `repaired`: true if segments were re-anchored onto the input
+ *   - `unresolved`: `{ start, end, text }` regions of the input the response did not cover
+ *   - `discarded`: response segments that match nothing in the input
+ */
+function alignSegments(segments, inputText) {
+  if (!Array.isArray(segments) || getOriginalText(segments) === inputText) {
+    return { segments, isAligned: true, repaired: false, unresolved: [], discarded: [] };
+  }
+
+  const index = foldText(inputText);
+  const anchored = [];
+  const unresolved = [];
+  const discarded = [];
+  let cursor = 0;
+  let matchedLength = 0;
+
+  const reportGap = (start, end) => {
+    const text = inputText.substring(start, end);
+    if (!IGNORABLE_GAP.test(text)) unresolved.push({ start, end, text });
+  };
+
+  segments.forEach(segment => {
+    const text = getSegmentOriginal(segment);
+
+    // An insertion has no text to locate; it goes where the segment before it ended
+    if (!text) {
+      if (isChange(segment)) anchored.push({ ...segment, start: cursor, end: cursor });
+      return;
+    }
+
+    const match = locate(inputText, index, text, cursor);
+    if (!match) {
+      discarded.push(segment);
+      return;
+    }
+
+    if (match.start > cursor) reportGap(cursor, match.start);
+    if (isChange(segment)) anchored.push({ ...segment, start: match.start, end: match.end });
+
+    matchedLength += match.end - match.start;
+    cursor = match.end;
+  });
+
+  if (cursor < inputText.length) reportGap(cursor, inputText.length);
+
+  // A response that mostly matches nothing is about a different text; keep it as
+  // returned and report the whole input rather than "repair" it away
+  if (inputText.length === 0 || matchedLength / inputText.length < MIN_ALIGNED_COVERAGE) {
+    return {
+      segments,
+      isAligned: false,
+      repaired: false,
+      unresolved: inputText.trim() ? [{ start: 0, end: inputText.length, text: inputText }] : [],
+      discarded
+    };
+  }
+
+  return {
+    segments: createSegmentsFromChanges(inputText, anchored),
+    isAligned: unresolved.length === 0 && discarded.length === 0,
+    repaired: true,
+    unresolved,
+    discarded
+  };
+}
+
+module.exports = {
+  alignSegments,
+  foldText
+};
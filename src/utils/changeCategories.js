@@ -0,0 +1,168 @@
+/**
+ * Change Categories Module
+ *
+ * Groups change objects by the kind of edit they make, so reviewers can act
+ * on a whole category at once, and ranks them by severity. Changes from the
+ * local rule engine carry their category and severity; the model is asked
+ * for both, plus a confidence, but older responses have only `original`,
+ * `replacement` and `reason`, so a missing category is inferred from `ruleId`
+ * and the wording of `reason`, and a missing severity defaults to
+ * 'recommended'.
+ */
+
+const CHANGE_CATEGORIES = [
+  { id: 'house-rules', label: 'House rules' },
+  { id: 'numbers', label: 'Numbers' },
+  { id: 'dates', label: 'Dates' },
+  { id: 'spelling', label: 'Spelling' },
+  { id: 'punctuation', label: 'Punctuation and hyphens' },
+  { id: 'grammar', label: 'Grammar' },
+  { id: 'word-choice', label: 'Word choice' },
+  { id: 'concision', label: 'Concision' },
+  { id: 'tone', label: 'Tone' },
+  { id: 'jargon', label: 'Jargon and clichés' },
+  { id: 'other', label: 'Other' }
+];
+
+const SEVERITIES = [
+  { id: 'must-fix', label: 'Must fix' },
+  { id: 'recommended', label: 'Recommended' },
+  { id: 'optional', label: 'Optional' }
+];
+
+const DEFAULT_SEVERITY = 'recommended';
+
+// Checked in order; the first pattern that matches the reason wins
+const REASON_PATTERNS = [
+  { category: 'dates', pattern: /\b(dates?|months?|weekdays?|ordinals?|times? of day)\b/ },
+  { category: 'numbers', pattern: /\b(numbers?|numerals?|figures?|digits?|per ?cent|percentages?|spell(ed)? out)\b/ },
+  { category: 'spelling', pattern: /\b(spelling|spelt|spelled|misspel\w*|typo|british|american spelling|capitali[sz]\w*)\b/ },
+  { category: 'punctuation', pattern: /\b(punctuation|comma|hyphen\w*|dash(es)?|apostrophe|quotation marks?|colon|semicolon|full stop|period)\b/ },
+  { category: 'grammar', pattern: /\b(grammar|grammatical|tense|agreement|passive|active voice|subject|verb|pronoun|article)\b/ },
+  { category: 'concision', pattern: /\b(concise|concision|redundan\w*|wordy|shorter|brevity|unnecessary|tighten\w*|simplif\w*)\b/ },
+  { category: 'tone', pattern: /\b(tone|informal|formal|colloquial\w*|slang|register|emotive|sensational\w*|loaded|neutral\w*|hyperbol\w*)\b/ },
+  { category: 'jargon', pattern: /\b(jargon|clich[eé]s?|buzzwords?|technical terms?|acronyms?)\b/ },
+  { category: 'word-choice', pattern: /\b(word|words|prefer\w*|plain|precise|term|phrase)\b/ }
+];
+
+/**
+ * Gets the category of a change object.
+ *
+ * @param {Object} change - A change object
+ * @returns {string} One of the `CHANGE_CATEGORIES` ids
+ */
+function getChangeCategory(change) {
+  if (!change || typeof change !== 'object') return 'other';
+
+  // Model suggestions only keep a ruleId when it references a house rule
+  if (change.ruleId && change.source !== 'rules') return 'house-rules';
+
+  if (change.category && CHANGE_CATEGORIES.some(category => category.id === change.category)) {
+    return change.category;
+  }
+
+  const reason = (change.reason || '').toLowerCase();
+  const match = REASON_PATTERNS.find(({ pattern }) => pattern.test(reason));
+
+  return match ? match.category : 'other';
+}
+
+/**
+ * Gets the display label for a category id.
+ *
+ * @param {string} id - A category id
+ * @returns {string} The label
+ */
+function getCategoryLabel(id) {
+  const category = CHANGE_CATEGORIES.find(candidate => candidate.id === id);
+  return category ? category.label : id;
+}
+
+/**
+ * Gets the severity of a change object.
+ *
+ * @param {Object} change - A change object
+ * @returns {string} One of the `SEVERITIES` ids
+ */
+function getChangeSeverity(change) {
+  if (change && SEVERITIES.some(severity => severity.id === change.severity)) return change.severity;
+  return DEFAULT_SEVERITY;
+}
+
+/**
+ * Gets the display label for a severity id.
+ *
+ * @param {string} id - A severity id
+ * @returns {string} The label
+ */
+function getSeverityLabel(id) {
+  const severity = SEVERITIES.find(candidate => candidate.id === id);
+  return severity ? severity.label : id;
+}
+
+/**
+ * Describes the severity and confidence a change object states, for display.
+ *
+ * @param {Object} change - A change object
+ * @returns {string} E.g. 'Must fix, 85% confidence', or an empty string for
+ *   changes that state neither
+ */
+function describeChangeRating(change) {
+  const parts = [];
+  if (change && SEVERITIES.some(severity => severity.id === change.severity)) {
+    parts.push(getSeverityLabel(change.severity));
+  }
+  if (change && typeof change.confidence === 'number') {
+    parts.push(`${Math.round(change.confidence * 100)}% confidence`);
+  }
+  return parts.join(', ');
+}
+
+// Accepts 0-1, or a percentage such as 85 or "85%"
+function normalizeConfidence(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) return null;
+  if (number <= 1) return number;
+  return number <= 100 ? number / 100 : null;
+}
+
+/**
+ * Cleans the optional fields of a model's change objects: drops unknown
+ * categories and severities and rule ids that are not strings, and turns
+ * confidences into numbers from 0 to 1 (or drops them).
+ *
+ * @param {Array} segments - Parsed response segments
+ * @returns {Array} Segments with well-formed optional fields
+ */
+function normalizeChangeFields(segments) {
+  if (!Array.isArray(segments)) return segments;
+
+  return segments.map(segment => {
+    if (!segment || typeof segment !== 'object') return segment;
+
+    const { category, severity, ruleId, confidence, ...change } = segment;
+    const normalized = { ...change };
+    const categoryId = typeof category === 'string' ? category.trim().toLowerCase() : null;
+    const severityId = typeof severity === 'string' ? severity.trim().toLowerCase().replace(/[\s_]+/g, '-') : null;
+
+    if (CHANGE_CATEGORIES.some(item => item.id === categoryId)) normalized.category = categoryId;
+    if (SEVERITIES.some(item => item.id === severityId)) normalized.severity = severityId;
+    if (typeof ruleId === 'string' && ruleId.trim()) normalized.ruleId = ruleId.trim();
+    if (confidence !== undefined && normalizeConfidence(confidence) !== null) {
+      normalized.confidence = normalizeConfidence(confidence);
+    }
+
+    return normalized;
+  });
+}
+
+module.exports = {
+  CHANGE_CATEGORIES,
+  SEVERITIES,
+  getChangeCategory,
+  getCategoryLabel,
+  getChangeSeverity,
+  getSeverityLabel,
+  describeChangeRating,
+  normalizeChangeFields
+};
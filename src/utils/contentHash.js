@@ -0,0 +1,45 @@
+/**
+ * Content Hash Module
+ *
+ * A fast, synchronous, non-cryptographic hash for cache keys, identical in
+ * the browser and in Node. Two 32-bit FNV-1a passes with different offset
+ * bases give a 64-bit hash, which keeps collisions negligible for the number
+ * of paragraphs a cache holds.
+ */
+
+const FNV_PRIME = 0x01000193;
+const OFFSET_BASES = [0x811c9dc5, 0x050c5d1f];
+
+/**
+ * Hashes a string's UTF-16 code units with 32-bit FNV-1a.
+ *
+ * @param {string} text - The text to hash
+ * @param {number} offsetBasis - The starting hash value
+ * @returns {number} An unsigned 32-bit hash
+ */
+function fnv1a(text, offsetBasis) {
+  let hash = offsetBasis;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Hashes a string to 16 hex characters.
+ *
+ * @param {string} text - The text to hash
+ * @returns {string} The hash
+ */
+function hashText(text) {
+  return OFFSET_BASES
+    .map(basis => fnv1a(text, basis).toString(16).padStart(8, '0'))
+    .join('');
+}
+
+module.exports = {
+  hashText
+};
@@ -0,0 +1,160 @@
+/**
+ * Word Export Module
+ *
+ * Builds a .docx in which the changes are real Word tracked changes
+ * (`w:del` / `w:ins` revisions) and each change's reason is a comment on it,
+ * so the recipient can accept or reject them in Word. Follows the rules of
+ * the tracked formats in `reviewExport.js`: accepted and pending changes are
+ * tracked, rejected ones are left as the original text.
+ */
+
+const JSZip = require('jszip');
+const { getReviewedSegments, describeReviewedChange, escapeMarkup } = require('./reviewExport');
+const { stripUnsafeCharacters } = require('./unicodeText');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const W_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES = XML_DECLARATION +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>' +
+  '</Types>';
+
+const PACKAGE_RELATIONSHIPS = XML_DECLARATION +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  `<Relationship Id="rId1" Type="${RELATIONSHIPS}/officeDocument" Target="word/document.xml"/>` +
+  '</Relationships>';
+
+const DOCUMENT_RELATIONSHIPS = XML_DECLARATION +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  `<Relationship Id="rId1" Type="${RELATIONSHIPS}/comments" Target="comments.xml"/>` +
+  '</Relationships>';
+
+// Word drops fractional seconds from revision dates
+const formatDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Builds a run for a piece of text without line breaks. Tabs become
+ * `w:tab` elements; deleted text uses `w:delText`.
+ */
+function createRun(text, deleted) {
+  const tag = deleted ? 'w:delText' : 'w:t';
+  const content = text
+    .split('\t')
+    .map(part => (part ? `<${tag} xml:space="preserve">${escapeMarkup(part)}</${tag}>` : ''))
+    .join('<w:tab/>');
+
+  return `<w:r>${content}</w:r>`;
+}
+
+/**
+ * Builds the XML parts of the document.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @param {Object} options - Options
+ * @param {string} options.author - Author of the revisions and comments
+ * @param {Date} options.date - Date of the revisions and comments
+ * @returns {Object} `{ document, comments }` XML strings
+ */
+function buildDocumentXml(segments, review, { author, date }) {
+  const paragraphs = [{ mark: '', content: [] }];
+  const comments = [];
+  const revision = `w:author="${escapeMarkup(author)}" w:date="${formatDate(date)}"`;
+  let nextId = 0;
+
+  const append = xml => paragraphs[paragraphs.length - 1].content.push(xml);
+
+  // Adds text to the current paragraph, starting a new one at each line break.
+  // `kind` is 'del' or 'ins' for tracked text; a line break inside tracked
+  // text is a tracked paragraph mark.
+  const appendText = (text, kind = null) => {
+    stripUnsafeCharacters(text).replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+      if (index > 0) {
+        if (kind) {
+          paragraphs[paragraphs.length - 1].mark = `<w:pPr><w:rPr><w:${kind} w:id="${nextId++}" ${revision}/></w:rPr></w:pPr>`;
+        }
+        paragraphs.push({ mark: '', content: [] });
+      }
+      if (!line) return;
+
+      const run = createRun(line, kind === 'del');
+      append(kind ? `<w:${kind} w:id="${nextId++}" ${revision}>${run}</w:${kind}>` : run);
+    });
+  };
+
+  getReviewedSegments(segments, review).forEach(item => {
+    if (item.text !== undefined) {
+      appendText(item.text);
+      return;
+    }
+
+    if (item.status === 'rejected') {
+      appendText(item.original);
+      return;
+    }
+
+    const comment = describeReviewedChange(item);
+    const commentId = comment ? nextId++ : null;
+    if (commentId !== null) {
+      const note = item.status === 'pending' ? `${comment} (not yet reviewed)` : comment;
+      comments.push(
+        `<w:comment w:id="${commentId}" ${revision} w:initials="SG">` +
+        `<w:p>${createRun(stripUnsafeCharacters(note), false)}</w:p>` +
+        '</w:comment>'
+      );
+      append(`<w:commentRangeStart w:id="${commentId}"/>`);
+    }
+
+    appendText(item.original, 'del');
+    appendText(item.replacement, 'ins');
+
+    if (commentId !== null) {
+      append(`<w:commentRangeEnd w:id="${commentId}"/>`);
+      append(`<w:r><w:commentReference w:id="${commentId}"/></w:r>`);
+    }
+  });
+
+  return {
+    document: XML_DECLARATION +
+      `<w:document xmlns:w="${W_NAMESPACE}"><w:body>` +
+      paragraphs.map(({ mark, content }) => `<w:p>${mark}${content.join('')}</w:p>`).join('') +
+      '<w:sectPr/></w:body></w:document>',
+    comments: XML_DECLARATION +
+      `<w:comments xmlns:w="${W_NAMESPACE}">${comments.join('')}</w:comments>`
+  };
+}
+
+/**
+ * Creates a .docx with the review's changes as tracked changes.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @param {Object} options - Options
+ * @param {string} options.author - Author of the revisions (default 'Style Guider')
+ * @param {Date} options.date - Date of the revisions (default now)
+ * @returns {Promise<Uint8Array>} The .docx file
+ */
+async function createDocx(segments, review, { author = 'Style Guider', date = new Date() } = {}) {
+  const { document, comments } = buildDocumentXml(segments, review, { author, date });
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', PACKAGE_RELATIONSHIPS);
+  zip.file('word/document.xml', document);
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELATIONSHIPS);
+  zip.file('word/comments.xml', comments);
+
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE', mimeType: DOCX_MIME_TYPE });
+}
+
+module.exports = {
+  DOCX_MIME_TYPE,
+  createDocx
+};
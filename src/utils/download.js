@@ -0,0 +1,21 @@
+/**
+ * Triggers a browser download of generated content.
+ *
+ * @param {string} filename - The suggested file name
+ * @param {string|Blob} content - The file contents
+ * @param {string} [mimeType] - The MIME type used when `content` is a string
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain;charset=utf-8') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -5,6 +5,8 @@
  * to aid debugging and improve user feedback when API responses fail to parse.
  */
 
+const { safeSubstring } = require('../unicodeText');
+
 /**
  * Maximum length for the raw response in the error object to avoid excessive memory usage.
  * @type {number}
@@ -45,7 +47,7 @@ class ParserError extends Error {
     // Store a truncated version of the raw response for debugging
     if (rawResponse) {
       this.rawResponsePreview = rawResponse.length > MAX_RAW_RESPONSE_LENGTH
-        ? rawResponse.substring(0, MAX_RAW_RESPONSE_LENGTH) + '... [truncated]'
+        ? safeSubstring(rawResponse, 0, MAX_RAW_RESPONSE_LENGTH) + '... [truncated]'
         : rawResponse;
     } else {
       this.rawResponsePreview = null;
@@ -91,9 +93,7 @@ class ParserError extends Error {
     // Extract context around the error position
     let context = null;
     if (position !== null && rawResponse) {
-      const start = Math.max(0, position - 20);
-      const end = Math.min(rawResponse.length, position + 20);
-      context = rawResponse.substring(start, end);
+      context = safeSubstring(rawResponse, position - 20, position + 20);
     }
     
     return new ParserError(`JSON parsing error: ${jsonError.message}`, {
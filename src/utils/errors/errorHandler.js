@@ -29,18 +29,41 @@ export const isRetryableError = (error) => {
     return retryableCodes.includes(error.code);
 };
 
-export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// A cancelled request rejects with an AbortError, which is never retried
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
 
-export const withRetry = async (fn, maxRetries = 3, baseDelay = 1000) => {
+export const createAbortError = () => new DOMException('The analysis was cancelled', 'AbortError');
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+
+    const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const withRetry = async (fn, maxRetries = 3, baseDelay = 1000, { signal } = {}) => {
     let lastError;
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+        if (signal?.aborted) throw createAbortError();
+
         try {
             return await fn();
         } catch (error) {
             lastError = error;
             
-            if (!isRetryableError(error) || attempt === maxRetries - 1) {
+            if (isAbortError(error) || !isRetryableError(error) || attempt === maxRetries - 1) {
                 throw error;
             }
 
@@ -49,7 +72,7 @@ export const withRetry = async (fn, maxRetries = 3, baseDelay = 1000) => {
             const delayTime = (baseDelay * Math.pow(2, attempt)) + jitter;
             
             console.warn(`Attempt ${attempt + 1} failed, retrying in ${delayTime}ms`);
-            await delay(delayTime);
+            await delay(delayTime, signal);
         }
     }
 
@@ -0,0 +1,88 @@
+/**
+ * Event Stream Module
+ *
+ * Minimal helpers for reading and writing server-sent events (SSE). Used by the
+ * proxy to read the model providers' streamed responses and by the browser
+ * client to read the proxy's relayed events.
+ */
+
+/**
+ * Creates a parser that turns raw SSE text into discrete events. Text may be
+ * pushed in arbitrary chunks; events are only emitted once complete.
+ *
+ * @param {Function} onEvent - Called with `{ event, data }` for each complete event
+ * @returns {Object} Parser with `push(text)` and `flush()` methods
+ */
+function createEventStreamParser(onEvent) {
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith(':')) return;
+
+      const separatorIndex = line.indexOf(':');
+      const field = separatorIndex === -1 ? line : line.substring(0, separatorIndex);
+      let value = separatorIndex === -1 ? '' : line.substring(separatorIndex + 1);
+      if (value.startsWith(' ')) value = value.substring(1);
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    });
+
+    if (dataLines.length === 0) return;
+
+    const rawData = dataLines.join('\n');
+    let data = rawData;
+    try {
+      data = JSON.parse(rawData);
+    } catch (e) {
+      // Not JSON - pass the raw string through
+    }
+
+    onEvent({ event, data });
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+
+      // Events are separated by a blank line
+      let match = buffer.match(/\r?\n\r?\n/);
+      while (match) {
+        const block = buffer.substring(0, match.index);
+        buffer = buffer.substring(match.index + match[0].length);
+        dispatch(block);
+        match = buffer.match(/\r?\n\r?\n/);
+      }
+    },
+
+    flush() {
+      if (buffer.trim()) {
+        dispatch(buffer);
+      }
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Formats a single server-sent event.
+ *
+ * @param {string} event - The event name
+ * @param {*} data - The event payload (serialized as JSON)
+ * @returns {string} The formatted event, terminated by a blank line
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  createEventStreamParser,
+  formatEvent
+};
@@ -0,0 +1,308 @@
+/**
+ * Local Rule Engine
+ *
+ * Deterministic rules for mechanical style points that do not need a model
+ * call: spelling out small numbers, date formats, "per cent", "American" for
+ * "U.S.", hyphenated compound modifiers and the team's `prefer` house rules.
+ * Rules produce the same change objects as `cleanAndParseResponse`, so their
+ * results can be rendered on their own (e.g. offline) or merged with the
+ * model's suggestions.
+ */
+
+const { createSegmentsFromChanges, getOriginalText, mergeChanges } = require('./segmentUtils');
+const { describeHouseRule } = require('../services/prompts/houseRules');
+const { PLACEHOLDER_PATTERN } = require('./placeholders');
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December';
+
+// Words that follow a noun use of "U.S." ("the U.S. has...") rather than an adjectival one
+const NON_MODIFIED_WORDS = new Set([
+  'is', 'was', 'are', 'were', 'has', 'had', 'have', 'having', 'will', 'would', 'could',
+  'should', 'can', 'may', 'might', 'must', 'did', 'does', 'do', 'and', 'or', 'but',
+  'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'as', 'than', 'that', 'which',
+  'who', 'if', 'while', 'because', 'since', 'being', 'remains', 'said', 'says'
+]);
+
+// Words after "1 hour", "3 day"... that show the unit is not modifying a noun ("took 1 hour and", "1 page at a time")
+const NON_NOUN_WORDS = new Set([
+  ...NON_MODIFIED_WORDS, 'a', 'an', 'the', 'of', 'per', 'into', 'over', 'under', 'about', 'after', 'before',
+  'then', 'ago', 'late', 'later', 'early', 'earlier', 'too', 'so', 'more', 'less', 'each', 'apart', 'away',
+  'back', 'behind', 'ahead', 'off', 'out', 'up', 'down', 'long', 'left', 'i', 'it', 'he', 'she', 'we', 'you', 'they'
+]);
+
+const UNIT_ABBREVIATIONS = /^\s?(km|kg|g|m|cm|mm|mph|kph|lb|lbs|oz|ft|in|gb|mb|kb|tb|am|pm|a\.m\.|p\.m\.)\b/i;
+
+// A capitalized or camel-cased word before a figure names a product or version ("Python 3", "iPhone 8")
+const NAME_BEFORE_NUMBER = /(?:^|\s)([A-Za-z][A-Za-z+#]*) $/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const ordinal = (day) => {
+  const n = parseInt(day, 10);
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return n + (['th', 'st', 'nd', 'rd'][n % 10] || 'th');
+};
+
+const isSentenceStart = (text, index) => {
+  const before = text.substring(Math.max(0, index - 8), index);
+  if (index === before.length && /^\s*$/.test(before)) return true;
+  return /([.!?]["'”’)]?\s+|\n\s*)$/.test(before);
+};
+
+/**
+ * Collects every match of a pattern as positioned changes. Matches that
+ * touch a Markdown placeholder (see `markdownProtection.js`) are skipped, as
+ * the placeholder stands for text the rules must not change.
+ *
+ * @param {string} text - The text to scan
+ * @param {RegExp} pattern - A global pattern
+ * @param {Function} toChange - Maps a match to `{ start, end, replacement }` or null to skip
+ * @returns {Array<Object>} Positioned changes
+ */
+function collect(text, pattern, toChange) {
+  const changes = [];
+  const placeholders = [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(placeholder => ({ start: placeholder.index, end: placeholder.index + placeholder[0].length }));
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    const change = toChange(match);
+    if (change && change.replacement !== text.substring(change.start, change.end) &&
+        !placeholders.some(placeholder => change.start < placeholder.end && change.end > placeholder.start)) {
+      changes.push(change);
+    }
+  }
+
+  return changes;
+}
+
+const BUILT_IN_RULES = [
+  {
+    id: 'economist.dates',
+    category: 'dates',
+    styleGuides: ['economist'],
+    reason: "The Economist writes dates as 'January 6th 2021', with an ordinal and no comma before the year",
+    find: (text) => collect(text, new RegExp(`\\b(${MONTHS}) (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?\\b`, 'g'), match => {
+      const [whole, month, day, year] = match;
+      if (parseInt(day, 10) < 1 || parseInt(day, 10) > 31) return null;
+      return {
+        start: match.index,
+        end: match.index + whole.length,
+        replacement: `${month} ${ordinal(day)}${year ? ` ${year}` : ''}`
+      };
+    })
+  },
+  {
+    id: 'economist.per-cent',
+    category: 'numbers',
+    styleGuides: ['economist'],
+    reason: "The Economist writes 'per cent' in running text",
+    find: (text) => collect(text, /\b(\d+(?:[.,]\d+)*)\s?(%|percent\b)/g, match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: `${match[1]} per cent`
+    }))
+  },
+  {
+    id: 'compound-modifiers',
+    category: 'punctuation',
+    styleGuides: null,
+    reason: 'Hyphenate compound modifiers that precede a noun',
+    find: (text) => [
+      ...collect(text, /\b(\d+) (year|month|week|day|hour|minute|mile|metre|meter|kilometre|kilometer|foot|page|point|storey|story)( old)?(?= ([a-z]+))/g, match => {
+        const [whole, number, unit, old, nextWord] = match;
+        if (NON_NOUN_WORDS.has(nextWord)) return null;
+
+        const value = parseInt(number, 10);
+        const spelled = value >= 1 && value <= 9 ? NUMBER_WORDS[value] : number;
+        return {
+          start: match.index,
+          end: match.index + whole.length,
+          replacement: `${spelled}-${unit}${old ? '-old' : ''}`
+        };
+      }),
+      ...collect(text, /\b(one|two|three|four|five|six|seven|eight|nine)\s+(halves|half|thirds?|quarters?|fifths?|sixths?|sevenths?|eighths?|ninths?|tenths?)\b/gi, match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        replacement: `${match[1]}-${match[2]}`
+      }))
+    ]
+  },
+  {
+    id: 'economist.american',
+    category: 'word-choice',
+    styleGuides: ['economist'],
+    reason: "The Economist prefers 'American' (or 'America') to 'U.S.'",
+    find: (text) => collect(text, /\b(the\s+|The\s+)?(U\.S\.)(?!A)/g, match => {
+      const whole = match[0];
+      const end = match.index + whole.length;
+      const nextWord = (text.substring(end).match(/^\s+([a-z]+)/) || [])[1];
+
+      // Without a lowercase word next, the full stop may also end the sentence ("in the U.S. The next...")
+      if (!nextWord) return null;
+
+      if (!NON_MODIFIED_WORDS.has(nextWord)) {
+        // Adjectival use: keep the article, replace only the abbreviation
+        const start = end - match[2].length;
+        return { start, end, replacement: 'American' };
+      }
+
+      return { start: match.index, end, replacement: 'America' };
+    })
+  },
+  {
+    id: 'numbers-under-ten',
+    category: 'numbers',
+    styleGuides: ['economist', 'ap', 'guardian'],
+    reason: 'Spell out whole numbers from one to nine',
+    find: (text) => collect(text, /\b([1-9])\b/g, match => {
+      const index = match.index;
+      const before = text.substring(Math.max(0, index - 12), index);
+      const after = text.substring(index + 1);
+
+      // Leave figures that are part of amounts, decimals, ranges, times, dates and measurements
+      if (/[$£€#.,:/+\-–]$/.test(before)) return null;
+      if (/^([.,:/\-–]\d|\s?(%|per ?cent\b))/.test(after)) return null;
+      if (UNIT_ABBREVIATIONS.test(after)) return null;
+      if (new RegExp(`\\b(${MONTHS}) $`).test(before)) return null;
+      if (/\b(No\.|page|chapter|section|version|release|build|model|edition|figure|table|article|rule|step|level|grade) $/i.test(before)) return null;
+
+      // Leave ordered list markers ("1. Install", "2) Run")
+      const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+      if (/^[ \t]*$/.test(text.substring(lineStart, index)) && /^[.)]/.test(after)) return null;
+
+      // Leave product and version names, unless the capital only starts the sentence ("Only 3 left")
+      const name = NAME_BEFORE_NUMBER.exec(text.substring(Math.max(0, index - 40), index));
+      if (name && (/[A-Z]/.test(name[1].substring(1))
+        || (/^[A-Z]/.test(name[1]) && !isSentenceStart(text, index - name[1].length - 1)))) return null;
+
+      const word = NUMBER_WORDS[parseInt(match[1], 10)];
+      return {
+        start: index,
+        end: index + 1,
+        replacement: isSentenceStart(text, index) ? capitalize(word) : word
+      };
+    })
+  }
+];
+
+/**
+ * Finds occurrences of a house rule's term.
+ *
+ * @param {string} text - The text to scan
+ * @param {Object} rule - A normalized `prefer` house rule
+ * @returns {Array<Object>} Positioned changes
+ */
+function findHouseRuleMatches(text, rule) {
+  const isWordTerm = /^\w/.test(rule.term) && /\w$/.test(rule.term);
+  const pattern = new RegExp(isWordTerm ? `\\b${escapeRegExp(rule.term)}\\b` : escapeRegExp(rule.term), isWordTerm ? 'gi' : 'g');
+
+  return collect(text, pattern, match => {
+    let replacement = rule.preferred;
+
+    // Keep the capitalization of the matched word
+    if (isWordTerm && /^[A-Z]/.test(match[0])) replacement = capitalize(replacement);
+
+    // Symbols replaced by words need a space after a figure, e.g. "5%" -> "5 per cent"
+    if (!isWordTerm && /^\w/.test(replacement) && /\w/.test(text.charAt(match.index - 1))) {
+      replacement = ` ${replacement}`;
+    }
+
+    return { start: match.index, end: match.index + match[0].length, replacement };
+  });
+}
+
+/**
+ * Runs the local rules on a text.
+ *
+ * @param {string} text - The text to check
+ * @param {Object} [options] - Rule options
+ * @param {string} [options.styleGuideId] - Only rules for this style guide run
+ * @param {Array<Object>} [options.houseRules] - Normalized house rules; `prefer` rules are applied first
+ * @returns {Array<Object>} Non-overlapping changes with `start` and `end` offsets, in text order
+ */
+function runLocalRules(text, { styleGuideId = 'economist', houseRules = [] } = {}) {
+  if (!text) return [];
+
+  const candidates = [];
+
+  houseRules
+    .filter(rule => rule.type === 'prefer')
+    .forEach(rule => {
+      findHouseRuleMatches(text, rule).forEach(change => candidates.push({
+        ...change,
+        reason: `House rule ${rule.id}: ${describeHouseRule(rule)}`,
+        ruleId: rule.id,
+        category: 'house-rules',
+        severity: 'must-fix'
+      }));
+    });
+
+  BUILT_IN_RULES
+    .filter(rule => !rule.styleGuides || rule.styleGuides.includes(styleGuideId))
+    .forEach(rule => {
+      rule.find(text).forEach(change => candidates.push({
+        ...change,
+        reason: rule.reason,
+        ruleId: rule.id,
+        category: rule.category,
+        severity: 'recommended'
+      }));
+    });
+
+  // Earlier candidates take precedence where spans overlap
+  const accepted = [];
+  candidates.forEach(candidate => {
+    if (accepted.some(other => candidate.start < other.end && other.start < candidate.end)) return;
+    accepted.push(candidate);
+  });
+
+  return accepted
+    .sort((a, b) => a.start - b.start)
+    .map(change => ({
+      start: change.start,
+      end: change.end,
+      original: text.substring(change.start, change.end),
+      replacement: change.replacement,
+      reason: change.reason,
+      ruleId: change.ruleId,
+      category: change.category,
+      severity: change.severity,
+      source: 'rules'
+    }));
+}
+
+/**
+ * Runs the local rules and returns a segment array for the text.
+ *
+ * @param {string} text - The text to check
+ * @param {Object} [options] - See `runLocalRules`
+ * @returns {Array} Response segments
+ */
+function applyLocalRules(text, options) {
+  return createSegmentsFromChanges(text, runLocalRules(text, options));
+}
+
+/**
+ * Adds local rule changes to the model's segments wherever they do not
+ * overlap a change the model already made.
+ *
+ * @param {Array} segments - Parsed model segments
+ * @param {Object} [options] - See `runLocalRules`
+ * @returns {Array} The merged segments
+ */
+function mergeLocalRules(segments, options) {
+  return mergeChanges(segments, runLocalRules(getOriginalText(segments), options));
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  runLocalRules,
+  applyLocalRules,
+  mergeLocalRules
+};
@@ -5,6 +5,8 @@
  * by extracting valid fragments and attempting repairs on common syntax errors.
  */
 
+const { escapeControlCharactersInStrings } = require('./unicodeText');
+
 /**
  * Extracts valid fragments (JSON objects and strings) from a malformed response.
  * 
@@ -39,8 +41,8 @@ function extractValidFragments(response) {
         fixedText = fixedText.replace(unquotedRegex, `$1 "${prop}":`);
       });
       
-      // Try to parse it
-      const parsed = JSON.parse(fixedText);
+      // Try to parse it, tolerating raw line breaks inside strings
+      const parsed = JSON.parse(escapeControlCharactersInStrings(fixedText));
       
       // Check if it's a valid change object with required fields
       if (parsed && 
@@ -86,7 +88,7 @@ function extractValidFragments(response) {
         
         // Try to parse it as a JSON string
         try {
-          const parsedString = JSON.parse(currentFragment);
+          const parsedString = JSON.parse(escapeControlCharactersInStrings(currentFragment));
           if (typeof parsedString === 'string' && parsedString.trim().length > 0) {
             fragments.push(parsedString);
           }
@@ -178,7 +180,10 @@ function attemptJsonRepair(response) {
   // More robust regex that handles various whitespace patterns
   repaired = repaired.replace(/([{,]\s*)(original)(\s*:)/g, '$1"$2"$3');
   repaired = repaired.replace(/([{,]\s*)(replacement)(\s*:)/g, '$1"$2"$3');
-  repaired = repaired.replace(/([{,]\s*)(reason)(\s*:)/g, '$1"$2"$3');
+  repaired = repaired.replace(/([{,]\s*)(reason|category|severity|ruleId|confidence)(\s*:)/g, '$1"$2"$3');
+  
+  // Escape raw line breaks and tabs inside strings
+  repaired = escapeControlCharactersInStrings(repaired);
   
   return repaired;
 }
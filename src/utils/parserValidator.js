@@ -5,6 +5,9 @@
  * including structure checking, segment validation, and error reporting.
  */
 
+const { safeSubstring } = require('./unicodeText');
+const { CHANGE_CATEGORIES, SEVERITIES } = require('./changeCategories');
+
 /**
  * Validates the overall response structure.
  * 
@@ -139,7 +142,7 @@ function validateJsonArrayStructure(response) {
       errorDetail: 'Response does not start with an opening bracket [',
       position: 0,
       suggestion: 'Ensure the response starts with an opening bracket [',
-      context: trimmedResponse.substring(0, Math.min(20, trimmedResponse.length))
+      context: safeSubstring(trimmedResponse, 0, 20)
     };
   }
   
@@ -150,7 +153,7 @@ function validateJsonArrayStructure(response) {
       errorDetail: 'Response does not end with a closing bracket ]',
       position: trimmedResponse.length,
       suggestion: 'Ensure the response ends with a closing bracket ]',
-      context: trimmedResponse.substring(Math.max(0, trimmedResponse.length - 20))
+      context: safeSubstring(trimmedResponse, trimmedResponse.length - 20)
     };
   }
   
@@ -191,7 +194,7 @@ function validateJsonArrayStructure(response) {
             errorDetail: 'Found closing bracket ] without matching opening bracket',
             position: i,
             suggestion: 'Check for balanced brackets in the response',
-            context: trimmedResponse.substring(Math.max(0, i - 10), Math.min(trimmedResponse.length, i + 10))
+            context: safeSubstring(trimmedResponse, i - 10, i + 10)
           };
         }
       }
@@ -220,12 +223,52 @@ function validateJsonArrayStructure(response) {
 }
 
 /**
- * Validates the presence and type of required fields in change objects.
+ * Checks the optional fields of a change object, which older responses omit.
+ *
+ * @param {Object} segment - A change object
+ * @param {number} index - Its position in the response
+ * @returns {Object|null} A failed validation result, or null if the fields are valid
+ */
+function validateOptionalFields(segment, index) {
+  const invalid = (field, expected) => ({
+    isValid: false,
+    errorType: 'invalid_field_value',
+    errorDetail: `The '${field}' field at index ${index} must be ${expected}`,
+    position: null,
+    context: JSON.stringify(segment)
+  });
+
+  if ('category' in segment && !CHANGE_CATEGORIES.some(category => category.id === segment.category)) {
+    return invalid('category', `one of ${CHANGE_CATEGORIES.map(category => category.id).join(', ')}`);
+  }
+
+  if ('severity' in segment && !SEVERITIES.some(severity => severity.id === segment.severity)) {
+    return invalid('severity', `one of ${SEVERITIES.map(severity => severity.id).join(', ')}`);
+  }
+
+  if ('ruleId' in segment && typeof segment.ruleId !== 'string') {
+    return invalid('ruleId', 'a string');
+  }
+
+  if ('confidence' in segment &&
+      (typeof segment.confidence !== 'number' || !(segment.confidence >= 0 && segment.confidence <= 1))) {
+    return invalid('confidence', 'a number from 0 to 1');
+  }
+
+  return null;
+}
+
+/**
+ * Validates the presence and type of required fields in change objects,
+ * and the values of the optional ones.
  * 
  * @param {string} responseString - The response string to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.checkOptionalFields=true] - Set to false to leave the optional
+ *   fields to `normalizeChangeFields`
  * @returns {Object} Validation result with isValid flag and error details
  */
-function validateSegmentStructure(responseString) {
+function validateSegmentStructure(responseString, { checkOptionalFields = true } = {}) {
   let response;
   
   try {
@@ -311,6 +354,11 @@ function validateSegmentStructure(responseString) {
           position: null
         };
       }
+
+      const optionalFieldError = checkOptionalFields ? validateOptionalFields(segment, i) : null;
+      if (optionalFieldError) {
+        return optionalFieldError;
+      }
     } else {
       // Non-string, non-object segment
       return {
@@ -0,0 +1,25 @@
+/**
+ * Placeholders
+ *
+ * Markdown mode replaces the parts of a draft that aren't prose with numbered
+ * placeholders such as `⟦3⟧` (see `services/analysis/markdownProtection`).
+ * The format lives here so code that only needs to recognise placeholders,
+ * such as the local rules, doesn't depend on the analysis services.
+ */
+
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+const PLACEHOLDER_CHARACTERS = /[⟦⟧]/;
+
+/**
+ * Formats the placeholder for the nth protected range.
+ *
+ * @param {number} number - The placeholder's number, from 1
+ * @returns {string} The placeholder, e.g. `⟦3⟧`
+ */
+const formatPlaceholder = (number) => `⟦${number}⟧`;
+
+module.exports = {
+  PLACEHOLDER_CHARACTERS,
+  PLACEHOLDER_PATTERN,
+  formatPlaceholder
+};
@@ -6,21 +6,31 @@
  * handling and recovery mechanisms.
  */
 
-const { validateResponse } = require('./parserValidator');
+const { validateResponse, validateSegmentStructure } = require('./parserValidator');
 const { ParserError } = require('./errors/ParserError');
 const { createFallbackFromFragments, evaluateRecoveryPotential } = require('./parserRecovery');
+const {
+  stripUnsafeCharacters,
+  normalizeStructuralQuotes,
+  escapeControlCharactersInStrings
+} = require('./unicodeText');
 
 // Telemetry data for tracking parser performance
 const parserTelemetry = {
   totalAttempts: 0,
   successCount: 0,
   fallbackSuccessCount: 0,
-  failureCount: 0
+  failureCount: 0,
+  // Which path the responses came by: a tool call, or JSON written as text
+  toolCallCount: 0,
+  textResponseCount: 0,
+  lastPath: null
 };
 
 /**
  * Cleans the raw API response text by removing markdown formatting,
- * normalizing special characters, and ensuring valid structure.
+ * normalizing JSON delimiters, and ensuring valid structure. The text itself
+ * is never transliterated, so non-ASCII characters survive intact.
  * 
  * @param {string} response - The raw response text from the API
  * @returns {string} The cleaned response text
@@ -34,19 +44,22 @@ function cleanResponse(response) {
   cleaned = cleaned.replace(/^```json\s+|\s+```$/g, '');
   cleaned = cleaned.replace(/^```\s+|\s+```$/g, '');
 
-  // Normalize special characters
-  cleaned = cleaned.replace(/["]/g, '"'); // Smart quotes
-  cleaned = cleaned.replace(/["]/g, '"');
-  cleaned = cleaned.replace(/[']/g, "'"); // Smart apostrophes
-  cleaned = cleaned.replace(/[']/g, "'");
-  cleaned = cleaned.replace(/—/g, '--'); // Em dash
-  cleaned = cleaned.replace(/–/g, '-');  // En dash
-
-  // Remove control characters that cause JSON parsing to fail
-  cleaned = cleaned.replace(/[^\x20-\x7E\s]/g, ''); // Replace all non-printable ASCII and non-whitespace
+  // Remove only characters that cannot be part of the text; everything else,
+  // including accents, non-Latin scripts, dashes and curly quotes, is kept
+  cleaned = stripUnsafeCharacters(cleaned);
 
   // Handle the response based on its structure
-  const trimmed = cleaned.trim();
+  let trimmed = cleaned.trim();
+
+  // Case 1: Raw text (not JSON)
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    // This is likely raw text - wrap it in a JSON array as a single segment
+    return JSON.stringify([trimmed]);
+  }
+
+  // Curly quotes used as string delimiters become straight quotes, and raw
+  // line breaks inside strings are escaped
+  trimmed = escapeControlCharactersInStrings(normalizeStructuralQuotes(trimmed));
   
   // Special case handling for JSON format where string is used as a key
   // Detect if this is a response with text fragments as object keys
@@ -130,13 +143,6 @@ function cleanResponse(response) {
     }
   }
   
-  // Case 1: Raw text (not JSON)
-  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
-    // This is likely raw text - escape all quotes and wrap in JSON array
-    const escapedText = trimmed.replace(/"/g, '\\"');
-    return `["${escapedText}"]`;
-  }
-  
   // Case 2: Looks like it might be valid JSON - try to parse it directly
   try {
     JSON.parse(trimmed);
@@ -164,7 +170,7 @@ function cleanResponse(response) {
   // Fix unquoted property names - specifically target known fields
   processed = processed.replace(/([{,]\s*)(original)(\s*:)/g, '$1"$2"$3');
   processed = processed.replace(/([{,]\s*)(replacement)(\s*:)/g, '$1"$2"$3');
-  processed = processed.replace(/([{,]\s*)(reason)(\s*:)/g, '$1"$2"$3');
+  processed = processed.replace(/([{,]\s*)(reason|category|severity|ruleId|confidence)(\s*:)/g, '$1"$2"$3');
   
   // Fix trailing commas
   processed = processed.replace(/,(\s*)\]/g, '\n]');
@@ -252,7 +258,7 @@ function cleanResponse(response) {
       }
     } catch (e2) {
       // Last resort: just wrapping in an array if all else fails
-      return `["${trimmed.replace(/"/g, '\\"')}"]`;
+      return JSON.stringify([trimmed]);
     }
   }
   
@@ -316,6 +322,8 @@ function validateAndRepair(cleanedResponse) {
  */
 function cleanAndParseResponse(response) {
   parserTelemetry.totalAttempts++;
+  parserTelemetry.textResponseCount++;
+  parserTelemetry.lastPath = 'text';
   
   try {
     if (!response || typeof response !== 'string' || response.trim() === '') {
@@ -379,6 +387,37 @@ function cleanAndParseResponse(response) {
   }
 }
 
+/**
+ * Checks the input of a segment tool call. The model's tool input is
+ * already parsed JSON, so the repair pipeline is not needed; the structure
+ * and required fields are validated the same way as a text response. As on
+ * the text path, optional fields that are not in canonical form are left to
+ * `normalizeChangeFields` rather than failing the whole call.
+ * 
+ * @param {Object} input - The tool input, `{ segments }`
+ * @returns {Array} The segments
+ * @throws {ParserError} If the input is not a valid segment array
+ */
+function parseToolInput(input) {
+  parserTelemetry.totalAttempts++;
+  parserTelemetry.toolCallCount++;
+  parserTelemetry.lastPath = 'tool';
+
+  const segments = input && input.segments;
+  const serialized = JSON.stringify(segments === undefined ? null : segments);
+  const validationResult = validateSegmentStructure(serialized, { checkOptionalFields: false });
+
+  if (!validationResult.isValid) {
+    parserTelemetry.failureCount++;
+    const error = ParserError.fromValidationResult(validationResult, serialized);
+    error.logDetails();
+    throw error;
+  }
+
+  parserTelemetry.successCount++;
+  return segments;
+}
+
 /**
  * Gets the current parser telemetry data.
  * 
@@ -400,6 +439,7 @@ function getParserTelemetry() {
 module.exports = {
   cleanAndParseResponse,
   cleanResponse,
+  parseToolInput,
   validateAndRepair,
   getParserTelemetry
 }; 
\ No newline at end of file
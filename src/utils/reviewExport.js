@@ -0,0 +1,172 @@
+/**
+ * Review Export Module
+ *
+ * Turns reviewed segments into documents users can take elsewhere. A review
+ * is `{ accepted, rejected, edits }`: Sets of change indices and a Map of
+ * replacements the user rewrote, which replace the model's and are noted as
+ * edited in comments. The clean text applies accepted replacements and keeps
+ * the original for everything else. The tracked formats (CriticMarkup and
+ * HTML here, Word in `docxExport.js`) show accepted and pending changes as
+ * insertions and deletions with their reason; rejected changes are left out,
+ * so they read as the original text.
+ */
+
+const { isChange } = require('./segmentUtils');
+
+/**
+ * Resolves each segment against the review.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {Array<Object>} `{ text }` for unchanged text, or
+ *   `{ original, replacement, reason, status, userModified }` for changes,
+ *   where status is 'accepted', 'rejected' or 'pending'
+ */
+function getReviewedSegments(segments, review = {}) {
+  const accepted = review.accepted || new Set();
+  const rejected = review.rejected || new Set();
+  const edits = review.edits || new Map();
+
+  return segments
+    .map((segment, index) => {
+      if (typeof segment === 'string') return { text: segment };
+      if (!isChange(segment)) return null;
+
+      let status = 'pending';
+      if (accepted.has(index)) status = 'accepted';
+      else if (rejected.has(index)) status = 'rejected';
+
+      const userModified = edits.has(index);
+
+      return {
+        original: segment.original,
+        replacement: (userModified ? edits.get(index) : segment.replacement) || '',
+        reason: segment.reason || '',
+        status,
+        userModified
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Gets the comment for a reviewed change: its reason, noting when the
+ * replacement was edited by the user.
+ *
+ * @param {Object} item - A change from `getReviewedSegments`
+ * @returns {string} The comment, or '' when there is nothing to say
+ */
+function describeReviewedChange(item) {
+  if (!item.userModified) return item.reason;
+  return item.reason ? `${item.reason} (edited by reviewer)` : 'Edited by reviewer';
+}
+
+/**
+ * Builds the final text: accepted replacements applied, rejected and
+ * pending changes left as the original.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {string} The final text
+ */
+function toPlainText(segments, review) {
+  return getReviewedSegments(segments, review)
+    .map(item => {
+      if (item.text !== undefined) return item.text;
+      return item.status === 'accepted' ? item.replacement : item.original;
+    })
+    .join('');
+}
+
+/**
+ * Builds Markdown with CriticMarkup substitutions, insertions, deletions and
+ * comments for every change that was not rejected.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @returns {string} The CriticMarkup text
+ */
+function toCriticMarkup(segments, review) {
+  return getReviewedSegments(segments, review)
+    .map(item => {
+      if (item.text !== undefined) return item.text;
+      if (item.status === 'rejected') return item.original;
+
+      let markup;
+      if (!item.original) markup = `{++${item.replacement}++}`;
+      else if (!item.replacement) markup = `{--${item.original}--}`;
+      else markup = `{~~${item.original}~>${item.replacement}~~}`;
+
+      const comment = describeReviewedChange(item);
+      return comment ? `${markup}{>>${comment}<<}` : markup;
+    })
+    .join('');
+}
+
+/**
+ * Escapes text for use in HTML or XML content and attributes.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeMarkup(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds a standalone HTML document with `<del>` and `<ins>` for every
+ * change that was not rejected. The reason is the elements' title.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Object} review - `{ accepted, rejected, edits }`
+ * @param {Object} options - Options
+ * @param {string} options.title - The document title
+ * @returns {string} The HTML document
+ */
+function toHtml(segments, review, { title = 'Reviewed text' } = {}) {
+  const body = getReviewedSegments(segments, review)
+    .map(item => {
+      if (item.text !== undefined) return escapeMarkup(item.text);
+      if (item.status === 'rejected') return escapeMarkup(item.original);
+
+      const comment = describeReviewedChange(item);
+      const classes = item.userModified ? `${item.status} user-modified` : item.status;
+      const attributes = `class="${classes}"${comment ? ` title="${escapeMarkup(comment)}"` : ''}`;
+      const deletion = item.original ? `<del ${attributes}>${escapeMarkup(item.original)}</del>` : '';
+      const insertion = item.replacement ? `<ins ${attributes}>${escapeMarkup(item.replacement)}</ins>` : '';
+      return deletion + insertion;
+    })
+    .join('');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeMarkup(title)}</title>`,
+    '<style>',
+    'body { white-space: pre-wrap; font-family: Georgia, serif; line-height: 1.6; }',
+    'del { color: #b3261e; }',
+    'ins { color: #1a8917; text-decoration: none; border-bottom: 1px solid; }',
+    'ins.pending, del.pending { opacity: 0.7; }',
+    '</style>',
+    '</head>',
+    `<body>${body}</body>`,
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  getReviewedSegments,
+  describeReviewedChange,
+  toPlainText,
+  toCriticMarkup,
+  toHtml,
+  escapeMarkup
+};
@@ -0,0 +1,210 @@
+/**
+ * Segment Utilities Module
+ *
+ * Helpers for working with parsed responses: arrays of unchanged string
+ * segments and change objects (`{ original, replacement, reason }`). Offsets
+ * are character positions in the original text, i.e. the concatenation of
+ * string segments and each change's `original`.
+ */
+
+/**
+ * Checks whether a segment is a change object.
+ *
+ * @param {*} segment - A response segment
+ * @returns {boolean} True for change objects
+ */
+function isChange(segment) {
+  return segment !== null && typeof segment === 'object' && typeof segment.original === 'string';
+}
+
+/**
+ * Gets the text a segment covers in the original document.
+ *
+ * @param {string|Object} segment - A response segment
+ * @returns {string} The segment's original text
+ */
+function getSegmentOriginal(segment) {
+  if (typeof segment === 'string') return segment;
+  return isChange(segment) ? segment.original : '';
+}
+
+/**
+ * Reconstructs the original text from a segment array.
+ *
+ * @param {Array} segments - Response segments
+ * @returns {string} The text the segments were generated from
+ */
+function getOriginalText(segments) {
+  return segments.map(getSegmentOriginal).join('');
+}
+
+/**
+ * Locates every segment in the original text.
+ *
+ * @param {Array} segments - Response segments
+ * @returns {Array<Object>} `{ index, start, end, isChange }` for each segment
+ */
+function getSegmentSpans(segments) {
+  let offset = 0;
+
+  return segments.map((segment, index) => {
+    const length = getSegmentOriginal(segment).length;
+    const span = { index, start: offset, end: offset + length, isChange: isChange(segment) };
+    offset += length;
+    return span;
+  });
+}
+
+/**
+ * Builds a segment array from positioned changes on a text.
+ *
+ * @param {string} text - The original text
+ * @param {Array<Object>} changes - Non-overlapping changes with `start` and `end` offsets
+ * @returns {Array} Response segments
+ */
+function createSegmentsFromChanges(text, changes) {
+  const segments = [];
+  let offset = 0;
+
+  [...changes]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end, ...change }) => {
+      if (start < offset) return;
+      if (start > offset) segments.push(text.substring(offset, start));
+      segments.push({ ...change, original: text.substring(start, end) });
+      offset = end;
+    });
+
+  if (offset < text.length) segments.push(text.substring(offset));
+
+  return segments;
+}
+
+/**
+ * Adds positioned changes to a segment array, keeping only changes that lie
+ * entirely within unchanged string segments so no two changes overlap.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Array<Object>} changes - Changes with `start` and `end` offsets in the original text
+ * @returns {Array} The merged segments
+ */
+function mergeChanges(segments, changes) {
+  const spans = getSegmentSpans(segments);
+  const additions = new Map();
+
+  changes.forEach(change => {
+    const span = spans.find(candidate => !candidate.isChange &&
+      candidate.start <= change.start && change.end <= candidate.end);
+    if (!span || change.end <= change.start) return;
+
+    const list = additions.get(span.index) || [];
+    if (list.some(other => change.start < other.end && other.start < change.end)) return;
+    list.push(change);
+    additions.set(span.index, list);
+  });
+
+  const merged = [];
+  segments.forEach((segment, index) => {
+    const list = additions.get(index);
+    if (!list) {
+      merged.push(segment);
+      return;
+    }
+
+    const base = spans[index].start;
+    const local = list.map(change => ({ ...change, start: change.start - base, end: change.end - base }));
+    merged.push(...createSegmentsFromChanges(segment, local));
+  });
+
+  return merged;
+}
+
+/**
+ * Splits a text into paragraphs separated by blank lines.
+ *
+ * @param {string} text - The text to split
+ * @returns {Array<Object>} `{ start, end, text }` for each paragraph; the
+ *   separating blank lines belong to the paragraph before them
+ */
+function getParagraphs(text) {
+  const paragraphs = [];
+  const separator = /\n\s*\n/g;
+  let start = 0;
+  let match;
+
+  while ((match = separator.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    paragraphs.push({ start, end, text: text.substring(start, end) });
+    start = end;
+  }
+
+  if (start < text.length || paragraphs.length === 0) {
+    paragraphs.push({ start, end: text.length, text: text.substring(start) });
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Finds the paragraph each segment starts in.
+ *
+ * @param {Array} segments - Response segments
+ * @returns {Array<number>} The paragraph index of each segment
+ */
+function getSegmentParagraphs(segments) {
+  const paragraphs = getParagraphs(getOriginalText(segments));
+  let paragraph = 0;
+
+  return getSegmentSpans(segments).map(span => {
+    while (paragraph < paragraphs.length - 1 && span.start >= paragraphs[paragraph].end) paragraph++;
+    return paragraph;
+  });
+}
+
+/**
+ * Splits segments into contiguous ranges of the original text, e.g. its
+ * paragraphs. String segments are cut at the range boundaries; a change that
+ * crosses a boundary cannot be cut, so neither range it touches gets segments.
+ *
+ * @param {Array} segments - Response segments
+ * @param {Array<Object>} ranges - Contiguous `{ start, end }` ranges covering the original text
+ * @returns {Array<Array|null>} The segments of each range, or null for ranges a change crosses into
+ */
+function splitSegmentsByRanges(segments, ranges) {
+  const spans = getSegmentSpans(segments);
+
+  return ranges.map((range, rangeIndex) => {
+    const isLast = rangeIndex === ranges.length - 1;
+    const pieces = [];
+
+    for (const span of spans) {
+      const segment = segments[span.index];
+
+      if (span.isChange) {
+        // Insertions sit at a single offset, which belongs to the range starting there
+        const touches = span.start === span.end
+          ? span.start >= range.start && (span.start < range.end || (isLast && span.start === range.end))
+          : span.start < range.end && span.end > range.start;
+        if (!touches) continue;
+        if (span.start < range.start || span.end > range.end) return null;
+        pieces.push(segment);
+      } else if (typeof segment === 'string' && span.start < range.end && span.end > range.start) {
+        pieces.push(segment.substring(Math.max(range.start, span.start) - span.start, Math.min(range.end, span.end) - span.start));
+      }
+    }
+
+    return pieces;
+  });
+}
+
+module.exports = {
+  isChange,
+  getSegmentOriginal,
+  getOriginalText,
+  getSegmentSpans,
+  createSegmentsFromChanges,
+  mergeChanges,
+  getParagraphs,
+  getSegmentParagraphs,
+  splitSegmentsByRanges
+};
@@ -0,0 +1,59 @@
+// Rendered segments carry their range of the original text in these attributes;
+// text segments are also marked, since only their characters map one to one
+const START_ATTRIBUTE = 'data-segment-start';
+const END_ATTRIBUTE = 'data-segment-end';
+const TEXT_ATTRIBUTE = 'data-segment-text';
+
+/**
+ * Attributes that place a rendered segment in the original text.
+ *
+ * @param {Object} span - `{ start, end, isChange }` from `getSegmentSpans`
+ * @returns {Object} Props for the segment's outermost element
+ */
+export const getSegmentAttributes = ({ start, end, isChange }) => ({
+    [START_ATTRIBUTE]: start,
+    [END_ATTRIBUTE]: end,
+    ...(!isChange && { [TEXT_ATTRIBUTE]: true })
+});
+
+const getRange = (element, isEnd) => Number(element.getAttribute(isEnd ? END_ATTRIBUTE : START_ATTRIBUTE));
+
+// Offset in the original text of one end of a DOM range; a point inside a change snaps to its edge
+const getBoundaryOffset = (node, offset, isEnd) => {
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const segment = element && element.closest(`[${START_ATTRIBUTE}]`);
+
+    if (segment) {
+        if (!segment.hasAttribute(TEXT_ATTRIBUTE)) return getRange(segment, isEnd);
+        if (node.nodeType === Node.TEXT_NODE) return getRange(segment, false) + offset;
+        return getRange(segment, offset > 0);
+    }
+
+    // A point between segments, in their container
+    const next = node.childNodes[offset];
+    if (next && next.nodeType === Node.ELEMENT_NODE && next.hasAttribute(START_ATTRIBUTE)) return getRange(next, false);
+    const previous = node.childNodes[offset - 1];
+    if (previous && previous.nodeType === Node.ELEMENT_NODE && previous.hasAttribute(START_ATTRIBUTE)) return getRange(previous, true);
+
+    return null;
+};
+
+/**
+ * Finds the part of the original text the user selected in rendered results.
+ *
+ * @param {Element} container - The element the segments are rendered in
+ * @param {Selection} [selection] - The document selection
+ * @returns {Object|null} `{ start, end }`, or null when nothing inside `container` is selected
+ */
+export const getSelectionOffsets = (container, selection = document.getSelection()) => {
+    if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null;
+
+    const start = getBoundaryOffset(range.startContainer, range.startOffset, false);
+    const end = getBoundaryOffset(range.endContainer, range.endOffset, true);
+    if (start === null || end === null || end <= start) return null;
+
+    return { start, end };
+};
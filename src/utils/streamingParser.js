@@ -0,0 +1,170 @@
+/**
+ * Streaming Parser Module
+ *
+ * Incrementally scans a JSON array of segments as it is streamed from the API
+ * and emits each top-level string segment or change object as soon as it is
+ * complete. This is a best-effort preview: the final response is still run
+ * through `cleanAndParseResponse`, which applies the full repair pipeline.
+ */
+
+/**
+ * Checks whether a parsed element is a renderable segment.
+ *
+ * @param {*} element - The parsed element
+ * @returns {boolean} True for strings and complete change objects
+ */
+function isRenderableSegment(element) {
+  if (typeof element === 'string') {
+    return true;
+  }
+
+  return element !== null &&
+    typeof element === 'object' &&
+    typeof element.original === 'string' &&
+    element.original.length > 0 &&
+    typeof element.replacement === 'string' &&
+    typeof element.reason === 'string';
+}
+
+/**
+ * Parses the text of a single completed array element.
+ *
+ * @param {string} text - The raw element text
+ * @param {boolean} isString - Whether the element is a string literal
+ * @returns {*} The parsed element, or undefined if it could not be parsed
+ */
+function parseElement(text, isString) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    if (!isString) return undefined;
+  }
+
+  // Models occasionally emit raw control characters inside string literals
+  try {
+    const body = text.substring(1, text.length - 1)
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+    return JSON.parse(`"${body}"`);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates an incremental parser for a streamed segment array.
+ *
+ * @param {Object} options - Parser options
+ * @param {Function} [options.onSegment] - Called with each segment as it completes
+ * @returns {Object} Parser with `push(chunk)`, `end()` and `getSegments()` methods
+ */
+function createStreamingParser({ onSegment } = {}) {
+  const segments = [];
+  let buffer = '';
+  let position = 0;
+  let started = false;
+  let finished = false;
+
+  // State for the element currently being scanned
+  let elementStart = -1;
+  let elementIsString = false;
+  let depth = 0;
+  let inString = false;
+  let escapeNext = false;
+
+  const completeElement = (endIndex) => {
+    const text = buffer.substring(elementStart, endIndex + 1);
+    const parsed = parseElement(text, elementIsString);
+
+    if (parsed !== undefined && isRenderableSegment(parsed)) {
+      segments.push(parsed);
+      if (onSegment) onSegment(parsed, segments.length - 1);
+    }
+
+    elementStart = -1;
+  };
+
+  const scan = () => {
+    while (position < buffer.length && !finished) {
+      const char = buffer[position];
+
+      if (!started) {
+        // Skip any preamble such as a markdown code fence
+        if (char === '[') started = true;
+        position++;
+        continue;
+      }
+
+      if (elementStart === -1) {
+        // Between elements at the top level of the array
+        if (char === '"') {
+          elementStart = position;
+          elementIsString = true;
+          escapeNext = false;
+        } else if (char === '{') {
+          elementStart = position;
+          elementIsString = false;
+          depth = 1;
+          inString = false;
+          escapeNext = false;
+        } else if (char === ']') {
+          finished = true;
+        }
+        position++;
+        continue;
+      }
+
+      if (escapeNext) {
+        escapeNext = false;
+      } else if (char === '\\') {
+        escapeNext = true;
+      } else if (elementIsString) {
+        if (char === '"') completeElement(position);
+      } else if (char === '"') {
+        inString = !inString;
+      } else if (!inString) {
+        if (char === '{') {
+          depth++;
+        } else if (char === '}') {
+          depth--;
+          if (depth === 0) completeElement(position);
+        }
+      }
+
+      position++;
+    }
+
+    // Drop consumed text so the buffer only holds the element in progress
+    const keepFrom = elementStart === -1 ? position : elementStart;
+    if (keepFrom > 0) {
+      buffer = buffer.substring(keepFrom);
+      position -= keepFrom;
+      if (elementStart !== -1) elementStart = 0;
+    }
+  };
+
+  return {
+    push(chunk) {
+      if (!chunk || finished) return segments;
+      buffer += chunk;
+      scan();
+      return segments;
+    },
+
+    end() {
+      finished = true;
+      buffer = '';
+      return segments;
+    },
+
+    getSegments() {
+      return segments;
+    }
+  };
+}
+
+module.exports = {
+  createStreamingParser,
+  isRenderableSegment
+};
@@ -0,0 +1,189 @@
+/**
+ * Unicode Text Module
+ *
+ * Unicode-safe helpers for repairing model output before it is parsed as
+ * JSON. Only characters that can never be part of the document are removed;
+ * accented letters, non-Latin scripts, currency symbols, dashes, curly quotes
+ * and emoji pass through unchanged.
+ */
+
+// Control characters (C0, DEL and C1) other than tab, line feed and carriage return
+const CONTROL_CHARACTERS = /[^\P{Cc}\t\n\r]/gu;
+
+// Byte order marks and unpaired surrogate halves left by truncated output
+const BOM = /\uFEFF/g;
+const LONE_SURROGATES = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+// Curly double quotes: left, right, low-9 and high-reversed-9
+const OPENING_QUOTES = ['\u201C', '\u201D', '\u201E', '\u201F'];
+const CLOSING_QUOTES = ['\u201C', '\u201D'];
+
+/**
+ * Removes characters that cannot appear in the document or in valid JSON
+ * text: control characters (except whitespace), byte order marks and lone
+ * surrogates.
+ *
+ * @param {string} text - The raw response text
+ * @returns {string} The text without unsafe characters
+ */
+function stripUnsafeCharacters(text) {
+  return text
+    .replace(CONTROL_CHARACTERS, '')
+    .replace(BOM, '')
+    .replace(LONE_SURROGATES, '');
+}
+
+/**
+ * Finds the next character after `index` that is not whitespace.
+ *
+ * @param {string} text - The text to scan
+ * @param {number} index - The position to start after
+ * @returns {string} The character, or an empty string at the end of the text
+ */
+function nextSignificantCharacter(text, index) {
+  for (let i = index + 1; i < text.length; i++) {
+    if (!/\s/.test(text[i])) return text[i];
+  }
+  return '';
+}
+
+/**
+ * Replaces curly double quotes that word processors (or models) use as JSON
+ * string delimiters with straight quotes. Curly quotes inside strings are
+ * part of the text and are kept.
+ *
+ * @param {string} text - JSON-like text
+ * @returns {string} The text with structural quotes normalized
+ */
+function normalizeStructuralQuotes(text) {
+  let result = '';
+  let inString = false;
+  let smartDelimited = false;
+  let escapeNext = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!inString) {
+      if (char === '"' || OPENING_QUOTES.includes(char)) {
+        inString = true;
+        smartDelimited = char !== '"';
+        result += '"';
+      } else {
+        result += char;
+      }
+      continue;
+    }
+
+    if (escapeNext) {
+      escapeNext = false;
+      result += char;
+      continue;
+    }
+
+    if (char === '\\') {
+      escapeNext = true;
+      result += char;
+      continue;
+    }
+
+    const closesString = () => ['', ',', ']', '}', ':'].includes(nextSignificantCharacter(text, i));
+
+    if (char === '"') {
+      if (smartDelimited && !closesString()) {
+        // A straight quote inside a curly-quoted string is part of the text
+        result += '\\"';
+      } else {
+        inString = false;
+        result += char;
+      }
+      continue;
+    }
+
+    if (smartDelimited && CLOSING_QUOTES.includes(char) && closesString()) {
+      inString = false;
+      result += '"';
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Escapes raw line breaks, tabs and other control characters inside JSON
+ * strings, which models often emit unescaped.
+ *
+ * @param {string} text - JSON-like text
+ * @returns {string} The text with control characters in strings escaped
+ */
+function escapeControlCharactersInStrings(text) {
+  let result = '';
+  let inString = false;
+  let escapeNext = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (escapeNext) {
+      escapeNext = false;
+      result += char;
+      continue;
+    }
+
+    if (inString && char === '\\') {
+      escapeNext = true;
+      result += char;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = !inString;
+      result += char;
+      continue;
+    }
+
+    if (inString && char < ' ') {
+      if (char === '\n') result += '\\n';
+      else if (char === '\r') result += '\\r';
+      else if (char === '\t') result += '\\t';
+      else result += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Like `String.prototype.substring`, but widens the range rather than split a
+ * surrogate pair, so previews and error contexts never contain half an emoji
+ * or astral-plane character.
+ *
+ * @param {string} text - The text to slice
+ * @param {number} start - Start index
+ * @param {number} [end] - End index (defaults to the end of the text)
+ * @returns {string} The substring
+ */
+function safeSubstring(text, start, end = text.length) {
+  const isLowSurrogate = (index) => /[\uDC00-\uDFFF]/.test(text[index] || '');
+
+  let from = Math.max(0, Math.min(start, text.length));
+  let to = Math.max(from, Math.min(end, text.length));
+
+  if (from > 0 && isLowSurrogate(from)) from--;
+  if (to < text.length && isLowSurrogate(to)) to++;
+
+  return text.substring(from, to);
+}
+
+module.exports = {
+  stripUnsafeCharacters,
+  normalizeStructuralQuotes,
+  escapeControlCharactersInStrings,
+  safeSubstring
+};